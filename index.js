@@ -1,18 +1,23 @@
 const Kafka = require('./src')
 const PartitionAssigners = require('./src/consumer/assigners')
 const AssignerProtocol = require('./src/consumer/assignerProtocol')
+const RebalanceProtocols = require('./src/consumer/rebalanceProtocols')
 const Partitioners = require('./src/producer/partitioners')
 const Compression = require('./src/protocol/message/compression')
 const ResourceTypes = require('./src/protocol/resourceTypes')
+const { Serializers, Deserializers } = require('./src/serialization')
 const { LEVELS } = require('./src/loggers')
 
 module.exports = {
   Kafka,
   PartitionAssigners,
   AssignerProtocol,
+  RebalanceProtocols,
   Partitioners,
   logLevel: LEVELS,
   CompressionTypes: Compression.Types,
   CompressionCodecs: Compression.Codecs,
   ResourceTypes,
+  Serializers,
+  Deserializers,
 }
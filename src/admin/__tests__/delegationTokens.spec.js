@@ -0,0 +1,140 @@
+const createAdmin = require('../index')
+
+const {
+  saslSCRAM256ConnectionOpts,
+  createCluster,
+  saslBrokers,
+  newLogger,
+  testIfKafka_1_1_0,
+} = require('testHelpers')
+
+describe('Admin', () => {
+  let admin, tokenAdmin
+
+  beforeEach(() => {
+    const cluster = createCluster(saslSCRAM256ConnectionOpts(), saslBrokers())
+    admin = createAdmin({ cluster, logger: newLogger() })
+  })
+
+  afterEach(async () => {
+    admin && (await admin.disconnect())
+    tokenAdmin && (await tokenAdmin.disconnect())
+  })
+
+  describe('createDelegationToken', () => {
+    test('throws an error if the renewers are invalid', async () => {
+      await expect(admin.createDelegationToken({ renewers: 'User:alice' })).rejects.toHaveProperty(
+        'message',
+        'Invalid renewers array User:alice'
+      )
+
+      await expect(
+        admin.createDelegationToken({ renewers: [{ principalType: 'User' }] })
+      ).rejects.toHaveProperty(
+        'message',
+        'Invalid principal {"principalType":"User"} in renewers, principalType and principalName have to be a valid string'
+      )
+    })
+
+    testIfKafka_1_1_0('creates a token which can be used to authenticate', async () => {
+      await admin.connect()
+
+      const token = await admin.createDelegationToken({
+        renewers: [{ principalType: 'User', principalName: 'testscram' }],
+      })
+
+      expect(token).toEqual({
+        tokenId: expect.any(String),
+        hmac: expect.any(Buffer),
+        owner: { principalType: 'User', principalName: 'testscram' },
+        issueTimestamp: expect.any(String),
+        expiryTimestamp: expect.any(String),
+        maxTimestamp: expect.any(String),
+      })
+
+      const { sasl, ...connectionOpts } = saslSCRAM256ConnectionOpts()
+      const cluster = createCluster(
+        {
+          ...connectionOpts,
+          sasl: {
+            mechanism: sasl.mechanism,
+            username: token.tokenId,
+            password: token.hmac.toString('base64'),
+            tokenAuth: true,
+          },
+        },
+        saslBrokers()
+      )
+
+      tokenAdmin = createAdmin({ cluster, logger: newLogger() })
+      await expect(tokenAdmin.connect()).resolves.toBeUndefined()
+    })
+  })
+
+  describe('renewDelegationToken', () => {
+    test('throws an error if the hmac is invalid', async () => {
+      await expect(admin.renewDelegationToken({ hmac: 'hmac' })).rejects.toHaveProperty(
+        'message',
+        'Invalid hmac hmac, it has to be a Buffer'
+      )
+    })
+
+    testIfKafka_1_1_0('extends the expiry of the token', async () => {
+      await admin.connect()
+      const { hmac, expiryTimestamp } = await admin.createDelegationToken()
+
+      const renewed = await admin.renewDelegationToken({ hmac, renewPeriod: 3600000 })
+      expect(renewed).toEqual({ expiryTimestamp: expect.any(String) })
+      expect(Number(renewed.expiryTimestamp)).toBeLessThanOrEqual(Number(expiryTimestamp) + 3600000)
+    })
+  })
+
+  describe('expireDelegationToken', () => {
+    test('throws an error if the hmac is invalid', async () => {
+      await expect(admin.expireDelegationToken({})).rejects.toHaveProperty(
+        'message',
+        'Invalid hmac undefined, it has to be a Buffer'
+      )
+    })
+
+    testIfKafka_1_1_0('expires the token', async () => {
+      await admin.connect()
+      const { tokenId, hmac } = await admin.createDelegationToken()
+
+      await admin.expireDelegationToken({ hmac })
+
+      const { tokens } = await admin.describeDelegationTokens()
+      expect(tokens.map(token => token.tokenId)).not.toContain(tokenId)
+    })
+  })
+
+  describe('describeDelegationTokens', () => {
+    test('throws an error if the owners are invalid', async () => {
+      await expect(admin.describeDelegationTokens({ owners: null })).rejects.toHaveProperty(
+        'message',
+        'Invalid owners array null'
+      )
+    })
+
+    testIfKafka_1_1_0('describes the tokens of the owners', async () => {
+      await admin.connect()
+      const { tokenId } = await admin.createDelegationToken({
+        renewers: [{ principalType: 'User', principalName: 'test' }],
+      })
+
+      const { tokens } = await admin.describeDelegationTokens({
+        owners: [{ principalType: 'User', principalName: 'testscram' }],
+      })
+
+      expect(tokens).toContainEqual({
+        tokenId,
+        hmac: expect.any(Buffer),
+        owner: { principalType: 'User', principalName: 'testscram' },
+        renewers: [{ principalType: 'User', principalName: 'test' }],
+        issueTimestamp: expect.any(String),
+        expiryTimestamp: expect.any(String),
+        maxTimestamp: expect.any(String),
+      })
+    })
+  })
+})
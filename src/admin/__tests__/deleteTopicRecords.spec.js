@@ -0,0 +1,121 @@
+const createAdmin = require('../index')
+const createProducer = require('../../producer')
+const {
+  secureRandom,
+  createCluster,
+  newLogger,
+  createTopic,
+  createModPartitioner,
+} = require('testHelpers')
+
+describe('Admin', () => {
+  let topicName, admin, producer
+
+  const createMessages = count =>
+    Array(count)
+      .fill()
+      .map(() => {
+        const value = secureRandom()
+        return { key: `key-${value}`, value: `value-${value}` }
+      })
+
+  beforeEach(async () => {
+    topicName = `test-topic-${secureRandom()}`
+    await createTopic({ topic: topicName, partitions: 2 })
+
+    admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+    producer = createProducer({
+      cluster: createCluster(),
+      createPartitioner: createModPartitioner,
+      logger: newLogger(),
+    })
+  })
+
+  afterEach(async () => {
+    await admin.disconnect()
+    producer && (await producer.disconnect())
+  })
+
+  describe('deleteTopicRecords', () => {
+    test('throws an error if the topic name is not a valid string', async () => {
+      await expect(
+        admin.deleteTopicRecords({ topic: null, partitions: [{ partition: 0, offset: '0' }] })
+      ).rejects.toHaveProperty('message', 'Invalid topic null')
+    })
+
+    test('throws an error if the partitions are empty', async () => {
+      await expect(
+        admin.deleteTopicRecords({ topic: topicName, partitions: [] })
+      ).rejects.toHaveProperty('message', 'Invalid partitions')
+    })
+
+    test('throws an error if the offset is invalid', async () => {
+      await expect(
+        admin.deleteTopicRecords({ topic: topicName, partitions: [{ partition: 0, offset: '-2' }] })
+      ).rejects.toHaveProperty(
+        'message',
+        'Invalid offset "-2" for partition 0, use -1 to delete all records up to the high watermark'
+      )
+    })
+
+    test('deletes the records before the offsets', async () => {
+      await admin.connect()
+      await producer.connect()
+
+      await producer.send({
+        acks: 1,
+        topic: topicName,
+        messages: createMessages(10).map(message => ({ ...message, partition: 0 })),
+      })
+      await producer.send({
+        acks: 1,
+        topic: topicName,
+        messages: createMessages(10).map(message => ({ ...message, partition: 1 })),
+      })
+
+      const deletedRecords = await admin.deleteTopicRecords({
+        topic: topicName,
+        partitions: [
+          { partition: 0, offset: '7' },
+          { partition: 1, offset: -1 },
+        ],
+      })
+
+      expect(deletedRecords).toEqual([
+        { partition: 0, lowWatermark: '7' },
+        { partition: 1, lowWatermark: '10' },
+      ])
+
+      const offsets = await admin.fetchTopicOffsets(topicName)
+      expect(offsets).toEqual([
+        { partition: 0, offset: '10', low: '7', high: '10' },
+        { partition: 1, offset: '10', low: '10', high: '10' },
+      ])
+    })
+
+    test('throws an error when the offset is above the high watermark', async () => {
+      await admin.connect()
+      await producer.connect()
+
+      await producer.send({
+        acks: 1,
+        topic: topicName,
+        messages: createMessages(5).map(message => ({ ...message, partition: 0 })),
+      })
+
+      await expect(
+        admin.deleteTopicRecords({ topic: topicName, partitions: [{ partition: 0, offset: '10' }] })
+      ).rejects.toMatchObject({
+        name: 'KafkaJSDeleteTopicRecordsError',
+        topic: topicName,
+        partitions: [
+          {
+            partition: 0,
+            offset: '10',
+            error: expect.objectContaining({ type: 'OFFSET_OUT_OF_RANGE' }),
+          },
+        ],
+      })
+    })
+  })
+})
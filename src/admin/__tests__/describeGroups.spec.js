@@ -0,0 +1,88 @@
+const createAdmin = require('../index')
+const createConsumer = require('../../consumer')
+
+const {
+  createCluster,
+  newLogger,
+  createTopic,
+  secureRandom,
+  waitForConsumerToJoinGroup,
+} = require('testHelpers')
+
+describe('Admin', () => {
+  let admin, topicName, groupId, emptyGroupId, consumer
+
+  beforeEach(async () => {
+    topicName = `test-topic-${secureRandom()}`
+    groupId = `consumer-group-id-${secureRandom()}`
+    emptyGroupId = `consumer-group-id-${secureRandom()}`
+
+    await createTopic({ topic: topicName, partitions: 2 })
+
+    admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+    consumer = createConsumer({
+      cluster: createCluster(),
+      groupId,
+      maxWaitTimeInMs: 100,
+      logger: newLogger(),
+    })
+  })
+
+  afterEach(async () => {
+    await admin.disconnect()
+    consumer && (await consumer.disconnect())
+  })
+
+  describe('describeGroups', () => {
+    test('throws an error if the groupIds array is invalid', async () => {
+      await expect(admin.describeGroups(null)).rejects.toHaveProperty(
+        'message',
+        'Invalid groupIds array null'
+      )
+
+      await expect(admin.describeGroups([groupId, null])).rejects.toHaveProperty(
+        'message',
+        'Invalid groupId null'
+      )
+    })
+
+    test('describes the groups, decoding the member assignments', async () => {
+      await consumer.connect()
+      await consumer.subscribe({ topic: topicName })
+      consumer.run({ eachMessage: async () => {} })
+      await waitForConsumerToJoinGroup(consumer)
+
+      await admin.connect()
+      const { groups } = await admin.describeGroups([groupId, emptyGroupId])
+
+      expect(groups).toEqual([
+        {
+          errorCode: 0,
+          groupId,
+          state: 'Stable',
+          protocolType: 'consumer',
+          protocol: 'RoundRobinAssigner',
+          members: [
+            {
+              memberId: expect.any(String),
+              clientId: expect.any(String),
+              clientHost: expect.any(String),
+              memberMetadata: expect.any(Buffer),
+              memberAssignment: expect.any(Buffer),
+              metadata: expect.objectContaining({ topics: [topicName] }),
+              assignment: expect.objectContaining({ assignment: { [topicName]: [0, 1] } }),
+            },
+          ],
+        },
+        {
+          errorCode: 0,
+          groupId: emptyGroupId,
+          state: 'Dead',
+          protocolType: '',
+          protocol: '',
+          members: [],
+        },
+      ])
+    })
+  })
+})
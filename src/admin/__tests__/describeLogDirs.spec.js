@@ -0,0 +1,118 @@
+const createAdmin = require('../index')
+
+const { secureRandom, createCluster, newLogger, createTopic } = require('testHelpers')
+
+describe('Admin', () => {
+  let topicName, admin
+
+  beforeEach(async () => {
+    topicName = `test-topic-${secureRandom()}`
+    await createTopic({ topic: topicName, partitions: 2 })
+
+    admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+  })
+
+  afterEach(async () => {
+    admin && (await admin.disconnect())
+  })
+
+  describe('describeLogDirs', () => {
+    test('throws an error if the brokers are not an array', async () => {
+      await expect(admin.describeLogDirs({ brokers: 0 })).rejects.toHaveProperty(
+        'message',
+        'Invalid brokers array 0'
+      )
+    })
+
+    test('throws an error for unknown brokers', async () => {
+      await admin.connect()
+      await expect(admin.describeLogDirs({ brokers: [999] })).rejects.toHaveProperty(
+        'message',
+        'Unknown brokers 999'
+      )
+    })
+
+    test('describes the log directories of all brokers', async () => {
+      await admin.connect()
+      const { brokers } = await admin.describeLogDirs({ topics: [{ topic: topicName }] })
+
+      expect(brokers).toHaveLength(3)
+
+      const replicas = []
+      for (const { nodeId, logDirs } of brokers) {
+        expect(nodeId).toEqual(expect.any(Number))
+
+        for (const { logDir, errorCode, topics } of logDirs) {
+          expect(logDir).toEqual(expect.any(String))
+          expect(errorCode).toEqual(0)
+
+          for (const { topic, partitions } of topics) {
+            expect(topic).toEqual(topicName)
+            replicas.push(...partitions)
+          }
+        }
+      }
+
+      expect(replicas.map(({ partition }) => partition).sort()).toEqual([0, 1])
+      expect(replicas).toEqual(
+        expect.arrayContaining([
+          {
+            partition: expect.any(Number),
+            size: expect.any(String),
+            offsetLag: '0',
+            isFuture: false,
+          },
+        ])
+      )
+    })
+
+    test('describes the log directories of the selected brokers', async () => {
+      await admin.connect()
+      const { brokers: nodes } = await admin.describeCluster()
+      const { nodeId } = nodes[0]
+
+      const { brokers } = await admin.describeLogDirs({ brokers: [nodeId] })
+      expect(brokers).toEqual([{ nodeId, logDirs: expect.any(Array) }])
+    })
+  })
+
+  describe('alterReplicaLogDirs', () => {
+    test('throws an error if the replicas are invalid', async () => {
+      await expect(admin.alterReplicaLogDirs({ replicas: [] })).rejects.toHaveProperty(
+        'message',
+        'Empty replicas array'
+      )
+
+      await expect(
+        admin.alterReplicaLogDirs({ replicas: [{ topic: topicName, partition: 0 }] })
+      ).rejects.toHaveProperty('message', `Invalid replica {"topic":"${topicName}","partition":0}`)
+    })
+
+    test('throws an error for unknown log directories', async () => {
+      await admin.connect()
+      const { brokers } = await admin.describeLogDirs({ topics: [{ topic: topicName }] })
+      const { nodeId } = brokers.find(({ logDirs }) =>
+        logDirs.some(({ topics }) =>
+          topics.some(({ partitions }) => partitions.some(({ partition }) => partition === 0))
+        )
+      )
+
+      await expect(
+        admin.alterReplicaLogDirs({
+          replicas: [{ topic: topicName, partition: 0, nodeId, logDir: '/unknown/log/dir' }],
+        })
+      ).rejects.toMatchObject({
+        name: 'KafkaJSAlterReplicaLogDirsError',
+        replicas: [
+          {
+            topic: topicName,
+            partition: 0,
+            nodeId,
+            logDir: '/unknown/log/dir',
+            error: expect.objectContaining({ type: 'LOG_DIR_NOT_FOUND' }),
+          },
+        ],
+      })
+    })
+  })
+})
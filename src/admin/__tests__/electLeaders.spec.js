@@ -0,0 +1,91 @@
+const createAdmin = require('../index')
+
+const {
+  secureRandom,
+  createCluster,
+  newLogger,
+  createTopic,
+  testIfKafka_2_4_0,
+} = require('testHelpers')
+
+describe('Admin', () => {
+  let topicName, admin
+
+  beforeEach(async () => {
+    topicName = `test-topic-${secureRandom()}`
+    admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+  })
+
+  afterEach(async () => {
+    admin && (await admin.disconnect())
+  })
+
+  describe('electLeaders', () => {
+    test('throws an error if the election type is invalid', async () => {
+      await expect(admin.electLeaders({ electionType: 'RANDOM' })).rejects.toHaveProperty(
+        'message',
+        'Invalid election type RANDOM, use one of PREFERRED, UNCLEAN'
+      )
+    })
+
+    test('throws an error if the topic partitions are invalid', async () => {
+      await expect(admin.electLeaders({ topicPartitions: 'topic' })).rejects.toHaveProperty(
+        'message',
+        'Invalid topicPartitions array topic'
+      )
+
+      await expect(admin.electLeaders({ topicPartitions: [] })).rejects.toHaveProperty(
+        'message',
+        'Empty topicPartitions array, omit it to elect the leaders of all partitions'
+      )
+
+      await expect(
+        admin.electLeaders({ topicPartitions: [{ topic: topicName, partitions: ['0'] }] })
+      ).rejects.toHaveProperty('message', `Invalid partitions for topic "${topicName}"`)
+    })
+
+    testIfKafka_2_4_0('returns the result of the election for each partition', async () => {
+      await createTopic({ topic: topicName, partitions: 2 })
+      await admin.connect()
+
+      // The partitions of a new topic are already led by their preferred replica
+      await expect(
+        admin.electLeaders({
+          electionType: 'PREFERRED',
+          topicPartitions: [{ topic: topicName, partitions: [0, 1] }],
+        })
+      ).resolves.toEqual([
+        expect.objectContaining({
+          topic: topicName,
+          partition: 0,
+          errorCode: 84,
+          error: expect.objectContaining({ type: 'ELECTION_NOT_NEEDED' }),
+        }),
+        expect.objectContaining({
+          topic: topicName,
+          partition: 1,
+          errorCode: 84,
+          error: expect.objectContaining({ type: 'ELECTION_NOT_NEEDED' }),
+        }),
+      ])
+    })
+
+    testIfKafka_2_4_0('returns an error for unknown partitions', async () => {
+      await createTopic({ topic: topicName, partitions: 1 })
+      await admin.connect()
+
+      const [result] = await admin.electLeaders({
+        electionType: 'UNCLEAN',
+        topicPartitions: [{ topic: topicName, partitions: [5] }],
+      })
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          topic: topicName,
+          partition: 5,
+          error: expect.objectContaining({ type: 'UNKNOWN_TOPIC_OR_PARTITION' }),
+        })
+      )
+    })
+  })
+})
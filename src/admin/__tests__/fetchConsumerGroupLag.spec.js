@@ -0,0 +1,189 @@
+const createAdmin = require('../index')
+const createConsumer = require('../../consumer')
+const createProducer = require('../../producer')
+const {
+  secureRandom,
+  createCluster,
+  newLogger,
+  createTopic,
+  createModPartitioner,
+  waitFor,
+  waitForMessages,
+} = require('testHelpers')
+
+describe('Admin', () => {
+  let topicName, otherTopicName, groupId, admin, consumer
+
+  beforeEach(async () => {
+    topicName = `test-topic-${secureRandom()}`
+    otherTopicName = `test-topic-${secureRandom()}`
+    groupId = `consumer-group-id-${secureRandom()}`
+
+    await createTopic({ topic: topicName, partitions: 2 })
+    await createTopic({ topic: otherTopicName })
+
+    const producer = createProducer({
+      cluster: createCluster(),
+      createPartitioner: createModPartitioner,
+      logger: newLogger(),
+    })
+    await producer.connect()
+    await producer.sendBatch({
+      acks: 1,
+      topicMessages: [
+        {
+          topic: topicName,
+          messages: new Array(10).fill().map((_, i) => ({ value: `value-${i}`, partition: 0 })),
+        },
+        {
+          topic: otherTopicName,
+          messages: new Array(3).fill().map((_, i) => ({ value: `value-${i}` })),
+        },
+      ],
+    })
+    await producer.disconnect()
+
+    admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+  })
+
+  afterEach(async () => {
+    await admin.disconnect()
+    consumer && (await consumer.disconnect())
+  })
+
+  describe('fetchConsumerGroupLag', () => {
+    test('throws an error if the groupId is invalid', async () => {
+      await expect(admin.fetchConsumerGroupLag({ groupId: null })).rejects.toHaveProperty(
+        'message',
+        'Invalid groupId null'
+      )
+    })
+
+    test('throws an error if a topic name is not a valid string', async () => {
+      await expect(
+        admin.fetchConsumerGroupLag({ groupId, topics: [topicName, null] })
+      ).rejects.toHaveProperty('message', 'Invalid topic null')
+    })
+
+    test('returns the lag of all the topics with committed offsets', async () => {
+      await admin.connect()
+      await admin.setOffsets({
+        groupId,
+        topics: [
+          { topic: topicName, partitions: [{ partition: 0, offset: '4' }] },
+          { topic: otherTopicName, partitions: [{ partition: 0, offset: '3' }] },
+        ],
+      })
+
+      const topicLag = {
+        topic: topicName,
+        totalLag: '6',
+        partitions: [{ partition: 0, offset: '4', high: '10', lag: '6', member: null }],
+      }
+      const otherTopicLag = {
+        topic: otherTopicName,
+        totalLag: '0',
+        partitions: [{ partition: 0, offset: '3', high: '3', lag: '0', member: null }],
+      }
+
+      await expect(admin.fetchConsumerGroupLag({ groupId })).resolves.toEqual({
+        groupId,
+        state: 'Empty',
+        totalLag: '6',
+        topics: [topicLag, otherTopicLag].sort((a, b) => a.topic.localeCompare(b.topic)),
+      })
+    })
+
+    test('returns a null lag for the partitions without committed offsets', async () => {
+      await admin.connect()
+      await admin.setOffsets({
+        groupId,
+        topic: topicName,
+        partitions: [{ partition: 0, offset: '7' }],
+      })
+
+      await expect(admin.fetchConsumerGroupLag({ groupId, topics: [topicName] })).resolves.toEqual({
+        groupId,
+        state: 'Empty',
+        totalLag: '3',
+        topics: [
+          {
+            topic: topicName,
+            totalLag: '3',
+            partitions: [
+              { partition: 0, offset: '7', high: '10', lag: '3', member: null },
+              { partition: 1, offset: '-1', high: '0', lag: null, member: null },
+            ],
+          },
+        ],
+      })
+    })
+
+    test('returns a null high watermark and lag for the deleted topics', async () => {
+      await admin.connect()
+      await admin.setOffsets({
+        groupId,
+        topics: [
+          { topic: topicName, partitions: [{ partition: 0, offset: '4' }] },
+          { topic: otherTopicName, partitions: [{ partition: 0, offset: '3' }] },
+        ],
+      })
+      await admin.deleteTopics({ topics: [otherTopicName] })
+
+      const otherAdmin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await otherAdmin.connect()
+
+      try {
+        const { totalLag, topics } = await otherAdmin.fetchConsumerGroupLag({ groupId })
+        expect(totalLag).toEqual('6')
+        expect(topics).toContainEqual({
+          topic: otherTopicName,
+          totalLag: '0',
+          partitions: [{ partition: 0, offset: '3', high: null, lag: null, member: null }],
+        })
+
+        await expect(otherAdmin.listTopics()).resolves.not.toContain(otherTopicName)
+      } finally {
+        await otherAdmin.disconnect()
+      }
+    })
+
+    test('returns the member assigned to each partition', async () => {
+      consumer = createConsumer({ groupId, cluster: createCluster(), logger: newLogger() })
+      await consumer.connect()
+      await consumer.subscribe({ topic: otherTopicName, fromBeginning: true })
+
+      const messagesConsumed = []
+      await consumer.run({ eachMessage: async event => messagesConsumed.push(event) })
+      await waitForMessages(messagesConsumed, { number: 3 })
+
+      await admin.connect()
+      await waitFor(async () => {
+        const { totalLag } = await admin.fetchConsumerGroupLag({ groupId })
+        return totalLag === '0'
+      })
+
+      const { state, topics } = await admin.fetchConsumerGroupLag({ groupId })
+      expect(state).toEqual('Stable')
+      expect(topics).toEqual([
+        {
+          topic: otherTopicName,
+          totalLag: '0',
+          partitions: [
+            {
+              partition: 0,
+              offset: '3',
+              high: '3',
+              lag: '0',
+              member: {
+                memberId: expect.any(String),
+                clientId: expect.any(String),
+                clientHost: expect.any(String),
+              },
+            },
+          ],
+        },
+      ])
+    })
+  })
+})
@@ -54,5 +54,97 @@ describe('Admin', () => {
 
       expect(offsets).toEqual([{ partition: 0, offset: '100', low: '0', high: '100' }])
     })
+
+    describe('with multiple topics', () => {
+      let otherTopicName, baseTimestamp
+
+      beforeEach(async () => {
+        otherTopicName = `test-topic-${secureRandom()}`
+        await createTopic({ topic: otherTopicName, partitions: 2 })
+
+        baseTimestamp = Date.now() - 60000
+        admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+        await producer.connect()
+        await producer.sendBatch({
+          acks: 1,
+          topicMessages: [
+            {
+              topic: topicName,
+              messages: Array(10)
+                .fill()
+                .map((_, i) => ({ value: `value-${i}`, timestamp: `${baseTimestamp + i * 1000}` })),
+            },
+            {
+              topic: otherTopicName,
+              messages: [{ value: 'value', partition: 1 }],
+            },
+          ],
+        })
+      })
+
+      test('throws an error if the timestamps are invalid', async () => {
+        await expect(
+          admin.fetchTopicOffsets({ topics: [topicName], timestamps: { [topicName]: -1 } })
+        ).rejects.toHaveProperty('message', `Invalid timestamp -1 for topic "${topicName}"`)
+
+        await expect(
+          admin.fetchTopicOffsets({ topics: [topicName], timestamps: { [otherTopicName]: 0 } })
+        ).rejects.toHaveProperty(
+          'message',
+          `Timestamp given for topic "${otherTopicName}" not in topics`
+        )
+      })
+
+      test('returns the offsets of the topics, at the timestamps', async () => {
+        await admin.connect()
+
+        await expect(
+          admin.fetchTopicOffsets({
+            topics: [topicName, otherTopicName],
+            timestamps: { [topicName]: baseTimestamp + 4500 },
+          })
+        ).resolves.toEqual([
+          { topic: topicName, partitions: [{ partition: 0, offset: '5', low: '0', high: '10' }] },
+          {
+            topic: otherTopicName,
+            partitions: [
+              { partition: 0, offset: '0', low: '0', high: '0' },
+              { partition: 1, offset: '1', low: '0', high: '1' },
+            ],
+          },
+        ])
+      })
+    })
+  })
+
+  describe('fetchTopicOffsetsByTimestamp', () => {
+    test('throws an error if the timestamp is invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await expect(admin.fetchTopicOffsetsByTimestamp(topicName, 'now')).rejects.toHaveProperty(
+        'message',
+        `Invalid timestamp now for topic "${topicName}"`
+      )
+    })
+
+    test('returns the earliest offsets with a timestamp at or after the timestamp', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+      await producer.connect()
+
+      const baseTimestamp = Date.now() - 60000
+      const messages = Array(10)
+        .fill()
+        .map((_, i) => ({ value: `value-${i}`, timestamp: `${baseTimestamp + i * 1000}` }))
+
+      await producer.send({ acks: 1, topic: topicName, messages })
+
+      await expect(
+        admin.fetchTopicOffsetsByTimestamp(topicName, baseTimestamp + 3000)
+      ).resolves.toEqual([{ partition: 0, offset: '3' }])
+
+      await expect(admin.fetchTopicOffsetsByTimestamp(topicName, Date.now())).resolves.toEqual([
+        { partition: 0, offset: '10' },
+      ])
+    })
   })
 })
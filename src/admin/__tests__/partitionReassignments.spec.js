@@ -0,0 +1,109 @@
+const createAdmin = require('../index')
+
+const {
+  secureRandom,
+  createCluster,
+  newLogger,
+  createTopic,
+  testIfKafka_2_4_0,
+} = require('testHelpers')
+
+describe('Admin', () => {
+  let topicName, admin
+
+  beforeEach(async () => {
+    topicName = `test-topic-${secureRandom()}`
+    admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+  })
+
+  afterEach(async () => {
+    admin && (await admin.disconnect())
+  })
+
+  describe('alterPartitionReassignments', () => {
+    test('throws an error if the topics array is invalid', async () => {
+      await expect(admin.alterPartitionReassignments({ topics: null })).rejects.toHaveProperty(
+        'message',
+        'Invalid topics array null'
+      )
+
+      await expect(admin.alterPartitionReassignments({ topics: [] })).rejects.toHaveProperty(
+        'message',
+        'Empty topics array'
+      )
+    })
+
+    test('throws an error if the partition assignment is invalid', async () => {
+      await expect(
+        admin.alterPartitionReassignments({
+          topics: [{ topic: topicName, partitionAssignment: [{ partition: 0, replicas: ['1'] }] }],
+        })
+      ).rejects.toHaveProperty('message', `Invalid partition assignment for topic "${topicName}"`)
+    })
+
+    testIfKafka_2_4_0('reassigns the partition replicas', async () => {
+      await createTopic({ topic: topicName, partitions: 1 })
+      await admin.connect()
+
+      const { brokers } = await admin.describeCluster()
+      const replicas = brokers.map(({ nodeId }) => nodeId).slice(0, 2)
+
+      await expect(
+        admin.alterPartitionReassignments({
+          topics: [{ topic: topicName, partitionAssignment: [{ partition: 0, replicas }] }],
+        })
+      ).resolves.toEqual([{ topic: topicName, partition: 0, errorCode: 0, errorMessage: null }])
+
+      const { topics } = await admin.listPartitionReassignments({
+        topics: [{ topic: topicName, partitions: [0] }],
+      })
+
+      // The reassignment of an empty partition can complete before it is listed
+      expect(topics).toEqual(
+        topics.length === 0
+          ? []
+          : [
+              {
+                topic: topicName,
+                partitions: [
+                  {
+                    partition: 0,
+                    replicas: expect.arrayContaining(replicas),
+                    addingReplicas: expect.any(Array),
+                    removingReplicas: expect.any(Array),
+                  },
+                ],
+              },
+            ]
+      )
+    })
+  })
+
+  describe('cancelPartitionReassignments', () => {
+    testIfKafka_2_4_0(
+      'returns the error of the partitions without a reassignment in progress',
+      async () => {
+        await createTopic({ topic: topicName, partitions: 1 })
+        await admin.connect()
+
+        const [result] = await admin.cancelPartitionReassignments({
+          topics: [{ topic: topicName, partitions: [0] }],
+        })
+
+        expect(result).toEqual(
+          expect.objectContaining({ topic: topicName, partition: 0, errorCode: 85 })
+        )
+        expect(result.error).toHaveProperty('type', 'NO_REASSIGNMENT_IN_PROGRESS')
+      }
+    )
+  })
+
+  describe('listPartitionReassignments', () => {
+    testIfKafka_2_4_0('lists all ongoing reassignments', async () => {
+      await admin.connect()
+      await expect(admin.listPartitionReassignments()).resolves.toEqual({
+        topics: expect.any(Array),
+      })
+    })
+  })
+})
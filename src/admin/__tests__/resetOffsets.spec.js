@@ -1,7 +1,14 @@
 const createAdmin = require('../index')
 const createConsumer = require('../../consumer')
+const createProducer = require('../../producer')
 
-const { secureRandom, createCluster, newLogger, createTopic } = require('testHelpers')
+const {
+  secureRandom,
+  createCluster,
+  newLogger,
+  createTopic,
+  createModPartitioner,
+} = require('testHelpers')
 
 describe('Admin', () => {
   let topicName, groupId, admin, consumer
@@ -84,6 +91,151 @@ describe('Admin', () => {
       expect(offsets).toEqual([{ partition: 0, offset: '-2', metadata: null }])
     })
 
+    describe('with a strategy', () => {
+      let timestampBeforeLastMessages
+
+      beforeEach(async () => {
+        const producer = createProducer({
+          cluster: createCluster(),
+          createPartitioner: createModPartitioner,
+          logger: newLogger(),
+        })
+        await producer.connect()
+
+        const sendMessages = count =>
+          producer.send({
+            acks: 1,
+            topic: topicName,
+            messages: new Array(count).fill().map((_, i) => ({ value: `value-${i}` })),
+          })
+
+        await sendMessages(6)
+        timestampBeforeLastMessages = Date.now()
+        await sendMessages(4)
+        await producer.disconnect()
+
+        admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+        await admin.connect()
+      })
+
+      test('throws an error if the strategy is invalid', async () => {
+        await expect(
+          admin.resetOffsets({ groupId, topics: [{ topic: topicName }], strategy: { toEnd: true } })
+        ).rejects.toHaveProperty(
+          'message',
+          'Invalid strategy {"toEnd":true}, use one of toTimestamp, toDatetime, byDuration, shiftBy, toOffset'
+        )
+
+        await expect(
+          admin.resetOffsets({
+            groupId,
+            topics: [{ topic: topicName }],
+            strategy: { byDuration: 'one hour' },
+          })
+        ).rejects.toHaveProperty('message', 'Invalid byDuration one hour')
+      })
+
+      test('resets the offsets to an offset, within the offsets of the partition', async () => {
+        await expect(
+          admin.resetOffsets({
+            groupId,
+            topics: [{ topic: topicName }],
+            strategy: { toOffset: '4' },
+          })
+        ).resolves.toEqual([{ topic: topicName, partitions: [{ partition: 0, offset: '4' }] }])
+
+        await admin.resetOffsets({
+          groupId,
+          topics: [{ topic: topicName }],
+          strategy: { toOffset: '100' },
+        })
+        await expect(admin.fetchOffsets({ groupId, topic: topicName })).resolves.toEqual([
+          { partition: 0, offset: '10', metadata: null },
+        ])
+      })
+
+      test('resets the offsets of explicit partitions on a fresh admin', async () => {
+        await expect(
+          admin.resetOffsets({
+            groupId,
+            topics: [{ topic: topicName, partitions: [0] }],
+            strategy: { toOffset: '4' },
+          })
+        ).resolves.toEqual([{ topic: topicName, partitions: [{ partition: 0, offset: '4' }] }])
+      })
+
+      test('throws an error if a partition is unknown', async () => {
+        await expect(
+          admin.resetOffsets({
+            groupId,
+            topics: [{ topic: topicName, partitions: [0, 5] }],
+            strategy: { toOffset: '4' },
+          })
+        ).rejects.toHaveProperty('message', `Unknown partitions 5 for topic "${topicName}"`)
+      })
+
+      test('shifts the committed offsets', async () => {
+        await admin.setOffsets({
+          groupId,
+          topic: topicName,
+          partitions: [{ partition: 0, offset: '5' }],
+        })
+
+        await admin.resetOffsets({
+          groupId,
+          topics: [{ topic: topicName, partitions: [0] }],
+          strategy: { shiftBy: -2 },
+        })
+        await expect(admin.fetchOffsets({ groupId, topic: topicName })).resolves.toEqual([
+          { partition: 0, offset: '3', metadata: null },
+        ])
+      })
+
+      test('resets the offsets to a timestamp', async () => {
+        await admin.resetOffsets({
+          groupId,
+          topics: [{ topic: topicName }],
+          strategy: { toTimestamp: timestampBeforeLastMessages },
+        })
+        await expect(admin.fetchOffsets({ groupId, topic: topicName })).resolves.toEqual([
+          { partition: 0, offset: '6', metadata: null },
+        ])
+
+        await admin.resetOffsets({
+          groupId,
+          topics: [{ topic: topicName }],
+          strategy: { toDatetime: new Date(Date.now() + 60000).toISOString() },
+        })
+        await expect(admin.fetchOffsets({ groupId, topic: topicName })).resolves.toEqual([
+          { partition: 0, offset: '10', metadata: null },
+        ])
+
+        await admin.resetOffsets({
+          groupId,
+          topics: [{ topic: topicName }],
+          strategy: { byDuration: 'P1D' },
+        })
+        await expect(admin.fetchOffsets({ groupId, topic: topicName })).resolves.toEqual([
+          { partition: 0, offset: '0', metadata: null },
+        ])
+      })
+
+      test('returns the offsets without committing them in dry-run mode', async () => {
+        await expect(
+          admin.resetOffsets({
+            groupId,
+            topics: [{ topic: topicName }],
+            strategy: { toOffset: '4' },
+            dryRun: true,
+          })
+        ).resolves.toEqual([{ topic: topicName, partitions: [{ partition: 0, offset: '4' }] }])
+
+        await expect(admin.fetchOffsets({ groupId, topic: topicName })).resolves.toEqual([
+          { partition: 0, offset: '-1', metadata: null },
+        ])
+      })
+    })
+
     test('throws an error if the consumer group is running', async () => {
       consumer = createConsumer({ groupId, cluster: createCluster(), logger: newLogger() })
       await consumer.connect()
@@ -46,6 +46,50 @@ describe('Admin', () => {
       ).rejects.toHaveProperty('message', 'Invalid partitions')
     })
 
+    test('throws an error if an offset is invalid', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+
+      for (const offset of [undefined, null, 'abc', '', 1.5]) {
+        await expect(
+          admin.setOffsets({ groupId, topic: topicName, partitions: [{ partition: 0, offset }] })
+        ).rejects.toHaveProperty('message', `Invalid offset, expected a long received ${offset}`)
+      }
+
+      await expect(
+        admin.setOffsets({ groupId, topic: topicName, partitions: [{ partition: 0, offset: -3 }] })
+      ).rejects.toHaveProperty('message', 'Offset must not be a negative number')
+    })
+
+    test('throws an error if the coordinator does not describe the consumer group', async () => {
+      const cluster = createCluster()
+      admin = createAdmin({ cluster, logger: newLogger() })
+
+      cluster.addMultipleTargetTopics = jest.fn()
+      cluster.findGroupCoordinator = jest.fn(async () => ({
+        describeGroups: async () => ({ groups: [] }),
+      }))
+
+      await expect(
+        admin.setOffsets({ groupId, topic: topicName, partitions: [{ partition: 0, offset: 5 }] })
+      ).rejects.toHaveProperty(
+        'message',
+        `The coordinator did not describe the consumer group "${groupId}"`
+      )
+    })
+
+    test('sets the special offsets', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      await expect(
+        admin.setOffsets({
+          groupId,
+          topic: topicName,
+          partitions: [{ partition: 0, offset: -2 }],
+        })
+      ).resolves.toEqual([{ topic: topicName, partitions: [{ partition: 0, offset: '-2' }] }])
+    })
+
     test('set the consumer group to any offsets', async () => {
       const cluster = createCluster()
       admin = createAdmin({ cluster, logger: newLogger() })
@@ -61,6 +105,75 @@ describe('Admin', () => {
       expect(offsets).toEqual([{ partition: 0, offset: '13', metadata: null }])
     })
 
+    test('sets the offsets of multiple topics in one call', async () => {
+      const otherTopicName = `test-topic-${secureRandom()}`
+      await createTopic({ topic: otherTopicName, partitions: 2 })
+
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      const result = await admin.setOffsets({
+        groupId,
+        topics: [
+          { topic: topicName, partitions: [{ partition: 0, offset: '5' }] },
+          {
+            topic: otherTopicName,
+            partitions: [
+              { partition: 0, offset: '7' },
+              { partition: 1, offset: '9' },
+            ],
+          },
+        ],
+      })
+
+      expect(result).toEqual([
+        { topic: topicName, partitions: [{ partition: 0, offset: '5' }] },
+        {
+          topic: otherTopicName,
+          partitions: [
+            { partition: 0, offset: '7' },
+            { partition: 1, offset: '9' },
+          ],
+        },
+      ])
+
+      await expect(admin.fetchOffsets({ groupId, topic: topicName })).resolves.toEqual([
+        { partition: 0, offset: '5', metadata: null },
+      ])
+      await expect(admin.fetchOffsets({ groupId, topic: otherTopicName })).resolves.toEqual([
+        { partition: 0, offset: '7', metadata: null },
+        { partition: 1, offset: '9', metadata: null },
+      ])
+    })
+
+    test('returns the errors of the partitions which failed', async () => {
+      admin = createAdmin({ cluster: createCluster(), logger: newLogger() })
+      await admin.connect()
+
+      const result = await admin.setOffsets({
+        groupId,
+        topic: topicName,
+        partitions: [
+          { partition: 0, offset: '3' },
+          { partition: 10, offset: '3' },
+        ],
+      })
+
+      expect(result).toEqual([
+        {
+          topic: topicName,
+          partitions: [
+            { partition: 0, offset: '3' },
+            {
+              partition: 10,
+              offset: '3',
+              error: expect.objectContaining({ type: 'UNKNOWN_TOPIC_OR_PARTITION' }),
+            },
+          ],
+        },
+      ])
+    })
+
     test('throws an error if the consumer group is running', async () => {
       consumer = createConsumer({ groupId, cluster: createCluster(), logger: newLogger() })
       await consumer.connect()
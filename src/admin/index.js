@@ -1,15 +1,22 @@
+const Long = require('long')
 const createRetry = require('../retry')
 const flatten = require('../utils/flatten')
 const waitFor = require('../utils/waitFor')
-const createConsumer = require('../consumer')
 const InstrumentationEventEmitter = require('../instrumentation/emitter')
 const { events, wrap: wrapEvent, unwrap: unwrapEvent } = require('./instrumentationEvents')
-const { LEVELS } = require('../loggers')
-const { KafkaJSNonRetriableError, KafkaJSDeleteGroupsError } = require('../errors')
+const {
+  KafkaJSNonRetriableError,
+  KafkaJSDeleteGroupsError,
+  KafkaJSDeleteTopicRecordsError,
+  KafkaJSAlterReplicaLogDirsError,
+} = require('../errors')
 const RESOURCE_TYPES = require('../protocol/resourceTypes')
 const OPERATION_TYPES = require('../protocol/operationsTypes')
 const PERMISSION_TYPES = require('../protocol/permissionTypes')
 const RESOURCE_PATTERN_TYPES = require('../protocol/resourcePatternTypes')
+const ELECTION_TYPES = require('../protocol/electionTypes')
+const { MemberMetadata, MemberAssignment } = require('../consumer/assignerProtocol')
+const { EARLIEST_OFFSET, LATEST_OFFSET } = require('../constants')
 
 const { CONNECT, DISCONNECT } = events
 
@@ -21,6 +28,32 @@ const eventKeys = keys(events)
   .map(key => `admin.events.${key}`)
   .join(', ')
 
+const validatePrincipals = (name, principals) => {
+  if (!Array.isArray(principals)) {
+    throw new KafkaJSNonRetriableError(`Invalid ${name} array ${principals}`)
+  }
+
+  const invalidPrincipal = principals.find(
+    principal =>
+      !principal ||
+      typeof principal.principalType !== 'string' ||
+      typeof principal.principalName !== 'string'
+  )
+
+  if (invalidPrincipal !== undefined) {
+    throw new KafkaJSNonRetriableError(
+      `Invalid principal ${JSON.stringify(invalidPrincipal)} in ${name}, ` +
+        'principalType and principalName have to be a valid string'
+    )
+  }
+}
+
+const validateHmac = hmac => {
+  if (!Buffer.isBuffer(hmac)) {
+    throw new KafkaJSNonRetriableError(`Invalid hmac ${hmac}, it has to be a Buffer`)
+  }
+}
+
 const retryOnLeaderNotAvailable = (fn, opts = {}) => {
   const callback = async () => {
     try {
@@ -36,7 +69,40 @@ const retryOnLeaderNotAvailable = (fn, opts = {}) => {
   return waitFor(callback, opts)
 }
 
+const specialOffsets = [
+  Long.fromValue(EARLIEST_OFFSET).toString(),
+  Long.fromValue(LATEST_OFFSET).toString(),
+]
+
+/**
+ * Validates an offset like consumer#seek, only the earliest and latest offsets can be negative.
+ * Long parses any string, e.g. "abc" is 0, so the strings must contain an integer
+ */
+const parseOffset = offset => {
+  const isLong =
+    Long.isLong(offset) ||
+    Number.isInteger(offset) ||
+    (typeof offset === 'string' && /^-?\d+$/.test(offset))
+
+  if (!isLong) {
+    throw new KafkaJSNonRetriableError(`Invalid offset, expected a long received ${offset}`)
+  }
+
+  const parsedOffset = Long.fromValue(offset)
+  if (parsedOffset.lessThan(0) && !specialOffsets.includes(parsedOffset.toString())) {
+    throw new KafkaJSNonRetriableError('Offset must not be a negative number')
+  }
+
+  return parsedOffset.toString()
+}
+
 const isConsumerGroupRunning = description => ['Empty', 'Dead'].includes(description.state)
+const isCoordinatorError = e =>
+  [
+    'GROUP_COORDINATOR_NOT_AVAILABLE',
+    'NOT_COORDINATOR_FOR_GROUP',
+    'GROUP_LOAD_IN_PROGRESS',
+  ].includes(e.type)
 const findTopicPartitions = async (cluster, topic) => {
   await cluster.addTargetTopic(topic)
   await cluster.refreshMetadataIfNecessary()
@@ -47,6 +113,91 @@ const findTopicPartitions = async (cluster, topic) => {
     .sort()
 }
 
+/**
+ * Finds the offset of a partition in the result of cluster#fetchTopicsOffset
+ */
+const offsetOf = (topicOffsets, topic, partition) =>
+  topicOffsets
+    .find(topicOffset => topicOffset.topic === topic)
+    .partitions.find(partitionOffset => partitionOffset.partition === partition).offset
+
+/**
+ * Decodes the metadata and assignment of the members of groups using the consumer protocol,
+ * members of other groups and members still joining the group have null metadata and assignment
+ */
+const decodeGroupMembers = group => {
+  const isConsumerGroup = group.protocolType === 'consumer'
+  const decode = (serializer, buffer) =>
+    isConsumerGroup && buffer && buffer.length > 0 ? serializer.decode(buffer) : null
+
+  return {
+    ...group,
+    members: group.members.map(member => ({
+      ...member,
+      metadata: decode(MemberMetadata, member.memberMetadata),
+      assignment: decode(MemberAssignment, member.memberAssignment),
+    })),
+  }
+}
+
+const RESET_STRATEGIES = ['toTimestamp', 'toDatetime', 'byDuration', 'shiftBy', 'toOffset']
+
+// ISO-8601 durations, as accepted by kafka-consumer-groups.sh, e.g. P1DT2H30M or PT0.5S
+const ISO_8601_DURATION = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/
+
+const parseDuration = duration => {
+  if (typeof duration === 'number') {
+    return duration
+  }
+
+  const match = ISO_8601_DURATION.exec(duration)
+  if (!match || duration === 'P' || duration.endsWith('T')) {
+    return NaN
+  }
+
+  const [days, hours, minutes, seconds] = match.slice(1).map(value => Number(value || 0))
+  return ((days * 24 + hours) * 60 + minutes) * 60000 + seconds * 1000
+}
+
+const validateResetStrategy = strategy => {
+  const types = keys(strategy)
+
+  if (types.length !== 1 || !RESET_STRATEGIES.includes(types[0])) {
+    throw new KafkaJSNonRetriableError(
+      `Invalid strategy ${JSON.stringify(strategy)}, use one of ${RESET_STRATEGIES.join(', ')}`
+    )
+  }
+
+  const [type] = types
+  const value = strategy[type]
+  const isValid = {
+    toTimestamp: () => Number.isInteger(value) && value >= 0,
+    toDatetime: () => !isNaN(new Date(value).getTime()),
+    byDuration: () => parseDuration(value) >= 0,
+    shiftBy: () => Number.isInteger(value),
+    toOffset: () => /^\d+$/.test(String(value)),
+  }[type]()
+
+  if (!isValid) {
+    throw new KafkaJSNonRetriableError(`Invalid ${type} ${value}`)
+  }
+}
+
+const resetTimestamp = ({ toTimestamp, toDatetime, byDuration }) => {
+  if (toTimestamp != null) {
+    return toTimestamp
+  }
+
+  if (toDatetime != null) {
+    return new Date(toDatetime).getTime()
+  }
+
+  return Date.now() - parseDuration(byDuration)
+}
+
+// -1 is the high watermark of the partition
+const isValidDeleteRecordsOffset = offset => /^(-1|\d+)$/.test(String(offset))
+
 module.exports = ({
   logger: rootLogger,
   instrumentationEmitter: rootInstrumentationEmitter,
@@ -182,6 +333,311 @@ module.exports = ({
     })
   }
 
+  /**
+   * Start or cancel the reassignment of partition replicas. The reassignment runs in the
+   * background, use listPartitionReassignments to follow its progress
+   *
+   * @param {Array<TopicPartitionAssignment>} topics
+   * @param {number} [timeout=5000]
+   * @return {Promise<Array<PartitionReassignmentResult>>}
+   *
+   * @typedef {Object} TopicPartitionAssignment
+   * @property {string} topic
+   * @property {Array<PartitionAssignment>} partitionAssignment
+   *
+   * @typedef {Object} PartitionAssignment
+   * @property {number} partition
+   * @property {Array<number>|null} replicas The broker ids of the new replicas, in order of preference.
+   *                                          Null cancels the pending reassignment of the partition
+   *
+   * @typedef {Object} PartitionReassignmentResult
+   * @property {string} topic
+   * @property {number} partition
+   * @property {number} errorCode
+   * @property {string|null} errorMessage
+   * @property {KafkaJSProtocolError} [error] Present when the reassignment failed for the partition
+   */
+  const alterPartitionReassignments = async ({ topics, timeout }) => {
+    if (!topics || !Array.isArray(topics)) {
+      throw new KafkaJSNonRetriableError(`Invalid topics array ${topics}`)
+    }
+
+    if (topics.length === 0) {
+      throw new KafkaJSNonRetriableError(`Empty topics array`)
+    }
+
+    if (topics.some(({ topic }) => typeof topic !== 'string')) {
+      throw new KafkaJSNonRetriableError(
+        'Invalid topics array, the topic names have to be a valid string'
+      )
+    }
+
+    const invalidTopic = topics.find(
+      ({ partitionAssignment }) =>
+        !Array.isArray(partitionAssignment) ||
+        partitionAssignment.some(
+          ({ partition, replicas }) =>
+            !Number.isInteger(partition) ||
+            (replicas !== null && (!Array.isArray(replicas) || !replicas.every(Number.isInteger)))
+        )
+    )
+
+    if (invalidTopic) {
+      throw new KafkaJSNonRetriableError(
+        `Invalid partition assignment for topic "${invalidTopic.topic}"`
+      )
+    }
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        await cluster.refreshMetadata()
+        const broker = await cluster.findControllerBroker()
+        const response = await broker.alterPartitionReassignments({ topics, timeout })
+
+        return flatten(
+          response.topics.map(({ topic, partitions }) =>
+            partitions.map(partition => ({ topic, ...partition }))
+          )
+        )
+      } catch (e) {
+        if (e.type === 'NOT_CONTROLLER') {
+          logger.warn('Could not alter partition reassignments', {
+            error: e.message,
+            retryCount,
+            retryTime,
+          })
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
+  /**
+   * @param {Array<TopicPartitions>} topics The partitions which should have their reassignment cancelled
+   * @param {number} [timeout=5000]
+   * @return {Promise<Array<PartitionReassignmentResult>>}
+   */
+  const cancelPartitionReassignments = async ({ topics, timeout }) => {
+    if (!topics || !Array.isArray(topics)) {
+      throw new KafkaJSNonRetriableError(`Invalid topics array ${topics}`)
+    }
+
+    return alterPartitionReassignments({
+      topics: topics.map(({ topic, partitions = [] }) => ({
+        topic,
+        partitionAssignment: partitions.map(partition => ({ partition, replicas: null })),
+      })),
+      timeout,
+    })
+  }
+
+  /**
+   * @param {Array<TopicPartitions>} [topics] The partitions to list, defaults to all ongoing reassignments
+   * @param {number} [timeout=5000]
+   * @return {Promise<ListPartitionReassignments>}
+   *
+   * @typedef {Object} ListPartitionReassignments
+   * @property {Array<{ topic: string, partitions: Array<OngoingPartitionReassignment> }>} topics
+   *
+   * @typedef {Object} OngoingPartitionReassignment
+   * @property {number} partition
+   * @property {Array<number>} replicas The current replica set
+   * @property {Array<number>} addingReplicas The replicas being added
+   * @property {Array<number>} removingReplicas The replicas being removed
+   */
+  const listPartitionReassignments = async ({ topics, timeout } = {}) => {
+    if (topics != null && !Array.isArray(topics)) {
+      throw new KafkaJSNonRetriableError(`Invalid topics array ${topics}`)
+    }
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        await cluster.refreshMetadata()
+        const broker = await cluster.findControllerBroker()
+        const response = await broker.listPartitionReassignments({ topics, timeout })
+        return { topics: response.topics }
+      } catch (e) {
+        if (e.type === 'NOT_CONTROLLER') {
+          logger.warn('Could not list partition reassignments', {
+            error: e.message,
+            retryCount,
+            retryTime,
+          })
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
+  /**
+   * @param {Array<Principal>} [renewers=[]] The principals allowed to renew the token, besides its owner
+   * @param {number} [maxLifetime=-1] The max lifetime of the token in ms, defaults to the broker's
+   *                                  delegation.token.max.lifetime.ms
+   * @return {Promise<DelegationToken>}
+   *
+   * @typedef {Object} Principal
+   * @property {string} principalType Usually "User"
+   * @property {string} principalName
+   *
+   * @typedef {Object} DelegationToken
+   * @property {string} tokenId
+   * @property {Buffer} hmac
+   * @property {Principal} owner
+   * @property {string} issueTimestamp
+   * @property {string} expiryTimestamp
+   * @property {string} maxTimestamp
+   */
+  const createDelegationToken = async ({ renewers = [], maxLifetime } = {}) => {
+    validatePrincipals('renewers', renewers)
+
+    await cluster.refreshMetadata()
+    const broker = await cluster.findControllerBroker()
+    const {
+      tokenId,
+      hmac,
+      owner,
+      issueTimestamp,
+      expiryTimestamp,
+      maxTimestamp,
+    } = await broker.createDelegationToken({ renewers, maxLifetime })
+
+    return { tokenId, hmac, owner, issueTimestamp, expiryTimestamp, maxTimestamp }
+  }
+
+  /**
+   * @param {Buffer} hmac
+   * @param {number} [renewPeriod=-1] The time in ms to extend the expiry of the token by, defaults
+   *                                  to the broker's delegation.token.expiry.time.ms
+   * @return {Promise<{ expiryTimestamp: string }>}
+   */
+  const renewDelegationToken = async ({ hmac, renewPeriod } = {}) => {
+    validateHmac(hmac)
+
+    await cluster.refreshMetadata()
+    const broker = await cluster.findControllerBroker()
+    const { expiryTimestamp } = await broker.renewDelegationToken({ hmac, renewPeriod })
+    return { expiryTimestamp }
+  }
+
+  /**
+   * @param {Buffer} hmac
+   * @param {number} [expiryTimePeriod=-1] The time in ms until the token expires, defaults to
+   *                                       expiring the token immediately
+   * @return {Promise<{ expiryTimestamp: string }>}
+   */
+  const expireDelegationToken = async ({ hmac, expiryTimePeriod } = {}) => {
+    validateHmac(hmac)
+
+    await cluster.refreshMetadata()
+    const broker = await cluster.findControllerBroker()
+    const { expiryTimestamp } = await broker.expireDelegationToken({ hmac, expiryTimePeriod })
+    return { expiryTimestamp }
+  }
+
+  /**
+   * @param {Array<Principal>} [owners] Defaults to all the tokens the principal is allowed to describe
+   * @return {Promise<{ tokens: Array<DescribedDelegationToken> }>}
+   *
+   * @typedef {Object} DescribedDelegationToken
+   * @property {string} tokenId
+   * @property {Buffer} hmac
+   * @property {Principal} owner
+   * @property {Array<Principal>} renewers
+   * @property {string} issueTimestamp
+   * @property {string} expiryTimestamp
+   * @property {string} maxTimestamp
+   */
+  const describeDelegationTokens = async ({ owners = [] } = {}) => {
+    validatePrincipals('owners', owners)
+
+    await cluster.refreshMetadata()
+    const broker = await cluster.findControllerBroker()
+    const { tokens } = await broker.describeDelegationToken({ owners })
+    return { tokens }
+  }
+
+  /**
+   * Elects the leader of the partitions, partitions which already have the elected
+   * leader are returned with the ELECTION_NOT_NEEDED error
+   *
+   * @param {"PREFERRED"|"UNCLEAN"} [electionType="PREFERRED"]
+   * @param {Array<TopicPartitions>} [topicPartitions] Defaults to all partitions
+   * @param {number} [timeout=5000]
+   * @return {Promise<Array<ElectLeadersResult>>}
+   *
+   * @typedef {Object} ElectLeadersResult
+   * @property {string} topic
+   * @property {number} partition
+   * @property {number} errorCode
+   * @property {string|null} errorMessage
+   * @property {KafkaJSProtocolError} [error] Present when the election failed for the partition
+   */
+  const electLeaders = async ({ electionType = 'PREFERRED', topicPartitions, timeout } = {}) => {
+    if (!keys(ELECTION_TYPES).includes(electionType)) {
+      throw new KafkaJSNonRetriableError(
+        `Invalid election type ${electionType}, use one of ${keys(ELECTION_TYPES).join(', ')}`
+      )
+    }
+
+    if (topicPartitions != null && !Array.isArray(topicPartitions)) {
+      throw new KafkaJSNonRetriableError(`Invalid topicPartitions array ${topicPartitions}`)
+    }
+
+    // An empty list elects the leaders of all partitions, so it has to be explicit
+    if (topicPartitions && topicPartitions.length === 0) {
+      throw new KafkaJSNonRetriableError(
+        'Empty topicPartitions array, omit it to elect the leaders of all partitions'
+      )
+    }
+
+    const invalidTopic = (topicPartitions || []).find(
+      ({ topic, partitions }) =>
+        typeof topic !== 'string' ||
+        !Array.isArray(partitions) ||
+        partitions.length === 0 ||
+        !partitions.every(Number.isInteger)
+    )
+
+    if (invalidTopic) {
+      throw new KafkaJSNonRetriableError(`Invalid partitions for topic "${invalidTopic.topic}"`)
+    }
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        await cluster.refreshMetadata()
+        const broker = await cluster.findControllerBroker()
+        const { topics } = await broker.electLeaders({
+          electionType: ELECTION_TYPES[electionType],
+          topicPartitions: topicPartitions || [],
+          timeout,
+        })
+
+        return flatten(
+          topics.map(({ topic, partitions }) =>
+            partitions.map(partition => ({ topic, ...partition }))
+          )
+        )
+      } catch (e) {
+        if (e.type === 'NOT_CONTROLLER') {
+          logger.warn('Could not elect leaders', { error: e.message, retryCount, retryTime })
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
   /**
    * @param {string[]} topics
    * @param {number} [timeout=5000]
@@ -233,175 +689,649 @@ module.exports = ({
   }
 
   /**
-   * @param {string} topic
+   * Fetches the high and low watermarks of the partitions of the topics, and the offset at
+   * the timestamp of the topics with one. Each round of ListOffsets requests is batched per leader
+   */
+  const fetchOffsetsOfTopics = async ({ topics, timestamps }) => {
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        await cluster.addMultipleTargetTopics(topics)
+        await cluster.refreshMetadataIfNecessary()
+
+        const topicPartitions = topics.map(topic => ({
+          topic,
+          partitions: cluster
+            .findTopicPartitionMetadata(topic)
+            .map(({ partitionId }) => ({ partition: partitionId })),
+        }))
+
+        const high = await cluster.fetchTopicsOffset(
+          topicPartitions.map(topicPartition => ({ ...topicPartition, fromBeginning: false }))
+        )
+
+        const low = await cluster.fetchTopicsOffset(
+          topicPartitions.map(topicPartition => ({ ...topicPartition, fromBeginning: true }))
+        )
+
+        const topicsWithTimestamp = topicPartitions.filter(({ topic }) => timestamps[topic] != null)
+        const atTimestamp =
+          topicsWithTimestamp.length > 0
+            ? await cluster.fetchTopicsOffset(
+                topicsWithTimestamp.map(topicPartition => ({
+                  ...topicPartition,
+                  fromTimestamp: timestamps[topicPartition.topic],
+                }))
+              )
+            : []
+
+        return topics.map(topic => {
+          const { partitions } = high.find(topicOffset => topicOffset.topic === topic)
+
+          return {
+            topic,
+            partitions: partitions.map(({ partition, offset: highOffset }) => {
+              let offset = highOffset
+
+              // ListOffsets returns -1 when no message has a timestamp at or after the timestamp,
+              // the next message produced to the partition will be the first one
+              if (timestamps[topic] != null) {
+                const offsetAtTimestamp = offsetOf(atTimestamp, topic, partition)
+                offset = Long.fromValue(offsetAtTimestamp).isNegative()
+                  ? highOffset
+                  : offsetAtTimestamp
+              }
+
+              return { partition, offset, high: highOffset, low: offsetOf(low, topic, partition) }
+            }),
+          }
+        })
+      } catch (e) {
+        if (e.type === 'UNKNOWN_TOPIC_OR_PARTITION') {
+          await cluster.refreshMetadata()
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
+  const validateTimestamp = (timestamp, topic) => {
+    if (!Number.isInteger(timestamp) || timestamp < 0) {
+      throw new KafkaJSNonRetriableError(`Invalid timestamp ${timestamp} for topic "${topic}"`)
+    }
+  }
+
+  /**
+   * Fetches the offsets of a topic, or of multiple topics at once. The partitions of all the
+   * topics are fetched together, in a round of ListOffsets requests per leader for the high
+   * watermarks, another for the low watermarks, and a third one for the timestamps if any
+   *
+   * With multiple topics, the offset of the partitions of the topics with a timestamp is the
+   * earliest offset whose timestamp is greater than or equal to it, otherwise the high watermark
+   *
+   * @example
+   * await admin.fetchTopicOffsets('topic-name')
+   * // [{ partition: 0, offset: '100', high: '100', low: '0' }]
+   *
+   * await admin.fetchTopicOffsets({
+   *   topics: ['topic-a', 'topic-b'],
+   *   timestamps: { 'topic-a': 1600000000000 },
+   * })
+   * // [
+   * //   { topic: 'topic-a', partitions: [{ partition: 0, offset: '42', high: '100', low: '0' }] },
+   * //   { topic: 'topic-b', partitions: [{ partition: 0, offset: '15', high: '15', low: '0' }] },
+   * // ]
+   *
+   * @param {string|Object} topicOrOptions A topic, or the options to fetch multiple topics
+   * @param {Array<string>} topicOrOptions.topics
+   * @param {Object<string, number>} [topicOrOptions.timestamps] Timestamps in ms, by topic
+   * @return {Promise<Array>}
    */
+  const fetchTopicOffsets = async topicOrOptions => {
+    if (!topicOrOptions || typeof topicOrOptions !== 'object') {
+      const topic = topicOrOptions
+      if (!topic || typeof topic !== 'string') {
+        throw new KafkaJSNonRetriableError(`Invalid topic ${topic}`)
+      }
+
+      const [{ partitions }] = await fetchOffsetsOfTopics({ topics: [topic], timestamps: {} })
+      return partitions
+    }
+
+    const { topics, timestamps = {} } = topicOrOptions
 
-  const fetchTopicOffsets = async topic => {
+    if (!Array.isArray(topics) || topics.length === 0) {
+      throw new KafkaJSNonRetriableError(`Invalid topics array ${topics}`)
+    }
+
+    const invalidTopic = topics.find(topic => !topic || typeof topic !== 'string')
+    if (invalidTopic !== undefined) {
+      throw new KafkaJSNonRetriableError(`Invalid topic ${invalidTopic}`)
+    }
+
+    if (!timestamps || typeof timestamps !== 'object') {
+      throw new KafkaJSNonRetriableError(`Invalid timestamps ${timestamps}`)
+    }
+
+    for (const topic of keys(timestamps)) {
+      if (!topics.includes(topic)) {
+        throw new KafkaJSNonRetriableError(`Timestamp given for topic "${topic}" not in topics`)
+      }
+
+      validateTimestamp(timestamps[topic], topic)
+    }
+
+    return fetchOffsetsOfTopics({ topics, timestamps })
+  }
+
+  /**
+   * Fetches the earliest offset of each partition of the topic whose timestamp is greater
+   * than or equal to the timestamp, or the high watermark when there is no such message
+   *
+   * @param {string} topic
+   * @param {number} timestamp Timestamp in ms
+   * @return {Promise<Array<SeekEntry>>}
+   */
+  const fetchTopicOffsetsByTimestamp = async (topic, timestamp) => {
     if (!topic || typeof topic !== 'string') {
       throw new KafkaJSNonRetriableError(`Invalid topic ${topic}`)
     }
 
+    validateTimestamp(timestamp, topic)
+
+    const [{ partitions }] = await fetchOffsetsOfTopics({
+      topics: [topic],
+      timestamps: { [topic]: timestamp },
+    })
+
+    return partitions.map(({ partition, offset }) => ({ partition, offset }))
+  }
+
+  /**
+   * @param {string} groupId
+   * @param {string} topic
+   * @return {Promise}
+   */
+  const fetchOffsets = async ({ groupId, topic }) => {
+    if (!groupId) {
+      throw new KafkaJSNonRetriableError(`Invalid groupId ${groupId}`)
+    }
+
+    if (!topic) {
+      throw new KafkaJSNonRetriableError(`Invalid topic ${topic}`)
+    }
+
+    const partitions = await findTopicPartitions(cluster, topic)
+    const coordinator = await cluster.findGroupCoordinator({ groupId })
+    const partitionsToFetch = partitions.map(partition => ({ partition }))
+
+    const { responses } = await coordinator.offsetFetch({
+      groupId,
+      topics: [{ topic, partitions: partitionsToFetch }],
+    })
+
+    return responses
+      .filter(response => response.topic === topic)
+      .map(({ partitions }) =>
+        partitions.map(({ partition, offset, metadata }) => ({
+          partition,
+          offset,
+          metadata: metadata || null,
+        }))
+      )
+      .pop()
+  }
+
+  /**
+   * Indexes the members of a consumer group by the topic partitions assigned to them
+   */
+  const indexMembersByPartition = ({ members }) => {
+    const membersByPartition = {}
+
+    for (const { memberId, clientId, clientHost, assignment } of members) {
+      if (!assignment) {
+        continue
+      }
+
+      for (const [topic, partitions] of Object.entries(assignment.assignment)) {
+        for (const partition of partitions) {
+          membersByPartition[`${topic}:${partition}`] = { memberId, clientId, clientHost }
+        }
+      }
+    }
+
+    return membersByPartition
+  }
+
+  /**
+   * Fetches the lag of the consumer group, the difference between the high watermark and
+   * the committed offset of each partition, along with the member the partition is assigned to.
+   *
+   * Without topics, the lag is computed for all the topics with committed offsets. The lag of a
+   * partition without a committed offset is null, since it depends on where the consumer starts.
+   * The high watermark and lag of the partitions of deleted topics are null
+   *
+   * @param {string} groupId
+   * @param {Array<string>} [topics]
+   * @return {Promise<ConsumerGroupLag>}
+   *
+   * @typedef {Object} ConsumerGroupLag
+   * @property {string} groupId
+   * @property {string} state
+   * @property {string} totalLag
+   * @property {Array<{ topic: string, totalLag: string, partitions: Array<PartitionLag> }>} topics
+   *
+   * @typedef {Object} PartitionLag
+   * @property {number} partition
+   * @property {string} offset The committed offset, -1 if there is none
+   * @property {string|null} high The high watermark, null if the partition no longer exists
+   * @property {string|null} lag
+   * @property {Object|null} member The memberId, clientId and clientHost of the assigned member
+   */
+  const fetchConsumerGroupLag = async ({ groupId, topics }) => {
+    if (!groupId) {
+      throw new KafkaJSNonRetriableError(`Invalid groupId ${groupId}`)
+    }
+
+    if (topics != null) {
+      if (!Array.isArray(topics) || topics.length === 0) {
+        throw new KafkaJSNonRetriableError(`Invalid topics array ${topics}`)
+      }
+
+      const invalidTopic = topics.find(topic => !topic || typeof topic !== 'string')
+      if (invalidTopic !== undefined) {
+        throw new KafkaJSNonRetriableError(`Invalid topic ${invalidTopic}`)
+      }
+    }
+
     const retrier = createRetry(retry)
 
     return retrier(async (bail, retryCount, retryTime) => {
       try {
-        await cluster.addTargetTopic(topic)
+        const topicsToFetch = []
+        for (const topic of topics || []) {
+          const partitions = await findTopicPartitions(cluster, topic)
+          topicsToFetch.push({ topic, partitions: partitions.map(partition => ({ partition })) })
+        }
+
+        const coordinator = await cluster.findGroupCoordinator({ groupId })
+        const { responses } = await coordinator.offsetFetch({
+          groupId,
+          topics: topics ? topicsToFetch : null,
+        })
+
+        const committedTopics = responses
+          .filter(({ partitions }) => partitions.length > 0)
+          .sort((a, b) => a.topic.localeCompare(b.topic))
+
+        // The committed offsets of a deleted topic remain, targeting the topic would keep
+        // refreshing its metadata or even recreate it, so only the existing topics are fetched
+        const existingTopics = topics || (await cluster.metadata()).topicMetadata.map(t => t.topic)
+        const existingCommittedTopics = committedTopics.filter(({ topic }) =>
+          existingTopics.includes(topic)
+        )
+
+        await cluster.addMultipleTargetTopics(existingCommittedTopics.map(({ topic }) => topic))
         await cluster.refreshMetadataIfNecessary()
 
-        const metadata = cluster.findTopicPartitionMetadata(topic)
-        const high = await cluster.fetchTopicsOffset([
-          {
+        const highWatermarks = await cluster.fetchTopicsOffset(
+          existingCommittedTopics.map(({ topic, partitions }) => ({
             topic,
-            fromBeginning: false,
-            partitions: metadata.map(p => ({ partition: p.partitionId })),
-          },
-        ])
+            partitions: partitions.map(({ partition }) => ({ partition })),
+          }))
+        )
 
-        const low = await cluster.fetchTopicsOffset([
-          {
-            topic,
-            fromBeginning: true,
-            partitions: metadata.map(p => ({ partition: p.partitionId })),
-          },
-        ])
-
-        const { partitions: highPartitions } = high.pop()
-        const { partitions: lowPartitions } = low.pop()
-        return highPartitions.map(({ partition, offset }) => ({
-          partition,
-          offset,
-          high: offset,
-          low: lowPartitions.find(({ partition: lowPartition }) => lowPartition === partition)
-            .offset,
-        }))
+        // Partitions which are no longer in the metadata have no high watermark
+        const highWatermarkOf = (topic, partition) => {
+          const topicOffset = highWatermarks.find(topicOffset => topicOffset.topic === topic)
+          const partitionOffset =
+            topicOffset && topicOffset.partitions.find(entry => entry.partition === partition)
+          return partitionOffset ? partitionOffset.offset : null
+        }
+
+        const { groups } = await coordinator.describeGroups({ groupIds: [groupId] })
+        const description = groups.find(group => group.groupId === groupId)
+        const membersByPartition = indexMembersByPartition(decodeGroupMembers(description))
+
+        let groupLag = Long.ZERO
+        const topicsLag = committedTopics.map(({ topic, partitions }) => {
+          let topicLag = Long.ZERO
+          const partitionsLag = partitions
+            .sort((a, b) => a.partition - b.partition)
+            .map(({ partition, offset }) => {
+              const high = highWatermarkOf(topic, partition)
+              const committed = Long.fromValue(offset)
+              let lag = null
+
+              if (high != null && !committed.isNegative()) {
+                const difference = Long.fromValue(high).subtract(committed)
+                lag = difference.isNegative() ? Long.ZERO : difference
+                topicLag = topicLag.add(lag)
+              }
+
+              return {
+                partition,
+                offset,
+                high,
+                lag: lag && lag.toString(),
+                member: membersByPartition[`${topic}:${partition}`] || null,
+              }
+            })
+
+          groupLag = groupLag.add(topicLag)
+          return { topic, totalLag: topicLag.toString(), partitions: partitionsLag }
+        })
+
+        return {
+          groupId,
+          state: description.state,
+          totalLag: groupLag.toString(),
+          topics: topicsLag,
+        }
       } catch (e) {
+        if (isCoordinatorError(e)) {
+          logger.warn('Could not fetch the consumer group lag, retrying', {
+            groupId,
+            error: e.message,
+            retryCount,
+            retryTime,
+          })
+
+          throw e
+        }
+
         if (e.type === 'UNKNOWN_TOPIC_OR_PARTITION') {
           await cluster.refreshMetadata()
           throw e
         }
-
-        bail(e)
+
+        bail(e)
+      }
+    })
+  }
+
+  /**
+   * Computes the offset of each partition with one of the reset strategies,
+   * clamped to the earliest and latest offsets of the partition
+   */
+  const computeResetOffsets = async ({ groupId, topics, strategy }) => {
+    const [type] = keys(strategy)
+    const latestOffsets = await cluster.fetchTopicsOffset(topics)
+    const earliestOffsets = await cluster.fetchTopicsOffset(
+      topics.map(topic => ({ ...topic, fromBeginning: true }))
+    )
+
+    let targetOffsets
+    if (['toTimestamp', 'toDatetime', 'byDuration'].includes(type)) {
+      const fromTimestamp = resetTimestamp(strategy)
+      targetOffsets = await cluster.fetchTopicsOffset(
+        topics.map(topic => ({ ...topic, fromTimestamp }))
+      )
+    }
+
+    const committedOffsets = {}
+    if (type === 'shiftBy') {
+      for (const { topic } of topics) {
+        committedOffsets[topic] = await fetchOffsets({ groupId, topic })
+      }
+    }
+
+    const targetOffsetOf = (topic, partition) => {
+      switch (type) {
+        case 'toOffset':
+          return Long.fromValue(strategy.toOffset)
+        case 'shiftBy': {
+          const { offset } = committedOffsets[topic].find(entry => entry.partition === partition)
+
+          if (Long.fromValue(offset).isNegative()) {
+            throw new KafkaJSNonRetriableError(
+              `The consumer group has no committed offset for partition ${partition} of topic "${topic}" to shift`
+            )
+          }
+
+          return Long.fromValue(offset).add(strategy.shiftBy)
+        }
+        default: {
+          // There are no messages after the timestamp, the partition is reset to the latest offset
+          const offset = offsetOf(targetOffsets, topic, partition)
+          return offset == null || Long.fromValue(offset).isNegative()
+            ? Long.fromValue(offsetOf(latestOffsets, topic, partition))
+            : Long.fromValue(offset)
+        }
       }
-    })
+    }
+
+    return topics.map(({ topic, partitions }) => ({
+      topic,
+      partitions: partitions.map(({ partition }) => {
+        const earliest = Long.fromValue(offsetOf(earliestOffsets, topic, partition))
+        const latest = Long.fromValue(offsetOf(latestOffsets, topic, partition))
+        let offset = targetOffsetOf(topic, partition)
+
+        if (offset.lessThan(earliest)) {
+          offset = earliest
+        } else if (offset.greaterThan(latest)) {
+          offset = latest
+        }
+
+        return { partition, offset: offset.toString() }
+      }),
+    }))
   }
 
   /**
+   * Resets the offsets of the consumer group, like `kafka-consumer-groups.sh --reset-offsets`.
+   * The consumer group must have no running instances.
+   *
+   * Without a strategy, the offsets are reset to the earliest or latest offset, which are
+   * resolved by the consumer once it starts
+   *
    * @param {string} groupId
-   * @param {string} topic
-   * @return {Promise}
+   * @param {Array<TopicPartitions>} [topics] All the partitions of a topic are reset when partitions is missing
+   * @param {ResetStrategy} [strategy]
+   * @param {boolean} [earliest=false] Reset to the earliest offset, when there is no strategy
+   * @param {boolean} [dryRun=false] Returns the computed offsets without committing them
+   * @param {string} [topic] A single topic, use topics to reset the offsets of multiple topics
+   * @return {Promise<Array<TopicSeekEntries>>}
+   *
+   * @typedef {Object} TopicPartitions
+   * @property {string} topic
+   * @property {Array<number>} [partitions]
+   *
+   * @typedef {Object} ResetStrategy Exactly one of:
+   * @property {number} [toTimestamp] Reset to the first offset at or after the timestamp in ms
+   * @property {Date|string} [toDatetime] Reset to the first offset at or after the date, e.g. "2020-09-01T12:30:00.000Z"
+   * @property {number|string} [byDuration] Reset to the first offset at or after the duration ago, in ms
+   *                                        or as an ISO-8601 duration, e.g. "PT1H30M"
+   * @property {number} [shiftBy] Shift the committed offsets by a positive or negative number of messages
+   * @property {string} [toOffset] Reset to the offset
    */
-  const fetchOffsets = async ({ groupId, topic }) => {
+  const resetOffsets = async ({
+    groupId,
+    topic,
+    topics,
+    strategy,
+    earliest = false,
+    dryRun = false,
+  }) => {
     if (!groupId) {
       throw new KafkaJSNonRetriableError(`Invalid groupId ${groupId}`)
     }
 
-    if (!topic) {
-      throw new KafkaJSNonRetriableError(`Invalid topic ${topic}`)
+    const topicsToReset = topics || [{ topic }]
+
+    if (!Array.isArray(topicsToReset) || topicsToReset.length === 0) {
+      throw new KafkaJSNonRetriableError(`Invalid topics array ${topicsToReset}`)
     }
 
-    const partitions = await findTopicPartitions(cluster, topic)
-    const coordinator = await cluster.findGroupCoordinator({ groupId })
-    const partitionsToFetch = partitions.map(partition => ({ partition }))
+    for (const { topic } of topicsToReset) {
+      if (!topic) {
+        throw new KafkaJSNonRetriableError(`Invalid topic ${topic}`)
+      }
+    }
 
-    const { responses } = await coordinator.offsetFetch({
-      groupId,
-      topics: [{ topic, partitions: partitionsToFetch }],
-    })
+    if (strategy != null) {
+      validateResetStrategy(strategy)
+    }
 
-    return responses
-      .filter(response => response.topic === topic)
-      .map(({ partitions }) =>
-        partitions.map(({ partition, offset, metadata }) => ({
-          partition,
-          offset,
-          metadata: metadata || null,
-        }))
+    // The offsets are fetched from the leaders of the partitions, so the metadata of all the
+    // topics has to be loaded, including the topics with explicit partitions
+    await cluster.addMultipleTargetTopics(topicsToReset.map(({ topic }) => topic))
+
+    const topicPartitions = []
+    for (const { topic, partitions } of topicsToReset) {
+      const knownPartitions = await findTopicPartitions(cluster, topic)
+      const unknownPartitions = (partitions || []).filter(
+        partition => !knownPartitions.includes(partition)
       )
-      .pop()
-  }
 
-  /**
-   * @param {string} groupId
-   * @param {string} topic
-   * @param {boolean} [earliest=false]
-   * @return {Promise}
-   */
-  const resetOffsets = async ({ groupId, topic, earliest = false }) => {
-    if (!groupId) {
-      throw new KafkaJSNonRetriableError(`Invalid groupId ${groupId}`)
-    }
+      if (unknownPartitions.length > 0) {
+        throw new KafkaJSNonRetriableError(
+          `Unknown partitions ${unknownPartitions.join(', ')} for topic "${topic}"`
+        )
+      }
 
-    if (!topic) {
-      throw new KafkaJSNonRetriableError(`Invalid topic ${topic}`)
+      topicPartitions.push({
+        topic,
+        partitions: (partitions || knownPartitions).map(partition => ({ partition })),
+      })
     }
 
-    const partitions = await findTopicPartitions(cluster, topic)
-    const partitionsToSeek = partitions.map(partition => ({
-      partition,
-      offset: cluster.defaultOffset({ fromBeginning: earliest }),
-    }))
+    const offsets =
+      strategy != null
+        ? await computeResetOffsets({ groupId, topics: topicPartitions, strategy })
+        : topicPartitions.map(({ topic, partitions }) => ({
+            topic,
+            partitions: partitions.map(({ partition }) => ({
+              partition,
+              offset: String(cluster.defaultOffset({ fromBeginning: earliest })),
+            })),
+          }))
+
+    if (dryRun) {
+      return offsets
+    }
 
-    return setOffsets({ groupId, topic, partitions: partitionsToSeek })
+    return setOffsets({ groupId, topics: offsets })
   }
 
   /**
+   * Commits the offsets of the consumer group without joining it, like the java AdminClient,
+   * the consumer group must have no running instances.
+   *
+   * Partitions whose offsets could not be committed are returned with their error
+   *
    * @param {string} groupId
-   * @param {string} topic
-   * @param {Array<SeekEntry>} partitions
-   * @return {Promise}
+   * @param {Array<TopicSeekEntries>} [topics]
+   * @param {string} [topic] A single topic, use topics to commit the offsets of multiple topics
+   * @param {Array<SeekEntry>} [partitions] The offsets of the single topic
+   * @return {Promise<Array<TopicSeekEntries>>}
+   *
+   * @typedef {Object} TopicSeekEntries
+   * @property {string} topic
+   * @property {Array<SeekEntry>} partitions
    *
    * @typedef {Object} SeekEntry
    * @property {number} partition
    * @property {string} offset
+   * @property {string} [metadata]
+   * @property {KafkaJSProtocolError} [error] The error of the partition when setting the offset failed
    */
-  const setOffsets = async ({ groupId, topic, partitions }) => {
+  const setOffsets = async ({ groupId, topic, partitions, topics }) => {
     if (!groupId) {
       throw new KafkaJSNonRetriableError(`Invalid groupId ${groupId}`)
     }
 
-    if (!topic) {
-      throw new KafkaJSNonRetriableError(`Invalid topic ${topic}`)
+    const topicsToCommit = topics || [{ topic, partitions }]
+
+    if (!Array.isArray(topicsToCommit) || topicsToCommit.length === 0) {
+      throw new KafkaJSNonRetriableError(`Invalid topics array ${topicsToCommit}`)
     }
 
-    if (!partitions || partitions.length === 0) {
-      throw new KafkaJSNonRetriableError(`Invalid partitions`)
+    for (const { topic, partitions } of topicsToCommit) {
+      if (!topic) {
+        throw new KafkaJSNonRetriableError(`Invalid topic ${topic}`)
+      }
+
+      if (!partitions || partitions.length === 0) {
+        throw new KafkaJSNonRetriableError(`Invalid partitions`)
+      }
     }
 
-    const consumer = createConsumer({
-      logger: rootLogger.namespace('Admin', LEVELS.NOTHING),
-      cluster,
-      groupId,
-    })
+    const offsets = topicsToCommit.map(({ topic, partitions }) => ({
+      topic,
+      partitions: partitions.map(({ partition, offset, metadata }) => ({
+        partition,
+        offset: parseOffset(offset),
+        metadata,
+      })),
+    }))
 
-    await consumer.subscribe({ topic, fromBeginning: true })
-    const description = await consumer.describeGroup()
+    await cluster.addMultipleTargetTopics(topicsToCommit.map(({ topic }) => topic))
 
-    if (!isConsumerGroupRunning(description)) {
-      throw new KafkaJSNonRetriableError(
-        `The consumer group must have no running instances, current state: ${description.state}`
-      )
-    }
+    const retrier = createRetry(retry)
 
-    return new Promise((resolve, reject) => {
-      consumer.on(consumer.events.FETCH, async () =>
-        consumer
-          .stop()
-          .then(resolve)
-          .catch(reject)
-      )
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        const coordinator = await cluster.findGroupCoordinator({ groupId })
+        const { groups } = await coordinator.describeGroups({ groupIds: [groupId] })
+        const description = groups.find(group => group.groupId === groupId)
+
+        if (!description) {
+          throw new KafkaJSNonRetriableError(
+            `The coordinator did not describe the consumer group "${groupId}"`
+          )
+        }
+
+        if (!isConsumerGroupRunning(description)) {
+          throw new KafkaJSNonRetriableError(
+            `The consumer group must have no running instances, current state: ${description.state}`
+          )
+        }
 
-      consumer
-        .run({
-          eachBatchAutoResolve: false,
-          eachBatch: async () => true,
+        const { responses } = await coordinator.offsetCommit({
+          groupId,
+          groupGenerationId: -1,
+          memberId: '',
+          topics: offsets,
+          throwOnPartitionErrors: false,
+        })
+
+        const coordinatorError = flatten(responses.map(({ partitions }) => partitions))
+          .map(({ error }) => error)
+          .find(error => error && isCoordinatorError(error))
+
+        if (coordinatorError) {
+          throw coordinatorError
+        }
+
+        return offsets.map(({ topic, partitions }) => {
+          const response = responses.find(response => response.topic === topic)
+
+          return {
+            topic,
+            partitions: partitions.map(({ partition, offset }) => {
+              const { error } = response.partitions.find(entry => entry.partition === partition)
+              return error ? { partition, offset, error } : { partition, offset }
+            }),
+          }
         })
-        .catch(reject)
+      } catch (e) {
+        if (isCoordinatorError(e)) {
+          logger.warn('The group coordinator is not available, retrying', {
+            groupId,
+            error: e.message,
+            retryCount,
+            retryTime,
+          })
 
-      // This consumer doesn't need to consume any data
-      consumer.pause([{ topic }])
+          throw e
+        }
 
-      for (const seekData of partitions) {
-        consumer.seek({ topic, ...seekData })
+        bail(e)
       }
     })
   }
@@ -710,6 +1640,81 @@ module.exports = ({
     return { groups }
   }
 
+  /**
+   * Describe groups, with one request per group coordinator. The metadata and assignment of
+   * the members of groups using the consumer protocol are decoded
+   *
+   * @param {string[]} groupIds
+   * @return {Promise<{ groups: Array<GroupDescription> }>}
+   *
+   * @typedef {Object} GroupDescription
+   * @property {string} groupId
+   * @property {Array<MemberDescription>} members
+   * @property {string} protocol
+   * @property {string} protocolType
+   * @property {string} state
+   *
+   * @typedef {Object} MemberDescription
+   * @property {string} clientHost
+   * @property {string} clientId
+   * @property {string} memberId
+   * @property {Buffer} memberAssignment
+   * @property {Buffer} memberMetadata
+   * @property {Object|null} assignment The decoded memberAssignment, e.g. { version: 1, assignment: { 'topic-name': [0, 1] }, userData }
+   * @property {Object|null} metadata The decoded memberMetadata, e.g. { version: 1, topics: ['topic-name'], userData }
+   */
+  const describeGroups = async groupIds => {
+    if (!groupIds || !Array.isArray(groupIds) || groupIds.length === 0) {
+      throw new KafkaJSNonRetriableError(`Invalid groupIds array ${groupIds}`)
+    }
+
+    const invalidGroupId = groupIds.find(groupId => !groupId || typeof groupId !== 'string')
+    if (invalidGroupId !== undefined) {
+      throw new KafkaJSNonRetriableError(`Invalid groupId ${invalidGroupId}`)
+    }
+
+    const retrier = createRetry(retry)
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        const coordinatorsPerNode = {}
+        const groupIdsPerNode = {}
+        for (const groupId of groupIds) {
+          const coordinator = await cluster.findGroupCoordinator({ groupId })
+          coordinatorsPerNode[coordinator.nodeId] = coordinator
+          groupIdsPerNode[coordinator.nodeId] = [
+            ...(groupIdsPerNode[coordinator.nodeId] || []),
+            groupId,
+          ]
+        }
+
+        const responses = await Promise.all(
+          keys(coordinatorsPerNode).map(nodeId =>
+            coordinatorsPerNode[nodeId].describeGroups({ groupIds: groupIdsPerNode[nodeId] })
+          )
+        )
+
+        const groups = flatten(responses.map(({ groups }) => groups)).map(decodeGroupMembers)
+
+        return {
+          groups: groupIds.map(groupId => groups.find(group => group.groupId === groupId)),
+        }
+      } catch (e) {
+        if (isCoordinatorError(e)) {
+          logger.warn('Could not describe groups', {
+            error: e.message,
+            retryCount,
+            retryTime,
+          })
+
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
   /**
    * Delete groups in a broker
    *
@@ -784,6 +1789,311 @@ module.exports = ({
     })
   }
 
+  /**
+   * Delete the records of a topic before the given offsets, advancing the low watermark
+   * of each partition
+   *
+   * @param {string} topic
+   * @param {Array<SeekEntry>} partitions Use offset -1 to delete all records up to the high watermark
+   * @return {Promise<Array<DeletedRecords>>}
+   *
+   * @typedef {Object} DeletedRecords
+   * @property {number} partition
+   * @property {string} lowWatermark The new log start offset of the partition
+   */
+  const deleteTopicRecords = async ({ topic, partitions }) => {
+    if (!topic || typeof topic !== 'string') {
+      throw new KafkaJSNonRetriableError(`Invalid topic ${topic}`)
+    }
+
+    if (!partitions || !Array.isArray(partitions) || partitions.length === 0) {
+      throw new KafkaJSNonRetriableError(`Invalid partitions`)
+    }
+
+    const invalidEntry = partitions.find(({ offset }) => !isValidDeleteRecordsOffset(offset))
+    if (invalidEntry) {
+      throw new KafkaJSNonRetriableError(
+        `Invalid offset "${invalidEntry.offset}" for partition ${invalidEntry.partition}, use -1 to delete all records up to the high watermark`
+      )
+    }
+
+    const retrier = createRetry(retry)
+    const lowWatermarks = {}
+    let pendingPartitions = partitions.slice()
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        const knownPartitions = await findTopicPartitions(cluster, topic)
+        const unknownPartitions = pendingPartitions
+          .map(({ partition }) => partition)
+          .filter(partition => !knownPartitions.includes(partition))
+
+        if (unknownPartitions.length > 0) {
+          throw new KafkaJSNonRetriableError(
+            `Unknown partitions ${unknownPartitions.join(', ')} for topic "${topic}"`
+          )
+        }
+
+        const partitionsPerLeader = cluster.findLeaderForPartitions(
+          topic,
+          pendingPartitions.map(({ partition }) => partition)
+        )
+
+        const responses = await Promise.all(
+          keys(partitionsPerLeader).map(async nodeId => {
+            const broker = await cluster.findBroker({ nodeId })
+            return broker.deleteRecords({
+              topics: [
+                {
+                  topic,
+                  partitions: pendingPartitions.filter(({ partition }) =>
+                    partitionsPerLeader[nodeId].includes(partition)
+                  ),
+                },
+              ],
+            })
+          })
+        )
+
+        const results = flatten(
+          responses.map(({ topics }) => flatten(topics.map(({ partitions }) => partitions)))
+        )
+
+        const errors = []
+        for (const { partition, lowWatermark, error } of results) {
+          if (error) {
+            const { offset } = pendingPartitions.find(entry => entry.partition === partition)
+            errors.push({ partition, offset, error })
+          } else {
+            lowWatermarks[partition] = lowWatermark
+          }
+        }
+
+        if (errors.length > 0) {
+          pendingPartitions = pendingPartitions.filter(({ partition }) =>
+            errors.some(entry => entry.partition === partition)
+          )
+
+          throw new KafkaJSDeleteTopicRecordsError('Error deleting records', {
+            topic,
+            partitions: errors,
+          })
+        }
+
+        return partitions.map(({ partition }) => ({
+          partition,
+          lowWatermark: lowWatermarks[partition],
+        }))
+      } catch (e) {
+        if (
+          e.name === 'KafkaJSDeleteTopicRecordsError' &&
+          e.partitions.every(({ error }) => error.retriable)
+        ) {
+          logger.warn('Could not delete records, refreshing metadata and retrying', {
+            topic,
+            partitions: e.partitions.map(({ partition, error }) => ({
+              partition,
+              error: error.message,
+            })),
+            retryCount,
+            retryTime,
+          })
+
+          await cluster.refreshMetadata()
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
+  /**
+   * Describe the log directories of the brokers, including the size and the offset lag
+   * of every replica they host
+   *
+   * @param {Array<number>} [brokers] The node ids of the brokers to describe, defaults to all brokers
+   * @param {Array<TopicPartitions>} [topics] The topic partitions to describe, defaults to all topics.
+   *                                          All partitions are described when a topic has no partitions
+   * @return {Promise<DescribeLogDirs>}
+   *
+   * @typedef {Object} DescribeLogDirs
+   * @property {Array<BrokerLogDirs>} brokers
+   *
+   * @typedef {Object} BrokerLogDirs
+   * @property {number} nodeId
+   * @property {Array<LogDir>} logDirs
+   *
+   * @typedef {Object} LogDir
+   * @property {string} logDir
+   * @property {number} errorCode
+   * @property {KafkaJSProtocolError} [error] e.g. KAFKA_STORAGE_ERROR for offline directories
+   * @property {Array<{ topic: string, partitions: Array<ReplicaLogDirInfo> }>} topics
+   *
+   * @typedef {Object} ReplicaLogDirInfo
+   * @property {number} partition
+   * @property {string} size The size of the replica in bytes
+   * @property {string} offsetLag The lag of the replica behind the current replica, or of the
+   *                              future replica behind the current replica when isFuture is true
+   * @property {boolean} isFuture True for replicas being moved to this directory
+   */
+  const describeLogDirs = async ({ brokers, topics = [] } = {}) => {
+    if (brokers != null && !Array.isArray(brokers)) {
+      throw new KafkaJSNonRetriableError(`Invalid brokers array ${brokers}`)
+    }
+
+    if (!Array.isArray(topics) || topics.some(({ topic }) => typeof topic !== 'string')) {
+      throw new KafkaJSNonRetriableError(`Invalid topics array ${topics}`)
+    }
+
+    const { brokers: nodes } = await cluster.metadata({ topics: [] })
+    const knownNodeIds = nodes.map(({ nodeId }) => nodeId)
+    const nodeIds = brokers || knownNodeIds
+    const unknownNodeIds = nodeIds.filter(nodeId => !knownNodeIds.includes(nodeId))
+
+    if (unknownNodeIds.length > 0) {
+      throw new KafkaJSNonRetriableError(`Unknown brokers ${unknownNodeIds.join(', ')}`)
+    }
+
+    const topicPartitions = []
+    for (const { topic, partitions } of topics) {
+      topicPartitions.push({
+        topic,
+        partitions: partitions || (await findTopicPartitions(cluster, topic)),
+      })
+    }
+
+    return {
+      brokers: await Promise.all(
+        nodeIds.map(async nodeId => {
+          const broker = await cluster.findBroker({ nodeId })
+          const { logDirs } = await broker.describeLogDirs({ topics: topicPartitions })
+          return { nodeId, logDirs }
+        })
+      ),
+    }
+  }
+
+  /**
+   * Move replicas between the log directories of the brokers hosting them
+   *
+   * @param {Array<ReplicaLogDir>} replicas
+   * @return {Promise<void>}
+   *
+   * @typedef {Object} ReplicaLogDir
+   * @property {string} topic
+   * @property {number} partition
+   * @property {number} nodeId The broker hosting the replica
+   * @property {string} logDir The absolute path of the destination log directory
+   */
+  const alterReplicaLogDirs = async ({ replicas }) => {
+    if (!replicas || !Array.isArray(replicas)) {
+      throw new KafkaJSNonRetriableError(`Invalid replicas array ${replicas}`)
+    }
+
+    if (replicas.length === 0) {
+      throw new KafkaJSNonRetriableError('Empty replicas array')
+    }
+
+    const invalidReplica = replicas.find(
+      ({ topic, partition, nodeId, logDir }) =>
+        typeof topic !== 'string' ||
+        !Number.isInteger(partition) ||
+        !Number.isInteger(nodeId) ||
+        typeof logDir !== 'string'
+    )
+
+    if (invalidReplica) {
+      throw new KafkaJSNonRetriableError(`Invalid replica ${JSON.stringify(invalidReplica)}`)
+    }
+
+    const retrier = createRetry(retry)
+    let pendingReplicas = replicas.slice()
+
+    return retrier(async (bail, retryCount, retryTime) => {
+      try {
+        const replicasPerBroker = pendingReplicas.reduce(
+          (result, replica) => ({
+            ...result,
+            [replica.nodeId]: [...(result[replica.nodeId] || []), replica],
+          }),
+          {}
+        )
+
+        const errors = flatten(
+          await Promise.all(
+            keys(replicasPerBroker).map(async nodeId => {
+              const brokerReplicas = replicasPerBroker[nodeId]
+              const logDirs = []
+
+              for (const { topic, partition, logDir } of brokerReplicas) {
+                let entry = logDirs.find(entry => entry.logDir === logDir)
+                if (!entry) {
+                  entry = { logDir, topics: [] }
+                  logDirs.push(entry)
+                }
+
+                let topicEntry = entry.topics.find(entry => entry.topic === topic)
+                if (!topicEntry) {
+                  topicEntry = { topic, partitions: [] }
+                  entry.topics.push(topicEntry)
+                }
+
+                topicEntry.partitions.push(partition)
+              }
+
+              const broker = await cluster.findBroker({ nodeId })
+              const { topics } = await broker.alterReplicaLogDirs({ logDirs })
+
+              return flatten(
+                topics.map(({ topic, partitions }) =>
+                  partitions
+                    .filter(({ error }) => error)
+                    .map(({ partition, error }) => ({
+                      ...brokerReplicas.find(
+                        replica => replica.topic === topic && replica.partition === partition
+                      ),
+                      error,
+                    }))
+                )
+              )
+            })
+          )
+        )
+
+        if (errors.length > 0) {
+          pendingReplicas = errors.map(({ topic, partition, nodeId, logDir }) => ({
+            topic,
+            partition,
+            nodeId,
+            logDir,
+          }))
+          throw new KafkaJSAlterReplicaLogDirsError('Error altering replica log dirs', {
+            replicas: errors,
+          })
+        }
+      } catch (e) {
+        if (
+          e.name === 'KafkaJSAlterReplicaLogDirsError' &&
+          e.replicas.every(({ error }) => error.retriable)
+        ) {
+          logger.warn('Could not alter replica log dirs, retrying', {
+            replicas: e.replicas.map(({ error, ...replica }) => ({
+              ...replica,
+              error: error.message,
+            })),
+            retryCount,
+            retryTime,
+          })
+
+          throw e
+        }
+
+        bail(e)
+      }
+    })
+  }
+
   /**
    * @param {Array<ACLEntry>} acl
    * @return {Promise<void>}
@@ -1109,20 +2419,34 @@ module.exports = ({
     createTopics,
     deleteTopics,
     createPartitions,
+    alterPartitionReassignments,
+    cancelPartitionReassignments,
+    listPartitionReassignments,
+    electLeaders,
+    createDelegationToken,
+    renewDelegationToken,
+    expireDelegationToken,
+    describeDelegationTokens,
     getTopicMetadata,
     fetchTopicMetadata,
     describeCluster,
     events,
     fetchOffsets,
     fetchTopicOffsets,
+    fetchTopicOffsetsByTimestamp,
     setOffsets,
     resetOffsets,
+    fetchConsumerGroupLag,
     describeConfigs,
     alterConfigs,
     on,
     logger: getLogger,
     listGroups,
+    describeGroups,
     deleteGroups,
+    deleteTopicRecords,
+    describeLogDirs,
+    alterReplicaLogDirs,
     describeAcls,
     deleteAcls,
     createAcls,
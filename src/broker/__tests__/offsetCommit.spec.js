@@ -174,4 +174,42 @@ describe('Broker > OffsetCommit', () => {
       responses: [{ partitions: [{ errorCode: 0, partition: 0 }], topic: topicName }],
     })
   })
+
+  test('returns the errors of the partitions without a group generation', async () => {
+    const topics = [
+      {
+        topic: topicName,
+        partitions: [
+          { partition: 0, offset: '0' },
+          { partition: 10, offset: '0' },
+        ],
+      },
+    ]
+
+    await expect(
+      groupCoordinator.offsetCommit({ groupId, groupGenerationId: -1, memberId: '', topics })
+    ).rejects.toHaveProperty('type', 'UNKNOWN_TOPIC_OR_PARTITION')
+
+    const response = await groupCoordinator.offsetCommit({
+      groupId,
+      groupGenerationId: -1,
+      memberId: '',
+      topics,
+      throwOnPartitionErrors: false,
+    })
+
+    expect(response.responses).toEqual([
+      {
+        topic: topicName,
+        partitions: [
+          { partition: 0, errorCode: 0 },
+          {
+            partition: 10,
+            errorCode: 3,
+            error: expect.objectContaining({ type: 'UNKNOWN_TOPIC_OR_PARTITION' }),
+          },
+        ],
+      },
+    ])
+  })
 })
@@ -1,11 +1,15 @@
 const Long = require('long')
 const Lock = require('../utils/lock')
+const flatten = require('../utils/flatten')
 const { Types: Compression } = require('../protocol/message/compression')
 const { requests, lookup } = require('../protocol/requests')
 const { KafkaJSNonRetriableError } = require('../errors')
 const apiKeys = require('../protocol/requests/apiKeys')
 const SASLAuthenticator = require('./saslAuthenticator')
 
+// Brokers reject ZSTD compressed record batches sent with older versions
+const MIN_ZSTD_PRODUCE_VERSION = 7
+
 const PRIVATE = {
   SHOULD_REAUTHENTICATE: Symbol('private:Broker:shouldReauthenticate'),
 }
@@ -249,17 +253,26 @@ module.exports = class Broker {
     compression = Compression.None,
   }) {
     const produce = this.lookupRequest(apiKeys.Produce, requests.Produce)
-    return await this.connection.send(
-      produce({
-        acks,
-        timeout,
-        compression,
-        topicData,
-        transactionalId,
-        producerId,
-        producerEpoch,
-      })
-    )
+    const protocol = produce({
+      acks,
+      timeout,
+      compression,
+      topicData,
+      transactionalId,
+      producerId,
+      producerEpoch,
+    })
+
+    if (
+      compression === Compression.ZSTD &&
+      protocol.request.apiVersion < MIN_ZSTD_PRODUCE_VERSION
+    ) {
+      throw new KafkaJSNonRetriableError(
+        `ZSTD compression requires Produce v${MIN_ZSTD_PRODUCE_VERSION} (Kafka 2.1.0), but broker ${this.brokerAddress} negotiated v${protocol.request.apiVersion}`
+      )
+    }
+
+    return await this.connection.send(protocol)
   }
 
   /**
@@ -285,6 +298,13 @@ module.exports = class Broker {
    *                            ]
    *                          }
    *                        ]
+   * @param {number} [sessionId=0] The fetch session id, 0 to create a new session (Fetch v7+)
+   * @param {number} [sessionEpoch=-1] The fetch session epoch. Use 0 to create a new session,
+   *                                   -1 to close the session or run a sessionless fetch
+   * @param {Array} [forgottenTopics=[]] Partitions to remove from an incremental fetch session
+   *                                     [{ topic: 'topic-name', partitions: [0, 1] }]
+   * @param {string} [rackId=''] The rack of the consumer, used by the broker to select a preferred
+   *                             read replica (Fetch v11+)
    * @returns {Promise}
    */
   async fetch({
@@ -294,11 +314,26 @@ module.exports = class Broker {
     minBytes = 1,
     maxBytes = 10485760,
     topics,
+    sessionId,
+    sessionEpoch,
+    forgottenTopics,
+    rackId = '',
   }) {
     // TODO: validate topics not null/empty
     const fetch = this.lookupRequest(apiKeys.Fetch, requests.Fetch)
     return await this.connection.send(
-      fetch({ replicaId, isolationLevel, maxWaitTime, minBytes, maxBytes, topics })
+      fetch({
+        replicaId,
+        isolationLevel,
+        maxWaitTime,
+        minBytes,
+        maxBytes,
+        topics,
+        sessionId,
+        sessionEpoch,
+        forgottenTopics,
+        rackId,
+      })
     )
   }
 
@@ -307,11 +342,14 @@ module.exports = class Broker {
    * @param {string} groupId The group id
    * @param {number} groupGenerationId The generation of the group
    * @param {string} memberId The member id assigned by the group coordinator
+   * @param {string} [groupInstanceId=null] The static member id, only used with static membership
    * @returns {Promise}
    */
-  async heartbeat({ groupId, groupGenerationId, memberId }) {
+  async heartbeat({ groupId, groupGenerationId, memberId, groupInstanceId = null }) {
     const heartbeat = this.lookupRequest(apiKeys.Heartbeat, requests.Heartbeat)
-    return await this.connection.send(heartbeat({ groupId, groupGenerationId, memberId }))
+    return await this.connection.send(
+      heartbeat({ groupId, groupGenerationId, memberId, groupInstanceId })
+    )
   }
 
   /**
@@ -334,6 +372,9 @@ module.exports = class Broker {
    * @param {number} rebalanceTimeout The maximum time that the coordinator will wait for each member
    *                                  to rejoin when rebalancing the group
    * @param {string} [memberId=""] The assigned consumer id or an empty string for a new consumer
+   * @param {string} [groupInstanceId=null] The static member id, the coordinator keeps the
+   *                                        assignment of a static member which rejoins within
+   *                                        the session timeout
    * @param {string} [protocolType="consumer"] Unique name for class of protocols implemented by group
    * @param {Array} groupProtocols List of protocols that the member supports (assignment strategy)
    *                                [{ name: 'AssignerName', metadata: '{"version": 1, "topics": []}' }]
@@ -344,6 +385,7 @@ module.exports = class Broker {
     sessionTimeout,
     rebalanceTimeout,
     memberId = '',
+    groupInstanceId = null,
     protocolType = 'consumer',
     groupProtocols,
   }) {
@@ -354,6 +396,7 @@ module.exports = class Broker {
         sessionTimeout,
         rebalanceTimeout,
         memberId,
+        groupInstanceId,
         protocolType,
         groupProtocols,
       })
@@ -364,11 +407,12 @@ module.exports = class Broker {
    * @public
    * @param {string} groupId
    * @param {string} memberId
+   * @param {string} [groupInstanceId=null]
    * @returns {Promise}
    */
-  async leaveGroup({ groupId, memberId }) {
+  async leaveGroup({ groupId, memberId, groupInstanceId = null }) {
     const leaveGroup = this.lookupRequest(apiKeys.LeaveGroup, requests.LeaveGroup)
-    return await this.connection.send(leaveGroup({ groupId, memberId }))
+    return await this.connection.send(leaveGroup({ groupId, memberId, groupInstanceId }))
   }
 
   /**
@@ -376,16 +420,18 @@ module.exports = class Broker {
    * @param {string} groupId
    * @param {number} generationId
    * @param {string} memberId
+   * @param {string} [groupInstanceId=null]
    * @param {object} groupAssignment
    * @returns {Promise}
    */
-  async syncGroup({ groupId, generationId, memberId, groupAssignment }) {
+  async syncGroup({ groupId, generationId, memberId, groupInstanceId = null, groupAssignment }) {
     const syncGroup = this.lookupRequest(apiKeys.SyncGroup, requests.SyncGroup)
     return await this.connection.send(
       syncGroup({
         groupId,
         generationId,
         memberId,
+        groupInstanceId,
         groupAssignment,
       })
     )
@@ -439,11 +485,20 @@ module.exports = class Broker {
    *                      ]
    *                    }
    *                  ]
+   * @param {boolean} [throwOnPartitionErrors=true] When false, the partitions which failed are
+   *                                                returned with their error instead
    * @returns {Promise}
    */
-  async offsetCommit({ groupId, groupGenerationId, memberId, retentionTime, topics }) {
+  async offsetCommit({
+    groupId,
+    groupGenerationId,
+    memberId,
+    retentionTime,
+    topics,
+    throwOnPartitionErrors = true,
+  }) {
     const offsetCommit = this.lookupRequest(apiKeys.OffsetCommit, requests.OffsetCommit)
-    return await this.connection.send(
+    const response = await this.connection.send(
       offsetCommit({
         groupId,
         groupGenerationId,
@@ -452,6 +507,16 @@ module.exports = class Broker {
         topics,
       })
     )
+
+    const partitionWithError = throwOnPartitionErrors
+      ? flatten(response.responses.map(({ partitions }) => partitions)).find(({ error }) => error)
+      : null
+
+    if (partitionWithError) {
+      throw partitionWithError.error
+    }
+
+    return response
   }
 
   /**
@@ -538,6 +603,164 @@ module.exports = class Broker {
     return await this.connection.send(deleteTopics({ topics, timeout }))
   }
 
+  /**
+   * @public
+   * @param {Array} topics The topic partitions and the offsets before which the records will be deleted
+   *                       [
+   *                         {
+   *                           topic: 'topic-name',
+   *                           partitions: [{ partition: 0, offset: '4124' }]
+   *                         }
+   *                       ]
+   *                       Use offset -1 to delete all records up to the high watermark
+   * @param {number} [timeout=5000] The time in ms to wait for the deletion to complete
+   * @returns {Promise}
+   */
+  async deleteRecords({ topics, timeout = 5000 }) {
+    const deleteRecords = this.lookupRequest(apiKeys.DeleteRecords, requests.DeleteRecords)
+    return await this.connection.send(deleteRecords({ topics, timeout }))
+  }
+
+  /**
+   * @public
+   * @param {Array} [topics=[]] The topic partitions to describe, all topics are described when empty
+   *                            [{ topic: 'topic-name', partitions: [0, 1] }]
+   * @returns {Promise}
+   */
+  async describeLogDirs({ topics = [] } = {}) {
+    const describeLogDirs = this.lookupRequest(apiKeys.DescribeLogDirs, requests.DescribeLogDirs)
+    return await this.connection.send(describeLogDirs({ topics }))
+  }
+
+  /**
+   * @public
+   * @param {Array} logDirs The log directories the replicas hosted by this broker should be moved to
+   *                        [
+   *                          {
+   *                            logDir: '/var/lib/kafka/data',
+   *                            topics: [{ topic: 'topic-name', partitions: [0, 1] }]
+   *                          }
+   *                        ]
+   * @returns {Promise}
+   */
+  async alterReplicaLogDirs({ logDirs }) {
+    const alterReplicaLogDirs = this.lookupRequest(
+      apiKeys.AlterReplicaLogDirs,
+      requests.AlterReplicaLogDirs
+    )
+    return await this.connection.send(alterReplicaLogDirs({ logDirs }))
+  }
+
+  /**
+   * @public
+   * @param {Array} topics The new replica assignments, null replicas cancel the pending reassignment
+   *                       [
+   *                         {
+   *                           topic: 'topic-name',
+   *                           partitionAssignment: [{ partition: 0, replicas: [1, 2] }]
+   *                         }
+   *                       ]
+   * @param {number} [timeout=5000] The time in ms to wait for the request to complete
+   * @returns {Promise}
+   */
+  async alterPartitionReassignments({ topics, timeout = 5000 }) {
+    const alterPartitionReassignments = this.lookupRequest(
+      apiKeys.AlterPartitionReassignments,
+      requests.AlterPartitionReassignments
+    )
+    return await this.connection.send(alterPartitionReassignments({ topics, timeout }))
+  }
+
+  /**
+   * @public
+   * @param {Array} [topics=null] The topic partitions to list, null to list all ongoing reassignments
+   *                              [{ topic: 'topic-name', partitions: [0, 1] }]
+   * @param {number} [timeout=5000] The time in ms to wait for the request to complete
+   * @returns {Promise}
+   */
+  async listPartitionReassignments({ topics = null, timeout = 5000 } = {}) {
+    const listPartitionReassignments = this.lookupRequest(
+      apiKeys.ListPartitionReassignments,
+      requests.ListPartitionReassignments
+    )
+    return await this.connection.send(listPartitionReassignments({ topics, timeout }))
+  }
+
+  /**
+   * @public
+   * @param {Array} [renewers=[]] The principals allowed to renew the token, besides its owner
+   *                              [{ principalType: 'User', principalName: 'alice' }]
+   * @param {number} [maxLifetime=-1] The max lifetime of the token in ms, -1 uses the broker's
+   *                                  delegation.token.max.lifetime.ms
+   * @returns {Promise}
+   */
+  async createDelegationToken({ renewers = [], maxLifetime = -1 }) {
+    const createDelegationToken = this.lookupRequest(
+      apiKeys.CreateDelegationToken,
+      requests.CreateDelegationToken
+    )
+    return await this.connection.send(createDelegationToken({ renewers, maxLifetime }))
+  }
+
+  /**
+   * @public
+   * @param {Buffer} hmac The HMAC of the token
+   * @param {number} [renewPeriod=-1] The time in ms to extend the expiry of the token by, -1 uses
+   *                                  the broker's delegation.token.expiry.time.ms
+   * @returns {Promise}
+   */
+  async renewDelegationToken({ hmac, renewPeriod = -1 }) {
+    const renewDelegationToken = this.lookupRequest(
+      apiKeys.RenewDelegationToken,
+      requests.RenewDelegationToken
+    )
+    return await this.connection.send(renewDelegationToken({ hmac, renewPeriod }))
+  }
+
+  /**
+   * @public
+   * @param {Buffer} hmac The HMAC of the token
+   * @param {number} [expiryTimePeriod=-1] The time in ms until the token expires, -1 expires
+   *                                       the token immediately
+   * @returns {Promise}
+   */
+  async expireDelegationToken({ hmac, expiryTimePeriod = -1 }) {
+    const expireDelegationToken = this.lookupRequest(
+      apiKeys.ExpireDelegationToken,
+      requests.ExpireDelegationToken
+    )
+    return await this.connection.send(expireDelegationToken({ hmac, expiryTimePeriod }))
+  }
+
+  /**
+   * @public
+   * @param {Array} [owners=[]] The owners of the tokens to describe, all tokens the principal
+   *                            is allowed to describe are returned when empty
+   *                            [{ principalType: 'User', principalName: 'alice' }]
+   * @returns {Promise}
+   */
+  async describeDelegationToken({ owners = [] } = {}) {
+    const describeDelegationToken = this.lookupRequest(
+      apiKeys.DescribeDelegationToken,
+      requests.DescribeDelegationToken
+    )
+    return await this.connection.send(describeDelegationToken({ owners }))
+  }
+
+  /**
+   * @public
+   * @param {ElectionType} [electionType=0] The type of election, PREFERRED (0) or UNCLEAN (1)
+   * @param {Array} [topicPartitions=[]] The topic partitions which should elect a new leader,
+   *                                     all partitions are elected when empty
+   *                                     [{ topic: 'topic-name', partitions: [0, 1] }]
+   * @param {number} [timeout=5000] The time in ms to wait for the election to complete
+   * @returns {Promise}
+   */
+  async electLeaders({ electionType, topicPartitions = [], timeout = 5000 }) {
+    const electLeaders = this.lookupRequest(apiKeys.ElectLeaders, requests.ElectLeaders)
+    return await this.connection.send(electLeaders({ electionType, topicPartitions, timeout }))
+  }
+
   /**
    * @public
    * @param {Array<ResourceQuery>} resources
@@ -4,13 +4,15 @@ const PlainAuthenticator = require('./plain')
 const SCRAM256Authenticator = require('./scram256')
 const SCRAM512Authenticator = require('./scram512')
 const AWSIAMAuthenticator = require('./awsIam')
-const { KafkaJSSASLAuthenticationError } = require('../../errors')
+const OAuthBearerAuthenticator = require('./oauthBearer')
+const { KafkaJSError, KafkaJSSASLAuthenticationError } = require('../../errors')
 
 const AUTHENTICATORS = {
   PLAIN: PlainAuthenticator,
   'SCRAM-SHA-256': SCRAM256Authenticator,
   'SCRAM-SHA-512': SCRAM512Authenticator,
   AWS: AWSIAMAuthenticator,
+  OAUTHBEARER: OAuthBearerAuthenticator,
 }
 
 const SUPPORTED_MECHANISMS = Object.keys(AUTHENTICATORS)
@@ -31,7 +33,15 @@ module.exports = class SASLAuthenticator {
 
   async authenticate() {
     const mechanism = this.connection.sasl.mechanism.toUpperCase()
-    if (!SUPPORTED_MECHANISMS.includes(mechanism)) {
+    const { authenticationProvider } = this.connection.sasl
+
+    if (authenticationProvider != null && typeof authenticationProvider !== 'function') {
+      throw new KafkaJSSASLAuthenticationError(
+        `SASL ${mechanism}: authenticationProvider has to be a function`
+      )
+    }
+
+    if (!authenticationProvider && !SUPPORTED_MECHANISMS.includes(mechanism)) {
       throw new KafkaJSSASLAuthenticationError(
         `SASL ${mechanism} mechanism is not supported by the client`
       )
@@ -67,7 +77,45 @@ module.exports = class SASLAuthenticator {
       return this.connection.authenticate({ request, response, authExpectResponse })
     }
 
+    if (authenticationProvider) {
+      return this.authenticateWithProvider({ mechanism, authenticationProvider, saslAuthenticate })
+    }
+
     const Authenticator = AUTHENTICATORS[mechanism]
     await new Authenticator(this.connection, this.logger, saslAuthenticate).authenticate()
   }
+
+  /**
+   * Custom mechanisms are implemented by an authentication provider, which receives the same
+   * arguments as the built-in authenticators and returns an object with an async "authenticate"
+   * function
+   *
+   * @private
+   */
+  async authenticateWithProvider({ mechanism, authenticationProvider, saslAuthenticate }) {
+    const authenticator = authenticationProvider({
+      connection: this.connection,
+      logger: this.logger.namespace(`SASL${mechanism}Authenticator`),
+      saslAuthenticate,
+    })
+
+    if (!authenticator || typeof authenticator.authenticate !== 'function') {
+      throw new KafkaJSSASLAuthenticationError(
+        `SASL ${mechanism}: authenticationProvider has to return an object with an authenticate function`
+      )
+    }
+
+    try {
+      await authenticator.authenticate()
+    } catch (e) {
+      // Errors from KafkaJS, such as connection errors, keep their type so they can be retried
+      if (e instanceof KafkaJSError) {
+        throw e
+      }
+
+      throw new KafkaJSSASLAuthenticationError(
+        `SASL ${mechanism} authentication failed: ${e.message}`
+      )
+    }
+  }
 }
@@ -0,0 +1,129 @@
+const { newLogger } = require('testHelpers')
+const Encoder = require('../../protocol/encoder')
+const Decoder = require('../../protocol/decoder')
+const apiKeys = require('../../protocol/requests/apiKeys')
+const { KafkaJSConnectionError } = require('../../errors')
+const SASLAuthenticator = require('./index')
+
+describe('Broker > SASL Authenticator', () => {
+  let connection, versions, authenticator
+
+  beforeEach(() => {
+    versions = {
+      [apiKeys.SaslHandshake]: { minVersion: 0, maxVersion: 1 },
+      [apiKeys.SaslAuthenticate]: { minVersion: 0, maxVersion: 1 },
+    }
+
+    connection = {
+      host: 'localhost',
+      port: 9094,
+      sasl: { mechanism: 'custom' },
+      send: jest.fn(async ({ request }) => {
+        if (request.apiKey === apiKeys.SaslHandshake) {
+          return { enabledMechanisms: ['PLAIN', 'CUSTOM'] }
+        }
+
+        return {
+          authBytes: new Encoder().writeBytes('server-message').buffer,
+          sessionLifetimeMs: '3600000',
+        }
+      }),
+    }
+  })
+
+  test('throws KafkaJSSASLAuthenticationError for unsupported mechanisms', async () => {
+    authenticator = new SASLAuthenticator(connection, newLogger(), versions, true)
+    await expect(authenticator.authenticate()).rejects.toThrow(
+      'SASL CUSTOM mechanism is not supported by the client'
+    )
+  })
+
+  test('throws KafkaJSSASLAuthenticationError for an invalid authenticationProvider', async () => {
+    connection.sasl.authenticationProvider = 'provider'
+    authenticator = new SASLAuthenticator(connection, newLogger(), versions, true)
+    await expect(authenticator.authenticate()).rejects.toThrow(
+      'SASL CUSTOM: authenticationProvider has to be a function'
+    )
+
+    connection.sasl.authenticationProvider = () => ({})
+    await expect(authenticator.authenticate()).rejects.toThrow(
+      'SASL CUSTOM: authenticationProvider has to return an object with an authenticate function'
+    )
+  })
+
+  test('throws KafkaJSSASLAuthenticationError if the server does not support the mechanism', async () => {
+    connection.sasl = { mechanism: 'gssapi', authenticationProvider: jest.fn() }
+    authenticator = new SASLAuthenticator(connection, newLogger(), versions, true)
+    await expect(authenticator.authenticate()).rejects.toThrow(
+      'SASL GSSAPI mechanism is not supported by the server'
+    )
+    expect(connection.sasl.authenticationProvider).not.toHaveBeenCalled()
+  })
+
+  describe('with a custom authenticationProvider', () => {
+    let authenticate
+
+    beforeEach(() => {
+      authenticate = jest.fn()
+      connection.sasl.authenticationProvider = jest.fn(({ saslAuthenticate }) => ({
+        authenticate: async () => {
+          authenticate(
+            await saslAuthenticate({
+              authExpectResponse: true,
+              request: { encode: async () => new Encoder().writeBytes('client-message') },
+              response: {
+                decode: async rawData => new Decoder(rawData).readBytes(),
+                parse: async data => data.toString(),
+              },
+            })
+          )
+        },
+      }))
+    })
+
+    test('authenticates with the provider', async () => {
+      authenticator = new SASLAuthenticator(connection, newLogger(), versions, true)
+      await authenticator.authenticate()
+
+      expect(connection.sasl.authenticationProvider).toHaveBeenCalledWith({
+        connection,
+        logger: expect.any(Object),
+        saslAuthenticate: expect.any(Function),
+      })
+      expect(connection.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          request: expect.objectContaining({ apiName: 'SaslHandshake' }),
+        })
+      )
+      expect(authenticate).toHaveBeenCalledWith('server-message')
+      expect(authenticator.sessionLifetime).toEqual('3600000')
+    })
+
+    test('wraps the errors thrown by the provider', async () => {
+      connection.sasl.authenticationProvider = () => ({
+        authenticate: async () => {
+          throw new Error('ticket expired')
+        },
+      })
+
+      authenticator = new SASLAuthenticator(connection, newLogger(), versions, true)
+      await expect(authenticator.authenticate()).rejects.toMatchObject({
+        name: 'KafkaJSSASLAuthenticationError',
+        message: 'SASL CUSTOM authentication failed: ticket expired',
+      })
+    })
+
+    test('keeps the KafkaJS errors thrown by the provider', async () => {
+      connection.sasl.authenticationProvider = () => ({
+        authenticate: async () => {
+          throw new KafkaJSConnectionError('Connection closed by the server')
+        },
+      })
+
+      authenticator = new SASLAuthenticator(connection, newLogger(), versions, true)
+      await expect(authenticator.authenticate()).rejects.toMatchObject({
+        name: 'KafkaJSConnectionError',
+      })
+    })
+  })
+})
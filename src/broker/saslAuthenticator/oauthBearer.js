@@ -0,0 +1,81 @@
+const oauthBearer = require('../../protocol/sasl/oauthBearer')
+const { KafkaJSSASLAuthenticationError } = require('../../errors')
+
+// https://tools.ietf.org/html/rfc7628#section-3.1
+const EXTENSION_KEY_REGEX = /^[A-Za-z]+$/
+const EXTENSION_VALUE_REGEX = /^[\x21-\x7E \t\r\n]+$/
+const RESERVED_EXTENSION_KEY = 'auth'
+
+module.exports = class OAuthBearerAuthenticator {
+  constructor(connection, logger, saslAuthenticate) {
+    this.connection = connection
+    this.logger = logger.namespace('SASLOAuthBearerAuthenticator')
+    this.saslAuthenticate = saslAuthenticate
+  }
+
+  /**
+   * The token provider is called on every authentication, including the
+   * re-authentications which happen before the session lifetime returned
+   * by the broker expires, so it can return a refreshed token
+   */
+  async authenticate() {
+    const { sasl } = this.connection
+    if (typeof sasl.oauthBearerProvider !== 'function') {
+      throw new KafkaJSSASLAuthenticationError('SASL OAUTHBEARER: Missing oauthBearerProvider')
+    }
+
+    const oauthBearerToken = await sasl.oauthBearerProvider()
+    if (!oauthBearerToken || !oauthBearerToken.value) {
+      throw new KafkaJSSASLAuthenticationError(
+        'SASL OAUTHBEARER: Invalid token returned by oauthBearerProvider'
+      )
+    }
+
+    const { extensions = {} } = oauthBearerToken
+    for (const key of Object.keys(extensions)) {
+      if (key === RESERVED_EXTENSION_KEY || !EXTENSION_KEY_REGEX.test(key)) {
+        throw new KafkaJSSASLAuthenticationError(`SASL OAUTHBEARER: Invalid extension key "${key}"`)
+      }
+
+      if (!EXTENSION_VALUE_REGEX.test(extensions[key])) {
+        throw new KafkaJSSASLAuthenticationError(
+          `SASL OAUTHBEARER: Invalid value for extension "${key}"`
+        )
+      }
+    }
+
+    const request = oauthBearer.request(sasl, oauthBearerToken)
+    const response = oauthBearer.response
+    const { host, port } = this.connection
+    const broker = `${host}:${port}`
+
+    let serverError
+    try {
+      this.logger.debug('Authenticate with SASL OAUTHBEARER', { broker })
+      serverError = await this.saslAuthenticate({ request, response, authExpectResponse: true })
+    } catch (e) {
+      const error = new KafkaJSSASLAuthenticationError(
+        `SASL OAUTHBEARER authentication failed: ${e.message}`
+      )
+      this.logger.error(error.message, { broker })
+      throw error
+    }
+
+    if (serverError) {
+      try {
+        await this.saslAuthenticate({ request: oauthBearer.errorAcknowledgement(), response })
+      } catch (_) {
+        // The server fails the authentication after the acknowledgement, the error
+        // challenge is more useful than the generic error returned
+      }
+
+      const error = new KafkaJSSASLAuthenticationError(
+        `SASL OAUTHBEARER authentication failed: ${serverError}`
+      )
+      this.logger.error(error.message, { broker })
+      throw error
+    }
+
+    this.logger.debug('SASL OAUTHBEARER authentication successful', { broker })
+  }
+}
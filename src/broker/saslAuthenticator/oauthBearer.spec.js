@@ -0,0 +1,108 @@
+const Decoder = require('../../protocol/decoder')
+const { newLogger } = require('testHelpers')
+const OAuthBearer = require('./oauthBearer')
+
+describe('Broker > SASL Authenticator > OAUTHBEARER', () => {
+  let connection, saslAuthenticate, serverResponses
+
+  const sentMessages = async () =>
+    Promise.all(
+      saslAuthenticate.mock.calls.map(async ([{ request }]) => {
+        const { buffer } = await request.encode()
+        return new Decoder(buffer).readBytes().toString()
+      })
+    )
+
+  beforeEach(() => {
+    serverResponses = [null]
+    connection = {
+      host: 'localhost',
+      port: 9092,
+      sasl: { oauthBearerProvider: async () => ({ value: '<token>' }) },
+    }
+    saslAuthenticate = jest.fn(async () => serverResponses.shift())
+  })
+
+  it('throws KafkaJSSASLAuthenticationError for missing oauthBearerProvider', async () => {
+    const oauthBearer = new OAuthBearer({ sasl: {} }, newLogger(), saslAuthenticate)
+    await expect(oauthBearer.authenticate()).rejects.toThrow(
+      'SASL OAUTHBEARER: Missing oauthBearerProvider'
+    )
+  })
+
+  it('throws KafkaJSSASLAuthenticationError for invalid token', async () => {
+    connection.sasl.oauthBearerProvider = async () => ({})
+    const oauthBearer = new OAuthBearer(connection, newLogger(), saslAuthenticate)
+    await expect(oauthBearer.authenticate()).rejects.toThrow(
+      'SASL OAUTHBEARER: Invalid token returned by oauthBearerProvider'
+    )
+  })
+
+  it('throws KafkaJSSASLAuthenticationError for invalid extensions', async () => {
+    connection.sasl.oauthBearerProvider = async () => ({
+      value: '<token>',
+      extensions: { auth: 'value' },
+    })
+    const oauthBearer = new OAuthBearer(connection, newLogger(), saslAuthenticate)
+    await expect(oauthBearer.authenticate()).rejects.toThrow(
+      'SASL OAUTHBEARER: Invalid extension key "auth"'
+    )
+
+    connection.sasl.oauthBearerProvider = async () => ({
+      value: '<token>',
+      extensions: { traceId: 'a\u0001b' },
+    })
+    await expect(oauthBearer.authenticate()).rejects.toThrow(
+      'SASL OAUTHBEARER: Invalid value for extension "traceId"'
+    )
+    expect(saslAuthenticate).not.toHaveBeenCalled()
+  })
+
+  it('sends the token and the extensions', async () => {
+    connection.sasl.authorizationIdentity = 'bob,'
+    connection.sasl.oauthBearerProvider = async () => ({
+      value: '<token>',
+      extensions: { traceId: '123', logicalCluster: 'lkc-1' },
+    })
+    const oauthBearer = new OAuthBearer(connection, newLogger(), saslAuthenticate)
+
+    await oauthBearer.authenticate()
+    expect(saslAuthenticate).toHaveBeenCalledWith(
+      expect.objectContaining({ authExpectResponse: true })
+    )
+    expect(await sentMessages()).toEqual([
+      'n,a=bob=2C,\u0001auth=Bearer <token>\u0001traceId=123\u0001logicalCluster=lkc-1\u0001\u0001',
+    ])
+  })
+
+  it('requests a new token on every authentication', async () => {
+    let tokens = 0
+    serverResponses = [null, null]
+    connection.sasl.oauthBearerProvider = async () => ({ value: `token-${++tokens}` })
+    const oauthBearer = new OAuthBearer(connection, newLogger(), saslAuthenticate)
+
+    await oauthBearer.authenticate()
+    await oauthBearer.authenticate()
+    expect(await sentMessages()).toEqual([
+      'n,,\u0001auth=Bearer token-1\u0001\u0001',
+      'n,,\u0001auth=Bearer token-2\u0001\u0001',
+    ])
+  })
+
+  it('acknowledges the server error and throws it', async () => {
+    const serverError = '{"status":"invalid_token"}'
+    saslAuthenticate
+      .mockImplementationOnce(async () => serverError)
+      .mockImplementationOnce(async () => {
+        throw new Error('Authentication failed during authentication due to invalid credentials')
+      })
+
+    const oauthBearer = new OAuthBearer(connection, newLogger(), saslAuthenticate)
+    await expect(oauthBearer.authenticate()).rejects.toMatchObject({
+      name: 'KafkaJSSASLAuthenticationError',
+      message: `SASL OAUTHBEARER authentication failed: ${serverError}`,
+    })
+
+    expect(await sentMessages()).toEqual(['n,,\u0001auth=Bearer <token>\u0001\u0001', '\u0001'])
+  })
+})
@@ -269,10 +269,15 @@ class SCRAM {
   }
 
   /**
+   * Delegation tokens authenticate with the token id as the username and the base64 encoded
+   * HMAC as the password, the broker is told to look up the token with the "tokenauth" extension
+   *
+   * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-48+Delegation+token+support+for+Kafka
    * @private
    */
   firstMessageBare() {
-    return `n=${this.encodedUsername()},r=${this.currentNonce}`
+    const extensions = this.connection.sasl.tokenAuth ? ',tokenauth=true' : ''
+    return `n=${this.encodedUsername()},r=${this.currentNonce}${extensions}`
   }
 
   /**
@@ -116,6 +116,18 @@ describe('Broker > SASL Authenticator > SCRAM', () => {
         const decoder = new Decoder(encoder.buffer)
         expect(decoder.readBytes().toString()).toEqual(`n,,n=bob=3D,r=${scram.currentNonce}`)
       })
+
+      test('delegation token', async () => {
+        connection.sasl = { username: 'Vy8HdvMsRfCNxsKUr5rN3g', password: 'hmac', tokenAuth: true }
+        await scram.sendClientFirstMessage()
+
+        const { request } = connection.authenticate.mock.calls[0][0]
+        const encoder = await request.encode()
+        const decoder = new Decoder(encoder.buffer)
+        expect(decoder.readBytes().toString()).toEqual(
+          `n,,n=Vy8HdvMsRfCNxsKUr5rN3g,r=${scram.currentNonce},tokenauth=true`
+        )
+      })
     })
 
     describe('second message', () => {
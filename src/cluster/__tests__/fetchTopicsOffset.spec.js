@@ -68,4 +68,18 @@ describe('Cluster > fetchTopicsOffset', () => {
 
     expect(result).toEqual([{ topic, partitions: [{ partition: 0, offset: '0' }] }])
   })
+
+  test('returns the offset of the first message at or after fromTimestamp', async () => {
+    const result = await cluster.fetchTopicsOffset([
+      { topic, partitions: [{ partition: 0 }], fromTimestamp: 0 },
+    ])
+    expect(result).toEqual([{ topic, partitions: [{ partition: 0, offset: '0' }] }])
+
+    const resultAfterLastMessage = await cluster.fetchTopicsOffset([
+      { topic, partitions: [{ partition: 0 }], fromTimestamp: Date.now() + 60000 },
+    ])
+    expect(resultAfterLastMessage).toEqual([
+      { topic, partitions: [{ partition: 0, offset: '-1' }] },
+    ])
+  })
 })
@@ -0,0 +1,30 @@
+const { createCluster } = require('testHelpers')
+const { KafkaJSMetadataNotLoaded } = require('../../errors')
+
+describe('Cluster > findBrokerRacks', () => {
+  let cluster
+
+  beforeEach(() => {
+    cluster = createCluster()
+  })
+
+  test('returns the rack of each broker', () => {
+    cluster.brokerPool.metadata = {
+      brokers: [
+        { nodeId: 0, host: 'localhost', port: 9092, rack: 'us-east-1a' },
+        { nodeId: 1, host: 'localhost', port: 9093, rack: 'us-east-1b' },
+        { nodeId: 2, host: 'localhost', port: 9094, rack: null },
+      ],
+    }
+
+    expect(cluster.findBrokerRacks()).toEqual({ 0: 'us-east-1a', 1: 'us-east-1b' })
+  })
+
+  test('throws KafkaJSMetadataNotLoaded if the metadata is not loaded', () => {
+    cluster.brokerPool.metadata = null
+    expect(() => cluster.findBrokerRacks()).toThrow(KafkaJSMetadataNotLoaded)
+
+    cluster.brokerPool.metadata = {}
+    expect(() => cluster.findBrokerRacks()).toThrow(KafkaJSMetadataNotLoaded)
+  })
+})
@@ -260,6 +260,22 @@ module.exports = class Cluster {
     return topicMetadata ? topicMetadata.partitionMetadata : []
   }
 
+  /**
+   * @public
+   * @returns {Object} The rack of each broker, brokers without a rack are not included, e.g:
+   *                   { '0': 'us-east-1a', '1': 'us-east-1b' }
+   */
+  findBrokerRacks() {
+    const { metadata } = this.brokerPool
+    if (!metadata || !metadata.brokers) {
+      throw new KafkaJSMetadataNotLoaded('Broker metadata not loaded')
+    }
+
+    return metadata.brokers
+      .filter(({ rack }) => rack != null)
+      .reduce((result, { nodeId, rack }) => ({ ...result, [nodeId]: rack }), {})
+  }
+
   /**
    * @public
    * @param {string} topic
@@ -389,7 +405,8 @@ module.exports = class Cluster {
    *                            {
    *                              topic: 'my-topic-name',
    *                              partitions: [{ partition: 0 }],
-   *                              fromBeginning: false
+   *                              fromBeginning: false,
+   *                              fromTimestamp: 1600000000000 // optional, overrides fromBeginning
    *                            }
    *                          ]
    * @returns {Promise<Array>} example:
@@ -409,19 +426,21 @@ module.exports = class Cluster {
     const topicConfigurations = {}
 
     const addDefaultOffset = topic => partition => {
-      const { fromBeginning } = topicConfigurations[topic]
-      return { ...partition, timestamp: this.defaultOffset({ fromBeginning }) }
+      const { fromBeginning, fromTimestamp } = topicConfigurations[topic]
+      const timestamp =
+        fromTimestamp != null ? fromTimestamp : this.defaultOffset({ fromBeginning })
+      return { ...partition, timestamp }
     }
 
     // Index all topics and partitions per leader (nodeId)
     for (const topicData of topics) {
-      const { topic, partitions, fromBeginning } = topicData
+      const { topic, partitions, fromBeginning, fromTimestamp } = topicData
       const partitionsPerLeader = this.findLeaderForPartitions(
         topic,
         partitions.map(p => p.partition)
       )
 
-      topicConfigurations[topic] = { fromBeginning }
+      topicConfigurations[topic] = { fromBeginning, fromTimestamp }
 
       keys(partitionsPerLeader).map(nodeId => {
         partitionsPerBroker[nodeId] = partitionsPerBroker[nodeId] || {}
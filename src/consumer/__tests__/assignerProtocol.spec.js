@@ -25,6 +25,21 @@ describe('Consumer > assignerProtocol', () => {
         userData: Buffer.alloc(0),
       })
     })
+
+    test('encode and decode the owned partitions', () => {
+      const buffer = MemberMetadata.encode({
+        version: 1,
+        topics: ['topic-test'],
+        ownedPartitions: [{ topic: 'topic-test', partitions: [0, 2] }],
+      })
+
+      expect(MemberMetadata.decode(buffer)).toEqual({
+        version: 1,
+        topics: ['topic-test'],
+        userData: Buffer.alloc(0),
+        ownedPartitions: [{ topic: 'topic-test', partitions: [0, 2] }],
+      })
+    })
   })
 
   describe('MemberAssignment', () => {
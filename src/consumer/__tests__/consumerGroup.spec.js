@@ -1,6 +1,18 @@
 const ConsumerGroup = require('../consumerGroup')
+const {
+  KafkaJSMemberIdRequired,
+  KafkaJSOffsetOutOfRange,
+  KafkaJSConnectionError,
+} = require('../../errors')
+const { createErrorFromCode } = require('../../protocol/error')
+const { COOPERATIVE } = require('../rebalanceProtocols')
+const InstrumentationEventEmitter = require('../../instrumentation/emitter')
 const { newLogger } = require('testHelpers')
 
+const MEMBER_ID_REQUIRED = 79
+const REBALANCE_IN_PROGRESS = 27
+const OFFSET_OUT_OF_RANGE = 1
+
 describe('ConsumerGroup', () => {
   let consumerGroup
 
@@ -32,4 +44,246 @@ describe('ConsumerGroup', () => {
       expect(consumerGroup.offsetManager.commitOffsets).toHaveBeenCalledWith(offsets)
     })
   })
+
+  describe('join', () => {
+    let coordinator
+
+    beforeEach(() => {
+      coordinator = { joinGroup: jest.fn() }
+      consumerGroup = new ConsumerGroup({
+        logger: newLogger(),
+        topics: ['topic1'],
+        groupId: 'group-id',
+        groupInstanceId: 'instance-1',
+        assigners: [],
+        cluster: { findGroupCoordinator: jest.fn(() => coordinator) },
+      })
+    })
+
+    it('joins the group again with the member id assigned by the coordinator', async () => {
+      coordinator.joinGroup
+        .mockImplementationOnce(() => {
+          throw new KafkaJSMemberIdRequired(createErrorFromCode(MEMBER_ID_REQUIRED), {
+            memberId: 'member-1',
+          })
+        })
+        .mockImplementationOnce(() => ({
+          generationId: 1,
+          leaderId: 'member-1',
+          memberId: 'member-1',
+        }))
+
+      await consumerGroup.join()
+
+      expect(coordinator.joinGroup).toHaveBeenCalledTimes(2)
+      expect(coordinator.joinGroup).toHaveBeenLastCalledWith(
+        expect.objectContaining({ memberId: 'member-1', groupInstanceId: 'instance-1' })
+      )
+      expect(consumerGroup.memberId).toEqual('member-1')
+    })
+  })
+
+  describe('leave', () => {
+    it('does not leave the group when it is a static member', async () => {
+      consumerGroup = new ConsumerGroup({
+        logger: newLogger(),
+        topics: ['topic1'],
+        groupInstanceId: 'instance-1',
+        cluster: {},
+      })
+      consumerGroup.coordinator = { leaveGroup: jest.fn() }
+      consumerGroup.memberId = 'member-1'
+
+      await consumerGroup.leave()
+
+      expect(consumerGroup.coordinator.leaveGroup).not.toHaveBeenCalled()
+      expect(consumerGroup.memberId).toBeNull()
+    })
+
+    it('leaves the group when it is a dynamic member', async () => {
+      consumerGroup.coordinator = { leaveGroup: jest.fn() }
+      consumerGroup.memberId = 'member-1'
+
+      await consumerGroup.leave()
+
+      expect(consumerGroup.coordinator.leaveGroup).toHaveBeenCalledWith({
+        groupId: consumerGroup.groupId,
+        memberId: 'member-1',
+      })
+      expect(consumerGroup.memberId).toBeNull()
+    })
+  })
+
+  describe('with the cooperative rebalance protocol', () => {
+    let coordinator, assigner
+
+    beforeEach(() => {
+      coordinator = {
+        joinGroup: jest.fn(() => ({ generationId: 2, leaderId: 'member-1', memberId: 'member-1' })),
+        heartbeat: jest.fn(),
+      }
+      assigner = { protocol: jest.fn(() => ({ name: 'CooperativeAssigner' })) }
+      consumerGroup = new ConsumerGroup({
+        logger: newLogger(),
+        topics: ['topic1'],
+        groupId: 'group-id',
+        assigners: [assigner],
+        rebalanceProtocol: COOPERATIVE,
+        instrumentationEmitter: new InstrumentationEventEmitter(),
+        cluster: { findGroupCoordinator: jest.fn(() => coordinator) },
+      })
+    })
+
+    it('sends the owned partitions when joining the group', async () => {
+      consumerGroup.subscriptionState.assign([{ topic: 'topic1', partitions: [0, 1] }])
+
+      await consumerGroup.join()
+
+      expect(assigner.protocol).toHaveBeenCalledWith({
+        topics: ['topic1'],
+        ownedPartitions: [{ topic: 'topic1', partitions: [0, 1] }],
+        generationId: -1,
+      })
+    })
+
+    it('does not throw when the group is rebalancing during the heartbeat', async () => {
+      await consumerGroup.join()
+      coordinator.heartbeat.mockImplementationOnce(() => {
+        throw createErrorFromCode(REBALANCE_IN_PROGRESS)
+      })
+
+      expect(consumerGroup.needsRejoin()).toEqual(false)
+      await expect(consumerGroup.heartbeat({ interval: 0 })).resolves.toBeUndefined()
+      expect(consumerGroup.needsRejoin()).toEqual(true)
+
+      await consumerGroup.join()
+      expect(consumerGroup.needsRejoin()).toEqual(false)
+    })
+
+    it('throws the other heartbeat errors', async () => {
+      await consumerGroup.join()
+      coordinator.heartbeat.mockImplementationOnce(() => {
+        throw createErrorFromCode(MEMBER_ID_REQUIRED)
+      })
+
+      await expect(consumerGroup.heartbeat({ interval: 0 })).rejects.toHaveProperty(
+        'type',
+        'MEMBER_ID_REQUIRED'
+      )
+    })
+  })
+
+  describe('fetching from the preferred read replica', () => {
+    let broker, cluster
+
+    beforeEach(() => {
+      broker = { fetch: jest.fn(() => ({ sessionId: 0, responses: [] })) }
+      cluster = {
+        findBroker: jest.fn(() => broker),
+        findLeaderForPartitions: jest.fn(() => ({ 0: [0, 1] })),
+        findTopicPartitionMetadata: jest.fn(() => [
+          { partitionId: 0, leader: 0, replicas: [0, 1, 2] },
+          { partitionId: 1, leader: 0, replicas: [0, 2] },
+        ]),
+      }
+      consumerGroup = new ConsumerGroup({
+        logger: newLogger(),
+        topics: ['topic1'],
+        groupId: 'group-id',
+        rackId: 'us-east-1a',
+        cluster,
+      })
+      consumerGroup.offsetManager = { setDefaultOffset: jest.fn() }
+    })
+
+    it('fetches from the leader without a preferred read replica', () => {
+      expect(consumerGroup.findReadReplicaForPartitions('topic1', [0, 1])).toEqual({ 0: [0, 1] })
+    })
+
+    it('fetches from the preferred read replica returned by the leader', () => {
+      consumerGroup.updatePreferredReadReplica({
+        topic: 'topic1',
+        partition: 0,
+        preferredReadReplica: 1,
+      })
+      consumerGroup.updatePreferredReadReplica({
+        topic: 'topic1',
+        partition: 1,
+        preferredReadReplica: -1,
+      })
+
+      expect(consumerGroup.findReadReplicaForPartitions('topic1', [0, 1])).toEqual({
+        0: [1],
+        1: [0],
+      })
+    })
+
+    it('fetches from the leader when the preferred read replica is no longer a replica', () => {
+      consumerGroup.updatePreferredReadReplica({
+        topic: 'topic1',
+        partition: 1,
+        preferredReadReplica: 1,
+      })
+
+      expect(consumerGroup.findReadReplicaForPartitions('topic1', [0, 1])).toEqual({ 0: [0, 1] })
+    })
+
+    it('sends the rack id to the broker', async () => {
+      await consumerGroup.fetchFromBroker({
+        nodeId: '0',
+        maxWaitTime: 100,
+        minBytes: 1,
+        maxBytes: 1024,
+        topics: [],
+      })
+
+      expect(broker.fetch).toHaveBeenCalledWith(expect.objectContaining({ rackId: 'us-east-1a' }))
+    })
+
+    it('falls back to the leader when the preferred read replica is unavailable', async () => {
+      consumerGroup.updatePreferredReadReplica({
+        topic: 'topic1',
+        partition: 0,
+        preferredReadReplica: 1,
+      })
+      broker.fetch.mockImplementationOnce(() => {
+        throw new KafkaJSConnectionError('Connection error')
+      })
+
+      await expect(
+        consumerGroup.fetchFromBroker({
+          nodeId: '1',
+          maxWaitTime: 100,
+          minBytes: 1,
+          maxBytes: 1024,
+          topics: [],
+        })
+      ).rejects.toThrow(KafkaJSConnectionError)
+
+      expect(consumerGroup.findReadReplicaForPartitions('topic1', [0, 1])).toEqual({ 0: [0, 1] })
+    })
+
+    it('falls back to the leader when the offset is out of range on the preferred read replica', async () => {
+      consumerGroup.updatePreferredReadReplica({
+        topic: 'topic1',
+        partition: 0,
+        preferredReadReplica: 1,
+      })
+
+      const error = new KafkaJSOffsetOutOfRange(createErrorFromCode(OFFSET_OUT_OF_RANGE), {
+        topic: 'topic1',
+        partition: 0,
+      })
+
+      await consumerGroup.recoverFromOffsetOutOfRange(error)
+      expect(consumerGroup.offsetManager.setDefaultOffset).not.toHaveBeenCalled()
+      expect(consumerGroup.findReadReplicaForPartitions('topic1', [0, 1])).toEqual({ 0: [0, 1] })
+
+      await consumerGroup.recoverFromOffsetOutOfRange(error)
+      expect(consumerGroup.offsetManager.setDefaultOffset).toHaveBeenCalledWith({
+        topic: 'topic1',
+        partition: 0,
+      })
+    })
+  })
 })
@@ -0,0 +1,79 @@
+const cooperativeAssignment = require('../cooperativeAssignment')
+const { MemberMetadata, MemberAssignment } = require('../assignerProtocol')
+
+describe('Consumer > cooperativeAssignment', () => {
+  const member = (memberId, ownedPartitions) => ({
+    memberId,
+    memberMetadata: MemberMetadata.encode({ version: 1, topics: ['topic-A'], ownedPartitions }),
+  })
+
+  const memberAssignment = (memberId, assignment) => ({
+    memberId,
+    memberAssignment: MemberAssignment.encode({ version: 1, assignment }),
+  })
+
+  const decode = assignment =>
+    assignment.reduce(
+      (result, { memberId, memberAssignment }) => ({
+        ...result,
+        [memberId]: MemberAssignment.decode(memberAssignment).assignment,
+      }),
+      {}
+    )
+
+  test('removes the partitions which are still owned by another member', () => {
+    const members = [
+      member('member-1', [{ topic: 'topic-A', partitions: [0, 1, 2, 3] }]),
+      member('member-2', []),
+    ]
+
+    const assignment = cooperativeAssignment({
+      members,
+      assignment: [
+        memberAssignment('member-1', { 'topic-A': [0, 1] }),
+        memberAssignment('member-2', { 'topic-A': [2, 3] }),
+      ],
+    })
+
+    expect(decode(assignment)).toEqual({
+      'member-1': { 'topic-A': [0, 1] },
+      'member-2': {},
+    })
+  })
+
+  test('keeps the partitions which are not owned by any member', () => {
+    const members = [
+      member('member-1', [{ topic: 'topic-A', partitions: [0, 1] }]),
+      member('member-2', [{ topic: 'topic-A', partitions: [2] }]),
+    ]
+
+    const assignment = cooperativeAssignment({
+      members,
+      assignment: [
+        memberAssignment('member-1', { 'topic-A': [0, 1] }),
+        memberAssignment('member-2', { 'topic-A': [2, 3], 'topic-B': [0] }),
+      ],
+    })
+
+    expect(decode(assignment)).toEqual({
+      'member-1': { 'topic-A': [0, 1] },
+      'member-2': { 'topic-A': [2, 3], 'topic-B': [0] },
+    })
+  })
+
+  test('handles members without owned partitions in the metadata', () => {
+    const members = [
+      {
+        memberId: 'member-1',
+        memberMetadata: MemberMetadata.encode({ version: 1, topics: ['topic-A'] }),
+      },
+    ]
+
+    const assignment = cooperativeAssignment({
+      members,
+      assignment: [memberAssignment('member-1', { 'topic-A': [0, 1] })],
+    })
+
+    expect(decode(assignment)).toEqual({ 'member-1': { 'topic-A': [0, 1] } })
+  })
+})
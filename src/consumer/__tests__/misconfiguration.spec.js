@@ -1,5 +1,7 @@
+const { Kafka, logLevel } = require('../../../index')
 const createConsumer = require('../index')
 const { KafkaJSNonRetriableError } = require('../../errors')
+const RebalanceProtocols = require('../rebalanceProtocols')
 
 const { createCluster, newLogger } = require('testHelpers')
 
@@ -29,4 +31,127 @@ describe('Consumer', () => {
       })
     ).toThrowWithMessage(KafkaJSNonRetriableError, errorMessage)
   })
+
+  it('throws when groupInstanceId is not a valid string', () => {
+    const errorMessage = 'Consumer groupInstanceId must be a non-empty string.'
+
+    expect(() =>
+      createConsumer({
+        cluster: createCluster(),
+        logger: newLogger(),
+        groupId: 'test-group-id',
+        groupInstanceId: '',
+      })
+    ).toThrowWithMessage(KafkaJSNonRetriableError, errorMessage)
+  })
+
+  it('throws when rackId is not a valid string', () => {
+    const errorMessage = 'Consumer rackId must be a non-empty string.'
+
+    expect(() =>
+      createConsumer({
+        cluster: createCluster(),
+        logger: newLogger(),
+        groupId: 'test-group-id',
+        rackId: '',
+      })
+    ).toThrowWithMessage(KafkaJSNonRetriableError, errorMessage)
+  })
+
+  it('throws when interceptors is not an array', () => {
+    const errorMessage = 'Consumer interceptors must be an array.'
+
+    expect(() =>
+      createConsumer({
+        cluster: createCluster(),
+        logger: newLogger(),
+        groupId: 'test-group-id',
+        interceptors: { onConsume: () => {} },
+      })
+    ).toThrowWithMessage(KafkaJSNonRetriableError, errorMessage)
+  })
+
+  it('throws when interceptors is not an array, when created by the client', () => {
+    const errorMessage = 'Consumer interceptors must be an array.'
+    const client = new Kafka({ brokers: ['localhost:9092'], logLevel: logLevel.NOTHING })
+
+    expect(() =>
+      client.consumer({ groupId: 'test-group-id', interceptors: 'not-an-array' })
+    ).toThrowWithMessage(KafkaJSNonRetriableError, errorMessage)
+  })
+
+  it('throws when a deserializer is not a function', () => {
+    const errorMessage = 'Consumer deserializers.value must be a function'
+
+    expect(() =>
+      createConsumer({
+        cluster: createCluster(),
+        logger: newLogger(),
+        groupId: 'test-group-id',
+        deserializers: { value: 'json' },
+      })
+    ).toThrowWithMessage(KafkaJSNonRetriableError, errorMessage)
+  })
+
+  it('throws when a deserializer is not a function, when created by the client', () => {
+    const errorMessage = 'Consumer deserializers.value must be a function'
+    const client = new Kafka({ brokers: ['localhost:9092'], logLevel: logLevel.NOTHING })
+
+    expect(() =>
+      client.consumer({ groupId: 'test-group-id', deserializers: { value: 42 } })
+    ).toThrowWithMessage(KafkaJSNonRetriableError, errorMessage)
+  })
+
+  it('throws when the partition assigners do not support a common rebalance protocol', () => {
+    const errorMessage =
+      "The partition assigners (EagerAssigner, CooperativeAssigner) don't support a common rebalance protocol"
+
+    expect(() =>
+      createConsumer({
+        cluster: createCluster(),
+        logger: newLogger(),
+        groupId: 'test-group-id',
+        partitionAssigners: [
+          () => ({ name: 'EagerAssigner' }),
+          () => ({
+            name: 'CooperativeAssigner',
+            supportedProtocols: [RebalanceProtocols.COOPERATIVE],
+          }),
+        ],
+      })
+    ).toThrowWithMessage(KafkaJSNonRetriableError, errorMessage)
+  })
+
+  describe('run with a transactionalProducer', () => {
+    let consumer, transactionalProducer
+
+    beforeEach(() => {
+      consumer = createConsumer({
+        cluster: createCluster(),
+        logger: newLogger(),
+        groupId: 'test-group-id',
+      })
+      transactionalProducer = { transaction: jest.fn() }
+    })
+
+    it('throws when eachBatch is not provided', async () => {
+      await expect(consumer.run({ transactionalProducer, eachMessage: jest.fn() })).rejects.toThrow(
+        new KafkaJSNonRetriableError('The transactionalProducer option requires eachBatch')
+      )
+    })
+
+    it('throws when consuming partitions concurrently', async () => {
+      await expect(
+        consumer.run({
+          transactionalProducer,
+          eachBatch: jest.fn(),
+          partitionsConsumedConcurrently: 2,
+        })
+      ).rejects.toThrow(
+        new KafkaJSNonRetriableError(
+          'The transactionalProducer option does not support consuming partitions concurrently'
+        )
+      )
+    })
+  })
 })
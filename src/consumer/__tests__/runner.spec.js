@@ -1,6 +1,11 @@
 const Runner = require('../runner')
 const Batch = require('../batch')
-const { KafkaJSProtocolError, KafkaJSNotImplemented } = require('../../errors')
+const {
+  KafkaJSProtocolError,
+  KafkaJSNotImplemented,
+  KafkaJSDeserializationError,
+} = require('../../errors')
+const { Deserializers } = require('../../serialization')
 const { createErrorFromCode } = require('../../protocol/error')
 const InstrumentationEventEmitter = require('../../instrumentation/emitter')
 const { newLogger, secureRandom } = require('testHelpers')
@@ -9,7 +14,10 @@ const BufferedAsyncIterator = require('../../utils/bufferedAsyncIterator')
 
 const UNKNOWN = -1
 const REBALANCE_IN_PROGRESS = 27
+const INVALID_PRODUCER_EPOCH = 47
+const FENCED_INSTANCE_ID = 82
 const rebalancingError = () => new KafkaJSProtocolError(createErrorFromCode(REBALANCE_IN_PROGRESS))
+const fencedError = () => new KafkaJSProtocolError(createErrorFromCode(FENCED_INSTANCE_ID))
 
 describe('Consumer > Runner', () => {
   let runner, consumerGroup, onCrash, eachBatch, topicName, partition, emptyBatch
@@ -38,6 +46,7 @@ describe('Consumer > Runner', () => {
       heartbeat: jest.fn(),
       assigned: jest.fn(() => []),
       isLeader: jest.fn(() => true),
+      needsRejoin: jest.fn(() => false),
     }
     const instrumentationEmitter = new InstrumentationEventEmitter()
     runner = new Runner({
@@ -241,6 +250,344 @@ describe('Consumer > Runner', () => {
     expect(onCrash).toHaveBeenCalledWith(notImplementedError)
   })
 
+  describe('with the cooperative rebalance protocol', () => {
+    it('joins the group again after processing the current batches', async () => {
+      await runner.start()
+      consumerGroup.join.mockClear()
+      consumerGroup.commitOffsets.mockClear()
+
+      consumerGroup.needsRejoin.mockImplementationOnce(() => true)
+      await runner.scheduleFetch()
+
+      expect(consumerGroup.commitOffsets).toHaveBeenCalled()
+      expect(consumerGroup.join).toHaveBeenCalledTimes(1)
+      expect(consumerGroup.commitOffsets.mock.invocationCallOrder[0]).toBeLessThan(
+        consumerGroup.join.mock.invocationCallOrder[0]
+      )
+      expect(onCrash).not.toHaveBeenCalled()
+    })
+
+    it('joins the group again after revoking partitions', async () => {
+      consumerGroup.needsRejoin.mockImplementationOnce(() => true)
+      runner.scheduleFetch = jest.fn()
+
+      await runner.start()
+
+      expect(consumerGroup.join).toHaveBeenCalledTimes(2)
+      expect(consumerGroup.sync).toHaveBeenCalledTimes(2)
+      expect(runner.scheduleFetch).toHaveBeenCalled()
+    })
+  })
+
+  it('crashes without re-joining when the member is fenced', async () => {
+    const error = fencedError()
+    consumerGroup.fetch.mockImplementationOnce(() => BufferedAsyncIterator([Promise.reject(error)]))
+
+    await runner.start()
+    consumerGroup.join.mockClear()
+
+    // scheduleFetch in runner#start is async, and we never wait for it,
+    // so we have to wait a bit to give the callback a chance of being executed
+    await sleep(100)
+
+    expect(consumerGroup.join).not.toHaveBeenCalled()
+    expect(onCrash).toHaveBeenCalledWith(error)
+  })
+
+  describe('with a transactionalProducer', () => {
+    let transaction, transactionalProducer, batch
+
+    beforeEach(() => {
+      transaction = {
+        send: jest.fn(),
+        sendOffsets: jest.fn(),
+        commit: jest.fn(),
+        abort: jest.fn(() => Promise.resolve()),
+        isActive: jest.fn(() => true),
+      }
+      transactionalProducer = { transaction: jest.fn(() => transaction) }
+
+      batch = new Batch(topicName, 0, {
+        partition,
+        highWatermark: 5,
+        messages: [{ offset: 4, key: '1', value: '2' }],
+      })
+
+      consumerGroup.groupId = 'consumer-group-id'
+      consumerGroup.markOffsetsAsCommitted = jest.fn()
+      consumerGroup.resetOffset = jest.fn()
+      consumerGroup.uncommittedOffsets.mockImplementation(() => ({
+        topics: [
+          { topic: topicName, partitions: [{ partition: '0', offset: '5' }] },
+          { topic: 'other-topic', partitions: [{ partition: '0', offset: '10' }] },
+        ],
+      }))
+      consumerGroup.fetch.mockImplementationOnce(() =>
+        BufferedAsyncIterator([Promise.resolve([batch])])
+      )
+
+      runner = new Runner({
+        consumerGroup,
+        instrumentationEmitter: new InstrumentationEventEmitter(),
+        eachBatch,
+        transactionalProducer,
+        autoCommit: false,
+        onCrash,
+        logger: newLogger(),
+        partitionsConsumedConcurrently: 1,
+      })
+    })
+
+    it('commits the offsets of the batch within the transaction', async () => {
+      runner.scheduleFetch = jest.fn()
+      await runner.start()
+      await runner.fetch()
+
+      const topics = [{ topic: topicName, partitions: [{ partition: '0', offset: '5' }] }]
+      expect(eachBatch).toHaveBeenCalledWith(expect.objectContaining({ batch, transaction }))
+      expect(consumerGroup.resolveOffset).toHaveBeenCalledWith({
+        topic: topicName,
+        partition,
+        offset: 4,
+      })
+      expect(transaction.sendOffsets).toHaveBeenCalledWith({
+        consumerGroupId: 'consumer-group-id',
+        topics,
+      })
+      expect(transaction.commit).toHaveBeenCalledTimes(1)
+      expect(transaction.sendOffsets.mock.invocationCallOrder[0]).toBeLessThan(
+        transaction.commit.mock.invocationCallOrder[0]
+      )
+      expect(consumerGroup.markOffsetsAsCommitted).toHaveBeenCalledWith({ topics })
+      expect(consumerGroup.commitOffsets).not.toHaveBeenCalled()
+      expect(transaction.abort).not.toHaveBeenCalled()
+    })
+
+    it('aborts the transaction and consumes the batch again when eachBatch fails', async () => {
+      const error = new Error('Error while processing the batch')
+      eachBatch.mockImplementationOnce(() => {
+        throw error
+      })
+
+      runner.scheduleFetch = jest.fn()
+      await runner.start()
+      await expect(runner.fetch()).rejects.toBe(error)
+
+      expect(transaction.sendOffsets).not.toHaveBeenCalled()
+      expect(transaction.commit).not.toHaveBeenCalled()
+      expect(transaction.abort).toHaveBeenCalledTimes(1)
+      expect(consumerGroup.markOffsetsAsCommitted).not.toHaveBeenCalled()
+      expect(consumerGroup.resetOffset).toHaveBeenCalledWith({ topic: topicName, partition })
+    })
+
+    it('crashes without aborting the transaction when the producer is fenced', async () => {
+      const error = new KafkaJSProtocolError(createErrorFromCode(INVALID_PRODUCER_EPOCH))
+      transaction.commit.mockImplementationOnce(() => {
+        throw error
+      })
+
+      await runner.start()
+      consumerGroup.join.mockClear()
+
+      // scheduleFetch in runner#start is async, and we never wait for it,
+      // so we have to wait a bit to give the callback a chance of being executed
+      await sleep(100)
+
+      expect(transaction.abort).not.toHaveBeenCalled()
+      expect(consumerGroup.resetOffset).toHaveBeenCalledWith({ topic: topicName, partition })
+      expect(consumerGroup.join).not.toHaveBeenCalled()
+      expect(onCrash).toHaveBeenCalledWith(error)
+    })
+  })
+
+  describe('with interceptors', () => {
+    let batch, eachMessage, logger
+
+    beforeEach(() => {
+      batch = new Batch(topicName, 0, {
+        partition,
+        highWatermark: 5,
+        messages: [
+          { offset: 3, key: '1', value: 'a' },
+          { offset: 4, key: '2', value: 'b' },
+        ],
+      })
+
+      consumerGroup.fetch.mockImplementationOnce(() =>
+        BufferedAsyncIterator([Promise.resolve([batch])])
+      )
+
+      consumerGroup.hasSeekOffset = jest.fn(() => false)
+      eachMessage = jest.fn()
+      logger = newLogger()
+      logger.error = jest.fn()
+    })
+
+    const createInterceptedRunner = interceptors =>
+      new Runner({
+        consumerGroup,
+        instrumentationEmitter: new InstrumentationEventEmitter(),
+        eachMessage,
+        interceptors,
+        onCrash,
+        logger: { namespace: () => logger },
+        partitionsConsumedConcurrently: 1,
+      })
+
+    it('runs the onConsume interceptors in order before eachMessage', async () => {
+      const interceptors = [
+        {
+          onConsume: jest.fn(({ batch }) =>
+            batch.messages.map(message => ({ ...message, value: message.value.toUpperCase() }))
+          ),
+        },
+        {
+          onConsume: jest.fn(({ batch }) => batch.messages.filter(({ key }) => key === '2')),
+        },
+      ]
+
+      runner = createInterceptedRunner(interceptors)
+      runner.scheduleFetch = jest.fn()
+      await runner.start()
+      await runner.fetch()
+
+      expect(interceptors[0].onConsume).toHaveBeenCalledWith({ batch })
+      expect(eachMessage).toHaveBeenCalledTimes(1)
+      expect(eachMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          topic: topicName,
+          partition,
+          message: { offset: 4, key: '2', value: 'B' },
+        })
+      )
+    })
+
+    it('resolves the last offset of the batch when every message is dropped', async () => {
+      runner = createInterceptedRunner([{ onConsume: () => [] }])
+      runner.scheduleFetch = jest.fn()
+      await runner.start()
+      await runner.fetch()
+
+      expect(eachMessage).not.toHaveBeenCalled()
+      expect(consumerGroup.resolveOffset).toHaveBeenCalledWith({
+        topic: topicName,
+        partition,
+        offset: 4,
+      })
+    })
+
+    it('logs the errors of the interceptors and keeps consuming', async () => {
+      const error = new Error('Error while intercepting the batch')
+      const interceptors = [
+        {
+          onConsume: () => {
+            throw error
+          },
+        },
+        { onConsume: jest.fn() },
+      ]
+
+      runner = createInterceptedRunner(interceptors)
+      runner.scheduleFetch = jest.fn()
+      await runner.start()
+      await runner.fetch()
+
+      expect(logger.error).toHaveBeenCalledWith(
+        'Error when calling onConsume interceptor: Error while intercepting the batch',
+        expect.objectContaining({ topic: topicName, partition })
+      )
+      expect(interceptors[1].onConsume).toHaveBeenCalledWith({ batch })
+      expect(eachMessage).toHaveBeenCalledTimes(2)
+      expect(onCrash).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('with deserializers', () => {
+    let batch, eachMessage
+
+    beforeEach(() => {
+      batch = new Batch(topicName, 0, {
+        partition,
+        highWatermark: 5,
+        messages: [
+          {
+            offset: 3,
+            key: Buffer.from('key-1'),
+            value: Buffer.from('{"id":1}'),
+            headers: { 'trace-id': Buffer.from('trace-1') },
+          },
+          { offset: 4, key: Buffer.from('key-2'), value: Buffer.from('{"id":'), headers: {} },
+        ],
+      })
+
+      consumerGroup.fetch.mockImplementationOnce(() =>
+        BufferedAsyncIterator([Promise.resolve([batch])])
+      )
+      consumerGroup.hasSeekOffset = jest.fn(() => false)
+      eachMessage = jest.fn()
+
+      runner = new Runner({
+        consumerGroup,
+        instrumentationEmitter: new InstrumentationEventEmitter(),
+        eachMessage,
+        deserializers: {
+          key: Deserializers.String,
+          value: Deserializers.JSON,
+          headers: Deserializers.String,
+        },
+        onCrash,
+        logger: newLogger(),
+        partitionsConsumedConcurrently: 1,
+      })
+    })
+
+    it('deserializes the messages before eachMessage', async () => {
+      runner.scheduleFetch = jest.fn()
+      await runner.start()
+      await runner.fetch().catch(() => {})
+
+      expect(eachMessage).toHaveBeenCalledWith({
+        topic: topicName,
+        partition,
+        message: expect.objectContaining({
+          offset: 3,
+          key: 'key-1',
+          value: { id: 1 },
+          headers: { 'trace-id': 'trace-1' },
+        }),
+      })
+    })
+
+    it('throws an error identifying the message when deserializing fails', async () => {
+      runner.scheduleFetch = jest.fn()
+      await runner.start()
+
+      const error = await runner.fetch().catch(e => e)
+      expect(error).toBeInstanceOf(KafkaJSDeserializationError)
+      expect(error).toMatchObject({
+        topic: topicName,
+        partition,
+        offset: 4,
+        field: 'value',
+        originalError: expect.any(SyntaxError),
+      })
+      expect(error.message).toMatch(
+        `Failed to deserialize the value of the message at offset 4 of topic "${topicName}" partition 0`
+      )
+
+      expect(eachMessage).toHaveBeenCalledTimes(1)
+      expect(consumerGroup.resolveOffset).toHaveBeenCalledWith({
+        topic: topicName,
+        partition,
+        offset: 3,
+      })
+      expect(consumerGroup.resolveOffset).not.toHaveBeenCalledWith(
+        expect.objectContaining({ offset: 4 })
+      )
+      expect(consumerGroup.commitOffsets).toHaveBeenCalled()
+    })
+  })
+
   describe('commitOffsets', () => {
     let offsets
 
@@ -274,6 +621,18 @@ describe('Consumer > Runner', () => {
       expect(consumerGroup.join).toHaveBeenCalledTimes(1)
     })
 
+    it('should throw without re-joining when the member is fenced', async () => {
+      const error = fencedError()
+      consumerGroup.commitOffsets.mockImplementationOnce(() => {
+        throw error
+      })
+
+      await expect(runner.commitOffsets(offsets)).rejects.toBe(error)
+      await sleep(100)
+
+      expect(consumerGroup.join).toHaveBeenCalledTimes(0)
+    })
+
     it('correctly catch exceptions in parallel "eachBatch" processing', async () => {
       runner = new Runner({
         consumerGroup,
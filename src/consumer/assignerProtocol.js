@@ -7,14 +7,27 @@ const MemberMetadata = {
    * @param {number} metadata.version
    * @param {Array<string>} metadata.topics
    * @param {Buffer} [metadata.userData=Buffer.alloc(0)]
+   * @param {Array} [metadata.ownedPartitions] The partitions currently owned by the member, only
+   *                                           used with the cooperative rebalance protocol, e.g:
+   *                                           [{ topic: 'topic-A', partitions: [0, 2] }]
    *
    * @returns Buffer
    */
-  encode({ version, topics, userData = Buffer.alloc(0) }) {
-    return new Encoder()
+  encode({ version, topics, userData = Buffer.alloc(0), ownedPartitions }) {
+    const encoder = new Encoder()
       .writeInt16(version)
       .writeArray(topics)
-      .writeBytes(userData).buffer
+      .writeBytes(userData)
+
+    if (ownedPartitions) {
+      encoder.writeArray(
+        ownedPartitions.map(({ topic, partitions }) =>
+          new Encoder().writeString(topic).writeArray(partitions)
+        )
+      )
+    }
+
+    return encoder.buffer
   },
 
   /**
@@ -23,11 +36,21 @@ const MemberMetadata = {
    */
   decode(buffer) {
     const decoder = new Decoder(buffer)
-    return {
+    const metadata = {
       version: decoder.readInt16(),
       topics: decoder.readArray(d => d.readString()),
       userData: decoder.readBytes(),
     }
+
+    // Owned partitions are only included by members using the cooperative rebalance protocol
+    if (decoder.canReadInt32()) {
+      metadata.ownedPartitions = decoder.readArray(d => ({
+        topic: d.readString(),
+        partitions: d.readArray(d => d.readInt32()),
+      }))
+    }
+
+    return metadata
   },
 }
 
@@ -0,0 +1,19 @@
+const StickyAssigner = require('../stickyAssigner')
+const { EAGER, COOPERATIVE } = require('../../rebalanceProtocols')
+
+/**
+ * CooperativeStickyAssigner
+ *
+ * Produces the same assignments as the StickyAssigner, but supports the cooperative
+ * rebalance protocol, so the members keep consuming the partitions which are not
+ * moving to another member during a rebalance
+ *
+ * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-429%3A+Kafka+Consumer+Incremental+Rebalance+Protocol
+ * @param {Cluster} cluster
+ * @returns {function}
+ */
+module.exports = ({ cluster }) => ({
+  ...StickyAssigner({ cluster }),
+  name: 'CooperativeStickyAssigner',
+  supportedProtocols: [EAGER, COOPERATIVE],
+})
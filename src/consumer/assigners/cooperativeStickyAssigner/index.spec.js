@@ -0,0 +1,60 @@
+const CooperativeStickyAssigner = require('./index')
+const StickyAssigner = require('../stickyAssigner')
+const { EAGER, COOPERATIVE } = require('../../rebalanceProtocols')
+const { MemberMetadata } = require('../../assignerProtocol')
+
+describe('Consumer > assigners > CooperativeStickyAssigner', () => {
+  let cluster, metadata, assigner
+
+  beforeEach(() => {
+    metadata = {}
+    cluster = { findTopicPartitionMetadata: topic => metadata[topic] }
+    assigner = CooperativeStickyAssigner({ cluster })
+  })
+
+  test('supports the eager and cooperative rebalance protocols', () => {
+    expect(assigner.name).toEqual('CooperativeStickyAssigner')
+    expect(assigner.supportedProtocols).toEqual([EAGER, COOPERATIVE])
+  })
+
+  describe('#assign', () => {
+    test('produces the same assignment as the StickyAssigner', async () => {
+      metadata['topic-A'] = Array(5)
+        .fill()
+        .map((_, i) => ({ partitionId: i }))
+
+      const topics = ['topic-A']
+      const members = [
+        {
+          memberId: 'member-1',
+          memberMetadata: assigner.protocol({
+            topics,
+            ownedPartitions: [{ topic: 'topic-A', partitions: [0, 1, 2, 3, 4] }],
+            generationId: 1,
+          }).metadata,
+        },
+        { memberId: 'member-2', memberMetadata: assigner.protocol({ topics }).metadata },
+      ]
+
+      expect(await assigner.assign({ members, topics })).toEqual(
+        await StickyAssigner({ cluster }).assign({ members, topics })
+      )
+    })
+  })
+
+  describe('#protocol', () => {
+    test('includes the owned partitions in the metadata', () => {
+      const topics = ['topic-A']
+      const ownedPartitions = [{ topic: 'topic-A', partitions: [0, 2] }]
+      const { name, metadata } = assigner.protocol({ topics, ownedPartitions, generationId: 1 })
+
+      expect(name).toEqual('CooperativeStickyAssigner')
+      expect(MemberMetadata.decode(metadata)).toEqual({
+        version: assigner.version,
+        topics,
+        userData: expect.any(Buffer),
+        ownedPartitions,
+      })
+    })
+  })
+})
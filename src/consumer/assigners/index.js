@@ -1,5 +1,13 @@
 const roundRobin = require('./roundRobinAssigner')
+const range = require('./rangeAssigner')
+const rackAware = require('./rackAwareAssigner')
+const sticky = require('./stickyAssigner')
+const cooperativeSticky = require('./cooperativeStickyAssigner')
 
 module.exports = {
   roundRobin,
+  range,
+  rackAware,
+  sticky,
+  cooperativeSticky,
 }
@@ -0,0 +1,185 @@
+const { MemberMetadata, MemberAssignment } = require('../../assignerProtocol')
+const Encoder = require('../../../protocol/encoder')
+const Decoder = require('../../../protocol/decoder')
+
+/**
+ * The rack of the member is carried in the user data of the member metadata
+ *
+ * UserData => rack_id
+ *   rack_id => NULLABLE_STRING
+ */
+const UserData = {
+  encode({ rackId }) {
+    return new Encoder().writeString(rackId).buffer
+  },
+
+  decode(buffer) {
+    if (!buffer || buffer.length === 0) {
+      return { rackId: null }
+    }
+
+    try {
+      return { rackId: new Decoder(buffer).readString() }
+    } catch (e) {
+      // The user data was not encoded by the rack aware assigner
+      return { rackId: null }
+    }
+  },
+}
+
+const byMemberId = (a, b) => (a < b ? -1 : a > b ? 1 : 0)
+
+/**
+ * RackAwareAssigner
+ *
+ * Produces a balanced assignment which prefers to assign each partition to a member in the same
+ * rack as one of its replicas (the leader or a follower), so the consumers can fetch from a
+ * replica in their own availability zone. The rack of each member is configured with the
+ * consumer `rackId` option, members without a rack or without a replica in their rack receive
+ * the remaining partitions
+ *
+ * @param {Cluster} cluster
+ * @param {string} [rackId=null]
+ * @returns {function}
+ */
+module.exports = ({ cluster, rackId = null }) => ({
+  name: 'RackAwareAssigner',
+  version: 1,
+
+  /**
+   * Assign the topics to the provided members.
+   *
+   * The members array contains information about each member, `memberMetadata` is the result of the
+   * `protocol` operation.
+   *
+   * @param {array} members array of members, e.g:
+                              [{ memberId: 'test-5f93f5a3', memberMetadata: Buffer }]
+   * @param {array} topics
+   * @returns {array} object partitions per topic per member, e.g:
+   *                   [
+   *                     {
+   *                       memberId: 'test-5f93f5a3',
+   *                       memberAssignment: {
+   *                         'topic-A': [0, 2, 4, 6],
+   *                         'topic-B': [1],
+   *                       },
+   *                     },
+   *                     {
+   *                       memberId: 'test-3d3d5341',
+   *                       memberAssignment: {
+   *                         'topic-A': [1, 3, 5],
+   *                         'topic-B': [0, 2],
+   *                       },
+   *                     }
+   *                   ]
+   */
+  async assign({ members, topics }) {
+    const memberIds = members.map(({ memberId }) => memberId).sort(byMemberId)
+    const subscriptions = {}
+    const memberRacks = {}
+
+    for (const { memberId, memberMetadata } of members) {
+      const metadata = memberMetadata ? MemberMetadata.decode(memberMetadata) : null
+      subscriptions[memberId] = metadata ? metadata.topics : topics
+      memberRacks[memberId] = metadata ? UserData.decode(metadata.userData).rackId : null
+    }
+
+    const brokerRacks = cluster.findBrokerRacks()
+    const partitions = []
+
+    for (const topic of topics) {
+      const subscribers = memberIds.filter(memberId => subscriptions[memberId].includes(topic))
+      if (subscribers.length === 0) {
+        continue
+      }
+
+      const partitionMetadata = [...cluster.findTopicPartitionMetadata(topic)].sort(
+        (a, b) => a.partitionId - b.partitionId
+      )
+
+      for (const { partitionId, leader, replicas = [] } of partitionMetadata) {
+        const replicaRacks = [leader, ...replicas]
+          .map(nodeId => brokerRacks[nodeId])
+          .filter(rack => rack != null)
+
+        partitions.push({
+          topic,
+          partition: partitionId,
+          subscribers,
+          localSubscribers: subscribers.filter(memberId =>
+            replicaRacks.includes(memberRacks[memberId])
+          ),
+        })
+      }
+    }
+
+    const assignment = memberIds.reduce((result, memberId) => ({ ...result, [memberId]: {} }), {})
+    const loads = memberIds.reduce((result, memberId) => ({ ...result, [memberId]: 0 }), {})
+
+    const assignPartition = (memberId, { topic, partition }) => {
+      assignment[memberId][topic] = assignment[memberId][topic] || []
+      assignment[memberId][topic].push(partition)
+      loads[memberId]++
+    }
+
+    const leastLoaded = candidates =>
+      candidates.reduce((min, memberId) => (loads[memberId] < loads[min] ? memberId : min))
+
+    // A balanced assignment gives every member the same number of partitions, and one
+    // extra partition to some of them when the partitions can't be evenly divided
+    const minPartitions = Math.floor(partitions.length / memberIds.length)
+    let extraPartitions = partitions.length % memberIds.length
+
+    const hasCapacity = memberId =>
+      loads[memberId] < minPartitions || (loads[memberId] === minPartitions && extraPartitions > 0)
+
+    // Assign the partitions to members in the same rack first, starting with the partitions
+    // which have the fewest local members
+    const unassigned = []
+    partitions
+      .sort((a, b) => a.localSubscribers.length - b.localSubscribers.length)
+      .forEach(partition => {
+        const candidates = partition.localSubscribers.filter(hasCapacity)
+
+        if (candidates.length === 0) {
+          unassigned.push(partition)
+          return
+        }
+
+        const memberId = leastLoaded(candidates)
+        if (loads[memberId] === minPartitions) {
+          extraPartitions--
+        }
+
+        assignPartition(memberId, partition)
+      })
+
+    unassigned
+      .sort((a, b) => a.subscribers.length - b.subscribers.length)
+      .forEach(partition => assignPartition(leastLoaded(partition.subscribers), partition))
+
+    return memberIds.map(memberId => {
+      const memberAssignment = assignment[memberId]
+      Object.keys(memberAssignment).forEach(topic => memberAssignment[topic].sort((a, b) => a - b))
+
+      return {
+        memberId,
+        memberAssignment: MemberAssignment.encode({
+          version: this.version,
+          assignment: memberAssignment,
+        }),
+      }
+    })
+  },
+
+  protocol({ topics }) {
+    return {
+      name: this.name,
+      metadata: MemberMetadata.encode({
+        version: this.version,
+        topics,
+        userData: UserData.encode({ rackId }),
+      }),
+    }
+  },
+})
@@ -0,0 +1,137 @@
+const RackAwareAssigner = require('./index')
+const { MemberAssignment, MemberMetadata } = require('../../assignerProtocol')
+
+describe('Consumer > assigners > RackAwareAssigner', () => {
+  let cluster, metadata, brokerRacks, topics
+
+  const createMember = ({ memberId, rackId }) => ({
+    memberId,
+    memberMetadata: RackAwareAssigner({ cluster, rackId }).protocol({ topics }).metadata,
+  })
+
+  const assign = async members => {
+    const assignment = await RackAwareAssigner({ cluster }).assign({ members, topics })
+    return assignment.reduce(
+      (result, { memberId, memberAssignment }) => ({
+        ...result,
+        [memberId]: MemberAssignment.decode(memberAssignment).assignment,
+      }),
+      {}
+    )
+  }
+
+  beforeEach(() => {
+    metadata = {}
+    brokerRacks = { 0: 'us-east-1a', 1: 'us-east-1b' }
+    cluster = {
+      findTopicPartitionMetadata: topic => metadata[topic],
+      findBrokerRacks: () => brokerRacks,
+    }
+    topics = ['topic-A']
+  })
+
+  describe('#assign', () => {
+    test('assigns the partitions to members in the same rack as the leader', async () => {
+      metadata['topic-A'] = [
+        { partitionId: 0, leader: 0, replicas: [0] },
+        { partitionId: 1, leader: 0, replicas: [0] },
+        { partitionId: 2, leader: 1, replicas: [1] },
+        { partitionId: 3, leader: 1, replicas: [1] },
+      ]
+
+      const assignment = await assign([
+        createMember({ memberId: 'member-1', rackId: 'us-east-1b' }),
+        createMember({ memberId: 'member-2', rackId: 'us-east-1a' }),
+      ])
+
+      expect(assignment).toEqual({
+        'member-1': { 'topic-A': [2, 3] },
+        'member-2': { 'topic-A': [0, 1] },
+      })
+    })
+
+    test('assigns the partitions to members in the same rack as a follower', async () => {
+      metadata['topic-A'] = [
+        { partitionId: 0, leader: 0, replicas: [0, 1] },
+        { partitionId: 1, leader: 0, replicas: [0] },
+      ]
+
+      const assignment = await assign([
+        createMember({ memberId: 'member-1', rackId: 'us-east-1a' }),
+        createMember({ memberId: 'member-2', rackId: 'us-east-1b' }),
+      ])
+
+      expect(assignment).toEqual({
+        'member-1': { 'topic-A': [1] },
+        'member-2': { 'topic-A': [0] },
+      })
+    })
+
+    test('keeps the assignment balanced when the replicas are in a single rack', async () => {
+      metadata['topic-A'] = [0, 1, 2, 3].map(partitionId => ({
+        partitionId,
+        leader: 0,
+        replicas: [0],
+      }))
+
+      const assignment = await assign([
+        createMember({ memberId: 'member-1', rackId: 'us-east-1a' }),
+        createMember({ memberId: 'member-2', rackId: 'us-east-1b' }),
+      ])
+
+      expect(assignment).toEqual({
+        'member-1': { 'topic-A': [0, 1] },
+        'member-2': { 'topic-A': [2, 3] },
+      })
+    })
+
+    test('assigns the remaining partitions to members without a rack', async () => {
+      metadata['topic-A'] = [
+        { partitionId: 0, leader: 0, replicas: [0] },
+        { partitionId: 1, leader: 0, replicas: [0] },
+        { partitionId: 2, leader: 1, replicas: [1] },
+        { partitionId: 3, leader: 1, replicas: [1] },
+      ]
+
+      const assignment = await assign([
+        createMember({ memberId: 'member-1', rackId: 'us-east-1a' }),
+        createMember({ memberId: 'member-2', rackId: 'us-east-1b' }),
+        createMember({ memberId: 'member-3' }),
+      ])
+
+      expect(assignment).toEqual({
+        'member-1': { 'topic-A': [0, 1] },
+        'member-2': { 'topic-A': [2] },
+        'member-3': { 'topic-A': [3] },
+      })
+    })
+
+    test('assigns all partitions evenly when the brokers have no rack', async () => {
+      brokerRacks = {}
+      topics = ['topic-A', 'topic-B']
+      metadata['topic-A'] = [0, 1, 2].map(partitionId => ({ partitionId, leader: 0 }))
+      metadata['topic-B'] = [0].map(partitionId => ({ partitionId, leader: 1 }))
+
+      const assignment = await assign([{ memberId: 'member-1' }, { memberId: 'member-2' }])
+
+      expect(assignment).toEqual({
+        'member-1': { 'topic-A': [0, 2] },
+        'member-2': { 'topic-A': [1], 'topic-B': [0] },
+      })
+    })
+  })
+
+  describe('#protocol', () => {
+    test('returns the assigner name and metadata with the rack of the member', () => {
+      const assigner = RackAwareAssigner({ cluster, rackId: 'us-east-1a' })
+      const { name, metadata } = assigner.protocol({ topics })
+
+      expect(name).toEqual('RackAwareAssigner')
+      expect(MemberMetadata.decode(metadata)).toEqual({
+        version: assigner.version,
+        topics,
+        userData: expect.any(Buffer),
+      })
+    })
+  })
+})
@@ -0,0 +1,128 @@
+const { MemberMetadata, MemberAssignment } = require('../../assignerProtocol')
+
+/**
+ * Members are sorted by group instance id when static, and by member id otherwise,
+ * the same order used by the Java client
+ */
+const compareMembers = (a, b) => {
+  if (a.groupInstanceId && b.groupInstanceId) {
+    return a.groupInstanceId < b.groupInstanceId
+      ? -1
+      : a.groupInstanceId > b.groupInstanceId
+      ? 1
+      : 0
+  }
+
+  if (a.groupInstanceId) {
+    return -1
+  }
+
+  if (b.groupInstanceId) {
+    return 1
+  }
+
+  return a.memberId < b.memberId ? -1 : a.memberId > b.memberId ? 1 : 0
+}
+
+/**
+ * RangeAssigner
+ *
+ * Assigns each topic independently, the partitions of a topic are split in contiguous ranges
+ * between the members subscribed to it, and the first members receive one extra partition when
+ * the partitions can't be evenly divided. The assigner uses the same name and metadata as the
+ * Java client's RangeAssignor, so groups mixing both clients can agree on the protocol
+ *
+ * @param {Cluster} cluster
+ * @returns {function}
+ */
+module.exports = ({ cluster }) => ({
+  name: 'range',
+  version: 0,
+
+  /**
+   * Assign the topics to the provided members.
+   *
+   * The members array contains information about each member, `memberMetadata` is the result of the
+   * `protocol` operation.
+   *
+   * @param {array} members array of members, e.g:
+                              [{ memberId: 'test-5f93f5a3', memberMetadata: Buffer }]
+   * @param {array} topics
+   * @returns {array} object partitions per topic per member, e.g:
+   *                   [
+   *                     {
+   *                       memberId: 'test-5f93f5a3',
+   *                       memberAssignment: {
+   *                         'topic-A': [0, 1, 2],
+   *                         'topic-B': [0, 1],
+   *                       },
+   *                     },
+   *                     {
+   *                       memberId: 'test-3d3d5341',
+   *                       memberAssignment: {
+   *                         'topic-A': [3, 4],
+   *                         'topic-B': [2],
+   *                       },
+   *                     }
+   *                   ]
+   */
+  async assign({ members, topics }) {
+    const sortedMembers = [...members].sort(compareMembers)
+    const subscriptions = sortedMembers.reduce((result, { memberId, memberMetadata }) => {
+      const subscribedTopics = memberMetadata
+        ? MemberMetadata.decode(memberMetadata).topics
+        : topics
+      return { ...result, [memberId]: subscribedTopics }
+    }, {})
+
+    const assignment = sortedMembers.reduce(
+      (result, { memberId }) => ({ ...result, [memberId]: {} }),
+      {}
+    )
+
+    for (const topic of topics) {
+      const subscribers = sortedMembers.filter(({ memberId }) =>
+        subscriptions[memberId].includes(topic)
+      )
+
+      if (subscribers.length === 0) {
+        continue
+      }
+
+      const partitions = cluster
+        .findTopicPartitionMetadata(topic)
+        .map(({ partitionId }) => partitionId)
+        .sort((a, b) => a - b)
+
+      const partitionsPerMember = Math.floor(partitions.length / subscribers.length)
+      const membersWithExtraPartition = partitions.length % subscribers.length
+
+      subscribers.forEach(({ memberId }, i) => {
+        const start = partitionsPerMember * i + Math.min(i, membersWithExtraPartition)
+        const length = partitionsPerMember + (i < membersWithExtraPartition ? 1 : 0)
+
+        if (length > 0) {
+          assignment[memberId][topic] = partitions.slice(start, start + length)
+        }
+      })
+    }
+
+    return sortedMembers.map(({ memberId }) => ({
+      memberId,
+      memberAssignment: MemberAssignment.encode({
+        version: this.version,
+        assignment: assignment[memberId],
+      }),
+    }))
+  },
+
+  protocol({ topics }) {
+    return {
+      name: this.name,
+      metadata: MemberMetadata.encode({
+        version: this.version,
+        topics,
+      }),
+    }
+  },
+})
@@ -0,0 +1,105 @@
+const RangeAssigner = require('./index')
+const { MemberAssignment, MemberMetadata } = require('../../assignerProtocol')
+
+describe('Consumer > assigners > RangeAssigner', () => {
+  let cluster, topics, metadata, assigner
+
+  const createPartitions = count =>
+    Array(count)
+      .fill()
+      .map((_, i) => ({ partitionId: i }))
+
+  const encodeAssignment = assignment =>
+    MemberAssignment.encode({ version: assigner.version, assignment })
+
+  beforeEach(() => {
+    metadata = {}
+    cluster = { findTopicPartitionMetadata: topic => metadata[topic] }
+    assigner = RangeAssigner({ cluster })
+    topics = ['topic-A', 'topic-B']
+  })
+
+  test('uses the same protocol name and version as the Java client', () => {
+    expect(assigner.name).toEqual('range')
+    expect(assigner.version).toEqual(0)
+  })
+
+  describe('#assign', () => {
+    test('assign contiguous ranges of partitions of each topic', async () => {
+      metadata['topic-A'] = createPartitions(5)
+      metadata['topic-B'] = createPartitions(3)
+
+      const members = [{ memberId: 'member-2' }, { memberId: 'member-1' }]
+      const assignment = await assigner.assign({ members, topics })
+
+      expect(assignment).toEqual([
+        {
+          memberId: 'member-1',
+          memberAssignment: encodeAssignment({ 'topic-A': [0, 1, 2], 'topic-B': [0, 1] }),
+        },
+        {
+          memberId: 'member-2',
+          memberAssignment: encodeAssignment({ 'topic-A': [3, 4], 'topic-B': [2] }),
+        },
+      ])
+    })
+
+    test('only assigns the topics each member is subscribed to', async () => {
+      metadata['topic-A'] = createPartitions(2)
+      metadata['topic-B'] = createPartitions(2)
+
+      const members = [
+        {
+          memberId: 'member-1',
+          memberMetadata: assigner.protocol({ topics: ['topic-A'] }).metadata,
+        },
+        {
+          memberId: 'member-2',
+          memberMetadata: assigner.protocol({ topics }).metadata,
+        },
+        {
+          memberId: 'member-3',
+          memberMetadata: assigner.protocol({ topics: ['topic-A'] }).metadata,
+        },
+      ]
+
+      const assignment = await assigner.assign({ members, topics })
+
+      expect(assignment).toEqual([
+        { memberId: 'member-1', memberAssignment: encodeAssignment({ 'topic-A': [0] }) },
+        {
+          memberId: 'member-2',
+          memberAssignment: encodeAssignment({ 'topic-A': [1], 'topic-B': [0, 1] }),
+        },
+        { memberId: 'member-3', memberAssignment: encodeAssignment({}) },
+      ])
+    })
+
+    test('sorts static members by group instance id', async () => {
+      metadata['topic-A'] = createPartitions(3)
+
+      const members = [
+        { memberId: 'member-1' },
+        { memberId: 'member-2', groupInstanceId: 'instance-b' },
+        { memberId: 'member-3', groupInstanceId: 'instance-a' },
+      ]
+
+      const assignment = await assigner.assign({ members, topics: ['topic-A'] })
+
+      expect(assignment).toEqual([
+        { memberId: 'member-3', memberAssignment: encodeAssignment({ 'topic-A': [0] }) },
+        { memberId: 'member-2', memberAssignment: encodeAssignment({ 'topic-A': [1] }) },
+        { memberId: 'member-1', memberAssignment: encodeAssignment({ 'topic-A': [2] }) },
+      ])
+    })
+  })
+
+  describe('#protocol', () => {
+    test('returns the assigner name and metadata', () => {
+      expect(assigner.protocol({ topics })).toEqual({
+        name: assigner.name,
+        metadata: MemberMetadata.encode({ version: assigner.version, topics }),
+      })
+    })
+  })
+})
@@ -0,0 +1,238 @@
+const { MemberMetadata, MemberAssignment } = require('../../assignerProtocol')
+const { EAGER, COOPERATIVE } = require('../../rebalanceProtocols')
+const Encoder = require('../../../protocol/encoder')
+const Decoder = require('../../../protocol/decoder')
+
+/**
+ * The previous assignment of the member is carried in the user data of the member metadata
+ *
+ * UserData => [previous_assignment] generation_id
+ *   previous_assignment => topic [partitions]
+ *     topic => STRING
+ *     partitions => INT32
+ *   generation_id => INT32
+ */
+const UserData = {
+  encode({ assignment, generationId }) {
+    return new Encoder()
+      .writeArray(
+        assignment.map(({ topic, partitions }) =>
+          new Encoder().writeString(topic).writeArray(partitions)
+        )
+      )
+      .writeInt32(generationId).buffer
+  },
+
+  decode(buffer) {
+    if (!buffer || buffer.length === 0) {
+      return null
+    }
+
+    try {
+      const decoder = new Decoder(buffer)
+      return {
+        assignment: decoder.readArray(d => ({
+          topic: d.readString(),
+          partitions: d.readArray(d => d.readInt32()),
+        })),
+        generationId: decoder.readInt32(),
+      }
+    } catch (e) {
+      // The user data was not encoded by a sticky assigner
+      return null
+    }
+  },
+}
+
+const partitionKey = (topic, partition) => `${topic}:${partition}`
+const byMemberId = (a, b) => (a < b ? -1 : a > b ? 1 : 0)
+
+/**
+ * StickyAssigner
+ *
+ * Produces an assignment as balanced as possible, where the number of partitions assigned to
+ * the members differ by at most one when they are subscribed to the same topics, while keeping
+ * as many partitions as possible with their previous owners
+ *
+ * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-54+-+Sticky+Partition+Assignment+Strategy
+ * @param {Cluster} cluster
+ * @returns {function}
+ */
+module.exports = ({ cluster }) => ({
+  name: 'StickyAssigner',
+  version: 1,
+  supportedProtocols: [EAGER],
+
+  /**
+   * Assign the topics to the provided members.
+   *
+   * The members array contains information about each member, `memberMetadata` is the result of the
+   * `protocol` operation.
+   *
+   * @param {array} members array of members, e.g:
+                              [{ memberId: 'test-5f93f5a3', memberMetadata: Buffer }]
+   * @param {array} topics
+   * @returns {array} object partitions per topic per member, e.g:
+   *                   [
+   *                     {
+   *                       memberId: 'test-5f93f5a3',
+   *                       memberAssignment: {
+   *                         'topic-A': [0, 2, 4, 6],
+   *                         'topic-B': [1],
+   *                       },
+   *                     },
+   *                     {
+   *                       memberId: 'test-3d3d5341',
+   *                       memberAssignment: {
+   *                         'topic-A': [1, 3, 5],
+   *                         'topic-B': [0, 2],
+   *                       },
+   *                     }
+   *                   ]
+   */
+  async assign({ members, topics }) {
+    const memberIds = members.map(({ memberId }) => memberId).sort(byMemberId)
+    const subscriptions = {}
+    const previousAssignments = []
+
+    for (const { memberId, memberMetadata } of members) {
+      const metadata = memberMetadata ? MemberMetadata.decode(memberMetadata) : null
+      const userData = metadata && UserData.decode(metadata.userData)
+
+      subscriptions[memberId] = new Set(metadata ? metadata.topics : topics)
+
+      if (userData) {
+        previousAssignments.push({ memberId, ...userData })
+      }
+    }
+
+    // The members which can consume each partition, sorted by member id
+    const eligibleMembers = {}
+    const partitions = []
+
+    for (const topic of topics) {
+      const subscribers = memberIds.filter(memberId => subscriptions[memberId].has(topic))
+      if (subscribers.length === 0) {
+        continue
+      }
+
+      const partitionIds = cluster
+        .findTopicPartitionMetadata(topic)
+        .map(({ partitionId }) => partitionId)
+        .sort((a, b) => a - b)
+
+      for (const partition of partitionIds) {
+        const key = partitionKey(topic, partition)
+        eligibleMembers[key] = subscribers
+        partitions.push({ key, topic, partition })
+      }
+    }
+
+    const assignment = memberIds.reduce((result, memberId) => ({ ...result, [memberId]: [] }), {})
+    const owners = {}
+
+    // Keep the partitions with their previous owners. If more than one member claims
+    // the same partition, the member with the most recent generation keeps it
+    previousAssignments
+      .sort((a, b) => b.generationId - a.generationId || byMemberId(a.memberId, b.memberId))
+      .forEach(({ memberId, assignment: previousAssignment }) => {
+        for (const { topic, partitions } of previousAssignment) {
+          for (const partition of partitions) {
+            const key = partitionKey(topic, partition)
+            const eligible = eligibleMembers[key]
+
+            if (eligible && eligible.includes(memberId) && !owners[key]) {
+              owners[key] = memberId
+              assignment[memberId].push(key)
+            }
+          }
+        }
+      })
+
+    const load = memberId => assignment[memberId].length
+    const leastLoaded = candidates =>
+      candidates.reduce((min, memberId) => (load(memberId) < load(min) ? memberId : min))
+
+    // Assign the remaining partitions to the least loaded members, starting with the
+    // partitions which can be consumed by the fewest members
+    partitions
+      .filter(({ key }) => !owners[key])
+      .sort((a, b) => eligibleMembers[a.key].length - eligibleMembers[b.key].length)
+      .forEach(({ key }) => {
+        const memberId = leastLoaded(eligibleMembers[key])
+        owners[key] = memberId
+        assignment[memberId].push(key)
+      })
+
+    // Move partitions from the most loaded members until no partition can be moved to a member
+    // with at least two partitions less than its owner. The partitions assigned in this round
+    // are at the end of the list, so they are moved before the partitions kept from the
+    // previous assignment
+    const findMove = () => {
+      const membersByLoad = [...memberIds].sort((a, b) => load(b) - load(a) || byMemberId(a, b))
+
+      for (const from of membersByLoad) {
+        const memberPartitions = assignment[from]
+
+        for (let i = memberPartitions.length - 1; i >= 0; i--) {
+          const candidates = eligibleMembers[memberPartitions[i]].filter(
+            memberId => load(memberId) < load(from) - 1
+          )
+
+          if (candidates.length > 0) {
+            return { from, index: i, to: leastLoaded(candidates) }
+          }
+        }
+      }
+    }
+
+    let move = findMove()
+    while (move) {
+      const { from, index, to } = move
+      const [key] = assignment[from].splice(index, 1)
+      assignment[to].push(key)
+      owners[key] = to
+      move = findMove()
+    }
+
+    const partitionsByKey = partitions.reduce(
+      (result, partition) => ({ ...result, [partition.key]: partition }),
+      {}
+    )
+
+    return memberIds.map(memberId => {
+      const memberAssignment = {}
+
+      assignment[memberId]
+        .map(key => partitionsByKey[key])
+        .sort((a, b) => byMemberId(a.topic, b.topic) || a.partition - b.partition)
+        .forEach(({ topic, partition }) => {
+          memberAssignment[topic] = memberAssignment[topic] || []
+          memberAssignment[topic].push(partition)
+        })
+
+      return {
+        memberId,
+        memberAssignment: MemberAssignment.encode({
+          version: this.version,
+          assignment: memberAssignment,
+        }),
+      }
+    })
+  },
+
+  protocol({ topics, ownedPartitions = [], generationId = -1 }) {
+    const userData = UserData.encode({ assignment: ownedPartitions, generationId })
+    const isCooperative = this.supportedProtocols.includes(COOPERATIVE)
+
+    return {
+      name: this.name,
+      metadata: MemberMetadata.encode({
+        version: this.version,
+        topics,
+        userData,
+        ...(isCooperative ? { ownedPartitions } : {}),
+      }),
+    }
+  },
+})
@@ -0,0 +1,334 @@
+const StickyAssigner = require('./index')
+const { MemberAssignment, MemberMetadata } = require('../../assignerProtocol')
+
+// Deterministic pseudo random generator, so failing scenarios can be reproduced from the seed
+const createRandom = seed => () => {
+  seed = (seed + 0x6d2b79f5) | 0
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+}
+
+const SEEDS = Array(50)
+  .fill()
+  .map((_, i) => i + 1)
+
+describe('Consumer > assigners > StickyAssigner', () => {
+  let cluster, metadata, assigner
+
+  const createPartitions = count =>
+    Array(count)
+      .fill()
+      .map((_, i) => ({ partitionId: i }))
+
+  const createMember = ({ memberId, topics, ownedPartitions, generationId }) => ({
+    memberId,
+    memberMetadata: assigner.protocol({ topics, ownedPartitions, generationId }).metadata,
+  })
+
+  const decodeAssignment = assignment =>
+    assignment.reduce((result, { memberId, memberAssignment }) => {
+      const { assignment } = MemberAssignment.decode(memberAssignment)
+      return {
+        ...result,
+        [memberId]: Object.keys(assignment).map(topic => ({
+          topic,
+          partitions: assignment[topic],
+        })),
+      }
+    }, {})
+
+  const ownersByPartition = assignment => {
+    const owners = {}
+    for (const memberId of Object.keys(assignment)) {
+      for (const { topic, partitions } of assignment[memberId]) {
+        for (const partition of partitions) {
+          const key = `${topic}:${partition}`
+          expect(owners[key]).toBeUndefined()
+          owners[key] = memberId
+        }
+      }
+    }
+    return owners
+  }
+
+  const countPartitions = memberAssignment =>
+    memberAssignment.reduce((sum, { partitions }) => sum + partitions.length, 0)
+
+  // Members with the partitions they own after the rebalance
+  const rejoin = (members, assignment, generationId) =>
+    members.map(({ memberId, topics }) => ({
+      memberId,
+      topics,
+      ownedPartitions: assignment[memberId] || [],
+      generationId,
+    }))
+
+  const assign = async (members, topics) =>
+    decodeAssignment(await assigner.assign({ members: members.map(createMember), topics }))
+
+  const createScenario = seed => {
+    const random = createRandom(seed)
+    const randomInt = (min, max) => min + Math.floor(random() * (max - min + 1))
+
+    const topics = Array(randomInt(1, 4))
+      .fill()
+      .map((_, i) => `topic-${i}`)
+
+    topics.forEach(topic => {
+      metadata[topic] = createPartitions(randomInt(1, 12))
+    })
+
+    const members = Array(randomInt(1, 8))
+      .fill()
+      .map((_, i) => {
+        const subscribed = topics.filter(() => random() < 0.6)
+        return {
+          memberId: `member-${i}`,
+          topics: subscribed.length > 0 ? subscribed : [topics[randomInt(0, topics.length - 1)]],
+        }
+      })
+
+    return { topics, members }
+  }
+
+  const expectValidAssignment = ({ assignment, members, topics }) => {
+    const owners = ownersByPartition(assignment)
+    const subscriptions = members.reduce(
+      (result, { memberId, topics }) => ({ ...result, [memberId]: topics }),
+      {}
+    )
+
+    for (const topic of topics) {
+      const subscribers = members.filter(({ topics }) => topics.includes(topic))
+
+      for (const { partitionId } of metadata[topic]) {
+        const owner = owners[`${topic}:${partitionId}`]
+
+        if (subscribers.length === 0) {
+          expect(owner).toBeUndefined()
+          continue
+        }
+
+        // Every partition is assigned to a member subscribed to the topic
+        expect(subscriptions[owner]).toContain(topic)
+
+        // No partition can be moved to a member with at least two partitions less than its owner
+        const ownerLoad = countPartitions(assignment[owner])
+        for (const { memberId } of subscribers) {
+          expect(countPartitions(assignment[memberId])).toBeGreaterThanOrEqual(ownerLoad - 1)
+        }
+      }
+    }
+  }
+
+  const movedPartitions = (previous, current) => {
+    const previousOwners = ownersByPartition(previous)
+    const currentOwners = ownersByPartition(current)
+
+    return Object.keys(currentOwners)
+      .filter(key => previousOwners[key] !== currentOwners[key])
+      .map(key => ({ key, from: previousOwners[key], to: currentOwners[key] }))
+  }
+
+  beforeEach(() => {
+    metadata = {}
+    cluster = { findTopicPartitionMetadata: topic => metadata[topic] }
+    assigner = StickyAssigner({ cluster })
+  })
+
+  describe('#assign', () => {
+    test('assign all topic-partitions evenly', async () => {
+      metadata['topic-A'] = createPartitions(3)
+      metadata['topic-B'] = createPartitions(3)
+      const topics = ['topic-A', 'topic-B']
+
+      const assignment = await assign(
+        [
+          { memberId: 'member-2', topics },
+          { memberId: 'member-1', topics },
+        ],
+        topics
+      )
+
+      expect(assignment).toEqual({
+        'member-1': [
+          { topic: 'topic-A', partitions: [0, 2] },
+          { topic: 'topic-B', partitions: [1] },
+        ],
+        'member-2': [
+          { topic: 'topic-A', partitions: [1] },
+          { topic: 'topic-B', partitions: [0, 2] },
+        ],
+      })
+    })
+
+    test('assign all topic-partitions to members without metadata', async () => {
+      metadata['topic-A'] = createPartitions(4)
+
+      const assignment = await assigner.assign({
+        members: [{ memberId: 'member-1' }, { memberId: 'member-2' }],
+        topics: ['topic-A'],
+      })
+
+      expect(decodeAssignment(assignment)).toEqual({
+        'member-1': [{ topic: 'topic-A', partitions: [0, 2] }],
+        'member-2': [{ topic: 'topic-A', partitions: [1, 3] }],
+      })
+    })
+
+    test('returns an empty assignment for members without partitions', async () => {
+      metadata['topic-A'] = createPartitions(1)
+      const topics = ['topic-A']
+
+      const assignment = await assigner.assign({
+        members: [
+          createMember({ memberId: 'member-1', topics }),
+          createMember({ memberId: 'member-2', topics }),
+        ],
+        topics,
+      })
+
+      expect(assignment).toEqual([
+        {
+          memberId: 'member-1',
+          memberAssignment: MemberAssignment.encode({
+            version: assigner.version,
+            assignment: { 'topic-A': [0] },
+          }),
+        },
+        {
+          memberId: 'member-2',
+          memberAssignment: MemberAssignment.encode({
+            version: assigner.version,
+            assignment: {},
+          }),
+        },
+      ])
+    })
+
+    test('keeps the partitions with the members of the most recent generation', async () => {
+      metadata['topic-A'] = createPartitions(2)
+      const topics = ['topic-A']
+
+      const assignment = await assign(
+        [
+          {
+            memberId: 'member-1',
+            topics,
+            ownedPartitions: [{ topic: 'topic-A', partitions: [0, 1] }],
+            generationId: 1,
+          },
+          {
+            memberId: 'member-2',
+            topics,
+            ownedPartitions: [{ topic: 'topic-A', partitions: [1] }],
+            generationId: 2,
+          },
+        ],
+        topics
+      )
+
+      expect(assignment).toEqual({
+        'member-1': [{ topic: 'topic-A', partitions: [0] }],
+        'member-2': [{ topic: 'topic-A', partitions: [1] }],
+      })
+    })
+
+    test('ignores previously owned partitions which no longer exist or are not subscribed', async () => {
+      metadata['topic-A'] = createPartitions(2)
+      metadata['topic-B'] = createPartitions(2)
+
+      const assignment = await assign(
+        [
+          {
+            memberId: 'member-1',
+            topics: ['topic-A'],
+            ownedPartitions: [
+              { topic: 'topic-A', partitions: [0, 1, 2] },
+              { topic: 'topic-B', partitions: [0, 1] },
+            ],
+            generationId: 1,
+          },
+          { memberId: 'member-2', topics: ['topic-A', 'topic-B'] },
+        ],
+        ['topic-A', 'topic-B']
+      )
+
+      expect(assignment).toEqual({
+        'member-1': [{ topic: 'topic-A', partitions: [0, 1] }],
+        'member-2': [{ topic: 'topic-B', partitions: [0, 1] }],
+      })
+    })
+
+    describe('with random members and topics', () => {
+      test.each(SEEDS)('produces a balanced assignment (seed %i)', async seed => {
+        const { topics, members } = createScenario(seed)
+        const assignment = await assign(members, topics)
+
+        expectValidAssignment({ assignment, members, topics })
+      })
+
+      test.each(SEEDS)('keeps the assignment when the members rejoin (seed %i)', async seed => {
+        const { topics, members } = createScenario(seed)
+        const assignment = await assign(members, topics)
+        const nextAssignment = await assign(rejoin(members, assignment, 1), topics)
+
+        expect(nextAssignment).toEqual(assignment)
+      })
+
+      test.each(SEEDS)('only moves partitions to a member joining (seed %i)', async seed => {
+        const { topics, members } = createScenario(seed)
+        const sameSubscription = members.map(member => ({ ...member, topics }))
+        const assignment = await assign(sameSubscription, topics)
+
+        const newMember = { memberId: 'member-new', topics }
+        const nextMembers = [...rejoin(sameSubscription, assignment, 1), newMember]
+        const nextAssignment = await assign(nextMembers, topics)
+
+        expectValidAssignment({ assignment: nextAssignment, members: nextMembers, topics })
+        for (const { to } of movedPartitions(assignment, nextAssignment)) {
+          expect(to).toEqual(newMember.memberId)
+        }
+      })
+
+      test.each(SEEDS)('only moves the partitions of a member leaving (seed %i)', async seed => {
+        const { topics, members } = createScenario(seed)
+        const sameSubscription = members.map(member => ({ ...member, topics }))
+        const assignment = await assign(sameSubscription, topics)
+
+        const [leavingMember, ...remainingMembers] = sameSubscription
+        const nextMembers = rejoin(remainingMembers, assignment, 1)
+        const nextAssignment = await assign(nextMembers, topics)
+
+        if (nextMembers.length > 0) {
+          expectValidAssignment({ assignment: nextAssignment, members: nextMembers, topics })
+        }
+
+        for (const { from } of movedPartitions(assignment, nextAssignment)) {
+          expect(from).toEqual(leavingMember.memberId)
+        }
+      })
+    })
+  })
+
+  describe('#protocol', () => {
+    test('returns the assigner name and metadata with the previous assignment', () => {
+      const topics = ['topic-A', 'topic-B']
+      const ownedPartitions = [{ topic: 'topic-A', partitions: [0, 2] }]
+      const { name, metadata } = assigner.protocol({ topics, ownedPartitions, generationId: 3 })
+
+      expect(name).toEqual('StickyAssigner')
+      expect(MemberMetadata.decode(metadata)).toEqual({
+        version: assigner.version,
+        topics,
+        userData: expect.any(Buffer),
+      })
+    })
+
+    test('does not include the owned partitions in the metadata', () => {
+      const { metadata } = assigner.protocol({ topics: ['topic-A'] })
+      expect(MemberMetadata.decode(metadata)).not.toHaveProperty('ownedPartitions')
+    })
+  })
+})
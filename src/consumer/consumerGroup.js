@@ -8,6 +8,10 @@ const OffsetManager = require('./offsetManager')
 const Batch = require('./batch')
 const SeekOffsets = require('./seekOffsets')
 const SubscriptionState = require('./subscriptionState')
+const FetchSession = require('./fetchSession')
+const PreferredReadReplicas = require('./preferredReadReplicas')
+const cooperativeAssignment = require('./cooperativeAssignment')
+const { EAGER, COOPERATIVE } = require('./rebalanceProtocols')
 const {
   events: { HEARTBEAT, CONNECT },
 } = require('./instrumentationEvents')
@@ -15,6 +19,7 @@ const { MemberAssignment } = require('./assignerProtocol')
 const {
   KafkaJSError,
   KafkaJSNonRetriableError,
+  KafkaJSMemberIdRequired,
   KafkaJSStaleTopicMetadataAssignment,
 } = require('../errors')
 
@@ -26,15 +31,28 @@ const STALE_METADATA_ERRORS = [
   'UNKNOWN_TOPIC_OR_PARTITION',
 ]
 
+const FETCH_SESSION_ERRORS = ['FETCH_SESSION_ID_NOT_FOUND', 'INVALID_FETCH_SESSION_EPOCH']
+
+const BROKER_UNAVAILABLE_ERRORS = [
+  'KafkaJSConnectionError',
+  'KafkaJSRequestTimeoutError',
+  'KafkaJSBrokerNotFound',
+]
+
+const NO_PREFERRED_READ_REPLICA = -1
+
 module.exports = class ConsumerGroup {
   constructor({
     cluster,
     groupId,
+    groupInstanceId,
+    rackId = null,
     topics,
     topicConfigurations,
     logger,
     instrumentationEmitter,
     assigners,
+    rebalanceProtocol = EAGER,
     sessionTimeout,
     rebalanceTimeout,
     maxBytesPerPartition,
@@ -47,12 +65,15 @@ module.exports = class ConsumerGroup {
   }) {
     this.cluster = cluster
     this.groupId = groupId
+    this.groupInstanceId = groupInstanceId
+    this.rackId = rackId
     this.topics = topics
     this.topicsSubscribed = topics
     this.topicConfigurations = topicConfigurations
     this.logger = logger.namespace('ConsumerGroup')
     this.instrumentationEmitter = instrumentationEmitter
     this.assigners = assigners
+    this.rebalanceProtocol = rebalanceProtocol
     this.sessionTimeout = sessionTimeout
     this.rebalanceTimeout = rebalanceTimeout
     this.maxBytesPerPartition = maxBytesPerPartition
@@ -70,14 +91,33 @@ module.exports = class ConsumerGroup {
     this.memberId = null
     this.members = null
     this.groupProtocol = null
+    this.rejoinNeeded = false
 
     this.partitionsPerSubscribedTopic = null
     this.offsetManager = null
     this.subscriptionState = new SubscriptionState()
+    this.fetchSessions = new Map()
+    this.preferredReadReplicas = new PreferredReadReplicas()
 
     this.lastRequest = Date.now()
   }
 
+  isStaticMember() {
+    return this.groupInstanceId != null
+  }
+
+  isCooperative() {
+    return this.rebalanceProtocol === COOPERATIVE
+  }
+
+  /**
+   * With the cooperative rebalance protocol the member has to join the group again
+   * once a rebalance starts, or after revoking partitions
+   */
+  needsRejoin() {
+    return this.rejoinNeeded
+  }
+
   isLeader() {
     return this.leaderId && this.memberId === this.leaderId
   }
@@ -89,21 +129,48 @@ module.exports = class ConsumerGroup {
   }
 
   async join() {
-    const { groupId, sessionTimeout, rebalanceTimeout } = this
+    const { groupId, groupInstanceId, sessionTimeout, rebalanceTimeout } = this
 
     this.coordinator = await this.cluster.findGroupCoordinator({ groupId })
+    this.rejoinNeeded = false
 
-    const groupData = await this.coordinator.joinGroup({
-      groupId,
-      sessionTimeout,
-      rebalanceTimeout,
-      memberId: this.memberId || '',
-      groupProtocols: this.assigners.map(assigner =>
-        assigner.protocol({
-          topics: this.topicsSubscribed,
+    // The partitions assigned in the previous generation, sticky assigners use them to
+    // minimize the partition movement and the leader of a cooperative group uses them
+    // to avoid moving partitions which are still being consumed
+    const ownedPartitions = this.assigned()
+    const generationId = this.generationId == null ? -1 : this.generationId
+
+    let groupData
+    try {
+      groupData = await this.coordinator.joinGroup({
+        groupId,
+        groupInstanceId,
+        sessionTimeout,
+        rebalanceTimeout,
+        memberId: this.memberId || '',
+        groupProtocols: this.assigners.map(assigner =>
+          assigner.protocol({
+            topics: this.topicsSubscribed,
+            ownedPartitions,
+            generationId,
+          })
+        ),
+      })
+    } catch (e) {
+      if (e instanceof KafkaJSMemberIdRequired) {
+        // JoinGroup v4+ rejects unknown members without a member id, the member
+        // id assigned by the coordinator has to be used to join the group
+        this.logger.debug('Member id required, joining the group again', {
+          groupId,
+          memberId: e.memberId,
         })
-      ),
-    })
+
+        this.memberId = e.memberId
+        return this.join()
+      }
+
+      throw e
+    }
 
     this.generationId = groupData.generationId
     this.leaderId = groupData.leaderId
@@ -113,17 +180,31 @@ module.exports = class ConsumerGroup {
   }
 
   async leave() {
-    const { groupId, memberId } = this
-    if (memberId) {
+    const { groupId, groupInstanceId, memberId } = this
+    if (!memberId) {
+      return
+    }
+
+    // Static members don't leave the group, the coordinator keeps their assignment
+    // until the session times out, so restarting the member doesn't trigger a rebalance
+    if (this.isStaticMember()) {
+      this.logger.debug('Static member, skipping leave group', {
+        groupId,
+        groupInstanceId,
+        memberId,
+      })
+    } else {
       await this.coordinator.leaveGroup({ groupId, memberId })
-      this.memberId = null
     }
+
+    this.memberId = null
   }
 
   async sync() {
     let assignment = []
     const {
       groupId,
+      groupInstanceId,
       generationId,
       memberId,
       members,
@@ -146,6 +227,10 @@ module.exports = class ConsumerGroup {
       await this.cluster.refreshMetadata()
       assignment = await assigner.assign({ members, topics: topicsSubscribed })
 
+      if (this.isCooperative()) {
+        assignment = cooperativeAssignment({ members, assignment })
+      }
+
       this.logger.debug('Group assignment', {
         groupId,
         generationId,
@@ -161,6 +246,7 @@ module.exports = class ConsumerGroup {
       groupId,
       generationId,
       memberId,
+      groupInstanceId,
       groupAssignment: assignment,
     })
 
@@ -226,19 +312,57 @@ module.exports = class ConsumerGroup {
       }
     }
 
+    const previousAssignment = this.subscriptionState.assigned()
+    const partitionsByTopic = currentMemberAssignment.reduce(
+      (result, { topic, partitions }) => ({
+        ...result,
+        [topic]: partitions,
+      }),
+      {}
+    )
+
     this.topics = currentMemberAssignment.map(({ topic }) => topic)
     this.subscriptionState.assign(currentMemberAssignment)
+
+    if (this.isCooperative() && this.offsetManager) {
+      const revokedPartitions = previousAssignment
+        .map(({ topic, partitions }) => ({
+          topic,
+          partitions: partitions.filter(
+            partition => !(partitionsByTopic[topic] || []).includes(partition)
+          ),
+        }))
+        .filter(({ partitions }) => partitions.length > 0)
+
+      // The fetch sessions forget the revoked partitions on the next fetch, and the offsets
+      // of the partitions which are still assigned are kept
+      this.offsetManager.reassign({
+        coordinator,
+        memberAssignment: partitionsByTopic,
+        generationId,
+        memberId,
+      })
+
+      if (revokedPartitions.length > 0) {
+        this.logger.info('Partitions revoked, the member will join the group again', {
+          groupId,
+          generationId,
+          memberId,
+          revokedPartitions,
+        })
+
+        this.rejoinNeeded = true
+      }
+
+      return
+    }
+
+    this.resetFetchSessions()
     this.offsetManager = new OffsetManager({
       cluster: this.cluster,
       topicConfigurations: this.topicConfigurations,
       instrumentationEmitter: this.instrumentationEmitter,
-      memberAssignment: currentMemberAssignment.reduce(
-        (partitionsByTopic, { topic, partitions }) => ({
-          ...partitionsByTopic,
-          [topic]: partitions,
-        }),
-        {}
-      ),
+      memberAssignment: partitionsByTopic,
       autoCommitInterval: this.autoCommitInterval,
       autoCommitThreshold: this.autoCommitThreshold,
       coordinator,
@@ -274,6 +398,7 @@ module.exports = class ConsumerGroup {
       topicPartitions,
     })
     this.subscriptionState.pause(topicPartitions)
+    this.resetFetchSessions()
   }
 
   resume(topicPartitions) {
@@ -303,8 +428,12 @@ module.exports = class ConsumerGroup {
     return this.offsetManager.uncommittedOffsets()
   }
 
+  markOffsetsAsCommitted(offsets) {
+    this.offsetManager.markOffsetsAsCommitted(offsets)
+  }
+
   async heartbeat({ interval }) {
-    const { groupId, generationId, memberId } = this
+    const { groupId, groupInstanceId, generationId, memberId } = this
     const now = Date.now()
 
     if (memberId && now >= this.lastRequest + interval) {
@@ -314,7 +443,26 @@ module.exports = class ConsumerGroup {
         groupGenerationId: generationId,
       }
 
-      await this.coordinator.heartbeat(payload)
+      try {
+        await this.coordinator.heartbeat({ ...payload, groupInstanceId })
+      } catch (e) {
+        if (!this.isCooperative() || e.type !== 'REBALANCE_IN_PROGRESS') {
+          throw e
+        }
+
+        // Cooperative members keep consuming their partitions until the current
+        // batches are processed, and then join the group
+        this.logger.debug('The group is rebalancing, the member will join the group again', {
+          groupId,
+          generationId,
+          memberId,
+        })
+
+        this.rejoinNeeded = true
+        this.lastRequest = Date.now()
+        return
+      }
+
       this.instrumentationEmitter.emit(HEARTBEAT, payload)
       this.lastRequest = Date.now()
     }
@@ -323,7 +471,7 @@ module.exports = class ConsumerGroup {
   async fetch() {
     try {
       const { topics, maxBytesPerPartition, maxWaitTime, minBytes, maxBytes } = this
-      const requestsPerLeader = {}
+      const requestsPerNode = {}
 
       await this.cluster.refreshMetadataIfNecessary()
       this.checkForStaleAssignment()
@@ -369,16 +517,16 @@ module.exports = class ConsumerGroup {
       )
 
       for (const topicPartition of activeTopicPartitions) {
-        const partitionsPerLeader = this.cluster.findLeaderForPartitions(
+        const partitionsPerNode = this.findReadReplicaForPartitions(
           topicPartition.topic,
           topicPartition.partitions
         )
 
-        const leaders = keys(partitionsPerLeader)
+        const nodeIds = keys(partitionsPerNode)
         const committedOffsets = this.offsetManager.committedOffsets()
 
-        for (const leader of leaders) {
-          const partitions = partitionsPerLeader[leader]
+        for (const nodeId of nodeIds) {
+          const partitions = partitionsPerNode[nodeId]
             .filter(partition => {
               /**
                * When recovering from OffsetOutOfRange, each partition can recover
@@ -404,24 +552,25 @@ module.exports = class ConsumerGroup {
               maxBytes: maxBytesPerPartition,
             }))
 
-          requestsPerLeader[leader] = requestsPerLeader[leader] || []
-          requestsPerLeader[leader].push({ topic: topicPartition.topic, partitions })
+          requestsPerNode[nodeId] = requestsPerNode[nodeId] || []
+          requestsPerNode[nodeId].push({ topic: topicPartition.topic, partitions })
         }
       }
 
-      const requests = keys(requestsPerLeader).map(async nodeId => {
-        const broker = await this.cluster.findBroker({ nodeId })
-        const { responses } = await broker.fetch({
+      const requests = keys(requestsPerNode).map(async nodeId => {
+        const { responses } = await this.fetchFromBroker({
+          nodeId,
           maxWaitTime,
           minBytes,
           maxBytes,
-          isolationLevel: this.isolationLevel,
-          topics: requestsPerLeader[nodeId],
+          topics: requestsPerNode[nodeId],
         })
 
         const batchesPerPartition = responses.map(({ topicName, partitions }) => {
-          const topicRequestData = requestsPerLeader[nodeId].find(
-            ({ topic }) => topic === topicName
+          const topicRequestData = requestsPerNode[nodeId].find(({ topic }) => topic === topicName)
+
+          partitions.forEach(({ partition, preferredReadReplica }) =>
+            this.updatePreferredReadReplica({ topic: topicName, partition, preferredReadReplica })
           )
 
           return partitions
@@ -473,6 +622,151 @@ module.exports = class ConsumerGroup {
     }
   }
 
+  /**
+   * Group the partitions by the broker they should be fetched from, which is the preferred
+   * read replica returned by the leader as long as it's still a replica of the partition,
+   * or the leader otherwise
+   *
+   * @param {string} topic
+   * @param {Array<number>} partitions
+   * @returns {Object} Partitions per node id, e.g: { '0': [0, 2], '1': [1] }
+   */
+  findReadReplicaForPartitions(topic, partitions) {
+    const partitionsPerLeader = this.cluster.findLeaderForPartitions(topic, partitions)
+    const partitionsPerNode = {}
+
+    for (const leader of keys(partitionsPerLeader)) {
+      for (const partition of partitionsPerLeader[leader]) {
+        const preferredReadReplica = this.preferredReadReplicas.get(topic, partition)
+        const nodeId =
+          preferredReadReplica != null &&
+          this.isReplica({ topic, partition, nodeId: preferredReadReplica })
+            ? preferredReadReplica
+            : leader
+
+        partitionsPerNode[nodeId] = partitionsPerNode[nodeId] || []
+        partitionsPerNode[nodeId].push(partition)
+      }
+    }
+
+    return partitionsPerNode
+  }
+
+  isReplica({ topic, partition, nodeId }) {
+    const metadata = this.cluster
+      .findTopicPartitionMetadata(topic)
+      .find(({ partitionId }) => partitionId === partition)
+
+    return !!metadata && (metadata.replicas || []).includes(nodeId)
+  }
+
+  /**
+   * Brokers which support fetching from followers (Fetch v11+) return the replica the
+   * partition should be fetched from, replicas don't redirect the consumer any further
+   */
+  updatePreferredReadReplica({ topic, partition, preferredReadReplica }) {
+    if (preferredReadReplica == null || preferredReadReplica === NO_PREFERRED_READ_REPLICA) {
+      return
+    }
+
+    this.logger.debug('Fetching from the preferred read replica', {
+      groupId: this.groupId,
+      memberId: this.memberId,
+      topic,
+      partition,
+      preferredReadReplica,
+    })
+
+    this.preferredReadReplicas.set(topic, partition, preferredReadReplica)
+  }
+
+  /**
+   * Fetch from the broker using its incremental fetch session. Incremental responses
+   * only include the partitions with new data or errors
+   *
+   * @param {string} nodeId
+   * @param {Array} topics All partitions which should be fetched from the broker
+   */
+  async fetchFromBroker({ nodeId, maxWaitTime, minBytes, maxBytes, topics }) {
+    let broker
+
+    try {
+      broker = await this.cluster.findBroker({ nodeId })
+    } catch (e) {
+      this.fallbackToLeader({ nodeId, error: e })
+      throw e
+    }
+
+    const fetchSession = this.fetchSessionFor(nodeId)
+    const isIncremental = !fetchSession.isFull()
+    const sessionRequest = fetchSession.nextRequest(topics)
+
+    try {
+      const response = await broker.fetch({
+        maxWaitTime,
+        minBytes,
+        maxBytes,
+        isolationLevel: this.isolationLevel,
+        topics: sessionRequest.topics,
+        sessionId: sessionRequest.sessionId,
+        sessionEpoch: sessionRequest.sessionEpoch,
+        forgottenTopics: sessionRequest.forgottenTopics,
+        rackId: this.rackId || '',
+      })
+
+      fetchSession.onResponse(response)
+      return response
+    } catch (e) {
+      // The broker might have applied the request to the session, so the
+      // only safe way forward is a full fetch
+      fetchSession.reset()
+      this.fallbackToLeader({ nodeId, error: e })
+
+      if (isIncremental && FETCH_SESSION_ERRORS.includes(e.type)) {
+        this.logger.debug(`${e.message}, falling back to a full fetch`, {
+          groupId: this.groupId,
+          memberId: this.memberId,
+          nodeId,
+          sessionId: sessionRequest.sessionId,
+          sessionEpoch: sessionRequest.sessionEpoch,
+        })
+
+        return this.fetchFromBroker({ nodeId, maxWaitTime, minBytes, maxBytes, topics })
+      }
+
+      throw e
+    }
+  }
+
+  /**
+   * The partitions read from a replica which is no longer available are fetched from
+   * their leaders, which can return a new preferred read replica
+   */
+  fallbackToLeader({ nodeId, error }) {
+    if (!BROKER_UNAVAILABLE_ERRORS.includes(error.name)) {
+      return
+    }
+
+    this.preferredReadReplicas.deleteBroker(nodeId)
+  }
+
+  fetchSessionFor(nodeId) {
+    if (!this.fetchSessions.has(nodeId)) {
+      this.fetchSessions.set(nodeId, new FetchSession())
+    }
+
+    return this.fetchSessions.get(nodeId)
+  }
+
+  /**
+   * Existing sessions are closed by the broker once the next full fetch creates a new one
+   */
+  resetFetchSessions() {
+    for (const fetchSession of this.fetchSessions.values()) {
+      fetchSession.reset()
+    }
+  }
+
   async recoverFromFetch(e) {
     if (STALE_METADATA_ERRORS.includes(e.type) || e.name === 'KafkaJSTopicMetadataNotLoaded') {
       this.logger.debug('Stale cluster metadata, refreshing...', {
@@ -512,6 +806,21 @@ module.exports = class ConsumerGroup {
   }
 
   async recoverFromOffsetOutOfRange(e) {
+    // The offset might not be replicated to the follower yet, the leader decides
+    // if the offset is out of range
+    if (this.preferredReadReplicas.delete(e.topic, e.partition)) {
+      this.logger.debug(
+        'Offset out of range on the preferred read replica, fetching from the leader',
+        {
+          topic: e.topic,
+          partition: e.partition,
+          groupId: this.groupId,
+          memberId: this.memberId,
+        }
+      )
+      return
+    }
+
     this.logger.error('Offset out of range, resetting to default offset', {
       topic: e.topic,
       partition: e.partition,
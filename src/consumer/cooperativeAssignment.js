@@ -0,0 +1,64 @@
+const { MemberMetadata, MemberAssignment } = require('./assignerProtocol')
+
+const { keys } = Object
+
+const indexOwners = members =>
+  members.reduce((owners, { memberId, memberMetadata }) => {
+    const { ownedPartitions = [] } = MemberMetadata.decode(memberMetadata)
+
+    ownedPartitions.forEach(({ topic, partitions }) => {
+      owners[topic] = owners[topic] || {}
+      partitions.forEach(partition => {
+        owners[topic][partition] = memberId
+      })
+    })
+
+    return owners
+  }, {})
+
+/**
+ * With the cooperative rebalance protocol a partition can't be assigned to a new member while
+ * it is still owned by another member. The partitions moving to another member are removed
+ * from the assignment, the current owner revokes them and joins the group again, and the
+ * partitions are assigned to the new member on the following rebalance
+ *
+ * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-429%3A+Kafka+Consumer+Incremental+Rebalance+Protocol
+ *
+ * @param {Array} members The group members, e.g: [{ memberId: 'test-5f93f5a3', memberMetadata: Buffer }]
+ * @param {Array} assignment The assignment returned by the partition assigner, e.g:
+ *                           [{ memberId: 'test-5f93f5a3', memberAssignment: Buffer }]
+ * @returns {Array} The assignment without the partitions which are changing owner
+ */
+module.exports = ({ members, assignment }) => {
+  const owners = indexOwners(members)
+  const isOwnedByAnotherMember = (memberId, topic, partition) => {
+    const owner = owners[topic] && owners[topic][partition]
+    return owner != null && owner !== memberId
+  }
+
+  return assignment.map(({ memberId, memberAssignment }) => {
+    const decodedAssignment = MemberAssignment.decode(memberAssignment)
+
+    if (!decodedAssignment) {
+      return { memberId, memberAssignment }
+    }
+
+    const { version, userData } = decodedAssignment
+    const adjustedAssignment = keys(decodedAssignment.assignment).reduce((result, topic) => {
+      const partitions = decodedAssignment.assignment[topic].filter(
+        partition => !isOwnedByAnotherMember(memberId, topic, partition)
+      )
+
+      return partitions.length > 0 ? { ...result, [topic]: partitions } : result
+    }, {})
+
+    return {
+      memberId,
+      memberAssignment: MemberAssignment.encode({
+        version,
+        assignment: adjustedAssignment,
+        userData,
+      }),
+    }
+  })
+}
@@ -0,0 +1,112 @@
+const INVALID_SESSION_ID = 0
+const INITIAL_EPOCH = 0
+const MAX_EPOCH = 2147483647
+
+const toPartitionsByTopic = topics =>
+  new Map(
+    topics.map(({ topic, partitions }) => [
+      topic,
+      new Map(partitions.map(partitionData => [partitionData.partition, partitionData])),
+    ])
+  )
+
+const hasChanged = (current, next) =>
+  !current || current.fetchOffset !== next.fetchOffset || current.maxBytes !== next.maxBytes
+
+/**
+ * Keeps track of the incremental fetch session with a single broker. The first request
+ * of a session is a full fetch, the following requests only include the partitions
+ * which were added or had their fetch offset changed, and the partitions which
+ * should be removed from the session
+ *
+ * Brokers without support for fetch sessions (Fetch < v7) never return a session id,
+ * so every request remains a full fetch
+ *
+ * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-227%3A+Introduce+Incremental+FetchRequests+to+Increase+Partition+Scalability
+ */
+module.exports = class FetchSession {
+  constructor() {
+    this.sessionId = INVALID_SESSION_ID
+    this.epoch = INITIAL_EPOCH
+    this.partitionsByTopic = new Map()
+    this.pendingPartitionsByTopic = null
+  }
+
+  isFull() {
+    return this.epoch === INITIAL_EPOCH
+  }
+
+  /**
+   * @param {Array} topics All partitions which should be part of the session
+   *                       [
+   *                         {
+   *                           topic: 'topic-name',
+   *                           partitions: [{ partition: 0, fetchOffset: '4124', maxBytes: 2048 }]
+   *                         }
+   *                       ]
+   * @returns {object} { sessionId, sessionEpoch, topics, forgottenTopics }
+   */
+  nextRequest(topics) {
+    const { sessionId, epoch: sessionEpoch } = this
+    this.pendingPartitionsByTopic = toPartitionsByTopic(topics)
+
+    if (this.isFull()) {
+      return { sessionId, sessionEpoch, topics, forgottenTopics: [] }
+    }
+
+    const updatedTopics = topics
+      .map(({ topic, partitions }) => {
+        const currentPartitions = this.partitionsByTopic.get(topic) || new Map()
+        return {
+          topic,
+          partitions: partitions.filter(partitionData =>
+            hasChanged(currentPartitions.get(partitionData.partition), partitionData)
+          ),
+        }
+      })
+      .filter(({ partitions }) => partitions.length > 0)
+
+    const forgottenTopics = Array.from(this.partitionsByTopic)
+      .map(([topic, currentPartitions]) => {
+        const nextPartitions = this.pendingPartitionsByTopic.get(topic) || new Map()
+        return {
+          topic,
+          partitions: Array.from(currentPartitions.keys()).filter(
+            partition => !nextPartitions.has(partition)
+          ),
+        }
+      })
+      .filter(({ partitions }) => partitions.length > 0)
+
+    return { sessionId, sessionEpoch, topics: updatedTopics, forgottenTopics }
+  }
+
+  /**
+   * @param {number} [sessionId] The session id returned by the broker, a broker which
+   *                             can't or won't create a session returns 0
+   */
+  onResponse({ sessionId = INVALID_SESSION_ID }) {
+    if (sessionId === INVALID_SESSION_ID) {
+      this.sessionId = INVALID_SESSION_ID
+      this.epoch = INITIAL_EPOCH
+      this.partitionsByTopic = new Map()
+      this.pendingPartitionsByTopic = null
+      return
+    }
+
+    this.sessionId = sessionId
+    this.epoch = this.epoch === MAX_EPOCH ? 1 : this.epoch + 1
+    this.partitionsByTopic = this.pendingPartitionsByTopic
+    this.pendingPartitionsByTopic = null
+  }
+
+  /**
+   * Fall back to a full fetch on the next request. The session id is kept, so the
+   * broker closes the previous session while creating the new one
+   */
+  reset() {
+    this.epoch = INITIAL_EPOCH
+    this.partitionsByTopic = new Map()
+    this.pendingPartitionsByTopic = null
+  }
+}
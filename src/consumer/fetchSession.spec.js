@@ -0,0 +1,128 @@
+const FetchSession = require('./fetchSession')
+
+describe('Consumer > FetchSession', () => {
+  let fetchSession
+  const partition = (partition, fetchOffset) => ({ partition, fetchOffset, maxBytes: 1048576 })
+
+  beforeEach(() => {
+    fetchSession = new FetchSession()
+  })
+
+  test('starts with a full fetch creating a new session', () => {
+    const topics = [{ topic: 'topic1', partitions: [partition(0, '0'), partition(1, '10')] }]
+
+    expect(fetchSession.nextRequest(topics)).toEqual({
+      sessionId: 0,
+      sessionEpoch: 0,
+      topics,
+      forgottenTopics: [],
+    })
+  })
+
+  test('only sends updated and added partitions once the session is created', () => {
+    fetchSession.nextRequest([
+      { topic: 'topic1', partitions: [partition(0, '0'), partition(1, '10')] },
+    ])
+    fetchSession.onResponse({ sessionId: 1234 })
+
+    expect(
+      fetchSession.nextRequest([
+        { topic: 'topic1', partitions: [partition(0, '5'), partition(1, '10')] },
+        { topic: 'topic2', partitions: [partition(0, '0')] },
+      ])
+    ).toEqual({
+      sessionId: 1234,
+      sessionEpoch: 1,
+      topics: [
+        { topic: 'topic1', partitions: [partition(0, '5')] },
+        { topic: 'topic2', partitions: [partition(0, '0')] },
+      ],
+      forgottenTopics: [],
+    })
+  })
+
+  test('forgets partitions removed from the session', () => {
+    fetchSession.nextRequest([
+      { topic: 'topic1', partitions: [partition(0, '0'), partition(1, '10')] },
+      { topic: 'topic2', partitions: [partition(0, '0')] },
+    ])
+    fetchSession.onResponse({ sessionId: 1234 })
+
+    expect(
+      fetchSession.nextRequest([{ topic: 'topic1', partitions: [partition(1, '10')] }])
+    ).toEqual({
+      sessionId: 1234,
+      sessionEpoch: 1,
+      topics: [],
+      forgottenTopics: [
+        { topic: 'topic1', partitions: [0] },
+        { topic: 'topic2', partitions: [0] },
+      ],
+    })
+  })
+
+  test('increments the epoch after every response', () => {
+    const topics = [{ topic: 'topic1', partitions: [partition(0, '0')] }]
+
+    fetchSession.nextRequest(topics)
+    fetchSession.onResponse({ sessionId: 1234 })
+    fetchSession.nextRequest(topics)
+    fetchSession.onResponse({ sessionId: 1234 })
+
+    expect(fetchSession.nextRequest(topics)).toEqual(
+      expect.objectContaining({ sessionId: 1234, sessionEpoch: 2 })
+    )
+  })
+
+  test('wraps the epoch around after the maximum value', () => {
+    const topics = [{ topic: 'topic1', partitions: [partition(0, '0')] }]
+    fetchSession.nextRequest(topics)
+    fetchSession.onResponse({ sessionId: 1234 })
+    fetchSession.epoch = 2147483647
+
+    fetchSession.nextRequest(topics)
+    fetchSession.onResponse({ sessionId: 1234 })
+
+    expect(fetchSession.epoch).toEqual(1)
+  })
+
+  test('keeps sending full fetches when the broker does not create a session', () => {
+    const topics = [{ topic: 'topic1', partitions: [partition(0, '0')] }]
+
+    fetchSession.nextRequest(topics)
+    fetchSession.onResponse({ sessionId: 0 })
+    expect(fetchSession.nextRequest(topics)).toEqual({
+      sessionId: 0,
+      sessionEpoch: 0,
+      topics,
+      forgottenTopics: [],
+    })
+
+    // Fetch < v7 responses don't include a session id
+    fetchSession.onResponse({})
+    expect(fetchSession.isFull()).toEqual(true)
+  })
+
+  test('falls back to a full fetch closing the previous session after a reset', () => {
+    const topics = [{ topic: 'topic1', partitions: [partition(0, '0'), partition(1, '10')] }]
+
+    fetchSession.nextRequest(topics)
+    fetchSession.onResponse({ sessionId: 1234 })
+    fetchSession.reset()
+
+    expect(fetchSession.nextRequest(topics)).toEqual({
+      sessionId: 1234,
+      sessionEpoch: 0,
+      topics,
+      forgottenTopics: [],
+    })
+
+    fetchSession.onResponse({ sessionId: 5678 })
+    expect(fetchSession.nextRequest(topics)).toEqual({
+      sessionId: 5678,
+      sessionEpoch: 1,
+      topics: [],
+      forgottenTopics: [],
+    })
+  })
+})
@@ -6,7 +6,9 @@ const Runner = require('./runner')
 const { events, wrap: wrapEvent, unwrap: unwrapEvent } = require('./instrumentationEvents')
 const InstrumentationEventEmitter = require('../instrumentation/emitter')
 const { KafkaJSNonRetriableError } = require('../errors')
+const { validateHooks } = require('../serialization')
 const { roundRobin } = require('./assigners')
+const RebalanceProtocols = require('./rebalanceProtocols')
 const { EARLIEST_OFFSET, LATEST_OFFSET } = require('../constants')
 const ISOLATION_LEVEL = require('../protocol/isolationLevel')
 
@@ -18,6 +20,26 @@ const eventKeys = keys(events)
   .map(key => `consumer.events.${key}`)
   .join(', ')
 
+/**
+ * The consumer uses the highest rebalance protocol supported by all its partition assigners,
+ * assigners which don't declare the supported protocols only support the eager protocol
+ */
+const selectRebalanceProtocol = assigners => {
+  const { EAGER } = RebalanceProtocols
+  const commonProtocols = values(RebalanceProtocols).filter(protocol =>
+    assigners.every(({ supportedProtocols = [EAGER] }) => supportedProtocols.includes(protocol))
+  )
+
+  if (commonProtocols.length === 0) {
+    const assignerNames = assigners.map(({ name }) => name).join(', ')
+    throw new KafkaJSNonRetriableError(
+      `The partition assigners (${assignerNames}) don't support a common rebalance protocol`
+    )
+  }
+
+  return Math.max(...commonProtocols)
+}
+
 const specialOffsets = [
   Long.fromValue(EARLIEST_OFFSET).toString(),
   Long.fromValue(LATEST_OFFSET).toString(),
@@ -26,6 +48,8 @@ const specialOffsets = [
 module.exports = ({
   cluster,
   groupId,
+  groupInstanceId = null,
+  rackId = null,
   retry,
   logger: rootLogger,
   partitionAssigners = [roundRobin],
@@ -37,17 +61,34 @@ module.exports = ({
   maxBytes = 10485760, // 10MB
   maxWaitTimeInMs = 5000,
   isolationLevel = ISOLATION_LEVEL.READ_COMMITTED,
+  interceptors = [],
+  deserializers = {},
   instrumentationEmitter: rootInstrumentationEmitter,
 }) => {
   if (!groupId) {
     throw new KafkaJSNonRetriableError('Consumer groupId must be a non-empty string.')
   }
 
+  if (groupInstanceId != null && (typeof groupInstanceId !== 'string' || !groupInstanceId)) {
+    throw new KafkaJSNonRetriableError('Consumer groupInstanceId must be a non-empty string.')
+  }
+
+  if (rackId != null && (typeof rackId !== 'string' || !rackId)) {
+    throw new KafkaJSNonRetriableError('Consumer rackId must be a non-empty string.')
+  }
+
+  if (!Array.isArray(interceptors)) {
+    throw new KafkaJSNonRetriableError('Consumer interceptors must be an array.')
+  }
+
+  validateHooks('Consumer deserializers', deserializers)
+
   const logger = rootLogger.namespace('Consumer')
   const instrumentationEmitter = rootInstrumentationEmitter || new InstrumentationEventEmitter()
   const assigners = partitionAssigners.map(createAssigner =>
-    createAssigner({ groupId, logger, cluster })
+    createAssigner({ groupId, logger, cluster, rackId })
   )
+  const rebalanceProtocol = selectRebalanceProtocol(assigners)
 
   const topics = {}
   let runner = null
@@ -66,7 +107,10 @@ module.exports = ({
       topicConfigurations: topics,
       cluster,
       groupId,
+      groupInstanceId,
+      rackId,
       assigners,
+      rebalanceProtocol,
       sessionTimeout,
       rebalanceTimeout,
       maxBytesPerPartition,
@@ -84,6 +128,7 @@ module.exports = ({
     eachBatchAutoResolve,
     eachBatch,
     eachMessage,
+    transactionalProducer,
     onCrash,
     autoCommit,
     partitionsConsumedConcurrently,
@@ -96,6 +141,9 @@ module.exports = ({
       eachBatchAutoResolve,
       eachBatch,
       eachMessage,
+      transactionalProducer,
+      interceptors,
+      deserializers,
       heartbeatInterval,
       retry,
       onCrash,
@@ -195,6 +243,8 @@ module.exports = ({
    * @param {number} [partitionsConsumedConcurrently=1]
    * @param {Function} [eachBatch=null]
    * @param {Function} [eachMessage=null]
+   * @param {Object} [transactionalProducer=null] Process every batch within a transaction of this producer,
+   *                                              committing the offsets of the batch with the transaction
    * @return {Promise}
    */
   const run = async ({
@@ -205,12 +255,24 @@ module.exports = ({
     partitionsConsumedConcurrently = 1,
     eachBatch = null,
     eachMessage = null,
+    transactionalProducer = null,
   } = {}) => {
     if (consumerGroup) {
       logger.warn('consumer#run was called, but the consumer is already running', { groupId })
       return
     }
 
+    if (transactionalProducer && (!eachBatch || eachMessage)) {
+      throw new KafkaJSNonRetriableError('The transactionalProducer option requires eachBatch')
+    }
+
+    // The producer can only have one ongoing transaction
+    if (transactionalProducer && partitionsConsumedConcurrently > 1) {
+      throw new KafkaJSNonRetriableError(
+        'The transactionalProducer option does not support consuming partitions concurrently'
+      )
+    }
+
     consumerGroup = createConsumerGroup({
       autoCommitInterval,
       autoCommitThreshold,
@@ -219,10 +281,12 @@ module.exports = ({
     const start = async onCrash => {
       logger.info('Starting', { groupId })
       runner = createRunner({
-        autoCommit,
+        // The offsets are committed as part of the transactions
+        autoCommit: autoCommit && !transactionalProducer,
         eachBatchAutoResolve,
         eachBatch,
         eachMessage,
+        transactionalProducer,
         onCrash,
         partitionsConsumedConcurrently,
       })
@@ -0,0 +1,49 @@
+const OffsetManager = require('../index')
+
+describe('Consumer > OffsetMananger > reassign', () => {
+  let offsetManager, coordinator
+
+  beforeEach(() => {
+    coordinator = { nodeId: 1 }
+    offsetManager = new OffsetManager({
+      memberAssignment: { 'topic-1': [0, 1], 'topic-2': [0] },
+      generationId: 1,
+      memberId: 'member-1',
+    })
+
+    offsetManager.committedOffsets()['topic-1'] = { 0: '10', 1: '20' }
+    offsetManager.committedOffsets()['topic-2'] = { 0: '30' }
+    offsetManager.resolveOffset({ topic: 'topic-1', partition: 0, offset: '14' })
+    offsetManager.resolveOffset({ topic: 'topic-1', partition: 1, offset: '24' })
+    offsetManager.resolveOffset({ topic: 'topic-2', partition: 0, offset: '34' })
+  })
+
+  it('keeps the offsets of the partitions which are still assigned', () => {
+    offsetManager.reassign({
+      coordinator,
+      memberAssignment: { 'topic-1': [0], 'topic-3': [0] },
+      generationId: 2,
+      memberId: 'member-1',
+    })
+
+    expect(offsetManager.committedOffsets()).toEqual({ 'topic-1': { 0: '10' }, 'topic-3': {} })
+    expect(offsetManager.resolvedOffsets).toEqual({ 'topic-1': { 0: '15' }, 'topic-3': {} })
+    expect(offsetManager.topics).toEqual(['topic-1', 'topic-3'])
+    expect(offsetManager.uncommittedOffsets()).toEqual({
+      topics: [{ topic: 'topic-1', partitions: [{ partition: '0', offset: '15' }] }],
+    })
+  })
+
+  it('uses the new generation', () => {
+    offsetManager.reassign({
+      coordinator,
+      memberAssignment: { 'topic-1': [0, 1] },
+      generationId: 2,
+      memberId: 'member-2',
+    })
+
+    expect(offsetManager.coordinator).toBe(coordinator)
+    expect(offsetManager.generationId).toEqual(2)
+    expect(offsetManager.memberId).toEqual('member-2')
+  })
+})
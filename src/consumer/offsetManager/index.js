@@ -49,6 +49,51 @@ module.exports = class OffsetManager {
     this.clearAllOffsets()
   }
 
+  /**
+   * Update the assignment after a cooperative rebalance. The offsets of the partitions which
+   * are still assigned are kept, the offsets of the revoked partitions are dropped
+   *
+   * @param {Broker} coordinator
+   * @param {Object} memberAssignment The new assignment, e.g: { 'topic1': [0, 1, 2, 3] }
+   * @param {number} generationId
+   * @param {string} memberId
+   */
+  reassign({ coordinator, memberAssignment, generationId, memberId }) {
+    const committedOffsets = this.committedOffsets()
+    const isAssigned = (topic, partition) =>
+      !!memberAssignment[topic] && memberAssignment[topic].includes(Number(partition))
+
+    const retainOffsets = (offsets, topic) => {
+      for (const partition of keys(offsets[topic] || {})) {
+        if (!isAssigned(topic, partition)) {
+          delete offsets[topic][partition]
+        }
+      }
+    }
+
+    for (const topic of this.topics) {
+      if (!memberAssignment[topic]) {
+        delete committedOffsets[topic]
+        delete this.resolvedOffsets[topic]
+        continue
+      }
+
+      retainOffsets(committedOffsets, topic)
+      retainOffsets(this.resolvedOffsets, topic)
+    }
+
+    this.topics = keys(memberAssignment)
+    for (const topic of this.topics) {
+      committedOffsets[topic] = committedOffsets[topic] || {}
+      this.resolvedOffsets[topic] = this.resolvedOffsets[topic] || {}
+    }
+
+    this.coordinator = coordinator
+    this.memberAssignment = memberAssignment
+    this.generationId = generationId
+    this.memberId = memberId
+  }
+
   /**
    * @param {string} topic
    * @param {number} partition
@@ -234,6 +279,22 @@ module.exports = class OffsetManager {
     return { topics: topicsWithPartitionsToCommit }
   }
 
+  /**
+   * Update the local reference of committed offsets, e.g. after committing the offsets
+   * as part of a transaction
+   *
+   * @param {Array} topics [{ topic: 'topic1', partitions: [{ partition: 0, offset: '4' }] }]
+   */
+  markOffsetsAsCommitted({ topics }) {
+    topics.forEach(({ topic, partitions }) => {
+      const updatedOffsets = partitions.reduce(
+        (obj, { partition, offset }) => assign(obj, { [partition]: offset }),
+        {}
+      )
+      assign(this.committedOffsets()[topic], updatedOffsets)
+    })
+  }
+
   async commitOffsets(offsets = {}) {
     const { groupId, generationId, memberId } = this
     const { topics = this.uncommittedOffsets().topics } = offsets
@@ -255,15 +316,7 @@ module.exports = class OffsetManager {
       await coordinator.offsetCommit(payload)
       this.instrumentationEmitter.emit(COMMIT_OFFSETS, payload)
 
-      // Update local reference of committed offsets
-      topics.forEach(({ topic, partitions }) => {
-        const updatedOffsets = partitions.reduce(
-          (obj, { partition, offset }) => assign(obj, { [partition]: offset }),
-          {}
-        )
-        assign(this.committedOffsets()[topic], updatedOffsets)
-      })
-
+      this.markOffsetsAsCommitted({ topics })
       this.lastCommit = Date.now()
     } catch (e) {
       // metadata is stale, the coordinator has changed due to a restart or
@@ -0,0 +1,74 @@
+// Same as the default metadataMaxAge, after which the leader is asked again for the replica
+const DEFAULT_TTL = 300000
+
+/**
+ * Keeps track of the preferred read replica returned by the partition leaders (Fetch v11+),
+ * the consumer fetches from the preferred replica instead of the leader until it expires
+ *
+ * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-392%3A+Allow+consumers+to+fetch+from+closest+replica
+ */
+module.exports = class PreferredReadReplicas {
+  constructor({ ttl = DEFAULT_TTL } = {}) {
+    this.ttl = ttl
+    this.replicasByTopic = new Map()
+  }
+
+  /**
+   * @param {string} topic
+   * @param {number} partition
+   * @returns {number|null} The node id of the preferred read replica
+   */
+  get(topic, partition) {
+    const replicas = this.replicasByTopic.get(topic)
+    const replica = replicas && replicas.get(partition)
+
+    if (!replica) {
+      return null
+    }
+
+    if (replica.expireAt <= Date.now()) {
+      this.delete(topic, partition)
+      return null
+    }
+
+    return replica.nodeId
+  }
+
+  /**
+   * @param {string} topic
+   * @param {number} partition
+   * @param {number} nodeId
+   */
+  set(topic, partition, nodeId) {
+    if (!this.replicasByTopic.has(topic)) {
+      this.replicasByTopic.set(topic, new Map())
+    }
+
+    this.replicasByTopic.get(topic).set(partition, { nodeId, expireAt: Date.now() + this.ttl })
+  }
+
+  /**
+   * @param {string} topic
+   * @param {number} partition
+   * @returns {boolean} true if the partition had a preferred read replica
+   */
+  delete(topic, partition) {
+    const replicas = this.replicasByTopic.get(topic)
+    return !!replicas && replicas.delete(partition)
+  }
+
+  /**
+   * Fall back to the leader for every partition read from the broker
+   *
+   * @param {number} nodeId
+   */
+  deleteBroker(nodeId) {
+    for (const replicas of this.replicasByTopic.values()) {
+      for (const [partition, replica] of replicas) {
+        if (`${replica.nodeId}` === `${nodeId}`) {
+          replicas.delete(partition)
+        }
+      }
+    }
+  }
+}
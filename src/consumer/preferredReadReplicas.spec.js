@@ -0,0 +1,54 @@
+const PreferredReadReplicas = require('./preferredReadReplicas')
+
+describe('Consumer > PreferredReadReplicas', () => {
+  let preferredReadReplicas
+
+  beforeEach(() => {
+    preferredReadReplicas = new PreferredReadReplicas({ ttl: 1000 })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('returns the preferred read replica of a partition', () => {
+    preferredReadReplicas.set('topic1', 0, 2)
+
+    expect(preferredReadReplicas.get('topic1', 0)).toEqual(2)
+    expect(preferredReadReplicas.get('topic1', 1)).toBeNull()
+    expect(preferredReadReplicas.get('topic2', 0)).toBeNull()
+  })
+
+  test('expires the preferred read replica after the ttl', () => {
+    const now = Date.now()
+    jest.spyOn(Date, 'now').mockImplementation(() => now)
+    preferredReadReplicas.set('topic1', 0, 2)
+
+    Date.now.mockImplementation(() => now + 999)
+    expect(preferredReadReplicas.get('topic1', 0)).toEqual(2)
+
+    Date.now.mockImplementation(() => now + 1000)
+    expect(preferredReadReplicas.get('topic1', 0)).toBeNull()
+  })
+
+  test('deletes the preferred read replica of a partition', () => {
+    preferredReadReplicas.set('topic1', 0, 2)
+
+    expect(preferredReadReplicas.delete('topic1', 0)).toEqual(true)
+    expect(preferredReadReplicas.delete('topic1', 0)).toEqual(false)
+    expect(preferredReadReplicas.delete('topic2', 0)).toEqual(false)
+    expect(preferredReadReplicas.get('topic1', 0)).toBeNull()
+  })
+
+  test('deletes every partition read from a broker', () => {
+    preferredReadReplicas.set('topic1', 0, 2)
+    preferredReadReplicas.set('topic1', 1, 3)
+    preferredReadReplicas.set('topic2', 0, 2)
+
+    preferredReadReplicas.deleteBroker('2')
+
+    expect(preferredReadReplicas.get('topic1', 0)).toBeNull()
+    expect(preferredReadReplicas.get('topic1', 1)).toEqual(3)
+    expect(preferredReadReplicas.get('topic2', 0)).toBeNull()
+  })
+})
@@ -0,0 +1,19 @@
+/**
+ * @typedef {number} RebalanceProtocols
+ *
+ * Enum for the rebalance protocols supported by the partition assigners
+ * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-429%3A+Kafka+Consumer+Incremental+Rebalance+Protocol
+ * @readonly
+ * @enum {RebalanceProtocols}
+ */
+module.exports = {
+  /**
+   * Every member revokes all its partitions before joining the group
+   */
+  EAGER: 0,
+  /**
+   * Members keep their partitions through the rebalance, and only revoke the
+   * partitions which are moving to another member
+   */
+  COOPERATIVE: 1,
+}
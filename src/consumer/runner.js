@@ -2,7 +2,8 @@ const EventEmitter = require('events')
 const Long = require('long')
 const createRetry = require('../retry')
 const limitConcurrency = require('../utils/concurrency')
-const { KafkaJSError } = require('../errors')
+const { createMessageTransformer } = require('../serialization')
+const { KafkaJSError, KafkaJSDeserializationError } = require('../errors')
 const barrier = require('./barrier')
 
 const {
@@ -14,6 +15,14 @@ const isTestMode = process.env.NODE_ENV === 'test'
 const isRebalancing = e =>
   e.type === 'REBALANCE_IN_PROGRESS' || e.type === 'NOT_COORDINATOR_FOR_GROUP'
 
+// Another member joined with the same group instance id, this member was replaced
+// and must not rejoin the group
+const isFenced = e => e.type === 'FENCED_INSTANCE_ID'
+
+// Another producer started with the same transactional id, the transactions of
+// this producer can no longer be committed or aborted
+const isProducerFenced = e => e.type === 'INVALID_PRODUCER_EPOCH'
+
 const isKafkaJSError = e => e instanceof KafkaJSError
 const isSameOffset = (offsetA, offsetB) => Long.fromValue(offsetA).equals(Long.fromValue(offsetB))
 const CONSUMING_START = 'consuming-start'
@@ -28,6 +37,9 @@ module.exports = class Runner extends EventEmitter {
     partitionsConsumedConcurrently,
     eachBatch,
     eachMessage,
+    transactionalProducer = null,
+    interceptors = [],
+    deserializers = {},
     heartbeatInterval,
     onCrash,
     retry,
@@ -40,6 +52,21 @@ module.exports = class Runner extends EventEmitter {
     this.eachBatchAutoResolve = eachBatchAutoResolve
     this.eachBatch = eachBatch
     this.eachMessage = eachMessage
+    this.transactionalProducer = transactionalProducer
+    this.interceptors = interceptors
+    this.deserializeMessage = createMessageTransformer(
+      deserializers,
+      (e, field, { topic, partition, offset, header }) => {
+        throw new KafkaJSDeserializationError(
+          `Failed to deserialize the ${
+            header ? `header "${header}"` : field
+          } of the message at offset ${offset} of topic "${topic}" partition ${partition}: ${
+            e.message
+          }`,
+          { topic, partition, offset, field, header, originalError: e }
+        )
+      }
+    )
     this.heartbeatInterval = heartbeatInterval
     this.retrier = createRetry(Object.assign({}, retry))
     this.onCrash = onCrash
@@ -63,7 +90,7 @@ module.exports = class Runner extends EventEmitter {
 
   async join() {
     const startJoin = Date.now()
-    return this.retrier(async (bail, retryCount, retryTime) => {
+    await this.retrier(async (bail, retryCount, retryTime) => {
       try {
         await this.consumerGroup.join()
         await this.consumerGroup.sync()
@@ -98,6 +125,17 @@ module.exports = class Runner extends EventEmitter {
         bail(e)
       }
     })
+
+    // A cooperative member which revoked partitions joins the group again,
+    // so the partitions can be assigned to their new owners
+    if (this.consumerGroup.needsRejoin()) {
+      this.logger.debug('Joining the group again after revoking partitions', {
+        groupId: this.consumerGroup.groupId,
+        memberId: this.consumerGroup.memberId,
+      })
+
+      await this.join()
+    }
   }
 
   async scheduleJoin() {
@@ -170,7 +208,15 @@ module.exports = class Runner extends EventEmitter {
       }
 
       try {
-        await this.eachMessage({ topic, partition, message })
+        await this.eachMessage({
+          topic,
+          partition,
+          message: await this.deserializeMessage(message, {
+            topic,
+            partition,
+            offset: message.offset,
+          }),
+        })
       } catch (e) {
         if (!isKafkaJSError(e)) {
           this.logger.error(`Error when calling eachMessage`, {
@@ -192,52 +238,62 @@ module.exports = class Runner extends EventEmitter {
     }
   }
 
-  async processEachBatch(batch) {
+  eachBatchPayload(batch) {
     const { topic, partition } = batch
     const lastFilteredMessage = batch.messages[batch.messages.length - 1]
 
-    try {
-      await this.eachBatch({
-        batch,
-        resolveOffset: offset => {
-          /**
-           * The transactional producer generates a control record after committing the transaction.
-           * The control record is the last record on the RecordBatch, and it is filtered before it
-           * reaches the eachBatch callback. When disabling auto-resolve, the user-land code won't
-           * be able to resolve the control record offset, since it never reaches the callback,
-           * causing stuck consumers as the consumer will never move the offset marker.
-           *
-           * When the last offset of the batch is resolved, we should automatically resolve
-           * the control record offset as this entry doesn't have any meaning to the user-land code,
-           * and won't interfere with the stream processing.
-           *
-           * @see https://github.com/apache/kafka/blob/9aa660786e46c1efbf5605a6a69136a1dac6edb9/clients/src/main/java/org/apache/kafka/clients/consumer/internals/Fetcher.java#L1499-L1505
-           */
-          const offsetToResolve =
-            lastFilteredMessage && isSameOffset(offset, lastFilteredMessage.offset)
-              ? batch.lastOffset()
-              : offset
-
-          this.consumerGroup.resolveOffset({ topic, partition, offset: offsetToResolve })
-        },
-        heartbeat: async () => {
-          await this.consumerGroup.heartbeat({ interval: this.heartbeatInterval })
-        },
+    return {
+      batch,
+      resolveOffset: offset => {
         /**
-         * Commit offsets if provided. Otherwise commit most recent resolved offsets
-         * if the autoCommit conditions are met.
+         * The transactional producer generates a control record after committing the transaction.
+         * The control record is the last record on the RecordBatch, and it is filtered before it
+         * reaches the eachBatch callback. When disabling auto-resolve, the user-land code won't
+         * be able to resolve the control record offset, since it never reaches the callback,
+         * causing stuck consumers as the consumer will never move the offset marker.
+         *
+         * When the last offset of the batch is resolved, we should automatically resolve
+         * the control record offset as this entry doesn't have any meaning to the user-land code,
+         * and won't interfere with the stream processing.
          *
-         * @param {OffsetsByTopicPartition} [offsets] Optional.
+         * @see https://github.com/apache/kafka/blob/9aa660786e46c1efbf5605a6a69136a1dac6edb9/clients/src/main/java/org/apache/kafka/clients/consumer/internals/Fetcher.java#L1499-L1505
          */
-        commitOffsetsIfNecessary: async offsets => {
-          return offsets
-            ? this.consumerGroup.commitOffsets(offsets)
-            : this.consumerGroup.commitOffsetsIfNecessary()
-        },
-        uncommittedOffsets: () => this.consumerGroup.uncommittedOffsets(),
-        isRunning: () => this.running,
-        isStale: () => this.consumerGroup.hasSeekOffset({ topic, partition }),
-      })
+        const offsetToResolve =
+          lastFilteredMessage && isSameOffset(offset, lastFilteredMessage.offset)
+            ? batch.lastOffset()
+            : offset
+
+        this.consumerGroup.resolveOffset({ topic, partition, offset: offsetToResolve })
+      },
+      heartbeat: async () => {
+        await this.consumerGroup.heartbeat({ interval: this.heartbeatInterval })
+      },
+      /**
+       * Commit offsets if provided. Otherwise commit most recent resolved offsets
+       * if the autoCommit conditions are met.
+       *
+       * @param {OffsetsByTopicPartition} [offsets] Optional.
+       */
+      commitOffsetsIfNecessary: async offsets => {
+        return offsets
+          ? this.consumerGroup.commitOffsets(offsets)
+          : this.consumerGroup.commitOffsetsIfNecessary()
+      },
+      uncommittedOffsets: () => this.consumerGroup.uncommittedOffsets(),
+      isRunning: () => this.running,
+      isStale: () => this.consumerGroup.hasSeekOffset({ topic, partition }),
+    }
+  }
+
+  async processEachBatch(batch) {
+    if (this.transactionalProducer) {
+      return this.processEachBatchInTransaction(batch)
+    }
+
+    const { topic, partition } = batch
+
+    try {
+      await this.eachBatch(this.eachBatchPayload(batch))
     } catch (e) {
       if (!isKafkaJSError(e)) {
         this.logger.error(`Error when calling eachBatch`, {
@@ -261,6 +317,94 @@ module.exports = class Runner extends EventEmitter {
     }
   }
 
+  /**
+   * Process the batch within a transaction of the transactional producer. The offsets
+   * of the batch are committed together with the messages produced by eachBatch, if
+   * eachBatch fails the transaction is aborted and the partition is consumed again
+   * from the last committed offset
+   */
+  async processEachBatchInTransaction(batch) {
+    const { topic, partition } = batch
+    const { groupId } = this.consumerGroup
+    const transaction = await this.transactionalProducer.transaction()
+
+    try {
+      await this.eachBatch({ ...this.eachBatchPayload(batch), transaction })
+
+      if (this.eachBatchAutoResolve) {
+        this.consumerGroup.resolveOffset({ topic, partition, offset: batch.lastOffset() })
+      }
+
+      const topics = this.consumerGroup
+        .uncommittedOffsets()
+        .topics.filter(topicOffsets => topicOffsets.topic === topic)
+        .map(topicOffsets => ({
+          topic,
+          partitions: topicOffsets.partitions.filter(
+            partitionOffset => `${partitionOffset.partition}` === `${partition}`
+          ),
+        }))
+        .filter(({ partitions }) => partitions.length > 0)
+
+      if (topics.length > 0) {
+        await transaction.sendOffsets({ consumerGroupId: groupId, topics })
+      }
+
+      await transaction.commit()
+      this.consumerGroup.markOffsetsAsCommitted({ topics })
+    } catch (e) {
+      if (!isKafkaJSError(e)) {
+        this.logger.error(`Error when calling eachBatch`, {
+          topic,
+          partition,
+          offset: batch.firstOffset(),
+          stack: e.stack,
+        })
+      }
+
+      // The transaction coordinator aborts the transactions of a fenced producer
+      if (transaction.isActive() && !isProducerFenced(e)) {
+        await transaction.abort().catch(error =>
+          this.logger.error('Failed to abort the transaction', {
+            groupId,
+            topic,
+            partition,
+            error: error.message,
+          })
+        )
+      }
+
+      this.consumerGroup.resetOffset({ topic, partition })
+      throw e
+    }
+  }
+
+  /**
+   * The onConsume interceptors run in order before the batch is processed, each one receiving
+   * the messages returned by the previous one. Interceptors which fail are skipped
+   */
+  async interceptBatch(batch) {
+    for (const interceptor of this.interceptors) {
+      if (typeof interceptor.onConsume !== 'function') {
+        continue
+      }
+
+      try {
+        const messages = await interceptor.onConsume({ batch })
+
+        if (Array.isArray(messages)) {
+          batch.messages = messages
+        }
+      } catch (e) {
+        this.logger.error(`Error when calling onConsume interceptor: ${e.message}`, {
+          topic: batch.topic,
+          partition: batch.partition,
+          stack: e.stack,
+        })
+      }
+    }
+  }
+
   async fetch() {
     const startFetch = Date.now()
 
@@ -282,6 +426,19 @@ module.exports = class Runner extends EventEmitter {
     })
 
     const onBatch = async batch => {
+      await this.interceptBatch(batch)
+
+      // Every message was dropped by the interceptors, the batch is skipped without
+      // being fetched again
+      if (batch.isEmpty()) {
+        this.consumerGroup.resolveOffset({
+          topic: batch.topic,
+          partition: batch.partition,
+          offset: batch.lastOffset(),
+        })
+        return
+      }
+
       const startBatchProcess = Date.now()
       const payload = {
         topic: batch.topic,
@@ -402,6 +559,16 @@ module.exports = class Runner extends EventEmitter {
         this.consuming = true
         await this.fetch()
         this.consuming = false
+
+        if (this.consumerGroup.needsRejoin()) {
+          this.logger.debug('The group is rebalancing, re-joining', {
+            groupId: this.consumerGroup.groupId,
+            memberId: this.consumerGroup.memberId,
+          })
+
+          await this.join()
+        }
+
         setImmediate(() => this.scheduleFetch())
       } catch (e) {
         if (!this.running) {
@@ -442,6 +609,30 @@ module.exports = class Runner extends EventEmitter {
           return
         }
 
+        if (isFenced(e)) {
+          this.logger.error('The member was fenced by another member with the same instance id', {
+            groupId: this.consumerGroup.groupId,
+            groupInstanceId: this.consumerGroup.groupInstanceId,
+            memberId: this.consumerGroup.memberId,
+            error: e.message,
+          })
+
+          return bail(e)
+        }
+
+        if (isProducerFenced(e)) {
+          this.logger.error(
+            'The transactional producer was fenced by another producer with the same transactional id',
+            {
+              groupId: this.consumerGroup.groupId,
+              memberId: this.consumerGroup.memberId,
+              error: e.message,
+            }
+          )
+
+          return bail(e)
+        }
+
         if (e.name === 'KafkaJSOffsetOutOfRange') {
           this.scheduleFetch()
           return
@@ -532,6 +723,17 @@ module.exports = class Runner extends EventEmitter {
           bail(new KafkaJSError('The group is rebalancing'))
         }
 
+        if (isFenced(e)) {
+          this.logger.error('The member was fenced by another member with the same instance id', {
+            groupId: this.consumerGroup.groupId,
+            groupInstanceId: this.consumerGroup.groupInstanceId,
+            memberId: this.consumerGroup.memberId,
+            error: e.message,
+          })
+
+          return bail(e)
+        }
+
         if (e.name === 'KafkaJSNotImplemented') {
           return bail(e)
         }
@@ -34,6 +34,14 @@ class KafkaJSOffsetOutOfRange extends KafkaJSProtocolError {
   }
 }
 
+class KafkaJSMemberIdRequired extends KafkaJSProtocolError {
+  constructor(e, { memberId }) {
+    super(e)
+    this.memberId = memberId
+    this.name = 'KafkaJSMemberIdRequired'
+  }
+}
+
 class KafkaJSNumberOfRetriesExceeded extends KafkaJSNonRetriableError {
   constructor(e, { retryCount, retryTime }) {
     super(e)
@@ -96,6 +104,23 @@ class KafkaJSDeleteGroupsError extends KafkaJSError {
   }
 }
 
+class KafkaJSDeleteTopicRecordsError extends KafkaJSError {
+  constructor(e, { topic, partitions = [] } = {}) {
+    super(e)
+    this.topic = topic
+    this.partitions = partitions
+    this.name = 'KafkaJSDeleteTopicRecordsError'
+  }
+}
+
+class KafkaJSAlterReplicaLogDirsError extends KafkaJSError {
+  constructor(e, { replicas = [] } = {}) {
+    super(e)
+    this.replicas = replicas
+    this.name = 'KafkaJSAlterReplicaLogDirsError'
+  }
+}
+
 class KafkaJSServerDoesNotSupportApiKey extends KafkaJSNonRetriableError {
   constructor(e, { apiKey, apiName } = {}) {
     super(e)
@@ -161,6 +186,41 @@ class KafkaJSUnsupportedMagicByteInMessageSet extends KafkaJSNonRetriableError {
   }
 }
 
+class KafkaJSBufferFullError extends KafkaJSNonRetriableError {
+  constructor(e, { bufferedBytes, inFlightSends, maxBufferedBytes, maxInFlightSends } = {}) {
+    super(e)
+    this.bufferedBytes = bufferedBytes
+    this.inFlightSends = inFlightSends
+    this.maxBufferedBytes = maxBufferedBytes
+    this.maxInFlightSends = maxInFlightSends
+    this.name = 'KafkaJSBufferFullError'
+  }
+}
+
+class KafkaJSSerializationError extends KafkaJSNonRetriableError {
+  constructor(e, { topic, field, header, originalError } = {}) {
+    super(e)
+    this.topic = topic
+    this.field = field
+    this.header = header
+    this.originalError = originalError
+    this.name = 'KafkaJSSerializationError'
+  }
+}
+
+class KafkaJSDeserializationError extends KafkaJSNonRetriableError {
+  constructor(e, { topic, partition, offset, field, header, originalError } = {}) {
+    super(e)
+    this.topic = topic
+    this.partition = partition
+    this.offset = offset
+    this.field = field
+    this.header = header
+    this.originalError = originalError
+    this.name = 'KafkaJSDeserializationError'
+  }
+}
+
 module.exports = {
   KafkaJSError,
   KafkaJSNonRetriableError,
@@ -172,14 +232,20 @@ module.exports = {
   KafkaJSSASLAuthenticationError,
   KafkaJSNumberOfRetriesExceeded,
   KafkaJSOffsetOutOfRange,
+  KafkaJSMemberIdRequired,
   KafkaJSGroupCoordinatorNotFound,
   KafkaJSNotImplemented,
   KafkaJSMetadataNotLoaded,
   KafkaJSTopicMetadataNotLoaded,
   KafkaJSStaleTopicMetadataAssignment,
   KafkaJSDeleteGroupsError,
+  KafkaJSDeleteTopicRecordsError,
+  KafkaJSAlterReplicaLogDirsError,
   KafkaJSTimeout,
   KafkaJSLockTimeout,
   KafkaJSServerDoesNotSupportApiKey,
   KafkaJSUnsupportedMagicByteInMessageSet,
+  KafkaJSBufferFullError,
+  KafkaJSSerializationError,
+  KafkaJSDeserializationError,
 }
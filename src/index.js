@@ -81,6 +81,14 @@ module.exports = class Client {
     transactionalId,
     transactionTimeout,
     maxInFlightRequests,
+    linger,
+    batchSize,
+    maxBufferedBytes,
+    maxInFlightSends,
+    bufferFullPolicy,
+    bufferFullTimeout,
+    interceptors,
+    serializers,
   } = {}) {
     const instrumentationEmitter = new InstrumentationEventEmitter()
     const cluster = this[PRIVATE.CREATE_CLUSTER]({
@@ -98,6 +106,14 @@ module.exports = class Client {
       idempotent,
       transactionalId,
       transactionTimeout,
+      linger,
+      batchSize,
+      maxBufferedBytes,
+      maxInFlightSends,
+      bufferFullPolicy,
+      bufferFullTimeout,
+      interceptors,
+      serializers,
       instrumentationEmitter,
     })
   }
@@ -107,6 +123,8 @@ module.exports = class Client {
    */
   consumer({
     groupId,
+    groupInstanceId,
+    rackId,
     partitionAssigners,
     metadataMaxAge,
     sessionTimeout,
@@ -120,6 +138,8 @@ module.exports = class Client {
     allowAutoTopicCreation,
     maxInFlightRequests,
     readUncommitted = false,
+    interceptors,
+    deserializers,
   } = {}) {
     const isolationLevel = readUncommitted
       ? ISOLATION_LEVEL.READ_UNCOMMITTED
@@ -139,6 +159,8 @@ module.exports = class Client {
       logger: this[PRIVATE.LOGGER],
       cluster,
       groupId,
+      groupInstanceId,
+      rackId,
       partitionAssigners,
       sessionTimeout,
       rebalanceTimeout,
@@ -148,6 +170,8 @@ module.exports = class Client {
       maxBytes,
       maxWaitTimeInMs,
       isolationLevel,
+      interceptors,
+      deserializers,
       instrumentationEmitter,
     })
   }
@@ -49,6 +49,24 @@ describe('Client', () => {
   })
 
   describe('consumer', () => {
+    test('passes the interceptors to the consumer', () => {
+      const client = new Client({ brokers: [] })
+      const interceptors = [{ onConsume: ({ batch }) => batch.messages }]
+      client.consumer({ groupId: 'test-group-id', interceptors })
+
+      expect(createConsumer).toHaveBeenCalledWith(expect.objectContaining({ interceptors }))
+      expect(Cluster).not.toHaveBeenCalledWith(expect.objectContaining({ interceptors }))
+    })
+
+    test('passes the deserializers to the consumer', () => {
+      const client = new Client({ brokers: [] })
+      const deserializers = { value: data => data.toString() }
+      client.consumer({ groupId: 'test-group-id', deserializers })
+
+      expect(createConsumer).toHaveBeenCalledWith(expect.objectContaining({ deserializers }))
+      expect(Cluster).not.toHaveBeenCalledWith(expect.objectContaining({ deserializers }))
+    })
+
     test('creates a consumer with the correct isolation level', () => {
       const client = new Client({ brokers: [] })
 
@@ -0,0 +1,130 @@
+const { KafkaJSNonRetriableError, KafkaJSBufferFullError } = require('../errors')
+const { events } = require('./instrumentationEvents')
+
+const BLOCK = 'block'
+const REJECT = 'reject'
+
+/**
+ * Bounds the size and the number of the sends which have not completed yet. Once
+ * the limits are reached, new sends either wait for the ongoing sends to complete
+ * (block) or fail straight away (reject).
+ *
+ * A send larger than maxBufferedBytes is accepted when no other send is ongoing,
+ * otherwise it could never complete
+ *
+ * @param {number} [maxBufferedBytes=null] Size in bytes of the ongoing sends, unbounded if null
+ * @param {number} [maxInFlightSends=null] Number of ongoing sends, unbounded if null
+ * @param {string} [policy='block'] "block" or "reject"
+ * @param {number} [timeout=60000] Time in ms a blocked send waits before failing
+ * @param {Function} [onBufferFull] Invoked when a send is blocked, e.g. to flush accumulated messages
+ */
+module.exports = ({
+  logger,
+  instrumentationEmitter,
+  maxBufferedBytes = null,
+  maxInFlightSends = null,
+  policy = BLOCK,
+  timeout = 60000,
+  onBufferFull = () => {},
+}) => {
+  if (![BLOCK, REJECT].includes(policy)) {
+    throw new KafkaJSNonRetriableError(
+      `Producer bufferFullPolicy must be "${BLOCK}" or "${REJECT}", got "${policy}"`
+    )
+  }
+
+  const waiting = []
+  let bufferedBytes = 0
+  let inFlightSends = 0
+
+  const hasCapacityFor = size =>
+    inFlightSends === 0 ||
+    ((maxInFlightSends == null || inFlightSends < maxInFlightSends) &&
+      (maxBufferedBytes == null || bufferedBytes + size <= maxBufferedBytes))
+
+  const reserve = size => {
+    bufferedBytes += size
+    inFlightSends++
+  }
+
+  const bufferFullError = message =>
+    new KafkaJSBufferFullError(message, {
+      bufferedBytes,
+      inFlightSends,
+      maxBufferedBytes,
+      maxInFlightSends,
+    })
+
+  const wakeUpWaiting = () => {
+    // Waiting sends are served in order, so large sends are not starved by smaller ones
+    while (waiting.length > 0 && hasCapacityFor(waiting[0].size)) {
+      const { size, resolve, timeoutId } = waiting.shift()
+      clearTimeout(timeoutId)
+      reserve(size)
+      resolve()
+    }
+  }
+
+  /**
+   * Resolves once the send fits in the buffer, rejects with KafkaJSBufferFullError when
+   * the buffer is full and the policy is "reject", or once the timeout expires
+   *
+   * @param {number} size Size in bytes of the messages of the send
+   * @returns {Promise}
+   */
+  const acquire = async size => {
+    if (waiting.length === 0 && hasCapacityFor(size)) {
+      reserve(size)
+      return
+    }
+
+    instrumentationEmitter.emit(events.BUFFER_FULL, {
+      size,
+      bufferedBytes,
+      inFlightSends,
+      maxBufferedBytes,
+      maxInFlightSends,
+      policy,
+    })
+
+    if (policy === REJECT) {
+      throw bufferFullError('The producer buffer is full')
+    }
+
+    logger.debug('The producer buffer is full, waiting for ongoing sends to complete', {
+      size,
+      bufferedBytes,
+      inFlightSends,
+      waiting: waiting.length,
+    })
+
+    onBufferFull()
+
+    return new Promise((resolve, reject) => {
+      const waiter = { size, resolve }
+      waiter.timeoutId = setTimeout(() => {
+        waiting.splice(waiting.indexOf(waiter), 1)
+        reject(bufferFullError(`Timed out after ${timeout}ms waiting for the producer buffer`))
+
+        // A large send at the head of the queue could have been blocking smaller ones
+        wakeUpWaiting()
+      }, timeout)
+
+      waiting.push(waiter)
+    })
+  }
+
+  /**
+   * @param {number} size Size in bytes of the messages of the completed send
+   */
+  const release = size => {
+    bufferedBytes -= size
+    inFlightSends--
+    wakeUpWaiting()
+  }
+
+  return {
+    acquire,
+    release,
+  }
+}
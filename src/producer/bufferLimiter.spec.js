@@ -0,0 +1,147 @@
+const { newLogger } = require('testHelpers')
+const sleep = require('../utils/sleep')
+const InstrumentationEventEmitter = require('../instrumentation/emitter')
+const { KafkaJSNonRetriableError, KafkaJSBufferFullError } = require('../errors')
+const { events } = require('./instrumentationEvents')
+const createBufferLimiter = require('./bufferLimiter')
+
+describe('Producer > bufferLimiter', () => {
+  let instrumentationEmitter, onBufferFull, createLimiter
+
+  beforeEach(() => {
+    instrumentationEmitter = new InstrumentationEventEmitter()
+    onBufferFull = jest.fn()
+    createLimiter = options =>
+      createBufferLimiter({
+        logger: newLogger(),
+        instrumentationEmitter,
+        onBufferFull,
+        ...options,
+      })
+  })
+
+  test('throws an error if the policy is invalid', () => {
+    expect(() => createLimiter({ policy: 'drop' })).toThrowError(
+      new KafkaJSNonRetriableError(
+        'Producer bufferFullPolicy must be "block" or "reject", got "drop"'
+      )
+    )
+  })
+
+  test('accepts sends until the limits are reached', async () => {
+    const limiter = createLimiter({ maxBufferedBytes: 100, maxInFlightSends: 3 })
+
+    await limiter.acquire(40)
+    await limiter.acquire(60)
+    expect(onBufferFull).not.toHaveBeenCalled()
+
+    const blocked = limiter.acquire(1)
+    await sleep(10)
+    expect(onBufferFull).toHaveBeenCalledTimes(1)
+
+    limiter.release(40)
+    await expect(blocked).resolves.toBeUndefined()
+  })
+
+  test('accepts a send larger than maxBufferedBytes when no other send is ongoing', async () => {
+    const limiter = createLimiter({ maxBufferedBytes: 10 })
+    await expect(limiter.acquire(100)).resolves.toBeUndefined()
+  })
+
+  describe('with the reject policy', () => {
+    test('rejects sends once the buffer is full, emitting the buffer full event', async () => {
+      const listener = jest.fn()
+      instrumentationEmitter.addListener(events.BUFFER_FULL, listener)
+      const limiter = createLimiter({ maxBufferedBytes: 100, policy: 'reject' })
+
+      await limiter.acquire(80)
+      await expect(limiter.acquire(30)).rejects.toEqual(
+        new KafkaJSBufferFullError('The producer buffer is full')
+      )
+      await expect(limiter.acquire(30)).rejects.toMatchObject({
+        name: 'KafkaJSBufferFullError',
+        bufferedBytes: 80,
+        inFlightSends: 1,
+        maxBufferedBytes: 100,
+        maxInFlightSends: null,
+      })
+
+      expect(onBufferFull).not.toHaveBeenCalled()
+      expect(listener).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: events.BUFFER_FULL,
+          payload: {
+            size: 30,
+            bufferedBytes: 80,
+            inFlightSends: 1,
+            maxBufferedBytes: 100,
+            maxInFlightSends: null,
+            policy: 'reject',
+          },
+        })
+      )
+    })
+
+    test('accepts sends again once ongoing sends complete', async () => {
+      const limiter = createLimiter({ maxInFlightSends: 1, policy: 'reject' })
+
+      await limiter.acquire(10)
+      await expect(limiter.acquire(10)).rejects.toBeInstanceOf(KafkaJSBufferFullError)
+
+      limiter.release(10)
+      await expect(limiter.acquire(10)).resolves.toBeUndefined()
+    })
+  })
+
+  describe('with the block policy', () => {
+    test('waits for ongoing sends to complete, in order', async () => {
+      const limiter = createLimiter({ maxInFlightSends: 1 })
+      const acquired = []
+
+      await limiter.acquire(10)
+      const first = limiter.acquire(20).then(() => acquired.push(20))
+      const second = limiter.acquire(30).then(() => acquired.push(30))
+
+      await sleep(10)
+      expect(acquired).toEqual([])
+      expect(onBufferFull).toHaveBeenCalledTimes(2)
+
+      limiter.release(10)
+      await first
+      expect(acquired).toEqual([20])
+
+      limiter.release(20)
+      await second
+      expect(acquired).toEqual([20, 30])
+    })
+
+    test('does not let new sends overtake waiting sends', async () => {
+      const limiter = createLimiter({ maxBufferedBytes: 100 })
+
+      const acquired = []
+
+      await limiter.acquire(60)
+      const waiting = limiter.acquire(50).then(() => acquired.push(50))
+      const overtaking = limiter.acquire(10).then(() => acquired.push(10))
+
+      await sleep(10)
+      expect(acquired).toEqual([])
+
+      limiter.release(60)
+      await Promise.all([waiting, overtaking])
+      expect(acquired).toEqual([50, 10])
+    })
+
+    test('rejects the send once the timeout expires', async () => {
+      const limiter = createLimiter({ maxInFlightSends: 1, timeout: 20 })
+
+      await limiter.acquire(10)
+      await expect(limiter.acquire(10)).rejects.toEqual(
+        new KafkaJSBufferFullError('Timed out after 20ms waiting for the producer buffer')
+      )
+
+      limiter.release(10)
+      await expect(limiter.acquire(10)).resolves.toBeUndefined()
+    })
+  })
+})
@@ -1,6 +1,7 @@
+const zlib = require('zlib')
 const createProducer = require('./index')
+const createConsumer = require('../consumer')
 const Compression = require('../protocol/message/compression')
-const { KafkaJSNotImplemented } = require('../errors')
 
 const {
   secureRandom,
@@ -9,10 +10,13 @@ const {
   connectionOpts,
   newLogger,
   createCluster,
+  waitForMessages,
+  testIfKafka_0_11,
+  testIfKafka_2_1_0,
 } = require('testHelpers')
 
 describe('Producer', () => {
-  let topicName, cluster, producer
+  let topicName, cluster, producer, consumer
 
   beforeEach(async () => {
     topicName = `test-topic-${secureRandom()}`
@@ -21,29 +25,49 @@ describe('Producer', () => {
     cluster = createCluster({ ...connectionOpts(), createPartitioner: createModPartitioner })
     producer = createProducer({ cluster, logger: newLogger() })
     await producer.connect()
+
+    consumer = createConsumer({
+      cluster: createCluster(connectionOpts()),
+      groupId: `consumer-group-id-${secureRandom()}`,
+      maxWaitTimeInMs: 100,
+      logger: newLogger(),
+    })
   })
 
   afterEach(async () => {
     producer && (await producer.disconnect())
+    consumer && (await consumer.disconnect())
   })
 
-  const codecsUsingExternalLibraries = [
-    { name: 'snappy', codec: Compression.Types.Snappy },
-    { name: 'lz4', codec: Compression.Types.LZ4 },
-    { name: 'zstd', codec: Compression.Types.ZSTD },
+  const codecs = [
+    { name: 'snappy', codec: Compression.Types.Snappy, testFn: testIfKafka_0_11 },
+    { name: 'lz4', codec: Compression.Types.LZ4, testFn: testIfKafka_0_11 },
+    {
+      name: 'zstd',
+      codec: Compression.Types.ZSTD,
+      // Producing with ZSTD requires zlib.zstdCompress, available from Node.js 22.15
+      testFn: typeof zlib.zstdCompress === 'function' ? testIfKafka_2_1_0 : test.skip,
+    },
   ]
 
-  for (const entry of codecsUsingExternalLibraries) {
-    describe(`${entry.name} compression not configured`, () => {
-      it('throws an error', async () => {
-        await expect(
-          producer.send({
-            topic: topicName,
-            compression: entry.codec,
-            messages: [{ key: secureRandom(), value: secureRandom() }],
-          })
-        ).rejects.toThrow(KafkaJSNotImplemented)
-      })
+  for (const { name, codec, testFn } of codecs) {
+    testFn(`produce and consume messages compressed with ${name}`, async () => {
+      const messages = Array(100)
+        .fill()
+        .map(() => ({ key: `key-${secureRandom()}`, value: `value-${secureRandom()}` }))
+
+      await producer.send({ topic: topicName, compression: codec, messages })
+
+      await consumer.connect()
+      await consumer.subscribe({ topic: topicName, fromBeginning: true })
+
+      const messagesConsumed = []
+      consumer.run({ eachMessage: async event => messagesConsumed.push(event) })
+      await waitForMessages(messagesConsumed, { number: messages.length })
+
+      expect(messagesConsumed.map(({ message }) => message.value.toString())).toEqual(
+        messages.map(({ value }) => value)
+      )
     })
   }
 })
@@ -3,7 +3,9 @@ const { DefaultPartitioner } = require('./partitioners/')
 const InstrumentationEventEmitter = require('../instrumentation/emitter')
 const createEosManager = require('./eosManager')
 const createMessageProducer = require('./messageProducer')
+const createBufferLimiter = require('./bufferLimiter')
 const { events, wrap: wrapEvent, unwrap: unwrapEvent } = require('./instrumentationEvents')
+const { validateHooks } = require('../serialization')
 const { KafkaJSNonRetriableError } = require('../errors')
 
 const { values, keys } = Object
@@ -14,6 +16,9 @@ const eventKeys = keys(events)
 
 const { CONNECT, DISCONNECT } = events
 
+// Size of the accumulated messages which triggers producing them when maxBufferedBytes isn't set
+const DEFAULT_MAX_BUFFERED_BYTES = 33554432
+
 module.exports = ({
   cluster,
   logger: rootLogger,
@@ -22,6 +27,14 @@ module.exports = ({
   idempotent = false,
   transactionalId,
   transactionTimeout,
+  linger = null,
+  batchSize = 16384,
+  maxBufferedBytes = null,
+  maxInFlightSends = null,
+  bufferFullPolicy = 'block',
+  bufferFullTimeout = 60000,
+  interceptors = [],
+  serializers = {},
   instrumentationEmitter: rootInstrumentationEmitter,
 }) => {
   retry = retry || { retries: idempotent ? Number.MAX_SAFE_INTEGER : 5 }
@@ -32,13 +45,35 @@ module.exports = ({
     )
   }
 
+  if (linger != null && !(Number.isInteger(linger) && linger >= 0)) {
+    throw new KafkaJSNonRetriableError('Producer linger must be a non-negative integer')
+  }
+
+  if (!Number.isInteger(batchSize) || batchSize <= 0) {
+    throw new KafkaJSNonRetriableError('Producer batchSize must be a positive integer')
+  }
+
+  if (maxBufferedBytes != null && !(Number.isInteger(maxBufferedBytes) && maxBufferedBytes > 0)) {
+    throw new KafkaJSNonRetriableError('Producer maxBufferedBytes must be a positive integer')
+  }
+
+  if (maxInFlightSends != null && !(Number.isInteger(maxInFlightSends) && maxInFlightSends > 0)) {
+    throw new KafkaJSNonRetriableError('Producer maxInFlightSends must be a positive integer')
+  }
+
+  if (!Array.isArray(interceptors)) {
+    throw new KafkaJSNonRetriableError('Producer interceptors must be an array')
+  }
+
+  validateHooks('Producer serializers', serializers)
+
   const logger = rootLogger.namespace('Producer')
 
   if (idempotent && retry.retries < Number.MAX_SAFE_INTEGER) {
     logger.warn('Limiting retries for the idempotent producer may invalidate EoS guarantees')
   }
 
-  const partitioner = createPartitioner()
+  const partitioner = createPartitioner({ batchSize })
   const retrier = createRetry(Object.assign({}, cluster.retry, retry))
   const instrumentationEmitter = rootInstrumentationEmitter || new InstrumentationEventEmitter()
   const idempotentEosManager = createEosManager({
@@ -49,13 +84,43 @@ module.exports = ({
     transactionalId,
   })
 
-  const { send, sendBatch } = createMessageProducer({
+  // Ongoing sends are only bounded when one of the limits is set. The limiter is shared by the
+  // sends within and outside of transactions, and a blocked send flushes the accumulated
+  // messages, otherwise it would wait for the linger time
+  const bufferLimiter =
+    maxBufferedBytes != null || maxInFlightSends != null
+      ? createBufferLimiter({
+          logger,
+          instrumentationEmitter,
+          maxBufferedBytes,
+          maxInFlightSends,
+          policy: bufferFullPolicy,
+          timeout: bufferFullTimeout,
+          onBufferFull: () => flush(),
+        })
+      : null
+
+  // Only the messages sent outside of transactions are accumulated, they are produced before
+  // the linger time expires once they reach maxBufferedBytes
+  const { send, sendBatch, flush } = createMessageProducer({
     logger,
     cluster,
     partitioner,
     eosManager: idempotentEosManager,
     idempotent,
     retrier,
+    batching:
+      linger != null
+        ? {
+            linger,
+            batchSize,
+            maxBufferedBytes:
+              maxBufferedBytes != null ? maxBufferedBytes : DEFAULT_MAX_BUFFERED_BYTES,
+          }
+        : null,
+    bufferLimiter,
+    interceptors,
+    serializers,
   })
 
   let transactionalEosManager
@@ -133,6 +198,9 @@ module.exports = ({
       retrier,
       eosManager: transactionalEosManager,
       idempotent: true,
+      bufferLimiter,
+      interceptors,
+      serializers,
     })
 
     const isActive = () => transactionalEosManager.isInTransaction() && !transactionDidEnd
@@ -213,6 +281,7 @@ module.exports = ({
      * @return {Promise}
      */
     disconnect: async () => {
+      await flush()
       await cluster.disconnect()
       instrumentationEmitter.emit(DISCONNECT)
     },
@@ -223,6 +292,7 @@ module.exports = ({
     on,
     send,
     sendBatch,
+    flush,
     transaction,
     logger: getLogger,
   }
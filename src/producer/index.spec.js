@@ -22,6 +22,8 @@ jest.mock('../retry', () => {
 const uuid = require('uuid/v4')
 const InstrumentationEventEmitter = require('../instrumentation/emitter')
 const createProducer = require('./index')
+const { StickyPartitioner } = require('./partitioners')
+const { Serializers, Deserializers } = require('../serialization')
 const createConsumer = require('../consumer')
 const {
   secureRandom,
@@ -740,6 +742,305 @@ describe('Producer', () => {
 
   testProduceMessages(false)
 
+  describe('when batching with linger', () => {
+    test('throws an error if linger is invalid', () => {
+      expect(() =>
+        createProducer({ cluster: createCluster(), logger: newLogger(), linger: -1 })
+      ).toThrowError(new KafkaJSNonRetriableError('Producer linger must be a non-negative integer'))
+    })
+
+    test('produces concurrent sends together, resolving each with its own offsets', async () => {
+      const cluster = createCluster({
+        ...connectionOpts(),
+        createPartitioner: createModPartitioner,
+      })
+
+      await createTopic({ topic: topicName })
+
+      producer = createProducer({ cluster, logger: newLogger(), linger: 50 })
+      await producer.connect()
+
+      const sendMessages = key =>
+        producer.send({
+          acks: 1,
+          topic: topicName,
+          messages: new Array(5).fill().map((_, i) => ({ key, value: `value-${i}` })),
+        })
+
+      const responses = await Promise.all([sendMessages('key-0'), sendMessages('key-0')])
+      expect(responses.map(([{ baseOffset }]) => baseOffset)).toEqual(['0', '5'])
+    })
+
+    test('flush produces the accumulated messages', async () => {
+      const cluster = createCluster({
+        ...connectionOpts(),
+        createPartitioner: createModPartitioner,
+      })
+
+      await createTopic({ topic: topicName })
+
+      producer = createProducer({ cluster, logger: newLogger(), linger: 60000 })
+      await producer.connect()
+
+      const send = producer.send({
+        acks: 1,
+        topic: topicName,
+        messages: [{ key: 'key-0', value: 'value-0' }],
+      })
+
+      await producer.flush()
+      await expect(send).resolves.toEqual([expect.objectContaining({ baseOffset: '0' })])
+    })
+
+    test('produces the accumulated messages once they reach maxBufferedBytes', async () => {
+      const cluster = createCluster({
+        ...connectionOpts(),
+        createPartitioner: createModPartitioner,
+      })
+
+      await createTopic({ topic: topicName })
+
+      producer = createProducer({
+        cluster,
+        logger: newLogger(),
+        linger: 60000,
+        maxBufferedBytes: 10,
+      })
+      await producer.connect()
+
+      // Resolves without a flush, long before the linger time expires
+      await expect(
+        producer.send({
+          acks: 1,
+          topic: topicName,
+          messages: [{ key: 'key-0', value: 'a value larger than maxBufferedBytes' }],
+        })
+      ).resolves.toEqual([expect.objectContaining({ baseOffset: '0' })])
+    })
+  })
+
+  describe('with backpressure', () => {
+    test('throws an error if maxInFlightSends is invalid', () => {
+      expect(() =>
+        createProducer({ cluster: createCluster(), logger: newLogger(), maxInFlightSends: 0 })
+      ).toThrowError(
+        new KafkaJSNonRetriableError('Producer maxInFlightSends must be a positive integer')
+      )
+    })
+
+    test('does not bound the ongoing sends unless a limit is set', async () => {
+      const cluster = createCluster({
+        ...connectionOpts(),
+        createPartitioner: createModPartitioner,
+      })
+
+      await createTopic({ topic: topicName })
+
+      producer = createProducer({ cluster, logger: newLogger(), bufferFullPolicy: 'reject' })
+      await producer.connect()
+
+      const bufferFullListener = jest.fn()
+      producer.on(producer.events.BUFFER_FULL, bufferFullListener)
+
+      const sendMessages = () =>
+        producer.send({ acks: 1, topic: topicName, messages: [{ value: 'value' }] })
+
+      await expect(Promise.all(new Array(10).fill().map(sendMessages))).resolves.toHaveLength(10)
+      expect(bufferFullListener).not.toHaveBeenCalled()
+    })
+
+    test('rejects sends once maxInFlightSends is reached with the reject policy', async () => {
+      const cluster = createCluster({
+        ...connectionOpts(),
+        createPartitioner: createModPartitioner,
+      })
+
+      await createTopic({ topic: topicName })
+
+      producer = createProducer({
+        cluster,
+        logger: newLogger(),
+        maxInFlightSends: 1,
+        bufferFullPolicy: 'reject',
+      })
+      await producer.connect()
+
+      const bufferFullListener = jest.fn()
+      producer.on(producer.events.BUFFER_FULL, bufferFullListener)
+
+      const sendMessages = () =>
+        producer.send({ acks: 1, topic: topicName, messages: [{ value: 'value' }] })
+
+      const [response, error] = await Promise.all([sendMessages(), sendMessages().catch(e => e)])
+      expect(response).toEqual([expect.objectContaining({ topicName, partition: 0 })])
+      expect(error).toHaveProperty('name', 'KafkaJSBufferFullError')
+      expect(bufferFullListener).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('with the sticky partitioner', () => {
+    test('produces the keyless messages of a send to a single partition', async () => {
+      const cluster = createCluster(connectionOpts())
+      await createTopic({ topic: topicName, partitions: 3 })
+
+      producer = createProducer({
+        cluster,
+        logger: newLogger(),
+        createPartitioner: StickyPartitioner,
+      })
+      await producer.connect()
+
+      const response = await producer.send({
+        acks: 1,
+        topic: topicName,
+        messages: new Array(10).fill().map((_, i) => ({ value: `value-${i}` })),
+      })
+
+      expect(response).toEqual([expect.objectContaining({ topicName, baseOffset: '0' })])
+    })
+  })
+
+  describe('with interceptors', () => {
+    test('throws an error if interceptors is not an array', () => {
+      expect(() =>
+        createProducer({
+          cluster: createCluster(),
+          logger: newLogger(),
+          interceptors: { onSend: () => {} },
+        })
+      ).toThrowError(new KafkaJSNonRetriableError('Producer interceptors must be an array'))
+    })
+
+    test('runs onSend before producing and onAcknowledgement with the response', async () => {
+      const cluster = createCluster({
+        ...connectionOpts(),
+        createPartitioner: createModPartitioner,
+      })
+
+      await createTopic({ topic: topicName })
+
+      const interceptor = {
+        onSend: jest.fn(({ messages }) =>
+          messages.map(message => ({ ...message, headers: { 'trace-id': 'trace-id' } }))
+        ),
+        onAcknowledgement: jest.fn(),
+      }
+
+      producer = createProducer({ cluster, logger: newLogger(), interceptors: [interceptor] })
+      await producer.connect()
+
+      const recordMetadata = await producer.send({
+        acks: 1,
+        topic: topicName,
+        messages: [{ key: 'key-0', value: 'value-0' }],
+      })
+
+      const topicMessages = [
+        {
+          topic: topicName,
+          messages: [{ key: 'key-0', value: 'value-0', headers: { 'trace-id': 'trace-id' } }],
+        },
+      ]
+
+      expect(interceptor.onSend).toHaveBeenCalledWith({
+        topic: topicName,
+        messages: [{ key: 'key-0', value: 'value-0' }],
+      })
+      expect(interceptor.onAcknowledgement).toHaveBeenCalledWith({
+        topicMessages,
+        recordMetadata,
+        error: undefined,
+      })
+    })
+
+    test('runs onAcknowledgement with the error when producing fails', async () => {
+      const interceptor = { onAcknowledgement: jest.fn() }
+      producer = createProducer({
+        cluster: createCluster({ ...connectionOpts(), allowAutoTopicCreation: false }),
+        logger: newLogger(),
+        retry: { retries: 0 },
+        interceptors: [interceptor],
+      })
+      await producer.connect()
+
+      const error = await producer
+        .send({ acks: 1, topic: topicName, messages: [{ value: 'value' }] })
+        .catch(e => e)
+
+      expect(interceptor.onAcknowledgement).toHaveBeenCalledWith({
+        topicMessages: [{ topic: topicName, messages: [{ value: 'value' }] }],
+        recordMetadata: undefined,
+        error,
+      })
+    })
+  })
+
+  describe('with serializers', () => {
+    test('throws an error if a serializer is not a function', () => {
+      expect(() =>
+        createProducer({
+          cluster: createCluster(),
+          logger: newLogger(),
+          serializers: { value: 'json' },
+        })
+      ).toThrowError(new KafkaJSNonRetriableError('Producer serializers.value must be a function'))
+    })
+
+    test('serializes the messages, which are deserialized by the consumer', async () => {
+      await createTopic({ topic: topicName })
+
+      const messagesConsumed = []
+      consumer = createConsumer({
+        groupId: `test-consumer-${uuid()}`,
+        cluster: createCluster(),
+        logger: newLogger(),
+        deserializers: { key: Deserializers.String, value: Deserializers.JSON },
+      })
+      await consumer.connect()
+      await consumer.subscribe({ topic: topicName, fromBeginning: true })
+      await consumer.run({ eachMessage: async ({ message }) => messagesConsumed.push(message) })
+
+      producer = createProducer({
+        cluster: createCluster(connectionOpts()),
+        logger: newLogger(),
+        serializers: { value: Serializers.JSON },
+      })
+      await producer.connect()
+
+      await producer.send({
+        acks: 1,
+        topic: topicName,
+        messages: [{ key: 'key-1', value: { id: 1, tags: ['a'] } }],
+      })
+
+      await expect(waitForMessages(messagesConsumed)).resolves.toEqual([
+        expect.objectContaining({ key: 'key-1', value: { id: 1, tags: ['a'] } }),
+      ])
+    })
+
+    test('throws an error identifying the topic when serializing fails', async () => {
+      producer = createProducer({
+        cluster: createCluster(connectionOpts()),
+        logger: newLogger(),
+        serializers: {
+          value: () => {
+            throw new Error('unsupported value')
+          },
+        },
+      })
+      await producer.connect()
+
+      await expect(
+        producer.send({ acks: 1, topic: topicName, messages: [{ value: 'value' }] })
+      ).rejects.toMatchObject({
+        name: 'KafkaJSSerializationError',
+        message: `Failed to serialize the value of a message for topic "${topicName}": unsupported value`,
+        topic: topicName,
+        field: 'value',
+      })
+    })
+  })
+
   describe('when idempotent=true', () => {
     testProduceMessages(true)
 
@@ -6,6 +6,7 @@ const producerType = InstrumentationEventType('producer')
 const events = {
   CONNECT: producerType('connect'),
   DISCONNECT: producerType('disconnect'),
+  BUFFER_FULL: producerType('buffer_full'),
   REQUEST: producerType(networkEvents.NETWORK_REQUEST),
   REQUEST_TIMEOUT: producerType(networkEvents.NETWORK_REQUEST_TIMEOUT),
   REQUEST_QUEUE_SIZE: producerType(networkEvents.NETWORK_REQUEST_QUEUE_SIZE),
@@ -0,0 +1,242 @@
+const Long = require('long')
+const { KafkaJSMetadataNotLoaded } = require('../errors')
+const groupMessagesPerPartition = require('./groupMessagesPerPartition')
+const messageSize = require('./messageSize')
+
+const { keys } = Object
+
+/**
+ * Produce responses contain the offset of the first message produced to the partition,
+ * the messages of a send start at their position within the accumulated batch
+ */
+const shiftOffset = (partitionResponse, index) => {
+  const field = partitionResponse.baseOffset !== undefined ? 'baseOffset' : 'offset'
+  const offset = Long.fromValue(partitionResponse[field])
+
+  if (offset.isNegative()) {
+    return partitionResponse
+  }
+
+  return { ...partitionResponse, [field]: offset.add(index).toString() }
+}
+
+/**
+ * Accumulates the messages of multiple sends into per partition batches, which are produced
+ * in a single request once the linger time expires or the batches reach their size limits.
+ * Messages with different acks, timeout or compression are accumulated separately
+ *
+ * @param {Function} produce Produces the accumulated messages, resolving to the response of each partition
+ * @param {number} [linger=0] Time in ms to wait for other sends before producing the messages
+ * @param {number} batchSize Size in bytes of the messages of a partition which triggers a flush
+ * @param {number} maxBufferedBytes Size in bytes of all the accumulated messages which triggers a flush
+ */
+module.exports = ({
+  logger,
+  cluster,
+  partitioner,
+  retrier,
+  produce,
+  linger = 0,
+  batchSize,
+  maxBufferedBytes,
+}) => {
+  const batches = new Map()
+  const pendingSends = new Set()
+  const inFlightBatches = new Set()
+  let bufferedBytes = 0
+
+  /**
+   * The partitions are assigned before accumulating the messages, so the position of the
+   * messages of each send within the batch of the partition is known once it is produced
+   */
+  const assignPartitions = async topicMessages =>
+    retrier(async (bail, retryCount, retryTime) => {
+      try {
+        for (const { topic } of topicMessages) {
+          await cluster.addTargetTopic(topic)
+        }
+
+        await cluster.refreshMetadataIfNecessary()
+
+        return topicMessages.map(({ topic, messages }) => {
+          const partitionMetadata = cluster.findTopicPartitionMetadata(topic)
+
+          if (keys(partitionMetadata).length === 0) {
+            logger.debug('Producing to topic without metadata', { topic, retryCount, retryTime })
+            throw new KafkaJSMetadataNotLoaded('Producing to topic without metadata')
+          }
+
+          return {
+            topic,
+            messagesPerPartition: groupMessagesPerPartition({
+              topic,
+              partitionMetadata,
+              messages,
+              partitioner,
+            }),
+          }
+        })
+      } catch (e) {
+        if (e.name === 'KafkaJSMetadataNotLoaded') {
+          await cluster.refreshMetadata()
+        }
+
+        throw e
+      }
+    }).catch(e => {
+      throw e.originalError || e
+    })
+
+  const produceBatch = async batch => {
+    const { acks, timeout, compression, partitions, sends } = batch
+    const messagesPerTopic = new Map()
+    for (const { topic, messages } of partitions.values()) {
+      messagesPerTopic.set(topic, [...(messagesPerTopic.get(topic) || []), ...messages])
+    }
+
+    const topicMessages = Array.from(messagesPerTopic).map(([topic, messages]) => ({
+      topic,
+      messages,
+    }))
+
+    logger.debug('Flushing accumulated messages', {
+      topics: Array.from(messagesPerTopic.keys()),
+      sends: sends.length,
+      size: batch.size,
+    })
+
+    try {
+      const responses = await produce({ acks, timeout, compression, topicMessages })
+      const responsePerPartition = new Map(
+        responses.map(response => [`${response.topicName}:${response.partition}`, response])
+      )
+
+      for (const { positions, resolve } of sends) {
+        resolve(
+          positions
+            .filter(({ topic, partition }) => responsePerPartition.has(`${topic}:${partition}`))
+            .map(({ topic, partition, index }) =>
+              shiftOffset(responsePerPartition.get(`${topic}:${partition}`), index)
+            )
+        )
+      }
+    } catch (e) {
+      for (const { reject } of sends) {
+        reject(e)
+      }
+    }
+  }
+
+  /**
+   * The batch is removed before it is produced, so new sends start a new batch. Batches being
+   * produced are tracked until they complete, so flush can wait for them
+   */
+  const flushBatch = batchKey => {
+    const batch = batches.get(batchKey)
+    if (!batch) {
+      return
+    }
+
+    batches.delete(batchKey)
+    clearTimeout(batch.timer)
+    bufferedBytes -= batch.size
+
+    const producing = produceBatch(batch).finally(() => inFlightBatches.delete(producing))
+    inFlightBatches.add(producing)
+  }
+
+  /**
+   * Produce all the accumulated messages without waiting for the linger time, resolving
+   * once all the batches, including the ones already being produced, have completed
+   *
+   * @returns {Promise}
+   */
+  const flush = async () => {
+    await Promise.all(Array.from(pendingSends).map(accumulating => accumulating.catch(() => {})))
+    Array.from(batches.keys()).forEach(flushBatch)
+    await Promise.all(Array.from(inFlightBatches))
+  }
+
+  const accumulate = ({ acks, timeout, compression, partitionedTopics }) => {
+    const batchKey = [acks, timeout, compression].join(':')
+
+    if (!batches.has(batchKey)) {
+      batches.set(batchKey, {
+        acks,
+        timeout,
+        compression,
+        partitions: new Map(),
+        sends: [],
+        size: 0,
+        timer: setTimeout(() => flushBatch(batchKey), linger),
+      })
+    }
+
+    const batch = batches.get(batchKey)
+    const positions = []
+    let isBatchFull = false
+
+    for (const { topic, messagesPerPartition } of partitionedTopics) {
+      for (const partition of keys(messagesPerPartition)) {
+        const partitionKey = `${topic}:${partition}`
+        if (!batch.partitions.has(partitionKey)) {
+          batch.partitions.set(partitionKey, { topic, messages: [], size: 0 })
+        }
+
+        const partitionBatch = batch.partitions.get(partitionKey)
+        positions.push({ topic, partition, index: partitionBatch.messages.length })
+
+        for (const message of messagesPerPartition[partition]) {
+          const size = messageSize(message)
+          partitionBatch.messages.push({ ...message, partition: parseInt(partition, 10) })
+          partitionBatch.size += size
+          batch.size += size
+          bufferedBytes += size
+        }
+
+        isBatchFull = isBatchFull || partitionBatch.size >= batchSize
+      }
+    }
+
+    const result = new Promise((resolve, reject) =>
+      batch.sends.push({ positions, resolve, reject })
+    )
+
+    if (bufferedBytes >= maxBufferedBytes) {
+      flush()
+    } else if (isBatchFull) {
+      flushBatch(batchKey)
+    }
+
+    return { result }
+  }
+
+  /**
+   * @param {Object} request
+   * @param {number} request.acks
+   * @param {number} [request.timeout]
+   * @param {number} [request.compression]
+   * @param {Array<TopicMessages>} request.topicMessages
+   * @returns {Promise<Array>} Resolves with the response of each partition once the messages are produced
+   */
+  const add = async ({ acks, timeout, compression, topicMessages }) => {
+    // Sends which are still assigning partitions are included in the next flush
+    const accumulating = assignPartitions(topicMessages).then(partitionedTopics =>
+      accumulate({ acks, timeout, compression, partitionedTopics })
+    )
+
+    pendingSends.add(accumulating)
+
+    try {
+      const { result } = await accumulating
+      return result
+    } finally {
+      pendingSends.delete(accumulating)
+    }
+  }
+
+  return {
+    add,
+    flush,
+  }
+}
@@ -0,0 +1,215 @@
+const { newLogger } = require('testHelpers')
+const createRetry = require('../retry')
+const sleep = require('../utils/sleep')
+const createMessageAccumulator = require('./messageAccumulator')
+
+const partitionResponse = (topicName, partition, baseOffset) => ({
+  topicName,
+  partition,
+  errorCode: 0,
+  baseOffset,
+  logAppendTime: '-1',
+  logStartOffset: '0',
+})
+
+describe('Producer > messageAccumulator', () => {
+  const topic = 'topic-name'
+  let cluster, partitioner, produce, createAccumulator
+
+  beforeEach(() => {
+    cluster = {
+      addTargetTopic: jest.fn(),
+      refreshMetadata: jest.fn(),
+      refreshMetadataIfNecessary: jest.fn(),
+      findTopicPartitionMetadata: jest.fn(() => [
+        { partitionId: 0, leader: 1 },
+        { partitionId: 1, leader: 2 },
+      ]),
+    }
+    partitioner = jest.fn(({ message }) => Number(message.key) % 2)
+    produce = jest.fn(async ({ topicMessages }) =>
+      topicMessages[0].messages
+        .map(({ partition }) => partition)
+        .filter((partition, index, partitions) => partitions.indexOf(partition) === index)
+        .map(partition => partitionResponse(topic, partition, `${partition * 100}`))
+    )
+
+    createAccumulator = options =>
+      createMessageAccumulator({
+        logger: newLogger(),
+        cluster,
+        partitioner,
+        retrier: createRetry({ retries: 1 }),
+        produce,
+        linger: 50,
+        batchSize: 16384,
+        maxBufferedBytes: 33554432,
+        ...options,
+      })
+  })
+
+  test('produces the messages of multiple sends in a single request after the linger time', async () => {
+    const accumulator = createAccumulator()
+
+    const firstSend = accumulator.add({
+      acks: -1,
+      topicMessages: [
+        {
+          topic,
+          messages: [
+            { key: '0', value: 'a' },
+            { key: '2', value: 'b' },
+          ],
+        },
+      ],
+    })
+    const secondSend = accumulator.add({
+      acks: -1,
+      topicMessages: [
+        {
+          topic,
+          messages: [
+            { key: '1', value: 'c' },
+            { key: '4', value: 'd' },
+          ],
+        },
+      ],
+    })
+
+    await sleep(10)
+    expect(produce).not.toHaveBeenCalled()
+
+    await expect(firstSend).resolves.toEqual([partitionResponse(topic, 0, '0')])
+    await expect(secondSend).resolves.toEqual([
+      partitionResponse(topic, 0, '2'),
+      partitionResponse(topic, 1, '100'),
+    ])
+
+    expect(produce).toHaveBeenCalledTimes(1)
+    expect(produce).toHaveBeenCalledWith({
+      acks: -1,
+      timeout: undefined,
+      compression: undefined,
+      topicMessages: [
+        {
+          topic,
+          messages: [
+            { key: '0', value: 'a', partition: 0 },
+            { key: '2', value: 'b', partition: 0 },
+            { key: '4', value: 'd', partition: 0 },
+            { key: '1', value: 'c', partition: 1 },
+          ],
+        },
+      ],
+    })
+  })
+
+  test('accumulates messages with different request options separately', async () => {
+    const accumulator = createAccumulator()
+
+    await Promise.all([
+      accumulator.add({ acks: -1, topicMessages: [{ topic, messages: [{ key: '0' }] }] }),
+      accumulator.add({ acks: 1, topicMessages: [{ topic, messages: [{ key: '2' }] }] }),
+    ])
+
+    expect(produce).toHaveBeenCalledTimes(2)
+    expect(produce).toHaveBeenCalledWith(expect.objectContaining({ acks: -1 }))
+    expect(produce).toHaveBeenCalledWith(expect.objectContaining({ acks: 1 }))
+  })
+
+  test('produces the messages once the batch of a partition is full', async () => {
+    const accumulator = createAccumulator({ linger: 60000, batchSize: 10 })
+
+    const send = accumulator.add({
+      acks: -1,
+      topicMessages: [{ topic, messages: [{ key: '0', value: 'value-1' }] }],
+    })
+    await sleep(10)
+    expect(produce).not.toHaveBeenCalled()
+
+    accumulator.add({
+      acks: -1,
+      topicMessages: [{ topic, messages: [{ key: '2', value: 'value-2' }] }],
+    })
+
+    await expect(send).resolves.toEqual([partitionResponse(topic, 0, '0')])
+    expect(produce).toHaveBeenCalledTimes(1)
+  })
+
+  test('produces all the messages once the buffered messages exceed maxBufferedBytes', async () => {
+    const accumulator = createAccumulator({ linger: 60000, maxBufferedBytes: 10 })
+
+    const sends = [
+      accumulator.add({ acks: -1, topicMessages: [{ topic, messages: [{ value: 'value' }] }] }),
+      accumulator.add({ acks: 1, topicMessages: [{ topic, messages: [{ value: 'value' }] }] }),
+    ]
+
+    await Promise.all(sends)
+    expect(produce).toHaveBeenCalledTimes(2)
+  })
+
+  test('flush produces the accumulated messages without waiting for the linger time', async () => {
+    const accumulator = createAccumulator({ linger: 60000 })
+
+    const send = accumulator.add({ acks: -1, topicMessages: [{ topic, messages: [{ key: '1' }] }] })
+    await sleep(10)
+    await accumulator.flush()
+
+    expect(produce).toHaveBeenCalledTimes(1)
+    await expect(send).resolves.toEqual([partitionResponse(topic, 1, '100')])
+  })
+
+  test('flush waits for the batches already being produced', async () => {
+    let produced = false
+    produce.mockImplementationOnce(async () => {
+      await sleep(200)
+      produced = true
+      return [partitionResponse(topic, 1, '100')]
+    })
+    const accumulator = createAccumulator({ linger: 5 })
+
+    const send = accumulator.add({ acks: -1, topicMessages: [{ topic, messages: [{ key: '1' }] }] })
+    await sleep(50)
+    expect(produce).toHaveBeenCalledTimes(1)
+
+    await accumulator.flush()
+    expect(produced).toBe(true)
+    await expect(send).resolves.toEqual([partitionResponse(topic, 1, '100')])
+  })
+
+  test('rejects every send of the batch when producing fails', async () => {
+    const error = new Error('failed to produce')
+    produce.mockImplementationOnce(async () => {
+      throw error
+    })
+    const accumulator = createAccumulator()
+
+    const sends = [
+      accumulator.add({ acks: -1, topicMessages: [{ topic, messages: [{ key: '0' }] }] }),
+      accumulator.add({ acks: -1, topicMessages: [{ topic, messages: [{ key: '1' }] }] }),
+    ]
+
+    await expect(sends[0]).rejects.toBe(error)
+    await expect(sends[1]).rejects.toBe(error)
+  })
+
+  test('refreshes the metadata when producing to a topic without metadata', async () => {
+    cluster.findTopicPartitionMetadata.mockImplementationOnce(() => [])
+    const accumulator = createAccumulator({ linger: 0 })
+
+    await accumulator.add({ acks: -1, topicMessages: [{ topic, messages: [{ key: '0' }] }] })
+
+    expect(cluster.addTargetTopic).toHaveBeenCalledWith(topic)
+    expect(cluster.refreshMetadata).toHaveBeenCalledTimes(1)
+    expect(produce).toHaveBeenCalledTimes(1)
+  })
+
+  test('resolves without responses when the acks are not required', async () => {
+    produce.mockImplementationOnce(async () => [])
+    const accumulator = createAccumulator({ linger: 0 })
+
+    await expect(
+      accumulator.add({ acks: 0, topicMessages: [{ topic, messages: [{ key: '0' }] }] })
+    ).resolves.toEqual([])
+  })
+})
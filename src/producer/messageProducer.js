@@ -1,14 +1,160 @@
 const createSendMessages = require('./sendMessages')
-const { KafkaJSNonRetriableError } = require('../errors')
-
-module.exports = ({ logger, cluster, partitioner, eosManager, idempotent, retrier }) => {
-  const sendMessages = createSendMessages({
-    logger,
-    cluster,
-    partitioner,
-    eosManager,
+const createMessageAccumulator = require('./messageAccumulator')
+const messageSize = require('./messageSize')
+const { createMessageTransformer } = require('../serialization')
+const { KafkaJSNonRetriableError, KafkaJSSerializationError } = require('../errors')
+
+// The accumulator assigns the partitions before the messages are produced
+const assignedPartitioner = ({ message }) => message.partition
+
+module.exports = ({
+  logger,
+  cluster,
+  partitioner,
+  eosManager,
+  idempotent,
+  retrier,
+  batching = null,
+  bufferLimiter = null,
+  interceptors = [],
+  serializers = {},
+}) => {
+  // Partitioners can keep state per send, e.g. the sticky partitioner switches partitions
+  const onSendComplete = ({ topicMessages }) => {
+    if (typeof partitioner.onSendComplete === 'function') {
+      partitioner.onSendComplete({ topics: topicMessages.map(({ topic }) => topic) })
+    }
+  }
+
+  /**
+   * The onSend interceptors run in order, each one receiving the messages returned by the
+   * previous one. Interceptors which fail are skipped, like the interceptors of the java client
+   */
+  const interceptSend = async topicMessages => {
+    const interceptedTopicMessages = []
+
+    for (const { topic, messages } of topicMessages) {
+      let interceptedMessages = messages
+
+      for (const interceptor of interceptors) {
+        if (typeof interceptor.onSend !== 'function') {
+          continue
+        }
+
+        try {
+          const result = await interceptor.onSend({ topic, messages: interceptedMessages })
+
+          if (Array.isArray(result)) {
+            interceptedMessages = result
+          }
+        } catch (e) {
+          logger.error(`Error when calling onSend interceptor: ${e.message}`, {
+            topic,
+            stack: e.stack,
+          })
+        }
+      }
+
+      interceptedTopicMessages.push({ topic, messages: interceptedMessages })
+    }
+
+    return interceptedTopicMessages
+  }
+
+  const acknowledge = async ({ topicMessages, recordMetadata, error }) => {
+    for (const interceptor of interceptors) {
+      if (typeof interceptor.onAcknowledgement !== 'function') {
+        continue
+      }
+
+      try {
+        await interceptor.onAcknowledgement({ topicMessages, recordMetadata, error })
+      } catch (e) {
+        logger.error(`Error when calling onAcknowledgement interceptor: ${e.message}`, {
+          topics: topicMessages.map(({ topic }) => topic),
+          stack: e.stack,
+        })
+      }
+    }
+  }
+
+  const serializeMessage = createMessageTransformer(serializers, (e, field, { topic, header }) => {
+    throw new KafkaJSSerializationError(
+      `Failed to serialize the ${
+        header ? `header "${header}"` : field
+      } of a message for topic "${topic}": ${e.message}`,
+      { topic, field, header, originalError: e }
+    )
   })
 
+  // The messages are serialized after the interceptors, like the java client
+  const serialize = topicMessages =>
+    Promise.all(
+      topicMessages.map(async ({ topic, messages }) => ({
+        topic,
+        messages: await Promise.all(messages.map(message => serializeMessage(message, { topic }))),
+      }))
+    )
+
+  const retrySendMessages = sendMessages => request =>
+    retrier(async (bail, retryCount, retryTime) => {
+      try {
+        return await sendMessages(request)
+      } catch (error) {
+        if (!cluster.isConnected()) {
+          logger.debug(`Cluster has disconnected, reconnecting: ${error.message}`, {
+            retryCount,
+            retryTime,
+          })
+          await cluster.connect()
+          await cluster.refreshMetadata()
+          throw error
+        }
+
+        // This is necessary in case the metadata is stale and the number of partitions
+        // for this topic has increased in the meantime
+        if (
+          error.name === 'KafkaJSConnectionError' ||
+          (error.name === 'KafkaJSProtocolError' && error.retriable)
+        ) {
+          logger.error(`Failed to send messages: ${error.message}`, { retryCount, retryTime })
+          await cluster.refreshMetadata()
+          throw error
+        }
+
+        // Skip retries for errors not related to the Kafka protocol
+        logger.error(`${error.message}`, { retryCount, retryTime })
+        bail(error)
+      }
+    }).finally(() => onSendComplete(request))
+
+  const sendMessages = retrySendMessages(
+    createSendMessages({
+      logger,
+      cluster,
+      partitioner,
+      eosManager,
+    })
+  )
+
+  const accumulator =
+    batching &&
+    createMessageAccumulator({
+      logger,
+      cluster,
+      partitioner,
+      retrier,
+      produce: retrySendMessages(
+        createSendMessages({
+          logger,
+          cluster,
+          partitioner: assignedPartitioner,
+          eosManager,
+        })
+      ),
+      ...batching,
+    })
+
   /**
    * @typedef {Object} TopicMessages
    * @property {string} topic
@@ -68,41 +214,45 @@ module.exports = ({ logger, cluster, partitioner, eosManager, idempotent, retrie
       return merged
     }, [])
 
-    return retrier(async (bail, retryCount, retryTime) => {
+    const interceptedTopicMessages = await interceptSend(mergedTopicMessages)
+    const request = {
+      acks,
+      timeout,
+      compression,
+      topicMessages: await serialize(interceptedTopicMessages),
+    }
+
+    const produce = async () => {
+      let recordMetadata
+
       try {
-        return await sendMessages({
-          acks,
-          timeout,
-          compression,
-          topicMessages: mergedTopicMessages,
-        })
+        recordMetadata = await (accumulator ? accumulator.add(request) : sendMessages(request))
       } catch (error) {
-        if (!cluster.isConnected()) {
-          logger.debug(`Cluster has disconnected, reconnecting: ${error.message}`, {
-            retryCount,
-            retryTime,
-          })
-          await cluster.connect()
-          await cluster.refreshMetadata()
-          throw error
-        }
+        await acknowledge({ topicMessages: interceptedTopicMessages, error })
+        throw error
+      }
 
-        // This is necessary in case the metadata is stale and the number of partitions
-        // for this topic has increased in the meantime
-        if (
-          error.name === 'KafkaJSConnectionError' ||
-          (error.name === 'KafkaJSProtocolError' && error.retriable)
-        ) {
-          logger.error(`Failed to send messages: ${error.message}`, { retryCount, retryTime })
-          await cluster.refreshMetadata()
-          throw error
-        }
+      await acknowledge({ topicMessages: interceptedTopicMessages, recordMetadata })
+      return recordMetadata
+    }
 
-        // Skip retries for errors not related to the Kafka protocol
-        logger.error(`${error.message}`, { retryCount, retryTime })
-        bail(error)
-      }
-    })
+    if (!bufferLimiter) {
+      return produce()
+    }
+
+    const size = request.topicMessages.reduce(
+      (total, { messages }) =>
+        messages.reduce((topicTotal, message) => topicTotal + messageSize(message), total),
+      0
+    )
+
+    await bufferLimiter.acquire(size)
+
+    try {
+      return await produce()
+    } finally {
+      bufferLimiter.release(size)
+    }
   }
 
   /**
@@ -130,8 +280,20 @@ module.exports = ({ logger, cluster, partitioner, eosManager, idempotent, retrie
     })
   }
 
+  /**
+   * Produce the messages accumulated by the batching producer
+   *
+   * @returns {Promise}
+   */
+  const flush = async () => {
+    if (accumulator) {
+      await accumulator.flush()
+    }
+  }
+
   return {
     send,
     sendBatch,
+    flush,
   }
 }
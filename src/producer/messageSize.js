@@ -0,0 +1,21 @@
+const { keys } = Object
+
+const byteLength = data => {
+  if (data === null || data === undefined) {
+    return 0
+  }
+
+  return Buffer.isBuffer(data) ? data.length : Buffer.byteLength(`${data}`)
+}
+
+/**
+ * Approximate size in bytes of the key, value and headers of a message
+ *
+ * @param {Object} message
+ * @returns {number}
+ */
+module.exports = ({ key, value, headers }) =>
+  keys(headers || {}).reduce(
+    (size, header) => size + byteLength(header) + byteLength(headers[header]),
+    byteLength(key) + byteLength(value)
+  )
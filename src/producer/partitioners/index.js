@@ -1,7 +1,9 @@
 const DefaultPartitioner = require('./default')
 const JavaCompatiblePartitioner = require('./defaultJava')
+const StickyPartitioner = require('./sticky')
 
 module.exports = {
   DefaultPartitioner,
   JavaCompatiblePartitioner,
+  StickyPartitioner,
 }
@@ -0,0 +1,90 @@
+const murmur2 = require('../defaultJava/murmur2')
+const messageSize = require('../../messageSize')
+
+// Based on the java client 2.4
+// https://github.com/apache/kafka/blob/2.4/clients/src/main/java/org/apache/kafka/clients/producer/internals/DefaultPartitioner.java
+
+const toPositive = x => x & 0x7fffffff
+
+// A partition without leader is only used when none of the partitions have a leader
+const isAvailable = (partitionMetadata, partition) => {
+  const metadata = partitionMetadata.find(p => p.partitionId === partition)
+  return !!metadata && (metadata.leader >= 0 || partitionMetadata.every(p => p.leader < 0))
+}
+
+/**
+ * The sticky partitioning strategy:
+ *  - If a partition is specified in the message, use it
+ *  - If no partition is specified but a key is present choose a partition based on a hash of the key
+ *  - If no partition or key is present, stick to one partition until `batchSize` bytes are sent
+ *    to it or a send to the topic completes, then switch to another partition. Sending the
+ *    keyless messages to a single partition produces fewer and larger batches
+ *
+ * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-480%3A+Sticky+Partitioner
+ */
+module.exports = ({ batchSize = 16384 } = {}) => {
+  const stickyPartitions = new Map()
+
+  const nextPartition = (topic, partitionMetadata) => {
+    const previous = stickyPartitions.get(topic)
+    const availablePartitions = partitionMetadata.filter(p => p.leader >= 0)
+    const candidates = (availablePartitions.length > 0
+      ? availablePartitions
+      : partitionMetadata
+    ).map(p => p.partitionId)
+
+    const otherCandidates = previous
+      ? candidates.filter(partition => partition !== previous.partition)
+      : candidates
+
+    const choices = otherCandidates.length > 0 ? otherCandidates : candidates
+    const sticky = {
+      partition: choices[Math.floor(Math.random() * choices.length)],
+      size: 0,
+      isComplete: false,
+    }
+
+    stickyPartitions.set(topic, sticky)
+    return sticky
+  }
+
+  const partitioner = ({ topic, partitionMetadata, message }) => {
+    if (message.partition !== null && message.partition !== undefined) {
+      return message.partition
+    }
+
+    if (message.key !== null && message.key !== undefined) {
+      return toPositive(murmur2(message.key)) % partitionMetadata.length
+    }
+
+    let sticky = stickyPartitions.get(topic)
+    if (
+      !sticky ||
+      sticky.isComplete ||
+      sticky.size >= batchSize ||
+      !isAvailable(partitionMetadata, sticky.partition)
+    ) {
+      sticky = nextPartition(topic, partitionMetadata)
+    }
+
+    sticky.size += messageSize(message)
+    return sticky.partition
+  }
+
+  /**
+   * Called by the producer once a send completes, the next keyless messages sent to
+   * the topics go to another partition
+   *
+   * @param {Array<string>} topics
+   */
+  partitioner.onSendComplete = ({ topics }) => {
+    for (const topic of topics) {
+      const sticky = stickyPartitions.get(topic)
+      if (sticky) {
+        sticky.isComplete = true
+      }
+    }
+  }
+
+  return partitioner
+}
@@ -0,0 +1,102 @@
+const createPartitioner = require('./index')
+const JavaCompatiblePartitioner = require('../defaultJava')
+
+describe('Producer > Partitioner > Sticky', () => {
+  let topic, partitioner, partitionMetadata
+
+  beforeEach(() => {
+    topic = 'test-topic-1'
+    partitioner = createPartitioner({ batchSize: 100 })
+
+    partitionMetadata = [
+      { partitionId: 1, leader: 1 },
+      { partitionId: 2, leader: 2 },
+      { partitionId: 0, leader: 0 },
+    ]
+  })
+
+  const keylessMessage = (size = 10) => ({ value: Buffer.alloc(size) })
+
+  test('returns the configured partition if it exists', () => {
+    const partition = partitioner({
+      topic,
+      partitionMetadata,
+      message: { key: '1', partition: 99 },
+    })
+
+    expect(partition).toEqual(99)
+  })
+
+  test('hashes the keys like the java compatible partitioner', () => {
+    const javaPartitioner = JavaCompatiblePartitioner()
+
+    for (let i = 0; i < 20; i++) {
+      const message = { key: `key-${i}` }
+      expect(partitioner({ topic, partitionMetadata, message })).toEqual(
+        javaPartitioner({ topic, partitionMetadata, message })
+      )
+    }
+  })
+
+  test('sticks to a partition until batchSize bytes are sent to it', () => {
+    const partitions = Array(10)
+      .fill()
+      .map(() => partitioner({ topic, partitionMetadata, message: keylessMessage() }))
+
+    expect(new Set(partitions).size).toEqual(1)
+
+    const nextPartition = partitioner({ topic, partitionMetadata, message: keylessMessage() })
+    expect(nextPartition).not.toEqual(partitions[0])
+  })
+
+  test('switches to another partition once a send to the topic completes', () => {
+    const partition = partitioner({ topic, partitionMetadata, message: keylessMessage() })
+    expect(partitioner({ topic, partitionMetadata, message: keylessMessage() })).toEqual(partition)
+
+    partitioner.onSendComplete({ topics: ['another-topic'] })
+    expect(partitioner({ topic, partitionMetadata, message: keylessMessage() })).toEqual(partition)
+
+    partitioner.onSendComplete({ topics: [topic] })
+    expect(partitioner({ topic, partitionMetadata, message: keylessMessage() })).not.toEqual(
+      partition
+    )
+  })
+
+  test('keeps a sticky partition per topic', () => {
+    const partition = partitioner({ topic, partitionMetadata, message: keylessMessage(90) })
+    partitioner({ topic: 'another-topic', partitionMetadata, message: keylessMessage(100) })
+
+    expect(partitioner({ topic, partitionMetadata, message: keylessMessage() })).toEqual(partition)
+  })
+
+  test('only sticks to available partitions', () => {
+    partitionMetadata[0].leader = -1
+    partitionMetadata[1].leader = -1
+
+    for (let i = 0; i < 20; i++) {
+      partitioner.onSendComplete({ topics: [topic] })
+      expect(partitioner({ topic, partitionMetadata, message: keylessMessage() })).toEqual(0)
+    }
+  })
+
+  test('switches when the sticky partition becomes unavailable', () => {
+    const partition = partitioner({ topic, partitionMetadata, message: keylessMessage() })
+    partitionMetadata.find(({ partitionId }) => partitionId === partition).leader = -1
+
+    expect(partitioner({ topic, partitionMetadata, message: keylessMessage() })).not.toEqual(
+      partition
+    )
+  })
+
+  test('spreads the keyless messages over the partitions', () => {
+    const partitionCount = {}
+
+    for (let i = 0; i < 300; i++) {
+      partitioner.onSendComplete({ topics: [topic] })
+      const partition = partitioner({ topic, partitionMetadata, message: keylessMessage() })
+      partitionCount[partition] = (partitionCount[partition] || 0) + 1
+    }
+
+    expect(Object.keys(partitionCount).sort()).toEqual(['0', '1', '2'])
+  })
+})
@@ -77,6 +77,19 @@ module.exports = class Decoder {
     return value
   }
 
+  readCompactString() {
+    const byteLength = this.readUVarInt() - 1
+
+    if (byteLength === -1) {
+      return null
+    }
+
+    const stringBuffer = this.buffer.slice(this.offset, this.offset + byteLength)
+    const value = stringBuffer.toString('utf8')
+    this.offset += byteLength
+    return value
+  }
+
   readVarIntString() {
     const byteLength = this.readVarInt()
 
@@ -141,6 +154,33 @@ module.exports = class Decoder {
     return array
   }
 
+  readCompactArray(reader) {
+    const length = this.readUVarInt() - 1
+
+    if (length === -1) {
+      return []
+    }
+
+    const array = []
+    for (let i = 0; i < length; i++) {
+      array.push(reader(this))
+    }
+
+    return array
+  }
+
+  /**
+   * Tagged fields are optional, so unknown fields are skipped
+   */
+  readTaggedFields() {
+    const numberOfFields = this.readUVarInt()
+
+    for (let i = 0; i < numberOfFields; i++) {
+      this.readUVarInt() // tag
+      this.forward(this.readUVarInt())
+    }
+  }
+
   readVarIntArray(reader) {
     const length = this.readVarInt()
 
@@ -185,6 +225,20 @@ module.exports = class Decoder {
     return Decoder.decodeZigZag(result)
   }
 
+  readUVarInt() {
+    let currentByte
+    let result = 0
+    let i = 0
+
+    do {
+      currentByte = this.buffer[this.offset++]
+      result += (currentByte & OTHER_BITS) * Math.pow(2, i)
+      i += 7
+    } while (currentByte >= MOST_SIGNIFICANT_BIT)
+
+    return result
+  }
+
   readVarLong() {
     let currentByte
     let result = Long.fromInt(0)
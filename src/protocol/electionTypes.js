@@ -0,0 +1,15 @@
+// From: https://kafka.apache.org/protocol.html#The_Messages_ElectLeaders
+
+/**
+ * @typedef {number} ElectionType
+ *
+ * Enum for the types of leader election.
+ * @enum {ElectionType}
+ */
+module.exports = {
+  // Elects the first live replica in the assignment, if it is in sync
+  PREFERRED: 0,
+
+  // Elects the first live replica in the assignment, even if it is out of sync
+  UNCLEAN: 1,
+}
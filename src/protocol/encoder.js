@@ -114,6 +114,24 @@ module.exports = class Encoder {
     return this
   }
 
+  /**
+   * Compact strings are used by flexible versions (KIP-482), the length is
+   * encoded as an unsigned varint plus one, and zero means null
+   */
+  writeCompactString(value) {
+    if (value == null) {
+      this.writeUVarInt(0)
+      return this
+    }
+
+    const byteLength = Buffer.byteLength(value, 'utf8')
+    this.writeUVarInt(byteLength + 1)
+    const tempBuffer = Buffer.alloc(byteLength)
+    tempBuffer.write(value, 0, byteLength, 'utf8')
+    this.buffer = Buffer.concat([this.buffer, tempBuffer])
+    return this
+  }
+
   writeVarIntString(value) {
     if (value == null) {
       this.writeVarInt(-1)
@@ -252,6 +270,49 @@ module.exports = class Encoder {
     return this
   }
 
+  /**
+   * @param {any[]} array
+   * @param {'int32'|'number'|'string'|'object'} [type]
+   */
+  writeCompactArray(array, type) {
+    this.writeUVarInt(array.length + 1)
+    array.forEach(value => {
+      switch (type || typeof value) {
+        case 'int32':
+        case 'number':
+          this.writeInt32(value)
+          break
+        case 'string':
+          this.writeCompactString(value)
+          break
+        case 'object':
+          this.writeEncoder(value)
+          break
+      }
+    })
+    return this
+  }
+
+  /**
+   * @param {any[]} [array]
+   * @param {'int32'|'number'|'string'|'object'} [type]
+   */
+  writeCompactNullableArray(array, type) {
+    if (array == null) {
+      this.writeUVarInt(0)
+      return this
+    }
+
+    return this.writeCompactArray(array, type)
+  }
+
+  /**
+   * Flexible versions end every structure with tagged fields, none are sent by the client
+   */
+  writeTaggedFields() {
+    return this.writeUVarInt(0)
+  }
+
   writeVarIntArray(array, type) {
     if (type === 'object') {
       this.writeVarInt(array.length)
@@ -280,6 +341,20 @@ module.exports = class Encoder {
     return this
   }
 
+  writeUVarInt(value) {
+    const byteArray = []
+    let encodedValue = value
+
+    while ((encodedValue & UNSIGNED_INT32_MAX_NUMBER) !== 0) {
+      byteArray.push((encodedValue & OTHER_BITS) | MOST_SIGNIFICANT_BIT)
+      encodedValue >>>= 7
+    }
+
+    byteArray.push(encodedValue & OTHER_BITS)
+    this.buffer = Buffer.concat([this.buffer, Buffer.from(byteArray)])
+    return this
+  }
+
   writeVarLong(value) {
     const byteArray = []
     let longValue = Encoder.encodeZigZag64(value)
@@ -105,6 +105,65 @@ describe('Protocol > Encoder', () => {
     })
   })
 
+  describe('unsigned varint', () => {
+    const unsigned32 = number => new Encoder().writeUVarInt(number).buffer
+    const decodeUnsigned32 = buffer => new Decoder(buffer).readUVarInt()
+
+    test('encode unsigned int32 numbers', () => {
+      expect(unsigned32(0)).toEqual(B(0x00))
+      expect(unsigned32(1)).toEqual(B(0x01))
+      expect(unsigned32(127)).toEqual(B(0x7f))
+      expect(unsigned32(128)).toEqual(B(0x80, 0x01))
+      expect(unsigned32(300)).toEqual(B(0xac, 0x02))
+      expect(unsigned32(16384)).toEqual(B(0x80, 0x80, 0x01))
+      expect(unsigned32(MAX_SAFE_POSITIVE_SIGNED_INT)).toEqual(B(0xff, 0xff, 0xff, 0xff, 0x07))
+    })
+
+    test('decode unsigned int32 numbers', () => {
+      expect(decodeUnsigned32(unsigned32(0))).toEqual(0)
+      expect(decodeUnsigned32(unsigned32(128))).toEqual(128)
+      expect(decodeUnsigned32(unsigned32(300))).toEqual(300)
+      expect(decodeUnsigned32(unsigned32(MAX_SAFE_POSITIVE_SIGNED_INT))).toEqual(
+        MAX_SAFE_POSITIVE_SIGNED_INT
+      )
+    })
+  })
+
+  describe('compact types', () => {
+    test('encode and decode compact strings', () => {
+      expect(new Encoder().writeCompactString(null).buffer).toEqual(B(0x00))
+      expect(new Encoder().writeCompactString('').buffer).toEqual(B(0x01))
+      expect(new Encoder().writeCompactString('abc').buffer).toEqual(B(0x04, 0x61, 0x62, 0x63))
+
+      const decoder = new Decoder(B(0x00, 0x01, 0x04, 0x61, 0x62, 0x63))
+      expect(decoder.readCompactString()).toEqual(null)
+      expect(decoder.readCompactString()).toEqual('')
+      expect(decoder.readCompactString()).toEqual('abc')
+    })
+
+    test('encode and decode compact arrays', () => {
+      expect(new Encoder().writeCompactArray([1, 2]).buffer).toEqual(
+        B(0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x02)
+      )
+      expect(new Encoder().writeCompactArray(['a']).buffer).toEqual(B(0x02, 0x02, 0x61))
+      expect(new Encoder().writeCompactNullableArray(null).buffer).toEqual(B(0x00))
+      expect(new Encoder().writeCompactNullableArray([]).buffer).toEqual(B(0x01))
+
+      const decoder = new Decoder(B(0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x02, 0x00))
+      expect(decoder.readCompactArray(d => d.readInt32())).toEqual([1, 2])
+      expect(decoder.readCompactArray(d => d.readInt32())).toEqual([])
+    })
+
+    test('skips tagged fields', () => {
+      expect(new Encoder().writeTaggedFields().buffer).toEqual(B(0x00))
+
+      // Two tagged fields (tag 0 with 2 bytes and tag 1 with 1 byte) followed by an int8
+      const decoder = new Decoder(B(0x02, 0x00, 0x02, 0xff, 0xff, 0x01, 0x01, 0xff, 0x2a))
+      decoder.readTaggedFields()
+      expect(decoder.readInt8()).toEqual(42)
+    })
+  })
+
   describe('varlong', () => {
     test('encode signed int64 number', () => {
       expect(signed64(0)).toEqual(B(0x00))
@@ -520,6 +520,44 @@ const errorCodes = [
     message:
       'The consumer group has reached its max size. It already has the configured maximum number of members',
   },
+  {
+    type: 'FENCED_INSTANCE_ID',
+    code: 82,
+    retriable: false,
+    message:
+      'The broker rejected this static consumer since another consumer with the same group.instance.id has registered with a different member.id',
+  },
+  {
+    type: 'ELIGIBLE_LEADERS_NOT_AVAILABLE',
+    code: 83,
+    retriable: true,
+    message: 'Eligible topic partition leaders are not available',
+  },
+  {
+    type: 'ELECTION_NOT_NEEDED',
+    code: 84,
+    retriable: false,
+    message: 'Leader election not needed for topic partition',
+  },
+  {
+    type: 'NO_REASSIGNMENT_IN_PROGRESS',
+    code: 85,
+    retriable: false,
+    message: 'No partition reassignment is in progress',
+  },
+  {
+    type: 'GROUP_SUBSCRIBED_TO_TOPIC',
+    code: 86,
+    retriable: false,
+    message:
+      'Deleting offsets of a topic is forbidden while the consumer group is actively subscribed to it',
+  },
+  {
+    type: 'INVALID_RECORD',
+    code: 87,
+    retriable: false,
+    message: 'This record has failed the validation on broker and hence will be rejected',
+  },
 ]
 
 const unknownErrorCode = errorCode => ({
@@ -0,0 +1,19 @@
+const { compress, decompress } = require('./lz4')
+
+module.exports = {
+  /**
+   * @param {Encoder} encoder
+   * @returns {Promise}
+   */
+  async compress(encoder) {
+    return compress(encoder.buffer)
+  },
+
+  /**
+   * @param {Buffer} buffer
+   * @returns {Promise}
+   */
+  async decompress(buffer) {
+    return decompress(buffer)
+  },
+}
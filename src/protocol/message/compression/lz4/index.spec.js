@@ -0,0 +1,48 @@
+const Encoder = require('../../../encoder')
+const LZ4 = require('./index')
+const xxhash32 = require('./xxhash32')
+
+describe('Protocol > Message > Compression > LZ4', () => {
+  const input = Buffer.from(
+    Array.from({ length: 1000 }, (_, i) => `{"key":"key-${i % 10}","value":"value-${i}"}`).join(
+      '\n'
+    )
+  )
+
+  test('decompress frames with dependent blocks', async () => {
+    const buffer = Buffer.from(require('./fixtures/lz4.json'))
+    await expect(LZ4.decompress(buffer)).resolves.toEqual(input)
+  })
+
+  test('compress using independent 64KB blocks', async () => {
+    const compressed = await LZ4.compress(new Encoder().writeBuffer(input))
+    expect(compressed.readUInt32LE(0)).toEqual(0x184d2204)
+    expect(compressed[4]).toEqual(0x60)
+    expect(compressed[5]).toEqual(0x40)
+    expect(compressed.length).toBeLessThan(input.length)
+    await expect(LZ4.decompress(compressed)).resolves.toEqual(input)
+  })
+
+  test('ignore the header checksum calculated by Kafka < 0.10', async () => {
+    const compressed = await LZ4.compress(new Encoder().writeBuffer(input))
+    compressed[6] = (xxhash32(compressed.slice(0, 6)) >>> 8) & 0xff
+    await expect(LZ4.decompress(compressed)).resolves.toEqual(input)
+  })
+
+  test('compress and decompress incompressible and empty payloads', async () => {
+    for (const buffer of [
+      Buffer.alloc(0),
+      Buffer.from('a'),
+      require('crypto').randomBytes(140000),
+    ]) {
+      const compressed = await LZ4.compress(new Encoder().writeBuffer(buffer))
+      await expect(LZ4.decompress(compressed)).resolves.toEqual(buffer)
+    }
+  })
+
+  test('xxhash32', () => {
+    expect(xxhash32(Buffer.alloc(0))).toEqual(0x02cc5d05)
+    expect(xxhash32(Buffer.from('abc'))).toEqual(0x32d153ff)
+    expect(xxhash32(Buffer.from('Nobody inspects the spammish repetition'))).toEqual(0xe2293b2f)
+  })
+})
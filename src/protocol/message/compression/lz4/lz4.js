@@ -0,0 +1,387 @@
+const { KafkaJSNonRetriableError } = require('../../../../errors')
+const xxhash32 = require('./xxhash32')
+
+/**
+ * Pure JavaScript implementation of the LZ4 frame format, as produced by
+ * KafkaLZ4BlockOutputStream and read by KafkaLZ4BlockInputStream
+ *
+ * Frame => Magic FrameDescriptor [Block] EndMark [ContentChecksum]
+ *   Magic => int32 (little endian)
+ *   FrameDescriptor => FLG BD [ContentSize] [DictionaryId] HeaderChecksum
+ *   Block => BlockSize Data [BlockChecksum]
+ *
+ * @see https://github.com/lz4/lz4/blob/dev/doc/lz4_Frame_format.md
+ * @see https://github.com/lz4/lz4/blob/dev/doc/lz4_Block_format.md
+ */
+
+const MAGIC = 0x184d2204
+const SKIPPABLE_MAGIC_MASK = 0xfffffff0
+const SKIPPABLE_MAGIC = 0x184d2a50
+
+const FLG_VERSION = 0x40
+const FLG_VERSION_MASK = 0xc0
+const FLG_BLOCK_INDEPENDENCE = 0x20
+const FLG_BLOCK_CHECKSUM = 0x10
+const FLG_CONTENT_SIZE = 0x08
+const FLG_CONTENT_CHECKSUM = 0x04
+const FLG_DICTIONARY_ID = 0x01
+
+const BLOCK_MAX_SIZES = {
+  4: 64 * 1024,
+  5: 256 * 1024,
+  6: 1024 * 1024,
+  7: 4 * 1024 * 1024,
+}
+
+// Kafka always writes 64KB blocks
+const BD_64KB = 4 << 4
+const BLOCK_SIZE = BLOCK_MAX_SIZES[4]
+const UNCOMPRESSED_BLOCK_FLAG = 0x80000000
+
+const MIN_MATCH = 4
+const LAST_LITERALS = 5
+const MF_LIMIT = 12
+const MAX_DISTANCE = 65535
+const HASH_TABLE_BITS = 16
+const SKIP_TRIGGER = 6
+
+const corrupted = reason => new KafkaJSNonRetriableError(`Invalid LZ4 data: ${reason}`)
+
+const hash = value => Math.imul(value, 0x9e3779b1) >>> (32 - HASH_TABLE_BITS)
+const load32 = (buffer, index) =>
+  buffer[index] | (buffer[index + 1] << 8) | (buffer[index + 2] << 16) | (buffer[index + 3] << 24)
+
+const maxCompressedBlockLength = length => length + Math.floor(length / 255) + 16
+
+const writeLength = (output, offset, length) => {
+  while (length >= 255) {
+    output[offset++] = 255
+    length -= 255
+  }
+
+  output[offset++] = length
+  return offset
+}
+
+const emitSequence = (input, anchor, literalLength, output, offset, distance, matchLength) => {
+  const tokenOffset = offset++
+  let token = Math.min(literalLength, 15) << 4
+
+  if (literalLength >= 15) {
+    offset = writeLength(output, offset, literalLength - 15)
+  }
+
+  input.copy(output, offset, anchor, anchor + literalLength)
+  offset += literalLength
+
+  if (matchLength != null) {
+    output[offset++] = distance & 0xff
+    output[offset++] = distance >>> 8
+
+    const encodedMatchLength = matchLength - MIN_MATCH
+    token |= Math.min(encodedMatchLength, 15)
+
+    if (encodedMatchLength >= 15) {
+      offset = writeLength(output, offset, encodedMatchLength - 15)
+    }
+  }
+
+  output[tokenOffset] = token
+  return offset
+}
+
+/**
+ * Greedy single pass compressor, every block is compressed independently
+ */
+const compressBlock = (input, start, end, output, offset, table) => {
+  table.fill(0)
+
+  let anchor = start
+  let position = start
+  const matchLimit = end - LAST_LITERALS
+  const matchStartLimit = end - MF_LIMIT
+
+  while (position < matchStartLimit) {
+    const sequence = load32(input, position)
+    const hashIndex = hash(sequence)
+    const candidate = start + table[hashIndex] - 1
+    table[hashIndex] = position - start + 1
+
+    if (
+      candidate < start ||
+      position - candidate > MAX_DISTANCE ||
+      load32(input, candidate) !== sequence
+    ) {
+      position += 1 + ((position - anchor) >>> SKIP_TRIGGER)
+      continue
+    }
+
+    let matchLength = MIN_MATCH
+    while (
+      position + matchLength < matchLimit &&
+      input[candidate + matchLength] === input[position + matchLength]
+    ) {
+      matchLength++
+    }
+
+    offset = emitSequence(
+      input,
+      anchor,
+      position - anchor,
+      output,
+      offset,
+      position - candidate,
+      matchLength
+    )
+    position += matchLength
+    anchor = position
+  }
+
+  return emitSequence(input, anchor, end - anchor, output, offset)
+}
+
+const readLength = (input, offset, end) => {
+  let length = 0
+  let byte
+
+  do {
+    if (offset >= end) {
+      throw corrupted('truncated length')
+    }
+
+    byte = input[offset++]
+    length += byte
+  } while (byte === 255)
+
+  return { length, offset }
+}
+
+class OutputBuffer {
+  constructor(capacity) {
+    this.buffer = Buffer.alloc(Math.max(capacity, BLOCK_SIZE))
+    this.offset = 0
+  }
+
+  ensureCapacity(size) {
+    if (this.offset + size <= this.buffer.length) {
+      return
+    }
+
+    const buffer = Buffer.alloc(Math.max(this.buffer.length * 2, this.offset + size))
+    this.buffer.copy(buffer, 0, 0, this.offset)
+    this.buffer = buffer
+  }
+
+  toBuffer() {
+    return this.buffer.slice(0, this.offset)
+  }
+}
+
+const decompressBlock = (input, start, end, output, blockStart) => {
+  let offset = start
+
+  while (offset < end) {
+    const token = input[offset++]
+    let literalLength = token >>> 4
+
+    if (literalLength === 15) {
+      ;({ length: literalLength, offset } = readLength(input, offset, end))
+      literalLength += 15
+    }
+
+    if (offset + literalLength > end) {
+      throw corrupted('literals out of bounds')
+    }
+
+    output.ensureCapacity(literalLength)
+    input.copy(output.buffer, output.offset, offset, offset + literalLength)
+    output.offset += literalLength
+    offset += literalLength
+
+    // The last sequence only contains literals
+    if (offset >= end) {
+      break
+    }
+
+    if (offset + 2 > end) {
+      throw corrupted('truncated match offset')
+    }
+
+    const distance = input[offset] | (input[offset + 1] << 8)
+    offset += 2
+
+    let matchLength = token & 0x0f
+    if (matchLength === 15) {
+      ;({ length: matchLength, offset } = readLength(input, offset, end))
+      matchLength += 15
+    }
+
+    matchLength += MIN_MATCH
+
+    if (distance === 0 || output.offset - distance < blockStart) {
+      throw corrupted('match out of bounds')
+    }
+
+    output.ensureCapacity(matchLength)
+    const buffer = output.buffer
+    let position = output.offset
+
+    // Matches can overlap with the bytes being written, so they have to be
+    // copied one byte at the time
+    for (let i = 0; i < matchLength; i++, position++) {
+      buffer[position] = buffer[position - distance]
+    }
+
+    output.offset = position
+  }
+}
+
+/**
+ * @param {Buffer} input
+ * @returns {Buffer}
+ */
+const compress = input => {
+  const blocks = Math.max(Math.ceil(input.length / BLOCK_SIZE), 1)
+  const output = Buffer.alloc(7 + blocks * (4 + maxCompressedBlockLength(BLOCK_SIZE)) + 4)
+  const table = new Uint32Array(1 << HASH_TABLE_BITS)
+
+  output.writeUInt32LE(MAGIC, 0)
+  output[4] = FLG_VERSION | FLG_BLOCK_INDEPENDENCE
+  output[5] = BD_64KB
+  output[6] = (xxhash32(output.slice(4, 6)) >>> 8) & 0xff
+  let offset = 7
+
+  for (let start = 0; start < input.length; start += BLOCK_SIZE) {
+    const end = Math.min(start + BLOCK_SIZE, input.length)
+    const dataOffset = offset + 4
+    const compressedEnd = compressBlock(input, start, end, output, dataOffset, table)
+    const compressedSize = compressedEnd - dataOffset
+
+    if (compressedSize < end - start) {
+      output.writeUInt32LE(compressedSize, offset)
+      offset = compressedEnd
+    } else {
+      output.writeUInt32LE((UNCOMPRESSED_BLOCK_FLAG | (end - start)) >>> 0, offset)
+      input.copy(output, dataOffset, start, end)
+      offset = dataOffset + end - start
+    }
+  }
+
+  // EndMark
+  output.writeUInt32LE(0, offset)
+  offset += 4
+
+  return output.slice(0, offset)
+}
+
+/**
+ * The header checksum is not validated, Kafka versions prior to 0.10 (message format v0)
+ * calculate it over the magic number as well
+ *
+ * @see https://issues.apache.org/jira/browse/KAFKA-3160
+ */
+const decompressFrame = (input, offset, output) => {
+  if (offset + 3 > input.length) {
+    throw corrupted('truncated frame descriptor')
+  }
+
+  const flg = input[offset]
+  const bd = input[offset + 1]
+  offset += 2
+
+  if ((flg & FLG_VERSION_MASK) !== FLG_VERSION) {
+    throw corrupted(`unsupported frame version ${(flg & FLG_VERSION_MASK) >>> 6}`)
+  }
+
+  const blockMaxSize = BLOCK_MAX_SIZES[(bd >>> 4) & 0x07]
+  if (!blockMaxSize) {
+    throw corrupted('unsupported block maximum size')
+  }
+
+  if (flg & FLG_CONTENT_SIZE) {
+    offset += 8
+  }
+
+  if (flg & FLG_DICTIONARY_ID) {
+    throw corrupted('dictionaries are not supported')
+  }
+
+  // Header checksum
+  offset += 1
+
+  const blockIndependence = (flg & FLG_BLOCK_INDEPENDENCE) !== 0
+  const frameStart = output.offset
+
+  while (true) {
+    if (offset + 4 > input.length) {
+      throw corrupted('truncated block size')
+    }
+
+    const blockSize = input.readUInt32LE(offset)
+    offset += 4
+
+    if (blockSize === 0) {
+      break
+    }
+
+    const size = blockSize & ~UNCOMPRESSED_BLOCK_FLAG
+    const end = offset + size
+
+    if (size > blockMaxSize || end > input.length) {
+      throw corrupted('block out of bounds')
+    }
+
+    if (blockSize & UNCOMPRESSED_BLOCK_FLAG) {
+      output.ensureCapacity(size)
+      input.copy(output.buffer, output.offset, offset, end)
+      output.offset += size
+    } else {
+      const blockStart = blockIndependence ? output.offset : frameStart
+      decompressBlock(input, offset, end, output, blockStart)
+    }
+
+    offset = end
+
+    if (flg & FLG_BLOCK_CHECKSUM) {
+      offset += 4
+    }
+  }
+
+  if (flg & FLG_CONTENT_CHECKSUM) {
+    offset += 4
+  }
+
+  return offset
+}
+
+/**
+ * @param {Buffer} input
+ * @returns {Buffer}
+ */
+const decompress = input => {
+  const output = new OutputBuffer(input.length * 4)
+  let offset = 0
+
+  while (offset + 4 <= input.length) {
+    const magic = input.readUInt32LE(offset)
+    offset += 4
+
+    if ((magic & SKIPPABLE_MAGIC_MASK) >>> 0 === SKIPPABLE_MAGIC) {
+      offset += 4 + input.readUInt32LE(offset)
+      continue
+    }
+
+    if (magic !== MAGIC) {
+      throw corrupted(`unknown magic number ${magic}`)
+    }
+
+    offset = decompressFrame(input, offset, output)
+  }
+
+  return output.toBuffer()
+}
+
+module.exports = {
+  compress,
+  decompress,
+}
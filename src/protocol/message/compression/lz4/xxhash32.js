@@ -0,0 +1,58 @@
+/**
+ * A javascript implementation of the 32 bits xxHash algorithm, used by the LZ4 frame
+ * format to checksum the frame descriptor and the content
+ *
+ * @see https://github.com/Cyan4973/xxHash/blob/dev/doc/xxhash_spec.md
+ */
+const PRIME32_1 = 0x9e3779b1
+const PRIME32_2 = 0x85ebca77
+const PRIME32_3 = 0xc2b2ae3d
+const PRIME32_4 = 0x27d4eb2f
+const PRIME32_5 = 0x165667b1
+
+const rotl = (value, bits) => (value << bits) | (value >>> (32 - bits))
+const read32 = (buffer, index) =>
+  buffer[index] | (buffer[index + 1] << 8) | (buffer[index + 2] << 16) | (buffer[index + 3] << 24)
+
+const round = (accumulator, lane) =>
+  Math.imul(rotl((accumulator + Math.imul(lane, PRIME32_2)) | 0, 13), PRIME32_1)
+
+module.exports = (buffer, seed = 0) => {
+  const length = buffer.length
+  let offset = 0
+  let hash
+
+  if (length >= 16) {
+    let v1 = (seed + PRIME32_1 + PRIME32_2) | 0
+    let v2 = (seed + PRIME32_2) | 0
+    let v3 = seed | 0
+    let v4 = (seed - PRIME32_1) | 0
+
+    for (; offset <= length - 16; offset += 16) {
+      v1 = round(v1, read32(buffer, offset))
+      v2 = round(v2, read32(buffer, offset + 4))
+      v3 = round(v3, read32(buffer, offset + 8))
+      v4 = round(v4, read32(buffer, offset + 12))
+    }
+
+    hash = (rotl(v1, 1) + rotl(v2, 7) + rotl(v3, 12) + rotl(v4, 18)) | 0
+  } else {
+    hash = (seed + PRIME32_5) | 0
+  }
+
+  hash = (hash + length) | 0
+
+  for (; offset <= length - 4; offset += 4) {
+    hash = Math.imul(rotl((hash + Math.imul(read32(buffer, offset), PRIME32_3)) | 0, 17), PRIME32_4)
+  }
+
+  for (; offset < length; offset++) {
+    hash = Math.imul(rotl((hash + Math.imul(buffer[offset], PRIME32_5)) | 0, 11), PRIME32_1)
+  }
+
+  hash = Math.imul(hash ^ (hash >>> 15), PRIME32_2)
+  hash = Math.imul(hash ^ (hash >>> 13), PRIME32_3)
+  hash ^= hash >>> 16
+
+  return hash >>> 0
+}
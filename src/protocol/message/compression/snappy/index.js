@@ -0,0 +1,69 @@
+const Encoder = require('../../../encoder')
+const { compress, decompress } = require('./snappy')
+
+/**
+ * JVM clients use the snappy-java (xerial) stream format, which is the raw Snappy
+ * format split into length-prefixed chunks behind a 16 bytes header:
+ *
+ * XerialHeader => Magic Version CompatibleVersion
+ *   Magic => [0x82, 'SNAPPY', 0x00]
+ *   Version => int32
+ *   CompatibleVersion => int32
+ * Chunk => Size Data
+ *   Size => int32
+ *   Data => bytes
+ *
+ * @see https://github.com/xerial/snappy-java/blob/master/src/main/java/org/xerial/snappy/SnappyOutputStream.java
+ */
+const XERIAL_HEADER = Buffer.from([130, 83, 78, 65, 80, 80, 89, 0])
+const XERIAL_VERSION = 1
+const XERIAL_COMPATIBLE_VERSION = 1
+const XERIAL_HEADER_SIZE = 16
+const XERIAL_CHUNK_SIZE = 32 * 1024
+const SIZE_BYTES = 4
+
+const isXerialFormat = buffer =>
+  buffer.length >= XERIAL_HEADER_SIZE && buffer.slice(0, XERIAL_HEADER.length).equals(XERIAL_HEADER)
+
+module.exports = {
+  /**
+   * @param {Encoder} encoder
+   * @returns {Promise}
+   */
+  async compress(encoder) {
+    const { buffer } = encoder
+    const xerialEncoder = new Encoder()
+      .writeBuffer(XERIAL_HEADER)
+      .writeInt32(XERIAL_VERSION)
+      .writeInt32(XERIAL_COMPATIBLE_VERSION)
+
+    for (let offset = 0; offset < buffer.length; offset += XERIAL_CHUNK_SIZE) {
+      const chunk = compress(buffer.slice(offset, offset + XERIAL_CHUNK_SIZE))
+      xerialEncoder.writeInt32(chunk.length).writeBuffer(chunk)
+    }
+
+    return xerialEncoder.buffer
+  },
+
+  /**
+   * @param {Buffer} buffer
+   * @returns {Promise}
+   */
+  async decompress(buffer) {
+    if (!isXerialFormat(buffer)) {
+      return decompress(buffer)
+    }
+
+    const chunks = []
+    let offset = XERIAL_HEADER_SIZE
+
+    while (offset + SIZE_BYTES <= buffer.length) {
+      const size = buffer.readInt32BE(offset)
+      offset += SIZE_BYTES
+      chunks.push(decompress(buffer.slice(offset, offset + size)))
+      offset += size
+    }
+
+    return Buffer.concat(chunks)
+  },
+}
@@ -0,0 +1,43 @@
+const Encoder = require('../../../encoder')
+const Snappy = require('./index')
+
+describe('Protocol > Message > Compression > Snappy', () => {
+  const input = Buffer.from(
+    Array.from({ length: 1000 }, (_, i) => `{"key":"key-${i % 10}","value":"value-${i}"}`).join(
+      '\n'
+    )
+  )
+
+  test('decompress the raw format', async () => {
+    const buffer = Buffer.from(require('./fixtures/raw.json'))
+    await expect(Snappy.decompress(buffer)).resolves.toEqual(input)
+  })
+
+  test('decompress the xerial framed format used by the JVM clients', async () => {
+    const buffer = Buffer.from(require('./fixtures/xerial.json'))
+    await expect(Snappy.decompress(buffer)).resolves.toEqual(input)
+  })
+
+  test('compress using the xerial framed format', async () => {
+    const compressed = await Snappy.compress(new Encoder().writeBuffer(input))
+    expect(compressed.slice(0, 8)).toEqual(Buffer.from([130, 83, 78, 65, 80, 80, 89, 0]))
+    expect(compressed.length).toBeLessThan(input.length)
+    await expect(Snappy.decompress(compressed)).resolves.toEqual(input)
+  })
+
+  test('compress and decompress incompressible and empty payloads', async () => {
+    for (const buffer of [
+      Buffer.alloc(0),
+      Buffer.from('a'),
+      require('crypto').randomBytes(70000),
+    ]) {
+      const compressed = await Snappy.compress(new Encoder().writeBuffer(buffer))
+      await expect(Snappy.decompress(compressed)).resolves.toEqual(buffer)
+    }
+  })
+
+  test('throws on corrupted input', async () => {
+    const buffer = Buffer.from(require('./fixtures/raw.json')).slice(0, 100)
+    await expect(Snappy.decompress(buffer)).rejects.toThrow(/Invalid snappy data/)
+  })
+})
@@ -0,0 +1,262 @@
+const { KafkaJSNonRetriableError } = require('../../../../errors')
+
+/**
+ * Pure JavaScript implementation of the raw Snappy format
+ * @see https://github.com/google/snappy/blob/master/format_description.txt
+ */
+
+const BLOCK_SIZE = 1 << 16
+const HASH_TABLE_BITS = 14
+const HASH_TABLE_SIZE = 1 << HASH_TABLE_BITS
+const MIN_MATCH = 4
+const INPUT_MARGIN = 15
+
+const TAG_LITERAL = 0x00
+const TAG_COPY_1 = 0x01
+const TAG_COPY_2 = 0x02
+const TAG_COPY_4 = 0x03
+
+const hash = value =>
+  (Math.imul(value, 0x1e35a7bd) >>> (32 - HASH_TABLE_BITS)) & (HASH_TABLE_SIZE - 1)
+const load32 = (buffer, index) =>
+  buffer[index] | (buffer[index + 1] << 8) | (buffer[index + 2] << 16) | (buffer[index + 3] << 24)
+
+const maxCompressedLength = length => 32 + length + Math.floor(length / 6)
+
+const writeVarInt = (output, offset, value) => {
+  while (value >= 0x80) {
+    output[offset++] = (value & 0x7f) | 0x80
+    value >>>= 7
+  }
+
+  output[offset++] = value
+  return offset
+}
+
+const emitLiteral = (input, start, length, output, offset) => {
+  const n = length - 1
+
+  if (n < 60) {
+    output[offset++] = TAG_LITERAL | (n << 2)
+  } else if (n < 1 << 8) {
+    output[offset++] = TAG_LITERAL | (60 << 2)
+    output[offset++] = n
+  } else if (n < 1 << 16) {
+    output[offset++] = TAG_LITERAL | (61 << 2)
+    output[offset++] = n & 0xff
+    output[offset++] = n >>> 8
+  } else if (n < 1 << 24) {
+    output[offset++] = TAG_LITERAL | (62 << 2)
+    output[offset++] = n & 0xff
+    output[offset++] = (n >>> 8) & 0xff
+    output[offset++] = n >>> 16
+  } else {
+    output[offset++] = TAG_LITERAL | (63 << 2)
+    output[offset++] = n & 0xff
+    output[offset++] = (n >>> 8) & 0xff
+    output[offset++] = (n >>> 16) & 0xff
+    output[offset++] = n >>> 24
+  }
+
+  input.copy(output, offset, start, start + length)
+  return offset + length
+}
+
+const emitCopyAtMost64 = (output, offset, distance, length) => {
+  if (length < 12 && distance < 2048) {
+    output[offset++] = TAG_COPY_1 | ((length - 4) << 2) | ((distance >>> 8) << 5)
+    output[offset++] = distance & 0xff
+  } else {
+    output[offset++] = TAG_COPY_2 | ((length - 1) << 2)
+    output[offset++] = distance & 0xff
+    output[offset++] = distance >>> 8
+  }
+
+  return offset
+}
+
+const emitCopy = (output, offset, distance, length) => {
+  // Emit 64 byte copies but make sure to keep at least four bytes reserved
+  while (length >= 68) {
+    offset = emitCopyAtMost64(output, offset, distance, 64)
+    length -= 64
+  }
+
+  if (length > 64) {
+    offset = emitCopyAtMost64(output, offset, distance, 60)
+    length -= 60
+  }
+
+  return emitCopyAtMost64(output, offset, distance, length)
+}
+
+const compressBlock = (input, start, end, output, offset, table) => {
+  table.fill(0)
+
+  let literalStart = start
+  let position = start + 1
+  const limit = end - INPUT_MARGIN
+
+  if (end - start >= INPUT_MARGIN) {
+    while (position < limit) {
+      const candidateIndex = hash(load32(input, position))
+      const candidate = start + table[candidateIndex]
+      table[candidateIndex] = position - start
+
+      if (candidate >= position || load32(input, candidate) !== load32(input, position)) {
+        position++
+        continue
+      }
+
+      if (literalStart < position) {
+        offset = emitLiteral(input, literalStart, position - literalStart, output, offset)
+      }
+
+      let matchLength = MIN_MATCH
+      while (
+        position + matchLength < end &&
+        input[candidate + matchLength] === input[position + matchLength]
+      ) {
+        matchLength++
+      }
+
+      offset = emitCopy(output, offset, position - candidate, matchLength)
+      position += matchLength
+      literalStart = position
+
+      if (position < limit) {
+        table[hash(load32(input, position - 1))] = position - 1 - start
+      }
+    }
+  }
+
+  if (literalStart < end) {
+    offset = emitLiteral(input, literalStart, end - literalStart, output, offset)
+  }
+
+  return offset
+}
+
+/**
+ * @param {Buffer} input
+ * @returns {Buffer}
+ */
+const compress = input => {
+  const output = Buffer.alloc(maxCompressedLength(input.length))
+  const table = new Uint16Array(HASH_TABLE_SIZE)
+  let offset = writeVarInt(output, 0, input.length)
+
+  for (let start = 0; start < input.length; start += BLOCK_SIZE) {
+    const end = Math.min(start + BLOCK_SIZE, input.length)
+    offset = compressBlock(input, start, end, output, offset, table)
+  }
+
+  return output.slice(0, offset)
+}
+
+const corrupted = reason => new KafkaJSNonRetriableError(`Invalid snappy data: ${reason}`)
+
+const readUncompressedLength = input => {
+  let result = 0
+  let shift = 0
+  let offset = 0
+
+  while (offset < input.length && shift < 35) {
+    const byte = input[offset++]
+    result += (byte & 0x7f) * Math.pow(2, shift)
+
+    if ((byte & 0x80) === 0) {
+      return { length: result, offset }
+    }
+
+    shift += 7
+  }
+
+  throw corrupted('invalid uncompressed length')
+}
+
+const readOffset = (input, offset, bytes) => {
+  if (offset + bytes > input.length) {
+    throw corrupted('truncated copy')
+  }
+
+  return input.readUIntLE(offset, bytes)
+}
+
+/**
+ * @param {Buffer} input
+ * @returns {Buffer}
+ */
+const decompress = input => {
+  const { length, offset: dataOffset } = readUncompressedLength(input)
+  const output = Buffer.alloc(length)
+  let inputOffset = dataOffset
+  let outputOffset = 0
+
+  while (inputOffset < input.length) {
+    const tag = input[inputOffset++]
+    let size
+    let distance
+
+    switch (tag & 0x03) {
+      case TAG_LITERAL: {
+        size = tag >>> 2
+        if (size >= 60) {
+          const bytes = size - 59
+          if (inputOffset + bytes > input.length) {
+            throw corrupted('truncated literal')
+          }
+
+          size = input.readUIntLE(inputOffset, bytes)
+          inputOffset += bytes
+        }
+
+        size += 1
+        if (inputOffset + size > input.length || outputOffset + size > length) {
+          throw corrupted('literal out of bounds')
+        }
+
+        input.copy(output, outputOffset, inputOffset, inputOffset + size)
+        inputOffset += size
+        outputOffset += size
+        continue
+      }
+      case TAG_COPY_1:
+        size = ((tag >>> 2) & 0x07) + 4
+        distance = ((tag >>> 5) << 8) | readOffset(input, inputOffset, 1)
+        inputOffset += 1
+        break
+      case TAG_COPY_2:
+        size = (tag >>> 2) + 1
+        distance = readOffset(input, inputOffset, 2)
+        inputOffset += 2
+        break
+      case TAG_COPY_4:
+        size = (tag >>> 2) + 1
+        distance = readOffset(input, inputOffset, 4)
+        inputOffset += 4
+        break
+    }
+
+    if (distance === 0 || distance > outputOffset || outputOffset + size > length) {
+      throw corrupted('copy out of bounds')
+    }
+
+    // Copies can overlap with the bytes being written, so they have to be
+    // performed one byte at the time
+    for (let i = 0; i < size; i++, outputOffset++) {
+      output[outputOffset] = output[outputOffset - distance]
+    }
+  }
+
+  if (outputOffset !== length) {
+    throw corrupted(`expected ${length} bytes but decoded ${outputOffset}`)
+  }
+
+  return output
+}
+
+module.exports = {
+  compress,
+  decompress,
+}
@@ -0,0 +1,854 @@
+const { KafkaJSNonRetriableError } = require('../../../../errors')
+
+/**
+ * Pure JavaScript Zstandard decoder, used when the runtime doesn't ship a native
+ * implementation (zlib.zstdDecompress is available from Node 22.15 onwards)
+ *
+ * Frame => Magic FrameHeader [Block] [ContentChecksum]
+ *   Magic => int32 (little endian)
+ *   FrameHeader => Descriptor [WindowDescriptor] [DictionaryId] [FrameContentSize]
+ *   Block => BlockHeader Content
+ *
+ * @see https://www.rfc-editor.org/rfc/rfc8878.html
+ */
+
+const MAGIC = 0xfd2fb528
+const SKIPPABLE_MAGIC_MASK = 0xfffffff0
+const SKIPPABLE_MAGIC = 0x184d2a50
+
+const BLOCK_TYPE_RAW = 0
+const BLOCK_TYPE_RLE = 1
+const BLOCK_TYPE_COMPRESSED = 2
+
+const LITERALS_TYPE_RAW = 0
+const LITERALS_TYPE_RLE = 1
+const LITERALS_TYPE_COMPRESSED = 2
+const LITERALS_TYPE_TREELESS = 3
+
+const MODE_PREDEFINED = 0
+const MODE_RLE = 1
+const MODE_FSE_COMPRESSED = 2
+const MODE_REPEAT = 3
+
+const MAX_HUFFMAN_BITS = 11
+const HUFFMAN_WEIGHTS_MAX_ACCURACY_LOG = 6
+
+// prettier-ignore
+const LITERALS_LENGTH_BASELINES = [
+  0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+  16, 18, 20, 22, 24, 28, 32, 40, 48, 64, 128, 256, 512, 1024, 2048, 4096,
+  8192, 16384, 32768, 65536,
+]
+// prettier-ignore
+const LITERALS_LENGTH_EXTRA_BITS = [
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  1, 1, 1, 1, 2, 2, 3, 3, 4, 6, 7, 8, 9, 10, 11, 12,
+  13, 14, 15, 16,
+]
+// prettier-ignore
+const MATCH_LENGTH_BASELINES = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18,
+  19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34,
+  35, 37, 39, 41, 43, 47, 51, 59, 67, 83, 99, 131, 259, 515, 1027, 2051,
+  4099, 8195, 16387, 32771, 65539,
+]
+// prettier-ignore
+const MATCH_LENGTH_EXTRA_BITS = [
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  1, 1, 1, 1, 2, 2, 3, 3, 4, 4, 5, 7, 8, 9, 10, 11,
+  12, 13, 14, 15, 16,
+]
+
+// prettier-ignore
+const LITERALS_LENGTH_DEFAULT_DISTRIBUTION = [
+  4, 3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1,
+  2, 2, 2, 2, 2, 2, 2, 2, 2, 3, 2, 1, 1, 1, 1, 1,
+  -1, -1, -1, -1,
+]
+// prettier-ignore
+const MATCH_LENGTH_DEFAULT_DISTRIBUTION = [
+  1, 4, 3, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1,
+  1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1,
+  1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1,
+  -1, -1, -1, -1, -1,
+]
+// prettier-ignore
+const OFFSET_DEFAULT_DISTRIBUTION = [
+  1, 1, 1, 1, 1, 1, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1,
+  1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1,
+]
+
+const LITERALS_LENGTH = { maxSymbol: 35, maxAccuracyLog: 9 }
+const MATCH_LENGTH = { maxSymbol: 52, maxAccuracyLog: 9 }
+const OFFSET = { maxSymbol: 31, maxAccuracyLog: 8 }
+
+const corrupted = reason => new KafkaJSNonRetriableError(`Invalid zstd data: ${reason}`)
+
+const highBit = value => 31 - Math.clz32(value)
+
+/**
+ * Little endian bit reader, used by the FSE table descriptions. Bits past the end
+ * are read as zeros, the caller validates the final position
+ */
+class ForwardBitReader {
+  constructor(buffer, offset, end) {
+    this.buffer = buffer
+    this.bitOffset = offset * 8
+    this.end = end
+  }
+
+  peek(bits) {
+    let value = 0
+    for (let i = 0; i < bits; i++) {
+      const position = this.bitOffset + i
+      const byteOffset = position >>> 3
+
+      if (byteOffset < this.end) {
+        value |= ((this.buffer[byteOffset] >>> (position & 7)) & 1) << i
+      }
+    }
+
+    return value
+  }
+
+  skip(bits) {
+    this.bitOffset += bits
+  }
+
+  byteOffset() {
+    return Math.ceil(this.bitOffset / 8)
+  }
+}
+
+/**
+ * Entropy coded streams are written forwards but read backwards, starting from
+ * the highest set bit of the last byte. Reading past the beginning of the stream
+ * yields zeros, which is required by the Huffman and FSE decoders
+ */
+class BackwardBitReader {
+  constructor(buffer, start, end) {
+    if (end <= start) {
+      throw corrupted('empty bitstream')
+    }
+
+    const lastByte = buffer[end - 1]
+    if (lastByte === 0) {
+      throw corrupted('missing bitstream padding')
+    }
+
+    this.buffer = buffer
+    this.start = start
+    this.bitOffset = (end - 1 - start) * 8 + highBit(lastByte)
+  }
+
+  read(bits) {
+    if (bits === 0) {
+      return 0
+    }
+
+    const value = this.peek(bits)
+    this.bitOffset -= bits
+    return value
+  }
+
+  peek(bits) {
+    const low = this.bitOffset - bits
+    const from = Math.max(low, 0)
+
+    if (from >= this.bitOffset) {
+      return 0
+    }
+
+    const firstByte = from >>> 3
+    const lastByte = (this.bitOffset - 1) >>> 3
+    let window = 0
+
+    for (let i = lastByte; i >= firstByte; i--) {
+      window = window * 256 + this.buffer[this.start + i]
+    }
+
+    const value = Math.floor(window / Math.pow(2, from - firstByte * 8)) % Math.pow(2, bits)
+    return low < 0 ? (value * Math.pow(2, -low)) % Math.pow(2, bits) : value
+  }
+
+  overflowed() {
+    return this.bitOffset < 0
+  }
+
+  finished() {
+    return this.bitOffset === 0
+  }
+}
+
+const readTableDescription = (buffer, offset, end, { maxSymbol, maxAccuracyLog }) => {
+  const reader = new ForwardBitReader(buffer, offset, end)
+  const accuracyLog = reader.peek(4) + 5
+  reader.skip(4)
+
+  if (accuracyLog > maxAccuracyLog) {
+    throw corrupted(`accuracy log ${accuracyLog} is too large`)
+  }
+
+  const probabilities = []
+  let remaining = (1 << accuracyLog) + 1
+  let threshold = 1 << accuracyLog
+  let bits = accuracyLog + 1
+  let symbol = 0
+
+  while (remaining > 1 && symbol <= maxSymbol) {
+    const max = 2 * threshold - 1 - remaining
+    let count
+
+    if (reader.peek(bits - 1) < max) {
+      count = reader.peek(bits - 1)
+      reader.skip(bits - 1)
+    } else {
+      count = reader.peek(bits)
+      reader.skip(bits)
+      if (count >= threshold) {
+        count -= max
+      }
+    }
+
+    // The value is the probability plus one, -1 means "less than 1"
+    count--
+    remaining -= Math.abs(count)
+    probabilities[symbol++] = count
+
+    if (count === 0) {
+      let repeat
+      do {
+        repeat = reader.peek(2)
+        reader.skip(2)
+        for (let i = 0; i < repeat; i++) {
+          probabilities[symbol++] = 0
+        }
+      } while (repeat === 3)
+    }
+
+    while (remaining < threshold) {
+      bits--
+      threshold >>= 1
+    }
+  }
+
+  if (remaining !== 1 || symbol > maxSymbol + 1 || reader.byteOffset() > end) {
+    throw corrupted('invalid table description')
+  }
+
+  return { probabilities, accuracyLog, offset: reader.byteOffset() }
+}
+
+const buildFSETable = (probabilities, accuracyLog) => {
+  const size = 1 << accuracyLog
+  const symbols = new Uint8Array(size)
+  const bits = new Uint8Array(size)
+  const baselines = new Uint16Array(size)
+  const nextState = []
+  let highThreshold = size - 1
+
+  probabilities.forEach((probability, symbol) => {
+    if (probability === -1) {
+      symbols[highThreshold--] = symbol
+      nextState[symbol] = 1
+    } else {
+      nextState[symbol] = probability
+    }
+  })
+
+  const step = (size >>> 1) + (size >>> 3) + 3
+  const mask = size - 1
+  let position = 0
+
+  probabilities.forEach((probability, symbol) => {
+    for (let i = 0; i < probability; i++) {
+      symbols[position] = symbol
+      do {
+        position = (position + step) & mask
+      } while (position > highThreshold)
+    }
+  })
+
+  if (position !== 0) {
+    throw corrupted('invalid FSE distribution')
+  }
+
+  for (let state = 0; state < size; state++) {
+    const symbol = symbols[state]
+    const next = nextState[symbol]++
+    bits[state] = accuracyLog - highBit(next)
+    baselines[state] = (next << bits[state]) - size
+  }
+
+  return { accuracyLog, symbols, bits, baselines }
+}
+
+const buildRLETable = symbol => ({
+  accuracyLog: 0,
+  symbols: [symbol],
+  bits: [0],
+  baselines: [0],
+})
+
+const PREDEFINED_TABLES = {
+  literalsLength: buildFSETable(LITERALS_LENGTH_DEFAULT_DISTRIBUTION, 6),
+  matchLength: buildFSETable(MATCH_LENGTH_DEFAULT_DISTRIBUTION, 6),
+  offset: buildFSETable(OFFSET_DEFAULT_DISTRIBUTION, 5),
+}
+
+const buildHuffmanTable = weights => {
+  let total = 0
+  for (const weight of weights) {
+    if (weight > MAX_HUFFMAN_BITS + 1) {
+      throw corrupted('invalid huffman weight')
+    }
+
+    total += weight > 0 ? 1 << (weight - 1) : 0
+  }
+
+  if (total === 0) {
+    throw corrupted('empty huffman tree')
+  }
+
+  // The weight of the last symbol is implied, it completes the tree to the next power of 2
+  const maxBits = highBit(total) + 1
+  const leftOver = (1 << maxBits) - total
+
+  if (maxBits > MAX_HUFFMAN_BITS || leftOver & (leftOver - 1)) {
+    throw corrupted('invalid huffman tree')
+  }
+
+  const allWeights = [...weights, highBit(leftOver) + 1]
+  const size = 1 << maxBits
+  const symbols = new Uint8Array(size)
+  const bits = new Uint8Array(size)
+  let position = 0
+
+  // Codes are assigned by increasing weight and then by symbol value, so filling
+  // the table in that order gives the prefix lookup table
+  for (let weight = 1; weight <= maxBits; weight++) {
+    const length = 1 << (weight - 1)
+    allWeights.forEach((symbolWeight, symbol) => {
+      if (symbolWeight !== weight) {
+        return
+      }
+
+      symbols.fill(symbol, position, position + length)
+      bits.fill(maxBits + 1 - weight, position, position + length)
+      position += length
+    })
+  }
+
+  return { maxBits, symbols, bits }
+}
+
+const readHuffmanTable = (buffer, offset, end) => {
+  const header = buffer[offset++]
+  const weights = []
+
+  if (header >= 128) {
+    const numberOfWeights = header - 127
+    const size = Math.ceil(numberOfWeights / 2)
+
+    if (offset + size > end) {
+      throw corrupted('truncated huffman weights')
+    }
+
+    for (let i = 0; i < numberOfWeights; i++) {
+      const byte = buffer[offset + (i >>> 1)]
+      weights.push(i % 2 === 0 ? byte >>> 4 : byte & 0x0f)
+    }
+
+    return { table: buildHuffmanTable(weights), offset: offset + size }
+  }
+
+  const compressedEnd = offset + header
+  if (compressedEnd > end) {
+    throw corrupted('truncated huffman weights')
+  }
+
+  const description = readTableDescription(buffer, offset, compressedEnd, {
+    maxSymbol: 255,
+    maxAccuracyLog: HUFFMAN_WEIGHTS_MAX_ACCURACY_LOG,
+  })
+  const fseTable = buildFSETable(description.probabilities, description.accuracyLog)
+  const reader = new BackwardBitReader(buffer, description.offset, compressedEnd)
+
+  // Two interleaved states share the same table, decoding stops as soon as the
+  // bitstream is exhausted
+  let state1 = reader.read(fseTable.accuracyLog)
+  let state2 = reader.read(fseTable.accuracyLog)
+
+  while (true) {
+    weights.push(fseTable.symbols[state1])
+    state1 = fseTable.baselines[state1] + reader.read(fseTable.bits[state1])
+    if (reader.overflowed()) {
+      weights.push(fseTable.symbols[state2])
+      break
+    }
+
+    weights.push(fseTable.symbols[state2])
+    state2 = fseTable.baselines[state2] + reader.read(fseTable.bits[state2])
+    if (reader.overflowed()) {
+      weights.push(fseTable.symbols[state1])
+      break
+    }
+
+    if (weights.length > 255) {
+      throw corrupted('too many huffman weights')
+    }
+  }
+
+  return { table: buildHuffmanTable(weights), offset: compressedEnd }
+}
+
+const decodeHuffmanStream = (buffer, start, end, table, output, outputOffset, size) => {
+  const reader = new BackwardBitReader(buffer, start, end)
+  const { maxBits, symbols, bits } = table
+
+  for (let i = 0; i < size; i++) {
+    const index = reader.peek(maxBits)
+    output[outputOffset + i] = symbols[index]
+    reader.bitOffset -= bits[index]
+  }
+
+  if (!reader.finished()) {
+    throw corrupted('huffman stream not fully consumed')
+  }
+}
+
+const readLiterals = (buffer, offset, end, context) => {
+  const header = buffer[offset]
+  const type = header & 0x03
+  const sizeFormat = (header >>> 2) & 0x03
+
+  if (type === LITERALS_TYPE_RAW || type === LITERALS_TYPE_RLE) {
+    let size
+    if ((sizeFormat & 0x01) === 0) {
+      size = header >>> 3
+      offset += 1
+    } else if (sizeFormat === 1) {
+      size = (header >>> 4) + (buffer[offset + 1] << 4)
+      offset += 2
+    } else {
+      size = (header >>> 4) + (buffer[offset + 1] << 4) + (buffer[offset + 2] << 12)
+      offset += 3
+    }
+
+    if (type === LITERALS_TYPE_RLE) {
+      if (offset >= end) {
+        throw corrupted('truncated literals')
+      }
+
+      return { literals: Buffer.alloc(size, buffer[offset]), offset: offset + 1 }
+    }
+
+    if (offset + size > end) {
+      throw corrupted('truncated literals')
+    }
+
+    return { literals: buffer.slice(offset, offset + size), offset: offset + size }
+  }
+
+  let headerSize
+  let fieldBits
+  if (sizeFormat < 2) {
+    headerSize = 3
+    fieldBits = 10
+  } else if (sizeFormat === 2) {
+    headerSize = 4
+    fieldBits = 14
+  } else {
+    headerSize = 5
+    fieldBits = 18
+  }
+
+  let headerValue = 0
+  for (let i = headerSize - 1; i >= 0; i--) {
+    headerValue = headerValue * 256 + buffer[offset + i]
+  }
+
+  const fieldSize = Math.pow(2, fieldBits)
+  const regeneratedSize = Math.floor(headerValue / 16) % fieldSize
+  const compressedSize = Math.floor(headerValue / 16 / fieldSize) % fieldSize
+  const streams = sizeFormat === 0 ? 1 : 4
+
+  offset += headerSize
+  const literalsEnd = offset + compressedSize
+
+  if (literalsEnd > end) {
+    throw corrupted('truncated literals')
+  }
+
+  if (type === LITERALS_TYPE_COMPRESSED) {
+    const huffman = readHuffmanTable(buffer, offset, literalsEnd)
+    context.huffmanTable = huffman.table
+    offset = huffman.offset
+  } else if (type === LITERALS_TYPE_TREELESS && !context.huffmanTable) {
+    throw corrupted('missing huffman table')
+  }
+
+  const literals = Buffer.alloc(regeneratedSize)
+
+  if (streams === 1) {
+    decodeHuffmanStream(
+      buffer,
+      offset,
+      literalsEnd,
+      context.huffmanTable,
+      literals,
+      0,
+      regeneratedSize
+    )
+  } else {
+    const sizes = [
+      buffer.readUInt16LE(offset),
+      buffer.readUInt16LE(offset + 2),
+      buffer.readUInt16LE(offset + 4),
+    ]
+    const streamSize = Math.floor((regeneratedSize + 3) / 4)
+    let streamStart = offset + 6
+
+    for (let i = 0; i < 4; i++) {
+      const streamEnd = i < 3 ? streamStart + sizes[i] : literalsEnd
+      const outputOffset = streamSize * i
+      const size = i < 3 ? streamSize : regeneratedSize - streamSize * 3
+
+      if (streamEnd > literalsEnd || size < 0) {
+        throw corrupted('invalid literals streams')
+      }
+
+      decodeHuffmanStream(
+        buffer,
+        streamStart,
+        streamEnd,
+        context.huffmanTable,
+        literals,
+        outputOffset,
+        size
+      )
+      streamStart = streamEnd
+    }
+  }
+
+  return { literals, offset: literalsEnd }
+}
+
+const readSequenceTable = (buffer, offset, end, mode, name, definition, context) => {
+  switch (mode) {
+    case MODE_PREDEFINED:
+      context.tables[name] = PREDEFINED_TABLES[name]
+      return offset
+    case MODE_RLE:
+      if (offset >= end) {
+        throw corrupted('truncated sequences header')
+      }
+
+      context.tables[name] = buildRLETable(buffer[offset])
+      return offset + 1
+    case MODE_FSE_COMPRESSED: {
+      const description = readTableDescription(buffer, offset, end, definition)
+      context.tables[name] = buildFSETable(description.probabilities, description.accuracyLog)
+      return description.offset
+    }
+    case MODE_REPEAT:
+      if (!context.tables[name]) {
+        throw corrupted('missing repeated table')
+      }
+
+      return offset
+  }
+}
+
+const decodeOffset = (offsetValue, literalsLength, context) => {
+  const { repeatedOffsets: repeat } = context
+
+  if (offsetValue > 3) {
+    const offset = offsetValue - 3
+    repeat[2] = repeat[1]
+    repeat[1] = repeat[0]
+    repeat[0] = offset
+    return offset
+  }
+
+  // With literals length = 0 the repeated offsets are shifted by one
+  const index = offsetValue - 1 + (literalsLength === 0 ? 1 : 0)
+
+  if (index === 0) {
+    return repeat[0]
+  }
+
+  const offset = index === 3 ? repeat[0] - 1 : repeat[index]
+
+  if (index !== 1) {
+    repeat[2] = repeat[1]
+  }
+
+  repeat[1] = repeat[0]
+  repeat[0] = offset
+  return offset
+}
+
+const executeSequences = (buffer, offset, end, literals, output, context) => {
+  const header = buffer[offset++]
+  let numberOfSequences = header
+
+  if (header >= 128 && header < 255) {
+    numberOfSequences = ((header - 128) << 8) + buffer[offset++]
+  } else if (header === 255) {
+    numberOfSequences = buffer[offset] + (buffer[offset + 1] << 8) + 0x7f00
+    offset += 2
+  }
+
+  if (numberOfSequences === 0) {
+    output.write(literals, 0, literals.length)
+    return
+  }
+
+  const modes = buffer[offset++]
+  offset = readSequenceTable(
+    buffer,
+    offset,
+    end,
+    modes >>> 6,
+    'literalsLength',
+    LITERALS_LENGTH,
+    context
+  )
+  offset = readSequenceTable(buffer, offset, end, (modes >>> 4) & 0x03, 'offset', OFFSET, context)
+  offset = readSequenceTable(
+    buffer,
+    offset,
+    end,
+    (modes >>> 2) & 0x03,
+    'matchLength',
+    MATCH_LENGTH,
+    context
+  )
+
+  const { literalsLength: llTable, offset: ofTable, matchLength: mlTable } = context.tables
+  const reader = new BackwardBitReader(buffer, offset, end)
+  let llState = reader.read(llTable.accuracyLog)
+  let ofState = reader.read(ofTable.accuracyLog)
+  let mlState = reader.read(mlTable.accuracyLog)
+  let literalsOffset = 0
+
+  for (let i = 0; i < numberOfSequences; i++) {
+    const llCode = llTable.symbols[llState]
+    const ofCode = ofTable.symbols[ofState]
+    const mlCode = mlTable.symbols[mlState]
+
+    if (llCode > LITERALS_LENGTH.maxSymbol || mlCode > MATCH_LENGTH.maxSymbol) {
+      throw corrupted('invalid sequence code')
+    }
+
+    const offsetValue = Math.pow(2, ofCode) + reader.read(ofCode)
+    const matchLength =
+      MATCH_LENGTH_BASELINES[mlCode] + reader.read(MATCH_LENGTH_EXTRA_BITS[mlCode])
+    const literalsLength =
+      LITERALS_LENGTH_BASELINES[llCode] + reader.read(LITERALS_LENGTH_EXTRA_BITS[llCode])
+
+    if (i < numberOfSequences - 1) {
+      llState = llTable.baselines[llState] + reader.read(llTable.bits[llState])
+      mlState = mlTable.baselines[mlState] + reader.read(mlTable.bits[mlState])
+      ofState = ofTable.baselines[ofState] + reader.read(ofTable.bits[ofState])
+    }
+
+    if (literalsOffset + literalsLength > literals.length) {
+      throw corrupted('literals out of bounds')
+    }
+
+    output.write(literals, literalsOffset, literalsLength)
+    literalsOffset += literalsLength
+
+    const matchOffset = decodeOffset(offsetValue, literalsLength, context)
+    output.copyMatch(matchOffset, matchLength)
+  }
+
+  if (!reader.finished()) {
+    throw corrupted('sequences bitstream not fully consumed')
+  }
+
+  output.write(literals, literalsOffset, literals.length - literalsOffset)
+}
+
+class OutputBuffer {
+  constructor(capacity) {
+    this.buffer = Buffer.alloc(Math.max(capacity, 1024))
+    this.offset = 0
+    this.frameStart = 0
+  }
+
+  ensureCapacity(size) {
+    if (this.offset + size <= this.buffer.length) {
+      return
+    }
+
+    const buffer = Buffer.alloc(Math.max(this.buffer.length * 2, this.offset + size))
+    this.buffer.copy(buffer, 0, 0, this.offset)
+    this.buffer = buffer
+  }
+
+  write(source, start, length) {
+    this.ensureCapacity(length)
+    source.copy(this.buffer, this.offset, start, start + length)
+    this.offset += length
+  }
+
+  fill(value, length) {
+    this.ensureCapacity(length)
+    this.buffer.fill(value, this.offset, this.offset + length)
+    this.offset += length
+  }
+
+  copyMatch(distance, length) {
+    if (distance <= 0 || this.offset - distance < this.frameStart) {
+      throw corrupted('match out of bounds')
+    }
+
+    this.ensureCapacity(length)
+    const buffer = this.buffer
+    let position = this.offset
+
+    // Matches can overlap with the bytes being written, so they have to be
+    // copied one byte at the time
+    for (let i = 0; i < length; i++, position++) {
+      buffer[position] = buffer[position - distance]
+    }
+
+    this.offset = position
+  }
+
+  toBuffer() {
+    return this.buffer.slice(0, this.offset)
+  }
+}
+
+const readFrameHeader = (buffer, offset) => {
+  const descriptor = buffer[offset++]
+  const contentSizeFlag = descriptor >>> 6
+  const singleSegment = (descriptor & 0x20) !== 0
+  const hasChecksum = (descriptor & 0x04) !== 0
+  const dictionaryIdFlag = descriptor & 0x03
+
+  if (descriptor & 0x08) {
+    throw corrupted('reserved bit set in frame header')
+  }
+
+  if (!singleSegment) {
+    // Window descriptor, not needed since the whole frame is kept in memory
+    offset += 1
+  }
+
+  const dictionaryIdSize = [0, 1, 2, 4][dictionaryIdFlag]
+  if (dictionaryIdSize > 0 && buffer.readUIntLE(offset, dictionaryIdSize) !== 0) {
+    throw corrupted('dictionaries are not supported')
+  }
+
+  offset += dictionaryIdSize
+
+  const contentSizeBytes = [singleSegment ? 1 : 0, 2, 4, 8][contentSizeFlag]
+  let contentSize = null
+
+  if (contentSizeBytes === 8) {
+    contentSize = buffer.readUInt32LE(offset) + buffer.readUInt32LE(offset + 4) * Math.pow(2, 32)
+  } else if (contentSizeBytes > 0) {
+    contentSize = buffer.readUIntLE(offset, contentSizeBytes) + (contentSizeBytes === 2 ? 256 : 0)
+  }
+
+  offset += contentSizeBytes
+
+  return { offset, hasChecksum, contentSize }
+}
+
+const decompressFrame = (buffer, offset, output) => {
+  const { offset: blocksOffset, hasChecksum, contentSize } = readFrameHeader(buffer, offset)
+  const context = {
+    repeatedOffsets: [1, 4, 8],
+    huffmanTable: null,
+    tables: {},
+  }
+
+  if (contentSize != null) {
+    output.ensureCapacity(contentSize)
+  }
+
+  output.frameStart = output.offset
+  offset = blocksOffset
+
+  let lastBlock = false
+  while (!lastBlock) {
+    if (offset + 3 > buffer.length) {
+      throw corrupted('truncated block header')
+    }
+
+    const header = buffer.readUIntLE(offset, 3)
+    offset += 3
+
+    lastBlock = (header & 0x01) === 1
+    const type = (header >>> 1) & 0x03
+    const size = header >>> 3
+
+    switch (type) {
+      case BLOCK_TYPE_RAW:
+        if (offset + size > buffer.length) {
+          throw corrupted('truncated raw block')
+        }
+
+        output.write(buffer, offset, size)
+        offset += size
+        break
+      case BLOCK_TYPE_RLE:
+        output.fill(buffer[offset], size)
+        offset += 1
+        break
+      case BLOCK_TYPE_COMPRESSED: {
+        const end = offset + size
+        if (end > buffer.length) {
+          throw corrupted('truncated compressed block')
+        }
+
+        const { literals, offset: sequencesOffset } = readLiterals(buffer, offset, end, context)
+        executeSequences(buffer, sequencesOffset, end, literals, output, context)
+        offset = end
+        break
+      }
+      default:
+        throw corrupted('reserved block type')
+    }
+  }
+
+  if (hasChecksum) {
+    offset += 4
+  }
+
+  return offset
+}
+
+/**
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ */
+module.exports = buffer => {
+  const output = new OutputBuffer(buffer.length * 4)
+  let offset = 0
+
+  while (offset + 4 <= buffer.length) {
+    const magic = buffer.readUInt32LE(offset)
+    offset += 4
+
+    if ((magic & SKIPPABLE_MAGIC_MASK) >>> 0 === SKIPPABLE_MAGIC) {
+      offset += 4 + buffer.readUInt32LE(offset)
+      continue
+    }
+
+    if (magic !== MAGIC) {
+      throw corrupted(`unknown magic number ${magic}`)
+    }
+
+    offset = decompressFrame(buffer, offset, output)
+  }
+
+  return output.toBuffer()
+}
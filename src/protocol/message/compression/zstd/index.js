@@ -0,0 +1,40 @@
+const { promisify } = require('util')
+const zlib = require('zlib')
+const { KafkaJSNotImplemented } = require('../../../../errors')
+
+const hasNativeSupport = typeof zlib.zstdCompress === 'function'
+
+const zstdCompress = hasNativeSupport ? promisify(zlib.zstdCompress) : null
+const zstdDecompress = hasNativeSupport ? promisify(zlib.zstdDecompress) : null
+
+module.exports = {
+  /**
+   * Compressing requires zlib.zstdCompress, available from Node.js 22.15 onwards
+   *
+   * @param {Encoder} encoder
+   * @returns {Promise}
+   */
+  async compress(encoder) {
+    if (!hasNativeSupport) {
+      throw new KafkaJSNotImplemented(
+        `ZSTD compression requires Node.js 22.15 or newer, the current version is ${process.version}`
+      )
+    }
+
+    return await zstdCompress(encoder.buffer)
+  },
+
+  /**
+   * Decompressing falls back to a JavaScript implementation without zlib.zstdDecompress
+   *
+   * @param {Buffer} buffer
+   * @returns {Promise}
+   */
+  async decompress(buffer) {
+    if (hasNativeSupport) {
+      return await zstdDecompress(buffer)
+    }
+
+    return require('./decompress')(buffer)
+  },
+}
@@ -0,0 +1,68 @@
+const zlib = require('zlib')
+const Encoder = require('../../../encoder')
+const ZSTD = require('./index')
+const decompress = require('./decompress')
+
+const testIfNativeSupport = typeof zlib.zstdCompress === 'function' ? test : test.skip
+
+describe('Protocol > Message > Compression > ZSTD', () => {
+  const input = Buffer.from(
+    Array.from({ length: 1000 }, (_, i) => `{"key":"key-${i % 10}","value":"value-${i}"}`).join(
+      '\n'
+    )
+  )
+
+  testIfNativeSupport('compress and decompress', async () => {
+    const compressed = await ZSTD.compress(new Encoder().writeBuffer(input))
+    expect(compressed.readUInt32LE(0)).toEqual(0xfd2fb528)
+    expect(compressed.length).toBeLessThan(input.length)
+    await expect(ZSTD.decompress(compressed)).resolves.toEqual(input)
+  })
+
+  test('decompress frames produced by the reference implementation', async () => {
+    const buffer = Buffer.from(require('./fixtures/zstd.json'))
+    await expect(ZSTD.decompress(buffer)).resolves.toEqual(input)
+  })
+
+  describe('without native support', () => {
+    let ZSTDWithoutNativeSupport
+
+    beforeEach(() => {
+      const { zstdCompress, zstdDecompress } = zlib
+      zlib.zstdCompress = undefined
+      zlib.zstdDecompress = undefined
+
+      try {
+        jest.resetModules()
+        ZSTDWithoutNativeSupport = require('./index')
+      } finally {
+        zlib.zstdCompress = zstdCompress
+        zlib.zstdDecompress = zstdDecompress
+      }
+    })
+
+    test('throws an error when compressing', async () => {
+      await expect(
+        ZSTDWithoutNativeSupport.compress(new Encoder().writeBuffer(input))
+      ).rejects.toMatchObject({
+        name: 'KafkaJSNotImplemented',
+        message: expect.stringContaining('ZSTD compression requires Node.js 22.15 or newer'),
+      })
+    })
+
+    test('decompress frames produced by the reference implementation', async () => {
+      const buffer = Buffer.from(require('./fixtures/zstd.json'))
+      await expect(ZSTDWithoutNativeSupport.decompress(buffer)).resolves.toEqual(input)
+    })
+
+    test('decompress concatenated frames', () => {
+      const buffer = Buffer.from(require('./fixtures/zstd.json'))
+      expect(decompress(Buffer.concat([buffer, buffer]))).toEqual(Buffer.concat([input, input]))
+    })
+
+    test('throws on corrupted input', () => {
+      const buffer = Buffer.from(require('./fixtures/zstd.json'))
+      expect(() => decompress(buffer.slice(0, 100))).toThrow(/Invalid zstd data/)
+    })
+  })
+})
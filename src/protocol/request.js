@@ -1,13 +1,27 @@
 const Encoder = require('./encoder')
 
-module.exports = async ({ correlationId, clientId, request: { apiKey, apiVersion, encode } }) => {
+/**
+ * Requests using flexible versions (KIP-482) are sent with request header v2, which adds
+ * tagged fields after the client id. The tagged fields of response header v1 are read by
+ * the response decoders, since the connection only reads the correlation id
+ */
+module.exports = async ({
+  correlationId,
+  clientId,
+  request: { apiKey, apiVersion, flexible = false, encode },
+}) => {
   const payload = await encode()
   const requestPayload = new Encoder()
     .writeInt16(apiKey)
     .writeInt16(apiVersion)
     .writeInt32(correlationId)
     .writeString(clientId)
-    .writeEncoder(payload)
+
+  if (flexible) {
+    requestPayload.writeTaggedFields()
+  }
+
+  requestPayload.writeEncoder(payload)
 
   return new Encoder().writeInt32(requestPayload.size()).writeEncoder(requestPayload)
 }
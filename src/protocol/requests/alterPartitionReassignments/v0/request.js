@@ -0,0 +1,42 @@
+const Encoder = require('../../../encoder')
+const { AlterPartitionReassignments: apiKey } = require('../../apiKeys')
+
+/**
+ * AlterPartitionReassignments Request (Version: 0) => timeout_ms [topics] TAG_BUFFER
+ *   timeout_ms => INT32
+ *   topics => name [partitions] TAG_BUFFER
+ *     name => COMPACT_STRING
+ *     partitions => partition_index [replicas] TAG_BUFFER
+ *       partition_index => INT32
+ *       replicas => INT32
+ */
+
+module.exports = ({ topics, timeout = 5000 }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'AlterPartitionReassignments',
+  flexible: true,
+  encode: async () => {
+    return new Encoder()
+      .writeInt32(timeout)
+      .writeCompactArray(topics.map(encodeTopic))
+      .writeTaggedFields()
+  },
+})
+
+const encodeTopic = ({ topic, partitionAssignment }) => {
+  return new Encoder()
+    .writeCompactString(topic)
+    .writeCompactArray(partitionAssignment.map(encodePartition))
+    .writeTaggedFields()
+}
+
+/**
+ * Null replicas cancel the pending reassignment of the partition
+ */
+const encodePartition = ({ partition, replicas = null }) => {
+  return new Encoder()
+    .writeInt32(partition)
+    .writeCompactNullableArray(replicas, 'int32')
+    .writeTaggedFields()
+}
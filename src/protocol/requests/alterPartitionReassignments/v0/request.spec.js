@@ -0,0 +1,30 @@
+const apiKeys = require('../../apiKeys')
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > AlterPartitionReassignments > v0', () => {
+  describe('request', () => {
+    test('metadata about the API', () => {
+      const request = RequestV0Protocol({ topics: [] })
+      expect(request.apiKey).toEqual(apiKeys.AlterPartitionReassignments)
+      expect(request.apiVersion).toEqual(0)
+      expect(request.apiName).toEqual('AlterPartitionReassignments')
+      expect(request.flexible).toEqual(true)
+    })
+
+    test('encode', async () => {
+      const { buffer } = await RequestV0Protocol({
+        topics: [
+          {
+            topic: 'test-topic-5e2b7d9a1c3f4e6a8b0d',
+            partitionAssignment: [
+              { partition: 0, replicas: [1, 2] },
+              { partition: 1, replicas: null },
+            ],
+          },
+        ],
+        timeout: 5000,
+      }).encode()
+      expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+    })
+  })
+})
@@ -0,0 +1,81 @@
+const Decoder = require('../../../decoder')
+const { failure, createErrorFromCode } = require('../../../error')
+
+/**
+ * AlterPartitionReassignments Response (Version: 0) => throttle_time_ms error_code error_message [responses] TAG_BUFFER
+ *   throttle_time_ms => INT32
+ *   error_code => INT16
+ *   error_message => COMPACT_NULLABLE_STRING
+ *   responses => name [partitions] TAG_BUFFER
+ *     name => COMPACT_STRING
+ *     partitions => partition_index error_code error_message TAG_BUFFER
+ *       partition_index => INT32
+ *       error_code => INT16
+ *       error_message => COMPACT_NULLABLE_STRING
+ */
+
+const decodePartition = decoder => {
+  const partition = {
+    partition: decoder.readInt32(),
+    errorCode: decoder.readInt16(),
+    errorMessage: decoder.readCompactString(),
+  }
+
+  decoder.readTaggedFields()
+  return partition
+}
+
+const decodeTopic = decoder => {
+  const topic = {
+    topic: decoder.readCompactString(),
+    partitions: decoder.readCompactArray(decodePartition),
+  }
+
+  decoder.readTaggedFields()
+  return topic
+}
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+
+  // Response header v1
+  decoder.readTaggedFields()
+
+  const throttleTime = decoder.readInt32()
+  const errorCode = decoder.readInt16()
+  const errorMessage = decoder.readCompactString()
+  const topics = decoder.readCompactArray(decodeTopic)
+  decoder.readTaggedFields()
+
+  return {
+    throttleTime,
+    errorCode,
+    errorMessage,
+    topics,
+  }
+}
+
+/**
+ * Partition errors are returned to the caller, a partition which can't be reassigned
+ * doesn't fail the reassignment of the others
+ */
+const parse = async data => {
+  if (failure(data.errorCode)) {
+    throw createErrorFromCode(data.errorCode)
+  }
+
+  for (const { partitions } of data.topics) {
+    for (const partition of partitions) {
+      if (failure(partition.errorCode)) {
+        partition.error = createErrorFromCode(partition.errorCode)
+      }
+    }
+  }
+
+  return data
+}
+
+module.exports = {
+  decode,
+  parse,
+}
@@ -0,0 +1,31 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > AlterPartitionReassignments > v0', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      errorCode: 0,
+      errorMessage: null,
+      topics: [
+        {
+          topic: 'test-topic-5e2b7d9a1c3f4e6a8b0d',
+          partitions: [
+            { partition: 0, errorCode: 0, errorMessage: null },
+            { partition: 1, errorCode: 85, errorMessage: 'No reassignment in progress' },
+          ],
+        },
+      ],
+    })
+
+    const { topics } = await parse(data)
+    const [noError, withError] = topics[0].partitions
+    expect(noError).not.toHaveProperty('error')
+    expect(withError.error).toHaveProperty('type', 'NO_REASSIGNMENT_IN_PROGRESS')
+  })
+
+  test('throws the top level error', async () => {
+    const data = { throttleTime: 0, errorCode: 41, errorMessage: null, topics: [] }
+    await expect(parse(data)).rejects.toHaveProperty('type', 'NOT_CONTROLLER')
+  })
+})
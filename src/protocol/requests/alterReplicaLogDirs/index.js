@@ -0,0 +1,17 @@
+const versions = {
+  0: ({ logDirs }) => {
+    const request = require('./v0/request')
+    const response = require('./v0/response')
+    return { request: request({ logDirs }), response }
+  },
+  1: ({ logDirs }) => {
+    const request = require('./v1/request')
+    const response = require('./v1/response')
+    return { request: request({ logDirs }), response }
+  },
+}
+
+module.exports = {
+  versions: Object.keys(versions),
+  protocol: ({ version }) => versions[version],
+}
@@ -0,0 +1,28 @@
+const Encoder = require('../../../encoder')
+const { AlterReplicaLogDirs: apiKey } = require('../../apiKeys')
+
+/**
+ * AlterReplicaLogDirs Request (Version: 0) => [dirs]
+ *   dirs => path [topics]
+ *     path => STRING
+ *     topics => name [partitions]
+ *       name => STRING
+ *       partitions => INT32
+ */
+
+module.exports = ({ logDirs }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'AlterReplicaLogDirs',
+  encode: async () => {
+    return new Encoder().writeArray(logDirs.map(encodeLogDir))
+  },
+})
+
+const encodeLogDir = ({ logDir, topics }) => {
+  return new Encoder().writeString(logDir).writeArray(topics.map(encodeTopic))
+}
+
+const encodeTopic = ({ topic, partitions }) => {
+  return new Encoder().writeString(topic).writeArray(partitions)
+}
@@ -0,0 +1,25 @@
+const apiKeys = require('../../apiKeys')
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > AlterReplicaLogDirs > v0', () => {
+  describe('request', () => {
+    test('metadata about the API', () => {
+      const request = RequestV0Protocol({ logDirs: [] })
+      expect(request.apiKey).toEqual(apiKeys.AlterReplicaLogDirs)
+      expect(request.apiVersion).toEqual(0)
+      expect(request.apiName).toEqual('AlterReplicaLogDirs')
+    })
+
+    test('encode', async () => {
+      const { buffer } = await RequestV0Protocol({
+        logDirs: [
+          {
+            logDir: '/var/lib/kafka/data-2',
+            topics: [{ topic: 'test-topic-7a1d3c5e9b2f4a6c8d0e', partitions: [0, 1] }],
+          },
+        ],
+      }).encode()
+      expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+    })
+  })
+})
@@ -0,0 +1,50 @@
+const Decoder = require('../../../decoder')
+const { failure, createErrorFromCode } = require('../../../error')
+
+/**
+ * AlterReplicaLogDirs Response (Version: 0) => throttle_time_ms [results]
+ *   throttle_time_ms => INT32
+ *   results => topic_name [partitions]
+ *     topic_name => STRING
+ *     partitions => partition_index error_code
+ *       partition_index => INT32
+ *       error_code => INT16
+ */
+
+const decodePartition = decoder => {
+  const partition = {
+    partition: decoder.readInt32(),
+    errorCode: decoder.readInt16(),
+  }
+
+  if (failure(partition.errorCode)) {
+    partition.error = createErrorFromCode(partition.errorCode)
+  }
+
+  return partition
+}
+
+const decodeTopic = decoder => ({
+  topic: decoder.readString(),
+  partitions: decoder.readArray(decodePartition),
+})
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+  const throttleTime = decoder.readInt32()
+  const topics = decoder.readArray(decodeTopic)
+
+  return {
+    throttleTime,
+    topics,
+  }
+}
+
+const parse = async data => {
+  return data
+}
+
+module.exports = {
+  decode,
+  parse,
+}
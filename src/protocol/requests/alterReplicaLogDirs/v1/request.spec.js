@@ -0,0 +1,25 @@
+const apiKeys = require('../../apiKeys')
+const RequestV1Protocol = require('./request')
+
+describe('Protocol > Requests > AlterReplicaLogDirs > v1', () => {
+  describe('request', () => {
+    test('metadata about the API', () => {
+      const request = RequestV1Protocol({ logDirs: [] })
+      expect(request.apiKey).toEqual(apiKeys.AlterReplicaLogDirs)
+      expect(request.apiVersion).toEqual(1)
+      expect(request.apiName).toEqual('AlterReplicaLogDirs')
+    })
+
+    test('encode', async () => {
+      const { buffer } = await RequestV1Protocol({
+        logDirs: [
+          {
+            logDir: '/var/lib/kafka/data-2',
+            topics: [{ topic: 'test-topic-7a1d3c5e9b2f4a6c8d0e', partitions: [0, 1] }],
+          },
+        ],
+      }).encode()
+      expect(buffer).toEqual(Buffer.from(require('../fixtures/v1_request.json')))
+    })
+  })
+})
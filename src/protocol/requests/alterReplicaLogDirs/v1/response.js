@@ -0,0 +1,16 @@
+const { decode, parse } = require('../v0/response')
+
+/**
+ * AlterReplicaLogDirs Response (Version: 1) => throttle_time_ms [results]
+ *   throttle_time_ms => INT32
+ *   results => topic_name [partitions]
+ *     topic_name => STRING
+ *     partitions => partition_index error_code
+ *       partition_index => INT32
+ *       error_code => INT16
+ */
+
+module.exports = {
+  decode,
+  parse,
+}
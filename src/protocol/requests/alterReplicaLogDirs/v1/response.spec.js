@@ -0,0 +1,25 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > AlterReplicaLogDirs > v1', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v1_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      topics: [
+        {
+          topic: 'test-topic-7a1d3c5e9b2f4a6c8d0e',
+          partitions: [
+            { partition: 0, errorCode: 0 },
+            {
+              partition: 1,
+              errorCode: 57,
+              error: expect.objectContaining({ type: 'LOG_DIR_NOT_FOUND' }),
+            },
+          ],
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+})
@@ -42,5 +42,8 @@ module.exports = {
   ExpireDelegationToken: 40,
   DescribeDelegationToken: 41,
   DeleteGroups: 42, // ApiVersions v2 on Kafka 1.0
-  ElectPreferredLeaders: 43,
+  ElectLeaders: 43,
+  IncrementalAlterConfigs: 44,
+  AlterPartitionReassignments: 45,
+  ListPartitionReassignments: 46,
 }
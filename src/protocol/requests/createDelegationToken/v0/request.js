@@ -0,0 +1,26 @@
+const Encoder = require('../../../encoder')
+const { CreateDelegationToken: apiKey } = require('../../apiKeys')
+
+/**
+ * CreateDelegationToken Request (Version: 0) => [renewers] max_lifetime_ms
+ *   renewers => principal_type principal_name
+ *     principal_type => STRING
+ *     principal_name => STRING
+ *   max_lifetime_ms => INT64
+ */
+
+/**
+ * A max lifetime of -1 uses the broker's delegation.token.max.lifetime.ms
+ */
+module.exports = ({ renewers = [], maxLifetime = -1 }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'CreateDelegationToken',
+  encode: async () => {
+    return new Encoder().writeArray(renewers.map(encodePrincipal)).writeInt64(maxLifetime)
+  },
+})
+
+const encodePrincipal = ({ principalType, principalName }) => {
+  return new Encoder().writeString(principalType).writeString(principalName)
+}
@@ -0,0 +1,21 @@
+const apiKeys = require('../../apiKeys')
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > CreateDelegationToken > v0', () => {
+  describe('request', () => {
+    test('metadata about the API', () => {
+      const request = RequestV0Protocol({ renewers: [] })
+      expect(request.apiKey).toEqual(apiKeys.CreateDelegationToken)
+      expect(request.apiVersion).toEqual(0)
+      expect(request.apiName).toEqual('CreateDelegationToken')
+    })
+
+    test('encode', async () => {
+      const { buffer } = await RequestV0Protocol({
+        renewers: [{ principalType: 'User', principalName: 'batch-job' }],
+        maxLifetime: 86400000,
+      }).encode()
+      expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+    })
+  })
+})
@@ -0,0 +1,46 @@
+const Decoder = require('../../../decoder')
+const { failure, createErrorFromCode } = require('../../../error')
+
+/**
+ * CreateDelegationToken Response (Version: 0) => error_code principal_type principal_name issue_timestamp_ms expiry_timestamp_ms max_timestamp_ms token_id hmac throttle_time_ms
+ *   error_code => INT16
+ *   principal_type => STRING
+ *   principal_name => STRING
+ *   issue_timestamp_ms => INT64
+ *   expiry_timestamp_ms => INT64
+ *   max_timestamp_ms => INT64
+ *   token_id => STRING
+ *   hmac => BYTES
+ *   throttle_time_ms => INT32
+ */
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+
+  return {
+    errorCode: decoder.readInt16(),
+    owner: {
+      principalType: decoder.readString(),
+      principalName: decoder.readString(),
+    },
+    issueTimestamp: decoder.readInt64().toString(),
+    expiryTimestamp: decoder.readInt64().toString(),
+    maxTimestamp: decoder.readInt64().toString(),
+    tokenId: decoder.readString(),
+    hmac: decoder.readBytes(),
+    throttleTime: decoder.readInt32(),
+  }
+}
+
+const parse = async data => {
+  if (failure(data.errorCode)) {
+    throw createErrorFromCode(data.errorCode)
+  }
+
+  return data
+}
+
+module.exports = {
+  decode,
+  parse,
+}
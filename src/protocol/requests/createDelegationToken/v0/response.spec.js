@@ -0,0 +1,26 @@
+const { decode, parse } = require('./response')
+
+const HMAC = Buffer.from('0c1e5c5a6b1f7d9a2e4c8b3f', 'hex')
+
+describe('Protocol > Requests > CreateDelegationToken > v0', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      errorCode: 0,
+      owner: { principalType: 'User', principalName: 'admin' },
+      issueTimestamp: '1577836800000',
+      expiryTimestamp: '1577923200000',
+      maxTimestamp: '1578441600000',
+      tokenId: 'Vy8HdvMsRfCNxsKUr5rN3g',
+      hmac: HMAC,
+      throttleTime: 0,
+    })
+
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+
+  test('throws the error', async () => {
+    const data = { errorCode: 61, throttleTime: 0 }
+    await expect(parse(data)).rejects.toHaveProperty('type', 'DELEGATION_TOKEN_AUTH_DISABLED')
+  })
+})
@@ -0,0 +1,12 @@
+const requestV0 = require('../v0/request')
+
+/**
+ * CreateDelegationToken Request (Version: 1) => [renewers] max_lifetime_ms
+ *   renewers => principal_type principal_name
+ *     principal_type => STRING
+ *     principal_name => STRING
+ *   max_lifetime_ms => INT64
+ */
+
+module.exports = ({ renewers, maxLifetime }) =>
+  Object.assign(requestV0({ renewers, maxLifetime }), { apiVersion: 1 })
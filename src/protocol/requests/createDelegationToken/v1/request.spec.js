@@ -0,0 +1,21 @@
+const apiKeys = require('../../apiKeys')
+const RequestV1Protocol = require('./request')
+
+describe('Protocol > Requests > CreateDelegationToken > v1', () => {
+  describe('request', () => {
+    test('metadata about the API', () => {
+      const request = RequestV1Protocol({ renewers: [] })
+      expect(request.apiKey).toEqual(apiKeys.CreateDelegationToken)
+      expect(request.apiVersion).toEqual(1)
+      expect(request.apiName).toEqual('CreateDelegationToken')
+    })
+
+    test('encode', async () => {
+      const { buffer } = await RequestV1Protocol({
+        renewers: [{ principalType: 'User', principalName: 'batch-job' }],
+        maxLifetime: 86400000,
+      }).encode()
+      expect(buffer).toEqual(Buffer.from(require('../fixtures/v1_request.json')))
+    })
+  })
+})
@@ -0,0 +1,22 @@
+const { decode, parse } = require('../v0/response')
+
+/**
+ * Starting in version 1, on quota violation, brokers send out responses before throttling.
+ * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-219+-+Improve+quota+communication
+ *
+ * CreateDelegationToken Response (Version: 1) => error_code principal_type principal_name issue_timestamp_ms expiry_timestamp_ms max_timestamp_ms token_id hmac throttle_time_ms
+ *   error_code => INT16
+ *   principal_type => STRING
+ *   principal_name => STRING
+ *   issue_timestamp_ms => INT64
+ *   expiry_timestamp_ms => INT64
+ *   max_timestamp_ms => INT64
+ *   token_id => STRING
+ *   hmac => BYTES
+ *   throttle_time_ms => INT32
+ */
+
+module.exports = {
+  decode,
+  parse,
+}
@@ -0,0 +1,29 @@
+const Encoder = require('../../../encoder')
+const { DeleteRecords: apiKey } = require('../../apiKeys')
+
+/**
+ * DeleteRecords Request (Version: 0) => [topics] timeout_ms
+ *   topics => name [partitions]
+ *     name => STRING
+ *     partitions => partition_index offset
+ *       partition_index => INT32
+ *       offset => INT64
+ *   timeout_ms => INT32
+ */
+
+module.exports = ({ topics, timeout = 5000 }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'DeleteRecords',
+  encode: async () => {
+    return new Encoder().writeArray(topics.map(encodeTopic)).writeInt32(timeout)
+  },
+})
+
+const encodeTopic = ({ topic, partitions }) => {
+  return new Encoder().writeString(topic).writeArray(partitions.map(encodePartition))
+}
+
+const encodePartition = ({ partition, offset }) => {
+  return new Encoder().writeInt32(partition).writeInt64(offset)
+}
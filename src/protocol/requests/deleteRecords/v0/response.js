@@ -0,0 +1,56 @@
+const Decoder = require('../../../decoder')
+const { failure, createErrorFromCode } = require('../../../error')
+
+/**
+ * DeleteRecords Response (Version: 0) => throttle_time_ms [topics]
+ *   throttle_time_ms => INT32
+ *   topics => name [partitions]
+ *     name => STRING
+ *     partitions => partition_index low_watermark error_code
+ *       partition_index => INT32
+ *       low_watermark => INT64
+ *       error_code => INT16
+ */
+
+const decodePartition = decoder => ({
+  partition: decoder.readInt32(),
+  lowWatermark: decoder.readInt64().toString(),
+  errorCode: decoder.readInt16(),
+})
+
+const decodeTopic = decoder => ({
+  topic: decoder.readString(),
+  partitions: decoder.readArray(decodePartition),
+})
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+  const throttleTime = decoder.readInt32()
+  const topics = decoder.readArray(decodeTopic)
+
+  for (const { partitions } of topics) {
+    for (const partition of partitions) {
+      if (failure(partition.errorCode)) {
+        partition.error = createErrorFromCode(partition.errorCode)
+      }
+    }
+  }
+
+  return {
+    throttleTime,
+    topics,
+  }
+}
+
+/**
+ * Partition errors are returned to the caller, so partitions which were
+ * deleted successfully aren't lost when only some of them fail
+ */
+const parse = async data => {
+  return data
+}
+
+module.exports = {
+  decode,
+  parse,
+}
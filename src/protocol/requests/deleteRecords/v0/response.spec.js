@@ -0,0 +1,26 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > DeleteRecords > v0', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      topics: [
+        {
+          topic: 'test-topic-0f2c4f1b3d6a8e7c5b9a',
+          partitions: [
+            { partition: 0, lowWatermark: '7', errorCode: 0 },
+            {
+              partition: 1,
+              lowWatermark: '-1',
+              errorCode: 1,
+              error: expect.objectContaining({ type: 'OFFSET_OUT_OF_RANGE' }),
+            },
+          ],
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+})
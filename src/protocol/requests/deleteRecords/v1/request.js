@@ -0,0 +1,14 @@
+const requestV0 = require('../v0/request')
+
+/**
+ * DeleteRecords Request (Version: 1) => [topics] timeout_ms
+ *   topics => name [partitions]
+ *     name => STRING
+ *     partitions => partition_index offset
+ *       partition_index => INT32
+ *       offset => INT64
+ *   timeout_ms => INT32
+ */
+
+module.exports = ({ topics, timeout }) =>
+  Object.assign(requestV0({ topics, timeout }), { apiVersion: 1 })
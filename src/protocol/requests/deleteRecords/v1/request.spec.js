@@ -0,0 +1,29 @@
+const apiKeys = require('../../apiKeys')
+const RequestV1Protocol = require('./request')
+
+describe('Protocol > Requests > DeleteRecords > v1', () => {
+  describe('request', () => {
+    test('metadata about the API', () => {
+      const request = RequestV1Protocol({ topics: [] })
+      expect(request.apiKey).toEqual(apiKeys.DeleteRecords)
+      expect(request.apiVersion).toEqual(1)
+      expect(request.apiName).toEqual('DeleteRecords')
+    })
+
+    test('encode', async () => {
+      const { buffer } = await RequestV1Protocol({
+        topics: [
+          {
+            topic: 'test-topic-0f2c4f1b3d6a8e7c5b9a',
+            partitions: [
+              { partition: 0, offset: '7' },
+              { partition: 1, offset: '-1' },
+            ],
+          },
+        ],
+        timeout: 5000,
+      }).encode()
+      expect(buffer).toEqual(Buffer.from(require('../fixtures/v1_request.json')))
+    })
+  })
+})
@@ -0,0 +1,26 @@
+const Encoder = require('../../../encoder')
+const { DescribeDelegationToken: apiKey } = require('../../apiKeys')
+
+/**
+ * DescribeDelegationToken Request (Version: 0) => [owners]
+ *   owners => principal_type principal_name
+ *     principal_type => STRING
+ *     principal_name => STRING
+ */
+
+/**
+ * An empty list of owners is encoded as null, which describes all tokens
+ * the principal is allowed to describe
+ */
+module.exports = ({ owners = [] }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'DescribeDelegationToken',
+  encode: async () => {
+    return new Encoder().writeNullableArray(owners.map(encodePrincipal))
+  },
+})
+
+const encodePrincipal = ({ principalType, principalName }) => {
+  return new Encoder().writeString(principalType).writeString(principalName)
+}
@@ -0,0 +1,20 @@
+const apiKeys = require('../../apiKeys')
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > DescribeDelegationToken > v0', () => {
+  describe('request', () => {
+    test('metadata about the API', () => {
+      const request = RequestV0Protocol({ owners: [] })
+      expect(request.apiKey).toEqual(apiKeys.DescribeDelegationToken)
+      expect(request.apiVersion).toEqual(0)
+      expect(request.apiName).toEqual('DescribeDelegationToken')
+    })
+
+    test('encode', async () => {
+      const { buffer } = await RequestV0Protocol({
+        owners: [{ principalType: 'User', principalName: 'admin' }],
+      }).encode()
+      expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+    })
+  })
+})
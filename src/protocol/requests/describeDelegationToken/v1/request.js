@@ -0,0 +1,10 @@
+const requestV0 = require('../v0/request')
+
+/**
+ * DescribeDelegationToken Request (Version: 1) => [owners]
+ *   owners => principal_type principal_name
+ *     principal_type => STRING
+ *     principal_name => STRING
+ */
+
+module.exports = ({ owners }) => Object.assign(requestV0({ owners }), { apiVersion: 1 })
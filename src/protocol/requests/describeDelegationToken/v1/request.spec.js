@@ -0,0 +1,20 @@
+const apiKeys = require('../../apiKeys')
+const RequestV1Protocol = require('./request')
+
+describe('Protocol > Requests > DescribeDelegationToken > v1', () => {
+  describe('request', () => {
+    test('metadata about the API', () => {
+      const request = RequestV1Protocol({ owners: [] })
+      expect(request.apiKey).toEqual(apiKeys.DescribeDelegationToken)
+      expect(request.apiVersion).toEqual(1)
+      expect(request.apiName).toEqual('DescribeDelegationToken')
+    })
+
+    test('encode', async () => {
+      const { buffer } = await RequestV1Protocol({
+        owners: [{ principalType: 'User', principalName: 'admin' }],
+      }).encode()
+      expect(buffer).toEqual(Buffer.from(require('../fixtures/v1_request.json')))
+    })
+  })
+})
@@ -0,0 +1,26 @@
+const { decode, parse } = require('../v0/response')
+
+/**
+ * Starting in version 1, on quota violation, brokers send out responses before throttling.
+ * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-219+-+Improve+quota+communication
+ *
+ * DescribeDelegationToken Response (Version: 1) => error_code [tokens] throttle_time_ms
+ *   error_code => INT16
+ *   tokens => principal_type principal_name issue_timestamp expiry_timestamp max_timestamp token_id hmac [renewers]
+ *     principal_type => STRING
+ *     principal_name => STRING
+ *     issue_timestamp => INT64
+ *     expiry_timestamp => INT64
+ *     max_timestamp => INT64
+ *     token_id => STRING
+ *     hmac => BYTES
+ *     renewers => principal_type principal_name
+ *       principal_type => STRING
+ *       principal_name => STRING
+ *   throttle_time_ms => INT32
+ */
+
+module.exports = {
+  decode,
+  parse,
+}
@@ -0,0 +1,25 @@
+const Encoder = require('../../../encoder')
+const { DescribeLogDirs: apiKey } = require('../../apiKeys')
+
+/**
+ * DescribeLogDirs Request (Version: 0) => [topics]
+ *   topics => topic [partitions]
+ *     topic => STRING
+ *     partitions => INT32
+ */
+
+/**
+ * An empty list of topics is encoded as null, which describes all topics
+ */
+module.exports = ({ topics = [] }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'DescribeLogDirs',
+  encode: async () => {
+    return new Encoder().writeNullableArray(topics.map(encodeTopic))
+  },
+})
+
+const encodeTopic = ({ topic, partitions }) => {
+  return new Encoder().writeString(topic).writeArray(partitions)
+}
@@ -0,0 +1,68 @@
+const Decoder = require('../../../decoder')
+const { failure, createErrorFromCode } = require('../../../error')
+
+/**
+ * DescribeLogDirs Response (Version: 0) => throttle_time_ms [log_dirs]
+ *   throttle_time_ms => INT32
+ *   log_dirs => error_code log_dir [topics]
+ *     error_code => INT16
+ *     log_dir => STRING
+ *     topics => name [partitions]
+ *       name => STRING
+ *       partitions => partition_index partition_size offset_lag is_future_key
+ *         partition_index => INT32
+ *         partition_size => INT64
+ *         offset_lag => INT64
+ *         is_future_key => BOOLEAN
+ */
+
+const decodePartition = decoder => ({
+  partition: decoder.readInt32(),
+  size: decoder.readInt64().toString(),
+  offsetLag: decoder.readInt64().toString(),
+  isFuture: decoder.readBoolean(),
+})
+
+const decodeTopic = decoder => ({
+  topic: decoder.readString(),
+  partitions: decoder.readArray(decodePartition),
+})
+
+const decodeLogDir = decoder => {
+  const errorCode = decoder.readInt16()
+  const logDir = {
+    errorCode,
+    logDir: decoder.readString(),
+    topics: decoder.readArray(decodeTopic),
+  }
+
+  if (failure(errorCode)) {
+    logDir.error = createErrorFromCode(errorCode)
+  }
+
+  return logDir
+}
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+  const throttleTime = decoder.readInt32()
+  const logDirs = decoder.readArray(decodeLogDir)
+
+  return {
+    throttleTime,
+    logDirs,
+  }
+}
+
+/**
+ * Offline log directories are reported with KAFKA_STORAGE_ERROR, which
+ * shouldn't prevent the other directories of the broker from being described
+ */
+const parse = async data => {
+  return data
+}
+
+module.exports = {
+  decode,
+  parse,
+}
@@ -0,0 +1,25 @@
+const apiKeys = require('../../apiKeys')
+const RequestV1Protocol = require('./request')
+
+describe('Protocol > Requests > DescribeLogDirs > v1', () => {
+  describe('request', () => {
+    test('metadata about the API', () => {
+      const request = RequestV1Protocol({})
+      expect(request.apiKey).toEqual(apiKeys.DescribeLogDirs)
+      expect(request.apiVersion).toEqual(1)
+      expect(request.apiName).toEqual('DescribeLogDirs')
+    })
+
+    test('encode', async () => {
+      const { buffer } = await RequestV1Protocol({
+        topics: [{ topic: 'test-topic-7a1d3c5e9b2f4a6c8d0e', partitions: [0, 1] }],
+      }).encode()
+      expect(buffer).toEqual(Buffer.from(require('../fixtures/v1_request.json')))
+    })
+
+    test('encode all topics', async () => {
+      const { buffer } = await RequestV1Protocol({}).encode()
+      expect(buffer).toEqual(Buffer.from([255, 255, 255, 255]))
+    })
+  })
+})
@@ -0,0 +1,21 @@
+const { decode, parse } = require('../v0/response')
+
+/**
+ * DescribeLogDirs Response (Version: 1) => throttle_time_ms [log_dirs]
+ *   throttle_time_ms => INT32
+ *   log_dirs => error_code log_dir [topics]
+ *     error_code => INT16
+ *     log_dir => STRING
+ *     topics => name [partitions]
+ *       name => STRING
+ *       partitions => partition_index partition_size offset_lag is_future_key
+ *         partition_index => INT32
+ *         partition_size => INT64
+ *         offset_lag => INT64
+ *         is_future_key => BOOLEAN
+ */
+
+module.exports = {
+  decode,
+  parse,
+}
@@ -0,0 +1,43 @@
+const Encoder = require('../../../encoder')
+const { ElectLeaders: apiKey } = require('../../apiKeys')
+const ELECTION_TYPES = require('../../../electionTypes')
+const { KafkaJSNonRetriableError } = require('../../../../errors')
+
+/**
+ * ElectPreferredLeaders Request (Version: 0) => [topic_partitions] timeout_ms
+ *   topic_partitions => topic [partition_id]
+ *     topic => STRING
+ *     partition_id => INT32
+ *   timeout_ms => INT32
+ */
+
+/**
+ * Version 0 only supports preferred leader elections. An empty list of topic partitions
+ * is encoded as null, which elects the preferred leader of all partitions
+ */
+module.exports = ({
+  electionType = ELECTION_TYPES.PREFERRED,
+  topicPartitions = [],
+  timeout = 5000,
+}) => {
+  if (electionType !== ELECTION_TYPES.PREFERRED) {
+    throw new KafkaJSNonRetriableError(
+      'Unclean leader election is not supported by the broker, it requires Kafka 2.3.0 or later'
+    )
+  }
+
+  return {
+    apiKey,
+    apiVersion: 0,
+    apiName: 'ElectLeaders',
+    encode: async () => {
+      return new Encoder()
+        .writeNullableArray(topicPartitions.map(encodeTopicPartitions))
+        .writeInt32(timeout)
+    },
+  }
+}
+
+const encodeTopicPartitions = ({ topic, partitions }) => {
+  return new Encoder().writeString(topic).writeArray(partitions, 'int32')
+}
@@ -0,0 +1,28 @@
+const apiKeys = require('../../apiKeys')
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > ElectLeaders > v0', () => {
+  describe('request', () => {
+    test('metadata about the API', () => {
+      const request = RequestV0Protocol({ topicPartitions: [] })
+      expect(request.apiKey).toEqual(apiKeys.ElectLeaders)
+      expect(request.apiVersion).toEqual(0)
+      expect(request.apiName).toEqual('ElectLeaders')
+    })
+
+    test('encode', async () => {
+      const { buffer } = await RequestV0Protocol({
+        electionType: 0,
+        topicPartitions: [{ topic: 'test-topic-8c1e3a5f7b9d2e4f6a0c', partitions: [0, 1] }],
+        timeout: 5000,
+      }).encode()
+      expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+    })
+
+    test('throws an error for unclean leader elections', () => {
+      expect(() => RequestV0Protocol({ electionType: 1, topicPartitions: [] })).toThrow(
+        'Unclean leader election is not supported by the broker, it requires Kafka 2.3.0 or later'
+      )
+    })
+  })
+})
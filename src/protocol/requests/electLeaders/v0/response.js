@@ -0,0 +1,61 @@
+const Decoder = require('../../../decoder')
+const { failure, createErrorFromCode } = require('../../../error')
+
+/**
+ * ElectPreferredLeaders Response (Version: 0) => throttle_time_ms [replica_election_results]
+ *   throttle_time_ms => INT32
+ *   replica_election_results => topic [partition_result]
+ *     topic => STRING
+ *     partition_result => partition_id error_code error_message
+ *       partition_id => INT32
+ *       error_code => INT16
+ *       error_message => NULLABLE_STRING
+ */
+
+const decodePartition = decoder => ({
+  partition: decoder.readInt32(),
+  errorCode: decoder.readInt16(),
+  errorMessage: decoder.readString(),
+})
+
+const decodeTopic = decoder => ({
+  topic: decoder.readString(),
+  partitions: decoder.readArray(decodePartition),
+})
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+  const throttleTime = decoder.readInt32()
+  const topics = decoder.readArray(decodeTopic)
+
+  return {
+    throttleTime,
+    topics: withPartitionErrors(topics),
+  }
+}
+
+const withPartitionErrors = topics => {
+  for (const { partitions } of topics) {
+    for (const partition of partitions) {
+      if (failure(partition.errorCode)) {
+        partition.error = createErrorFromCode(partition.errorCode)
+      }
+    }
+  }
+
+  return topics
+}
+
+/**
+ * Partition errors are returned to the caller, elections which aren't needed
+ * or can't happen for some partitions don't fail the whole request
+ */
+const parse = async data => {
+  return data
+}
+
+module.exports = {
+  decode,
+  parse,
+  withPartitionErrors,
+}
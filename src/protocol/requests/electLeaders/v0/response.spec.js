@@ -0,0 +1,26 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > ElectLeaders > v0', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      topics: [
+        {
+          topic: 'test-topic-8c1e3a5f7b9d2e4f6a0c',
+          partitions: [
+            { partition: 0, errorCode: 0, errorMessage: null },
+            {
+              partition: 1,
+              errorCode: 84,
+              errorMessage: 'Leader election not needed for topic partition',
+              error: expect.objectContaining({ type: 'ELECTION_NOT_NEEDED', retriable: false }),
+            },
+          ],
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+})
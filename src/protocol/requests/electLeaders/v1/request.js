@@ -0,0 +1,36 @@
+const Encoder = require('../../../encoder')
+const { ElectLeaders: apiKey } = require('../../apiKeys')
+const ELECTION_TYPES = require('../../../electionTypes')
+
+/**
+ * ElectLeaders Request (Version: 1) => election_type [topic_partitions] timeout_ms
+ *   election_type => INT8
+ *   topic_partitions => topic [partition_id]
+ *     topic => STRING
+ *     partition_id => INT32
+ *   timeout_ms => INT32
+ */
+
+/**
+ * An empty list of topic partitions is encoded as null, which elects the leader
+ * of all partitions
+ */
+module.exports = ({
+  electionType = ELECTION_TYPES.PREFERRED,
+  topicPartitions = [],
+  timeout = 5000,
+}) => ({
+  apiKey,
+  apiVersion: 1,
+  apiName: 'ElectLeaders',
+  encode: async () => {
+    return new Encoder()
+      .writeInt8(electionType)
+      .writeNullableArray(topicPartitions.map(encodeTopicPartitions))
+      .writeInt32(timeout)
+  },
+})
+
+const encodeTopicPartitions = ({ topic, partitions }) => {
+  return new Encoder().writeString(topic).writeArray(partitions, 'int32')
+}
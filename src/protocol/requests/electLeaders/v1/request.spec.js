@@ -0,0 +1,22 @@
+const apiKeys = require('../../apiKeys')
+const RequestV1Protocol = require('./request')
+
+describe('Protocol > Requests > ElectLeaders > v1', () => {
+  describe('request', () => {
+    test('metadata about the API', () => {
+      const request = RequestV1Protocol({ topicPartitions: [] })
+      expect(request.apiKey).toEqual(apiKeys.ElectLeaders)
+      expect(request.apiVersion).toEqual(1)
+      expect(request.apiName).toEqual('ElectLeaders')
+    })
+
+    test('encode', async () => {
+      const { buffer } = await RequestV1Protocol({
+        electionType: 0,
+        topicPartitions: [{ topic: 'test-topic-8c1e3a5f7b9d2e4f6a0c', partitions: [0, 1] }],
+        timeout: 5000,
+      }).encode()
+      expect(buffer).toEqual(Buffer.from(require('../fixtures/v1_request.json')))
+    })
+  })
+})
@@ -0,0 +1,52 @@
+const Decoder = require('../../../decoder')
+const { failure, createErrorFromCode } = require('../../../error')
+const { parse: parseV0, withPartitionErrors } = require('../v0/response')
+
+/**
+ * ElectLeaders Response (Version: 1) => throttle_time_ms error_code [replica_election_results]
+ *   throttle_time_ms => INT32
+ *   error_code => INT16
+ *   replica_election_results => topic [partition_result]
+ *     topic => STRING
+ *     partition_result => partition_id error_code error_message
+ *       partition_id => INT32
+ *       error_code => INT16
+ *       error_message => NULLABLE_STRING
+ */
+
+const decodePartition = decoder => ({
+  partition: decoder.readInt32(),
+  errorCode: decoder.readInt16(),
+  errorMessage: decoder.readString(),
+})
+
+const decodeTopic = decoder => ({
+  topic: decoder.readString(),
+  partitions: decoder.readArray(decodePartition),
+})
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+  const throttleTime = decoder.readInt32()
+  const errorCode = decoder.readInt16()
+  const topics = decoder.readArray(decodeTopic)
+
+  return {
+    throttleTime,
+    errorCode,
+    topics: withPartitionErrors(topics),
+  }
+}
+
+const parse = async data => {
+  if (failure(data.errorCode)) {
+    throw createErrorFromCode(data.errorCode)
+  }
+
+  return parseV0(data)
+}
+
+module.exports = {
+  decode,
+  parse,
+}
@@ -0,0 +1,32 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > ElectLeaders > v1', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v1_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      errorCode: 0,
+      topics: [
+        {
+          topic: 'test-topic-8c1e3a5f7b9d2e4f6a0c',
+          partitions: [
+            { partition: 0, errorCode: 0, errorMessage: null },
+            {
+              partition: 1,
+              errorCode: 83,
+              errorMessage: 'Eligible topic partition leaders are not available',
+              error: expect.objectContaining({ type: 'ELIGIBLE_LEADERS_NOT_AVAILABLE' }),
+            },
+          ],
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+
+  test('throws the top level error', async () => {
+    const data = { throttleTime: 0, errorCode: 41, topics: [] }
+    await expect(parse(data)).rejects.toHaveProperty('type', 'NOT_CONTROLLER')
+  })
+})
@@ -0,0 +1,43 @@
+const Encoder = require('../../../encoder')
+const { ElectLeaders: apiKey } = require('../../apiKeys')
+const ELECTION_TYPES = require('../../../electionTypes')
+
+/**
+ * ElectLeaders Request (Version: 2) => election_type [topic_partitions] timeout_ms TAG_BUFFER
+ *   election_type => INT8
+ *   topic_partitions => topic [partition_id] TAG_BUFFER
+ *     topic => COMPACT_STRING
+ *     partition_id => INT32
+ *   timeout_ms => INT32
+ */
+
+/**
+ * An empty list of topic partitions is encoded as null, which elects the leader
+ * of all partitions
+ */
+module.exports = ({
+  electionType = ELECTION_TYPES.PREFERRED,
+  topicPartitions = [],
+  timeout = 5000,
+}) => ({
+  apiKey,
+  apiVersion: 2,
+  apiName: 'ElectLeaders',
+  flexible: true,
+  encode: async () => {
+    return new Encoder()
+      .writeInt8(electionType)
+      .writeCompactNullableArray(
+        topicPartitions.length > 0 ? topicPartitions.map(encodeTopicPartitions) : null
+      )
+      .writeInt32(timeout)
+      .writeTaggedFields()
+  },
+})
+
+const encodeTopicPartitions = ({ topic, partitions }) => {
+  return new Encoder()
+    .writeCompactString(topic)
+    .writeCompactArray(partitions, 'int32')
+    .writeTaggedFields()
+}
@@ -0,0 +1,23 @@
+const apiKeys = require('../../apiKeys')
+const RequestV2Protocol = require('./request')
+
+describe('Protocol > Requests > ElectLeaders > v2', () => {
+  describe('request', () => {
+    test('metadata about the API', () => {
+      const request = RequestV2Protocol({ topicPartitions: [] })
+      expect(request.apiKey).toEqual(apiKeys.ElectLeaders)
+      expect(request.apiVersion).toEqual(2)
+      expect(request.apiName).toEqual('ElectLeaders')
+      expect(request.flexible).toEqual(true)
+    })
+
+    test('encode', async () => {
+      const { buffer } = await RequestV2Protocol({
+        electionType: 0,
+        topicPartitions: [{ topic: 'test-topic-8c1e3a5f7b9d2e4f6a0c', partitions: [0, 1] }],
+        timeout: 5000,
+      }).encode()
+      expect(buffer).toEqual(Buffer.from(require('../fixtures/v2_request.json')))
+    })
+  })
+})
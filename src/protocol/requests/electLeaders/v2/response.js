@@ -0,0 +1,59 @@
+const Decoder = require('../../../decoder')
+const { withPartitionErrors } = require('../v0/response')
+const { parse } = require('../v1/response')
+
+/**
+ * ElectLeaders Response (Version: 2) => throttle_time_ms error_code [replica_election_results] TAG_BUFFER
+ *   throttle_time_ms => INT32
+ *   error_code => INT16
+ *   replica_election_results => topic [partition_result] TAG_BUFFER
+ *     topic => COMPACT_STRING
+ *     partition_result => partition_id error_code error_message TAG_BUFFER
+ *       partition_id => INT32
+ *       error_code => INT16
+ *       error_message => COMPACT_NULLABLE_STRING
+ */
+
+const decodePartition = decoder => {
+  const partition = {
+    partition: decoder.readInt32(),
+    errorCode: decoder.readInt16(),
+    errorMessage: decoder.readCompactString(),
+  }
+
+  decoder.readTaggedFields()
+  return partition
+}
+
+const decodeTopic = decoder => {
+  const topic = {
+    topic: decoder.readCompactString(),
+    partitions: decoder.readCompactArray(decodePartition),
+  }
+
+  decoder.readTaggedFields()
+  return topic
+}
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+
+  // Response header v1
+  decoder.readTaggedFields()
+
+  const throttleTime = decoder.readInt32()
+  const errorCode = decoder.readInt16()
+  const topics = decoder.readCompactArray(decodeTopic)
+  decoder.readTaggedFields()
+
+  return {
+    throttleTime,
+    errorCode,
+    topics: withPartitionErrors(topics),
+  }
+}
+
+module.exports = {
+  decode,
+  parse,
+}
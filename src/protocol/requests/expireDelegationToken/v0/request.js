@@ -0,0 +1,20 @@
+const Encoder = require('../../../encoder')
+const { ExpireDelegationToken: apiKey } = require('../../apiKeys')
+
+/**
+ * ExpireDelegationToken Request (Version: 0) => hmac expiry_time_period_ms
+ *   hmac => BYTES
+ *   expiry_time_period_ms => INT64
+ */
+
+/**
+ * An expiry time period of -1 expires the token immediately
+ */
+module.exports = ({ hmac, expiryTimePeriod = -1 }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'ExpireDelegationToken',
+  encode: async () => {
+    return new Encoder().writeBytes(hmac).writeInt64(expiryTimePeriod)
+  },
+})
@@ -0,0 +1,23 @@
+const apiKeys = require('../../apiKeys')
+const RequestV0Protocol = require('./request')
+
+const HMAC = Buffer.from('0c1e5c5a6b1f7d9a2e4c8b3f', 'hex')
+
+describe('Protocol > Requests > ExpireDelegationToken > v0', () => {
+  describe('request', () => {
+    test('metadata about the API', () => {
+      const request = RequestV0Protocol({ hmac: HMAC })
+      expect(request.apiKey).toEqual(apiKeys.ExpireDelegationToken)
+      expect(request.apiVersion).toEqual(0)
+      expect(request.apiName).toEqual('ExpireDelegationToken')
+    })
+
+    test('encode', async () => {
+      const { buffer } = await RequestV0Protocol({
+        hmac: HMAC,
+        expiryTimePeriod: -1,
+      }).encode()
+      expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+    })
+  })
+})
@@ -0,0 +1,19 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > ExpireDelegationToken > v0', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      errorCode: 0,
+      expiryTimestamp: '1577836800000',
+      throttleTime: 0,
+    })
+
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+
+  test('throws the error', async () => {
+    const data = { errorCode: 62, throttleTime: 0 }
+    await expect(parse(data)).rejects.toHaveProperty('type', 'DELEGATION_TOKEN_NOT_FOUND')
+  })
+})
@@ -0,0 +1,14 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > ExpireDelegationToken > v1', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v1_response.json')))
+    expect(data).toEqual({
+      errorCode: 0,
+      expiryTimestamp: '1577836800000',
+      throttleTime: 0,
+    })
+
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+})
@@ -3,7 +3,7 @@ const { Fetch: apiKey } = require('../../apiKeys')
 const ISOLATION_LEVEL = require('../../../isolationLevel')
 
 /**
- * Sessions are only used by followers
+ * Incremental fetch sessions
  * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-227%3A+Introduce+Incremental+FetchRequests+to+Increase+Partition+Scalability
  */
 
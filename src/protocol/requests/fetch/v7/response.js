@@ -1,4 +1,5 @@
 const Decoder = require('../../../decoder')
+const { failure, createErrorFromCode } = require('../../../error')
 const { parse: parseV1 } = require('../v1/response')
 const decodeMessages = require('../v4/decodeMessages')
 
@@ -57,7 +58,19 @@ const decode = async rawData => {
   }
 }
 
+/**
+ * A top level error code is only set when the fetch session could not be used,
+ * e.g. FETCH_SESSION_ID_NOT_FOUND or INVALID_FETCH_SESSION_EPOCH
+ */
+const parse = async data => {
+  if (failure(data.errorCode)) {
+    throw createErrorFromCode(data.errorCode)
+  }
+
+  return parseV1(data)
+}
+
 module.exports = {
   decode,
-  parse: parseV1,
+  parse,
 }
@@ -75,4 +75,15 @@ describe('Protocol > Requests > Fetch > v5', () => {
 
     await expect(parse(data)).resolves.toBeTruthy()
   })
+
+  test('throws the top level session error', async () => {
+    const data = {
+      throttleTime: 0,
+      errorCode: 70,
+      sessionId: 0,
+      responses: [],
+    }
+
+    await expect(parse(data)).rejects.toHaveProperty('type', 'FETCH_SESSION_ID_NOT_FOUND')
+  })
 })
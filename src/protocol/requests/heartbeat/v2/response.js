@@ -0,0 +1,15 @@
+const { decode, parse } = require('../v1/response')
+
+/**
+ * Starting in version 2, on quota violation, brokers send out responses before throttling.
+ * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-219+-+Improve+quota+communication
+ *
+ * Heartbeat Response (Version: 2) => throttle_time_ms error_code
+ *   throttle_time_ms => INT32
+ *   error_code => INT16
+ */
+
+module.exports = {
+  decode,
+  parse,
+}
@@ -0,0 +1,12 @@
+const { decode, parse } = require('../v2/response')
+
+/**
+ * Heartbeat Response (Version: 3) => throttle_time_ms error_code
+ *   throttle_time_ms => INT32
+ *   error_code => INT16
+ */
+
+module.exports = {
+  decode,
+  parse,
+}
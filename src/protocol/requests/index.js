@@ -23,7 +23,7 @@ const requests = {
   ApiVersions: require('./apiVersions'),
   CreateTopics: require('./createTopics'),
   DeleteTopics: require('./deleteTopics'),
-  DeleteRecords: {},
+  DeleteRecords: require('./deleteRecords'),
   InitProducerId: require('./initProducerId'),
   OffsetForLeaderEpoch: {},
   AddPartitionsToTxn: require('./addPartitionsToTxn'),
@@ -36,15 +36,19 @@ const requests = {
   DeleteAcls: require('./deleteAcls'),
   DescribeConfigs: require('./describeConfigs'),
   AlterConfigs: require('./alterConfigs'),
-  AlterReplicaLogDirs: {},
-  DescribeLogDirs: {},
+  AlterReplicaLogDirs: require('./alterReplicaLogDirs'),
+  DescribeLogDirs: require('./describeLogDirs'),
   SaslAuthenticate: require('./saslAuthenticate'),
   CreatePartitions: require('./createPartitions'),
-  CreateDelegationToken: {},
-  RenewDelegationToken: {},
-  ExpireDelegationToken: {},
-  DescribeDelegationToken: {},
+  CreateDelegationToken: require('./createDelegationToken'),
+  RenewDelegationToken: require('./renewDelegationToken'),
+  ExpireDelegationToken: require('./expireDelegationToken'),
+  DescribeDelegationToken: require('./describeDelegationToken'),
   DeleteGroups: require('./deleteGroups'),
+  ElectLeaders: require('./electLeaders'),
+  IncrementalAlterConfigs: {},
+  AlterPartitionReassignments: require('./alterPartitionReassignments'),
+  ListPartitionReassignments: require('./listPartitionReassignments'),
 }
 
 const BEGIN_EXPERIMENTAL_V011_REQUEST_VERSION = {
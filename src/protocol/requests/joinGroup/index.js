@@ -1,3 +1,5 @@
+const { KafkaJSNonRetriableError } = require('../../../errors')
+
 const NETWORK_DELAY = 5000
 
 /**
@@ -12,8 +14,21 @@ const requestTimeout = ({ rebalanceTimeout, sessionTimeout }) => {
   return Number.isSafeInteger(timeout + NETWORK_DELAY) ? timeout + NETWORK_DELAY : timeout
 }
 
+/**
+ * Versions prior to v5 don't support static membership, without this check the
+ * group instance id would be silently dropped and the member would join as a dynamic member
+ */
+const failIfStaticMember = ({ groupInstanceId }) => {
+  if (groupInstanceId != null) {
+    throw new KafkaJSNonRetriableError(
+      'Static membership is not supported by the broker, it requires Kafka 2.3.0 or later'
+    )
+  }
+}
+
 const versions = {
-  0: ({ groupId, sessionTimeout, memberId, protocolType, groupProtocols }) => {
+  0: ({ groupId, sessionTimeout, memberId, groupInstanceId, protocolType, groupProtocols }) => {
+    failIfStaticMember({ groupInstanceId })
     const request = require('./v0/request')
     const response = require('./v0/response')
 
@@ -29,7 +44,16 @@ const versions = {
       requestTimeout: requestTimeout({ rebalanceTimeout: null, sessionTimeout }),
     }
   },
-  1: ({ groupId, sessionTimeout, rebalanceTimeout, memberId, protocolType, groupProtocols }) => {
+  1: ({
+    groupId,
+    sessionTimeout,
+    rebalanceTimeout,
+    memberId,
+    groupInstanceId,
+    protocolType,
+    groupProtocols,
+  }) => {
+    failIfStaticMember({ groupInstanceId })
     const request = require('./v1/request')
     const response = require('./v1/response')
 
@@ -46,7 +70,16 @@ const versions = {
       requestTimeout: requestTimeout({ rebalanceTimeout, sessionTimeout }),
     }
   },
-  2: ({ groupId, sessionTimeout, rebalanceTimeout, memberId, protocolType, groupProtocols }) => {
+  2: ({
+    groupId,
+    sessionTimeout,
+    rebalanceTimeout,
+    memberId,
+    groupInstanceId,
+    protocolType,
+    groupProtocols,
+  }) => {
+    failIfStaticMember({ groupInstanceId })
     const request = require('./v2/request')
     const response = require('./v2/response')
 
@@ -63,6 +96,84 @@ const versions = {
       requestTimeout: requestTimeout({ rebalanceTimeout, sessionTimeout }),
     }
   },
+  3: ({
+    groupId,
+    sessionTimeout,
+    rebalanceTimeout,
+    memberId,
+    groupInstanceId,
+    protocolType,
+    groupProtocols,
+  }) => {
+    failIfStaticMember({ groupInstanceId })
+    const request = require('./v3/request')
+    const response = require('./v3/response')
+
+    return {
+      request: request({
+        groupId,
+        sessionTimeout,
+        rebalanceTimeout,
+        memberId,
+        protocolType,
+        groupProtocols,
+      }),
+      response,
+      requestTimeout: requestTimeout({ rebalanceTimeout, sessionTimeout }),
+    }
+  },
+  4: ({
+    groupId,
+    sessionTimeout,
+    rebalanceTimeout,
+    memberId,
+    groupInstanceId,
+    protocolType,
+    groupProtocols,
+  }) => {
+    failIfStaticMember({ groupInstanceId })
+    const request = require('./v4/request')
+    const response = require('./v4/response')
+
+    return {
+      request: request({
+        groupId,
+        sessionTimeout,
+        rebalanceTimeout,
+        memberId,
+        protocolType,
+        groupProtocols,
+      }),
+      response,
+      requestTimeout: requestTimeout({ rebalanceTimeout, sessionTimeout }),
+    }
+  },
+  5: ({
+    groupId,
+    sessionTimeout,
+    rebalanceTimeout,
+    memberId,
+    groupInstanceId,
+    protocolType,
+    groupProtocols,
+  }) => {
+    const request = require('./v5/request')
+    const response = require('./v5/response')
+
+    return {
+      request: request({
+        groupId,
+        sessionTimeout,
+        rebalanceTimeout,
+        memberId,
+        groupInstanceId,
+        protocolType,
+        groupProtocols,
+      }),
+      response,
+      requestTimeout: requestTimeout({ rebalanceTimeout, sessionTimeout }),
+    }
+  },
 }
 
 module.exports = {
@@ -2,6 +2,9 @@ const JoinGroupVersions = require('./index')
 const JoinGroupV0 = JoinGroupVersions.protocol({ version: 0 })
 const JoinGroupV1 = JoinGroupVersions.protocol({ version: 1 })
 const JoinGroupV2 = JoinGroupVersions.protocol({ version: 2 })
+const JoinGroupV3 = JoinGroupVersions.protocol({ version: 3 })
+const JoinGroupV4 = JoinGroupVersions.protocol({ version: 4 })
+const JoinGroupV5 = JoinGroupVersions.protocol({ version: 5 })
 
 describe('Protocol > Requests > JoinGroup', () => {
   describe('v0', () => {
@@ -45,9 +48,39 @@ describe('Protocol > Requests > JoinGroup', () => {
       }
       const protocolV1 = JoinGroupV1(parameters)
       const protocolV2 = JoinGroupV2(parameters)
+      const protocolV3 = JoinGroupV3(parameters)
+      const protocolV4 = JoinGroupV4(parameters)
+      const protocolV5 = JoinGroupV5(parameters)
 
       expect(protocolV1.requestTimeout).toBeGreaterThan(rebalanceTimeout)
       expect(protocolV2.requestTimeout).toBeGreaterThan(rebalanceTimeout)
+      expect(protocolV3.requestTimeout).toBeGreaterThan(rebalanceTimeout)
+      expect(protocolV4.requestTimeout).toBeGreaterThan(rebalanceTimeout)
+      expect(protocolV5.requestTimeout).toBeGreaterThan(rebalanceTimeout)
+    })
+  })
+
+  describe('static membership', () => {
+    const parameters = {
+      groupId: 'test-group',
+      sessionTimeout: 30000,
+      rebalanceTimeout: 60000,
+      memberId: '',
+      groupInstanceId: 'instance-1',
+      protocolType: 'consumer',
+      groupProtocols: [{ name: 'default' }],
+    }
+
+    it('throws when the version does not support static membership', () => {
+      for (const protocol of [JoinGroupV0, JoinGroupV1, JoinGroupV2, JoinGroupV3, JoinGroupV4]) {
+        expect(() => protocol(parameters)).toThrow(
+          'Static membership is not supported by the broker, it requires Kafka 2.3.0 or later'
+        )
+      }
+    })
+
+    it('supports static membership from v5', () => {
+      expect(() => JoinGroupV5(parameters)).not.toThrow()
     })
   })
 })
@@ -0,0 +1,21 @@
+const RequestV4Protocol = require('./request')
+
+describe('Protocol > Requests > JoinGroup > v4', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV4Protocol({
+      groupId: 'consumer-group-id-2a3b4c5d6e7f8091a2b3-18432-b7f6c2e0-5a49-4d1f-9c1e-3a7b5d2f9e10',
+      sessionTimeout: 30000,
+      rebalanceTimeout: 60000,
+      memberId: '',
+      protocolType: 'consumer',
+      groupProtocols: [
+        {
+          name: 'AssignerName',
+          metadata: Buffer.from(require('../fixtures/v2_assignerMetadata.json')),
+        },
+      ],
+    }).encode()
+
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v4_request.json')))
+  })
+})
@@ -0,0 +1,39 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > JoinGroup > v4', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v4_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      errorCode: 0,
+      generationId: 1,
+      groupProtocol: 'AssignerName',
+      leaderId:
+        'test-2a3b4c5d6e7f8091a2b3-18432-0f3e1c6a-8d2b-4e5f-a1c7-9b6d4e2f8a31-5c1d7e9f-3a2b-4c6d-8e0f-1a2b3c4d5e6f',
+      memberId:
+        'test-2a3b4c5d6e7f8091a2b3-18432-0f3e1c6a-8d2b-4e5f-a1c7-9b6d4e2f8a31-5c1d7e9f-3a2b-4c6d-8e0f-1a2b3c4d5e6f',
+      members: [
+        {
+          memberId:
+            'test-2a3b4c5d6e7f8091a2b3-18432-0f3e1c6a-8d2b-4e5f-a1c7-9b6d4e2f8a31-5c1d7e9f-3a2b-4c6d-8e0f-1a2b3c4d5e6f',
+          memberMetadata: Buffer.from(require('../fixtures/v2_assignerMetadata.json')),
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+
+  test('throws KafkaJSMemberIdRequired with the assigned member id', async () => {
+    const data = await decode(
+      Buffer.from(require('../fixtures/v4_member_id_required_response.json'))
+    )
+
+    await expect(parse(data)).rejects.toMatchObject({
+      name: 'KafkaJSMemberIdRequired',
+      type: 'MEMBER_ID_REQUIRED',
+      memberId:
+        'test-2a3b4c5d6e7f8091a2b3-18432-0f3e1c6a-8d2b-4e5f-a1c7-9b6d4e2f8a31-5c1d7e9f-3a2b-4c6d-8e0f-1a2b3c4d5e6f',
+    })
+  })
+})
@@ -0,0 +1,22 @@
+const RequestV5Protocol = require('./request')
+
+describe('Protocol > Requests > JoinGroup > v5', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV5Protocol({
+      groupId: 'consumer-group-id-2a3b4c5d6e7f8091a2b3-18432-b7f6c2e0-5a49-4d1f-9c1e-3a7b5d2f9e10',
+      sessionTimeout: 30000,
+      rebalanceTimeout: 60000,
+      memberId: '',
+      groupInstanceId: 'instance-1',
+      protocolType: 'consumer',
+      groupProtocols: [
+        {
+          name: 'AssignerName',
+          metadata: Buffer.from(require('../fixtures/v2_assignerMetadata.json')),
+        },
+      ],
+    }).encode()
+
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v5_request.json')))
+  })
+})
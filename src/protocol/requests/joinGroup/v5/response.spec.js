@@ -0,0 +1,27 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > JoinGroup > v5', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v5_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      errorCode: 0,
+      generationId: 1,
+      groupProtocol: 'AssignerName',
+      leaderId:
+        'test-2a3b4c5d6e7f8091a2b3-18432-0f3e1c6a-8d2b-4e5f-a1c7-9b6d4e2f8a31-5c1d7e9f-3a2b-4c6d-8e0f-1a2b3c4d5e6f',
+      memberId:
+        'test-2a3b4c5d6e7f8091a2b3-18432-0f3e1c6a-8d2b-4e5f-a1c7-9b6d4e2f8a31-5c1d7e9f-3a2b-4c6d-8e0f-1a2b3c4d5e6f',
+      members: [
+        {
+          memberId:
+            'test-2a3b4c5d6e7f8091a2b3-18432-0f3e1c6a-8d2b-4e5f-a1c7-9b6d4e2f8a31-5c1d7e9f-3a2b-4c6d-8e0f-1a2b3c4d5e6f',
+          groupInstanceId: 'instance-1',
+          memberMetadata: Buffer.from(require('../fixtures/v2_assignerMetadata.json')),
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+})
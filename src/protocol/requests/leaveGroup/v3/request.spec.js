@@ -0,0 +1,18 @@
+const RequestV3Protocol = require('./request')
+
+describe('Protocol > Requests > LeaveGroup > v3', () => {
+  test('request', async () => {
+    const { buffer } = await RequestV3Protocol({
+      groupId: 'consumer-group-id-7c1e9a3f5b2d4e6081a9-21874-4e2a9c71-b3d5-4f08-a6e2-7d9b1c3e5f40',
+      members: [
+        {
+          memberId:
+            'test-7c1e9a3f5b2d4e6081a9-21874-9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d-3f2e1d0c-b9a8-4765-a4b3-c2d1e0f9a8b7',
+          groupInstanceId: 'instance-1',
+        },
+      ],
+    }).encode()
+
+    expect(buffer).toEqual(Buffer.from(require('../fixtures/v3_request.json')))
+  })
+})
@@ -0,0 +1,48 @@
+const Decoder = require('../../../decoder')
+const { failure, createErrorFromCode, failIfVersionNotSupported } = require('../../../error')
+
+/**
+ * LeaveGroup Response (Version: 3) => throttle_time_ms error_code [members]
+ *   throttle_time_ms => INT32
+ *   error_code => INT16
+ *   members => member_id group_instance_id error_code
+ *     member_id => STRING
+ *     group_instance_id => NULLABLE_STRING
+ *     error_code => INT16
+ */
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+  const throttleTime = decoder.readInt32()
+  const errorCode = decoder.readInt16()
+
+  failIfVersionNotSupported(errorCode)
+
+  return {
+    throttleTime,
+    errorCode,
+    members: decoder.readArray(decoder => ({
+      memberId: decoder.readString(),
+      groupInstanceId: decoder.readString(),
+      errorCode: decoder.readInt16(),
+    })),
+  }
+}
+
+const parse = async data => {
+  if (failure(data.errorCode)) {
+    throw createErrorFromCode(data.errorCode)
+  }
+
+  const memberWithError = data.members.find(({ errorCode }) => failure(errorCode))
+  if (memberWithError) {
+    throw createErrorFromCode(memberWithError.errorCode)
+  }
+
+  return data
+}
+
+module.exports = {
+  decode,
+  parse,
+}
@@ -0,0 +1,31 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > LeaveGroup > v3', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v3_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      errorCode: 0,
+      members: [
+        {
+          memberId:
+            'test-7c1e9a3f5b2d4e6081a9-21874-9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d-3f2e1d0c-b9a8-4765-a4b3-c2d1e0f9a8b7',
+          groupInstanceId: 'instance-1',
+          errorCode: 0,
+        },
+      ],
+    })
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+
+  test('throws the error of the member which failed to leave', async () => {
+    const data = await decode(
+      Buffer.from(require('../fixtures/v3_response_fenced_instance_id.json'))
+    )
+
+    await expect(parse(data)).rejects.toMatchObject({
+      type: 'FENCED_INSTANCE_ID',
+      code: 82,
+    })
+  })
+})
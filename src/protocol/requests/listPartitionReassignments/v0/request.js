@@ -0,0 +1,33 @@
+const Encoder = require('../../../encoder')
+const { ListPartitionReassignments: apiKey } = require('../../apiKeys')
+
+/**
+ * ListPartitionReassignments Request (Version: 0) => timeout_ms [topics] TAG_BUFFER
+ *   timeout_ms => INT32
+ *   topics => name [partition_indexes] TAG_BUFFER
+ *     name => COMPACT_STRING
+ *     partition_indexes => INT32
+ */
+
+/**
+ * Null topics list all ongoing reassignments
+ */
+module.exports = ({ topics = null, timeout = 5000 }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'ListPartitionReassignments',
+  flexible: true,
+  encode: async () => {
+    return new Encoder()
+      .writeInt32(timeout)
+      .writeCompactNullableArray(topics && topics.map(encodeTopic))
+      .writeTaggedFields()
+  },
+})
+
+const encodeTopic = ({ topic, partitions }) => {
+  return new Encoder()
+    .writeCompactString(topic)
+    .writeCompactArray(partitions, 'int32')
+    .writeTaggedFields()
+}
@@ -0,0 +1,27 @@
+const apiKeys = require('../../apiKeys')
+const RequestV0Protocol = require('./request')
+
+describe('Protocol > Requests > ListPartitionReassignments > v0', () => {
+  describe('request', () => {
+    test('metadata about the API', () => {
+      const request = RequestV0Protocol({})
+      expect(request.apiKey).toEqual(apiKeys.ListPartitionReassignments)
+      expect(request.apiVersion).toEqual(0)
+      expect(request.apiName).toEqual('ListPartitionReassignments')
+      expect(request.flexible).toEqual(true)
+    })
+
+    test('encode', async () => {
+      const { buffer } = await RequestV0Protocol({
+        topics: [{ topic: 'test-topic-5e2b7d9a1c3f4e6a8b0d', partitions: [0, 1] }],
+        timeout: 5000,
+      }).encode()
+      expect(buffer).toEqual(Buffer.from(require('../fixtures/v0_request.json')))
+    })
+
+    test('encode all topics', async () => {
+      const { buffer } = await RequestV0Protocol({ timeout: 5000 }).encode()
+      expect(buffer).toEqual(Buffer.from([0, 0, 19, 136, 0, 0]))
+    })
+  })
+})
@@ -0,0 +1,73 @@
+const Decoder = require('../../../decoder')
+const { failure, createErrorFromCode } = require('../../../error')
+
+/**
+ * ListPartitionReassignments Response (Version: 0) => throttle_time_ms error_code error_message [topics] TAG_BUFFER
+ *   throttle_time_ms => INT32
+ *   error_code => INT16
+ *   error_message => COMPACT_NULLABLE_STRING
+ *   topics => name [partitions] TAG_BUFFER
+ *     name => COMPACT_STRING
+ *     partitions => partition_index [replicas] [adding_replicas] [removing_replicas] TAG_BUFFER
+ *       partition_index => INT32
+ *       replicas => INT32
+ *       adding_replicas => INT32
+ *       removing_replicas => INT32
+ */
+
+const decodeReplica = decoder => decoder.readInt32()
+
+const decodePartition = decoder => {
+  const partition = {
+    partition: decoder.readInt32(),
+    replicas: decoder.readCompactArray(decodeReplica),
+    addingReplicas: decoder.readCompactArray(decodeReplica),
+    removingReplicas: decoder.readCompactArray(decodeReplica),
+  }
+
+  decoder.readTaggedFields()
+  return partition
+}
+
+const decodeTopic = decoder => {
+  const topic = {
+    topic: decoder.readCompactString(),
+    partitions: decoder.readCompactArray(decodePartition),
+  }
+
+  decoder.readTaggedFields()
+  return topic
+}
+
+const decode = async rawData => {
+  const decoder = new Decoder(rawData)
+
+  // Response header v1
+  decoder.readTaggedFields()
+
+  const throttleTime = decoder.readInt32()
+  const errorCode = decoder.readInt16()
+  const errorMessage = decoder.readCompactString()
+  const topics = decoder.readCompactArray(decodeTopic)
+  decoder.readTaggedFields()
+
+  return {
+    throttleTime,
+    errorCode,
+    errorMessage,
+    topics,
+  }
+}
+
+const parse = async data => {
+  if (failure(data.errorCode)) {
+    throw createErrorFromCode(data.errorCode)
+  }
+
+  return data
+}
+
+module.exports = {
+  decode,
+  parse,
+}
@@ -0,0 +1,22 @@
+const { decode, parse } = require('./response')
+
+describe('Protocol > Requests > ListPartitionReassignments > v0', () => {
+  test('response', async () => {
+    const data = await decode(Buffer.from(require('../fixtures/v0_response.json')))
+    expect(data).toEqual({
+      throttleTime: 0,
+      errorCode: 0,
+      errorMessage: null,
+      topics: [
+        {
+          topic: 'test-topic-5e2b7d9a1c3f4e6a8b0d',
+          partitions: [
+            { partition: 0, replicas: [1, 2, 3], addingReplicas: [3], removingReplicas: [1] },
+          ],
+        },
+      ],
+    })
+
+    await expect(parse(data)).resolves.toBeTruthy()
+  })
+})
@@ -1,6 +1,5 @@
 const Decoder = require('../../../decoder')
 const { failure, createErrorFromCode } = require('../../../error')
-const flatten = require('../../../../utils/flatten')
 
 /**
  * OffsetCommit Response (Version: 0) => [responses]
@@ -28,13 +27,17 @@ const decodePartitions = decoder => ({
   errorCode: decoder.readInt16(),
 })
 
+/**
+ * Partition errors are attached to the partitions, so callers committing offsets for
+ * multiple partitions can tell which ones failed. Broker#offsetCommit throws the first one
+ */
 const parse = async data => {
-  const partitionsWithError = data.responses.map(response =>
-    response.partitions.filter(partition => failure(partition.errorCode))
-  )
-  const partitionWithError = flatten(partitionsWithError)[0]
-  if (partitionWithError) {
-    throw createErrorFromCode(partitionWithError.errorCode)
+  for (const { partitions } of data.responses) {
+    for (const partition of partitions) {
+      if (failure(partition.errorCode)) {
+        partition.error = createErrorFromCode(partition.errorCode)
+      }
+    }
   }
 
   return data
@@ -11,4 +11,25 @@ describe('Protocol > Requests > OffsetCommit > v0', () => {
 
     await expect(parse(data)).resolves.toBeTruthy()
   })
+
+  test('attaches the errors to the partitions', async () => {
+    const data = {
+      responses: [
+        {
+          topic: 'test-topic',
+          partitions: [
+            { partition: 0, errorCode: 0 },
+            { partition: 1, errorCode: 3 },
+          ],
+        },
+      ],
+    }
+
+    const { responses } = await parse(data)
+    expect(responses[0].partitions[0]).not.toHaveProperty('error')
+    expect(responses[0].partitions[1].error).toMatchObject({
+      name: 'KafkaJSProtocolError',
+      type: 'UNKNOWN_TOPIC_OR_PARTITION',
+    })
+  })
 })
@@ -1,4 +1,5 @@
-const requestV1 = require('../v1/request')
+const Encoder = require('../../../encoder')
+const { OffsetFetch: apiKey } = require('../../apiKeys')
 
 /**
  * OffsetFetch Request (Version: 2) => group_id [topics]
@@ -7,7 +8,23 @@ const requestV1 = require('../v1/request')
  *     topic => STRING
  *     partitions => partition
  *       partition => INT32
+ *
+ * Starting in version 2, a null topics array fetches the offsets of all topics
  */
 
-module.exports = ({ groupId, topics }) =>
-  Object.assign(requestV1({ groupId, topics }), { apiVersion: 2 })
+module.exports = ({ groupId, topics }) => ({
+  apiKey,
+  apiVersion: 2,
+  apiName: 'OffsetFetch',
+  encode: async () => {
+    return new Encoder().writeString(groupId).writeNullableArray((topics || []).map(encodeTopic))
+  },
+})
+
+const encodeTopic = ({ topic, partitions }) => {
+  return new Encoder().writeString(topic).writeArray(partitions.map(encodePartition))
+}
+
+const encodePartition = ({ partition }) => {
+  return new Encoder().writeInt32(partition)
+}
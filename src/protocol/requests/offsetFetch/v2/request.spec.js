@@ -13,4 +13,10 @@ describe('Protocol > Requests > OffsetFetch > v2', () => {
     const { buffer } = await RequestV2Protocol({ groupId, topics }).encode()
     expect(buffer).toEqual(Buffer.from(require('../fixtures/v2_request.json')))
   })
+
+  test('request without topics, to fetch the offsets of all topics', async () => {
+    const groupId = 'consumer-group-id-c7dcb2473b6a1196b2b2'
+    const { buffer } = await RequestV2Protocol({ groupId, topics: null }).encode()
+    expect(buffer.slice(-4)).toEqual(Buffer.from([0xff, 0xff, 0xff, 0xff]))
+  })
 })
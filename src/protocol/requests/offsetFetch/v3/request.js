@@ -1,5 +1,4 @@
-const Encoder = require('../../../encoder')
-const { OffsetFetch: apiKey } = require('../../apiKeys')
+const requestV2 = require('../v2/request')
 
 /**
  * OffsetFetch Request (Version: 3) => group_id [topics]
@@ -10,19 +9,5 @@ const { OffsetFetch: apiKey } = require('../../apiKeys')
  *       partition => INT32
  */
 
-module.exports = ({ groupId, topics }) => ({
-  apiKey,
-  apiVersion: 3,
-  apiName: 'OffsetFetch',
-  encode: async () => {
-    return new Encoder().writeString(groupId).writeNullableArray(topics.map(encodeTopic))
-  },
-})
-
-const encodeTopic = ({ topic, partitions }) => {
-  return new Encoder().writeString(topic).writeArray(partitions.map(encodePartition))
-}
-
-const encodePartition = ({ partition }) => {
-  return new Encoder().writeInt32(partition)
-}
+module.exports = ({ groupId, topics }) =>
+  Object.assign(requestV2({ groupId, topics }), { apiVersion: 3 })
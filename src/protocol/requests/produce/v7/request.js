@@ -0,0 +1,40 @@
+const requestV3 = require('../v3/request')
+
+/**
+ * Brokers only accept ZSTD compressed record batches from producers using v7 or later
+ * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-110%3A+Add+Codec+for+ZStandard+Compression
+ */
+
+/**
+ * Produce Request (Version: 7) => transactional_id acks timeout [topic_data]
+ *   transactional_id => NULLABLE_STRING
+ *   acks => INT16
+ *   timeout => INT32
+ *   topic_data => topic [data]
+ *     topic => STRING
+ *     data => partition record_set
+ *       partition => INT32
+ *       record_set => RECORDS
+ */
+
+module.exports = ({
+  acks,
+  timeout,
+  transactionalId,
+  producerId,
+  producerEpoch,
+  compression,
+  topicData,
+}) =>
+  Object.assign(
+    requestV3({
+      acks,
+      timeout,
+      transactionalId,
+      producerId,
+      producerEpoch,
+      compression,
+      topicData,
+    }),
+    { apiVersion: 7 }
+  )
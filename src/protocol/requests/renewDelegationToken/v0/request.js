@@ -0,0 +1,20 @@
+const Encoder = require('../../../encoder')
+const { RenewDelegationToken: apiKey } = require('../../apiKeys')
+
+/**
+ * RenewDelegationToken Request (Version: 0) => hmac renew_period_ms
+ *   hmac => BYTES
+ *   renew_period_ms => INT64
+ */
+
+/**
+ * A renew period of -1 uses the broker's delegation.token.expiry.time.ms
+ */
+module.exports = ({ hmac, renewPeriod = -1 }) => ({
+  apiKey,
+  apiVersion: 0,
+  apiName: 'RenewDelegationToken',
+  encode: async () => {
+    return new Encoder().writeBytes(hmac).writeInt64(renewPeriod)
+  },
+})
@@ -0,0 +1,23 @@
+const apiKeys = require('../../apiKeys')
+const RequestV1Protocol = require('./request')
+
+const HMAC = Buffer.from('0c1e5c5a6b1f7d9a2e4c8b3f', 'hex')
+
+describe('Protocol > Requests > RenewDelegationToken > v1', () => {
+  describe('request', () => {
+    test('metadata about the API', () => {
+      const request = RequestV1Protocol({ hmac: HMAC })
+      expect(request.apiKey).toEqual(apiKeys.RenewDelegationToken)
+      expect(request.apiVersion).toEqual(1)
+      expect(request.apiName).toEqual('RenewDelegationToken')
+    })
+
+    test('encode', async () => {
+      const { buffer } = await RequestV1Protocol({
+        hmac: HMAC,
+        renewPeriod: 3600000,
+      }).encode()
+      expect(buffer).toEqual(Buffer.from(require('../fixtures/v1_request.json')))
+    })
+  })
+})
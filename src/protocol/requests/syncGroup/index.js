@@ -15,6 +15,22 @@ const versions = {
       response,
     }
   },
+  2: ({ groupId, generationId, memberId, groupAssignment }) => {
+    const request = require('./v2/request')
+    const response = require('./v2/response')
+    return {
+      request: request({ groupId, generationId, memberId, groupAssignment }),
+      response,
+    }
+  },
+  3: ({ groupId, generationId, memberId, groupInstanceId, groupAssignment }) => {
+    const request = require('./v3/request')
+    const response = require('./v3/response')
+    return {
+      request: request({ groupId, generationId, memberId, groupInstanceId, groupAssignment }),
+      response,
+    }
+  },
 }
 
 module.exports = {
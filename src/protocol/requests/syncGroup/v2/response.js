@@ -0,0 +1,16 @@
+const { decode, parse } = require('../v1/response')
+
+/**
+ * Starting in version 2, on quota violation, brokers send out responses before throttling.
+ * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-219+-+Improve+quota+communication
+ *
+ * SyncGroup Response (Version: 2) => throttle_time_ms error_code member_assignment
+ *   throttle_time_ms => INT32
+ *   error_code => INT16
+ *   member_assignment => BYTES
+ */
+
+module.exports = {
+  decode,
+  parse,
+}
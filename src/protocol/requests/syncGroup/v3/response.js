@@ -0,0 +1,13 @@
+const { decode, parse } = require('../v2/response')
+
+/**
+ * SyncGroup Response (Version: 3) => throttle_time_ms error_code member_assignment
+ *   throttle_time_ms => INT32
+ *   error_code => INT16
+ *   member_assignment => BYTES
+ */
+
+module.exports = {
+  decode,
+  parse,
+}
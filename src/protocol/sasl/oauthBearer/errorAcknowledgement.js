@@ -0,0 +1,16 @@
+/**
+ * https://tools.ietf.org/html/rfc7628#section-3.2.3
+ *
+ * The client must answer an error challenge with a single %x01 (kvsep),
+ * the server then fails the authentication
+ */
+
+const Encoder = require('../../encoder')
+
+const KVSEP = '\u0001'
+
+module.exports = () => ({
+  encode: async () => {
+    return new Encoder().writeBytes(KVSEP)
+  },
+})
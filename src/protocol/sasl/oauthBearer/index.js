@@ -0,0 +1,5 @@
+module.exports = {
+  request: require('./request'),
+  response: require('./response'),
+  errorAcknowledgement: require('./errorAcknowledgement'),
+}
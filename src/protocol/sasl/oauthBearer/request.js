@@ -0,0 +1,37 @@
+/**
+ * https://tools.ietf.org/html/rfc7628#section-3.1
+ *
+ * The client's initial response consists of the GS2 header followed by
+ * the key/value pairs, each one terminated by %x01 (kvsep):
+ *
+ *   client-resp = (gs2-header kvsep *kvpair kvsep) / kvsep
+ *   gs2-header  = "n," ["a=" saslname] ","
+ *   kvpair      = key "=" value kvsep
+ *
+ * The token is sent in the "auth" pair as "Bearer <token>", Kafka accepts
+ * additional pairs as SASL extensions
+ *
+ * @see https://cwiki.apache.org/confluence/display/KAFKA/KIP-342%3A+Add+support+for+Custom+SASL+extensions+in+OAuthBearer+authentication
+ */
+
+const Encoder = require('../../encoder')
+
+const KVSEP = '\u0001'
+
+const EQUAL_SIGN_REGEX = /=/g
+const COMMA_SIGN_REGEX = /,/g
+
+const saslname = str => str.replace(EQUAL_SIGN_REGEX, '=3D').replace(COMMA_SIGN_REGEX, '=2C')
+
+module.exports = ({ authorizationIdentity = null }, { value, extensions = {} }) => ({
+  encode: async () => {
+    const gs2Header = `n,${authorizationIdentity ? `a=${saslname(authorizationIdentity)}` : ''},`
+    const pairs = [`auth=Bearer ${value}`].concat(
+      Object.keys(extensions).map(key => `${key}=${extensions[key]}`)
+    )
+
+    return new Encoder().writeBytes(
+      `${gs2Header}${KVSEP}${pairs.map(pair => `${pair}${KVSEP}`).join('')}${KVSEP}`
+    )
+  },
+})
@@ -0,0 +1,16 @@
+const Decoder = require('../../decoder')
+
+/**
+ * The server answers a successful authentication with an empty response, and a
+ * failed authentication with a JSON error challenge
+ *
+ * @see https://tools.ietf.org/html/rfc7628#section-3.2.2
+ */
+module.exports = {
+  decode: async rawData => {
+    return new Decoder(rawData).readBytes()
+  },
+  parse: async data => {
+    return data && data.length > 0 ? data.toString() : null
+  },
+}
@@ -0,0 +1,99 @@
+const { KafkaJSNonRetriableError } = require('../errors')
+
+const FIELDS = ['key', 'value', 'headers']
+
+const Serializers = {
+  JSON: data => JSON.stringify(data),
+  String: data => (Buffer.isBuffer(data) ? data.toString('utf8') : String(data)),
+}
+
+const Deserializers = {
+  JSON: data => JSON.parse(data.toString('utf8')),
+  String: data => data.toString('utf8'),
+}
+
+/**
+ * Validates the hooks of the key, value and headers, which can be sync or async
+ *
+ * @param {string} name The name of the option, used in the error message
+ * @param {Object} [hooks={}]
+ * @param {Function} [hooks.key]
+ * @param {Function} [hooks.value]
+ * @param {Function} [hooks.headers] Applied to the value of each header
+ */
+const validateHooks = (name, hooks = {}) => {
+  if (hooks == null || typeof hooks !== 'object') {
+    throw new KafkaJSNonRetriableError(`${name} must be an object with key, value or headers`)
+  }
+
+  for (const field of FIELDS) {
+    if (hooks[field] != null && typeof hooks[field] !== 'function') {
+      throw new KafkaJSNonRetriableError(`${name}.${field} must be a function`)
+    }
+  }
+
+  return hooks
+}
+
+/**
+ * Applies the hooks to the key, value and to the value of each header of the message.
+ * Null keys and values are kept as they are, a null value is a tombstone.
+ *
+ * The hook of each field receives the context and the name of the header, e.g.
+ * `{ topic, header }` when serializing
+ *
+ * @param {Object} hooks
+ * @param {Function} onError Receives the error and the field which failed, must throw
+ * @returns {Function} (message, context) => Promise<message>
+ */
+const createMessageTransformer = (hooks, onError) => {
+  const { key, value, headers } = hooks
+
+  if (!key && !value && !headers) {
+    return async message => message
+  }
+
+  const transform = async (hook, data, context, field) => {
+    if (!hook || data == null) {
+      return data
+    }
+
+    try {
+      return await hook(data, context)
+    } catch (e) {
+      onError(e, field, context)
+    }
+  }
+
+  const transformHeaders = async (messageHeaders, context) => {
+    if (!headers || !messageHeaders) {
+      return messageHeaders
+    }
+
+    const transformed = {}
+    for (const header of Object.keys(messageHeaders)) {
+      transformed[header] = await transform(
+        headers,
+        messageHeaders[header],
+        { ...context, header },
+        'headers'
+      )
+    }
+
+    return transformed
+  }
+
+  return async (message, context) => ({
+    ...message,
+    key: await transform(key, message.key, context, 'key'),
+    value: await transform(value, message.value, context, 'value'),
+    headers: await transformHeaders(message.headers, context),
+  })
+}
+
+module.exports = {
+  Serializers,
+  Deserializers,
+  validateHooks,
+  createMessageTransformer,
+}
@@ -0,0 +1,107 @@
+const { KafkaJSNonRetriableError } = require('../errors')
+const { Serializers, Deserializers, validateHooks, createMessageTransformer } = require('./index')
+
+describe('Serialization', () => {
+  describe('codecs', () => {
+    test('JSON', () => {
+      const data = { id: 1, tags: ['a', 'b'] }
+      expect(Serializers.JSON(data)).toEqual('{"id":1,"tags":["a","b"]}')
+      expect(Deserializers.JSON(Buffer.from(Serializers.JSON(data)))).toEqual(data)
+    })
+
+    test('String', () => {
+      expect(Serializers.String(12)).toEqual('12')
+      expect(Serializers.String(Buffer.from('value'))).toEqual('value')
+      expect(Deserializers.String(Buffer.from('value'))).toEqual('value')
+    })
+  })
+
+  describe('validateHooks', () => {
+    test('accepts missing hooks', () => {
+      expect(validateHooks('Producer serializers')).toEqual({})
+      expect(validateHooks('Producer serializers', { value: Serializers.JSON })).toEqual({
+        value: Serializers.JSON,
+      })
+    })
+
+    test('throws an error if a hook is not a function', () => {
+      expect(() => validateHooks('Producer serializers', { key: 'json' })).toThrowError(
+        new KafkaJSNonRetriableError('Producer serializers.key must be a function')
+      )
+    })
+
+    test('throws an error if the hooks are not an object', () => {
+      expect(() => validateHooks('Consumer deserializers', null)).toThrowError(
+        new KafkaJSNonRetriableError(
+          'Consumer deserializers must be an object with key, value or headers'
+        )
+      )
+    })
+  })
+
+  describe('createMessageTransformer', () => {
+    let onError
+
+    beforeEach(() => {
+      onError = jest.fn(e => {
+        throw e
+      })
+    })
+
+    test('returns the message as is without hooks', async () => {
+      const message = { key: 'key', value: 'value' }
+      const transform = createMessageTransformer({}, onError)
+      await expect(transform(message, { topic: 'topic-name' })).resolves.toBe(message)
+    })
+
+    test('applies sync and async hooks to the key, value and each header', async () => {
+      const key = jest.fn(data => data.toUpperCase())
+      const value = jest.fn(async data => JSON.stringify(data))
+      const headers = jest.fn(data => `${data}!`)
+      const transform = createMessageTransformer({ key, value, headers }, onError)
+
+      await expect(
+        transform(
+          { key: 'key', value: { id: 1 }, headers: { a: 'a', b: 'b' }, partition: 2 },
+          { topic: 'topic-name' }
+        )
+      ).resolves.toEqual({
+        key: 'KEY',
+        value: '{"id":1}',
+        headers: { a: 'a!', b: 'b!' },
+        partition: 2,
+      })
+
+      expect(key).toHaveBeenCalledWith('key', { topic: 'topic-name' })
+      expect(headers).toHaveBeenCalledWith('a', { topic: 'topic-name', header: 'a' })
+    })
+
+    test('keeps null keys and values', async () => {
+      const value = jest.fn()
+      const transform = createMessageTransformer({ key: value, value }, onError)
+
+      await expect(transform({ key: null, value: null }, {})).resolves.toEqual({
+        key: null,
+        value: null,
+      })
+      expect(value).not.toHaveBeenCalled()
+    })
+
+    test('calls onError with the field and the context when a hook fails', async () => {
+      const error = new Error('invalid value')
+      const transform = createMessageTransformer(
+        {
+          headers: () => {
+            throw error
+          },
+        },
+        onError
+      )
+
+      await expect(
+        transform({ value: 'value', headers: { a: 'a' } }, { topic: 'topic-name' })
+      ).rejects.toBe(error)
+      expect(onError).toHaveBeenCalledWith(error, 'headers', { topic: 'topic-name', header: 'a' })
+    })
+  })
+})
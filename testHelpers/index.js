@@ -206,6 +206,16 @@ testIfKafka_1_1_0.only = (description, callback) => {
   return testIfKafka_1_1_0(description, callback, test.only)
 }
 
+const testIfKafka_2_1_0 = testIfKafkaVersion('2.1')
+testIfKafka_2_1_0.only = (description, callback) => {
+  return testIfKafka_2_1_0(description, callback, test.only)
+}
+
+const testIfKafka_2_4_0 = testIfKafkaVersion('2.4')
+testIfKafka_2_4_0.only = (description, callback) => {
+  return testIfKafka_2_4_0(description, callback, test.only)
+}
+
 const unsupportedVersionResponse = () => Buffer.from({ type: 'Buffer', data: [0, 35, 0, 0, 0, 0] })
 const unsupportedVersionResponseWithTimeout = () =>
   Buffer.from({ type: 'Buffer', data: [0, 0, 0, 0, 0, 35] })
@@ -248,6 +258,8 @@ module.exports = {
   waitForConsumerToJoinGroup,
   testIfKafka_0_11,
   testIfKafka_1_1_0,
+  testIfKafka_2_1_0,
+  testIfKafka_2_4_0,
   addPartitions,
   unsupportedVersionResponse,
   generateMessages,
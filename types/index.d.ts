@@ -14,7 +14,7 @@ export class Kafka {
 export interface KafkaConfig {
   brokers: string[]
   ssl?: tls.ConnectionOptions | boolean
-  sasl?: SASLOptions
+  sasl?: SASLOptions | OAuthBearerOptions | CustomSASLOptions
   clientId?: string
   connectionTimeout?: number
   authenticationTimeout?: number
@@ -40,6 +40,44 @@ export interface SASLOptions {
   mechanism: SASLMechanism
   username: string
   password: string
+  tokenAuth?: boolean
+}
+
+export interface OAuthBearerToken {
+  value: string
+  extensions?: Record<string, string>
+}
+
+export interface OAuthBearerOptions {
+  mechanism: 'oauthbearer'
+  authorizationIdentity?: string
+  oauthBearerProvider: () => Promise<OAuthBearerToken>
+}
+
+export interface SaslAuthenticateArgs<ParseResult> {
+  request: { encode(): { buffer: Buffer } | Promise<{ buffer: Buffer }> }
+  response: {
+    decode(rawResponse: Buffer): any
+    parse(data: any): ParseResult | Promise<ParseResult>
+  }
+  authExpectResponse?: boolean
+}
+
+export interface AuthenticationProviderArgs {
+  connection: { host: string; port: number; sasl: CustomSASLOptions & { [key: string]: any } }
+  logger: Logger
+  saslAuthenticate: <ParseResult = void>(
+    args: SaslAuthenticateArgs<ParseResult>
+  ) => Promise<ParseResult | void>
+}
+
+export interface Authenticator {
+  authenticate(): Promise<void>
+}
+
+export interface CustomSASLOptions {
+  mechanism: string
+  authenticationProvider: (args: AuthenticationProviderArgs) => Authenticator
 }
 
 export interface ProducerConfig {
@@ -51,6 +89,23 @@ export interface ProducerConfig {
   transactionalId?: string
   transactionTimeout?: number
   maxInFlightRequests?: number
+  linger?: number
+  batchSize?: number
+  maxBufferedBytes?: number
+  maxInFlightSends?: number
+  bufferFullPolicy?: 'block' | 'reject'
+  bufferFullTimeout?: number
+  interceptors?: ProducerInterceptor[]
+  serializers?: MessageSerializers
+}
+
+export interface ProducerInterceptor {
+  onSend?(args: { topic: string; messages: Message[] }): Message[] | void | Promise<Message[] | void>
+  onAcknowledgement?(args: {
+    topicMessages: TopicMessages[]
+    recordMetadata?: RecordMetadata[]
+    error?: Error
+  }): void | Promise<void>
 }
 
 export interface Message {
@@ -67,13 +122,23 @@ export interface PartitionerArgs {
   message: Message
 }
 
-export type ICustomPartitioner = () => (args: PartitionerArgs) => number
+export interface PartitionerConfig {
+  batchSize: number
+}
+
+export type Partitioner = ((args: PartitionerArgs) => number) & {
+  onSendComplete?(args: { topics: string[] }): void
+}
+
+export type ICustomPartitioner = (config?: PartitionerConfig) => Partitioner
 export type DefaultPartitioner = ICustomPartitioner
 export type JavaCompatiblePartitioner = ICustomPartitioner
+export type StickyPartitioner = ICustomPartitioner
 
 export const Partitioners: {
   DefaultPartitioner: DefaultPartitioner
   JavaCompatiblePartitioner: JavaCompatiblePartitioner
+  StickyPartitioner: StickyPartitioner
 }
 
 export type PartitionMetadata = {
@@ -90,6 +155,8 @@ export interface IHeaders {
 
 export interface ConsumerConfig {
   groupId: string
+  groupInstanceId?: string
+  rackId?: string
   partitionAssigners?: PartitionAssigner[]
   metadataMaxAge?: number
   sessionTimeout?: number
@@ -103,9 +170,20 @@ export interface ConsumerConfig {
   allowAutoTopicCreation?: boolean
   maxInFlightRequests?: number
   readUncommitted?: boolean
+  interceptors?: ConsumerInterceptor[]
+  deserializers?: MessageDeserializers
 }
 
-export type PartitionAssigner = (config: { cluster: Cluster }) => Assigner
+export interface ConsumerInterceptor {
+  onConsume?(args: { batch: Batch }): KafkaMessage[] | void | Promise<KafkaMessage[] | void>
+}
+
+export type PartitionAssigner = (config: {
+  cluster: Cluster
+  groupId: string
+  logger: Logger
+  rackId: string | null
+}) => Assigner
 
 export interface CoordinatorMetadata {
   errorCode: number
@@ -126,6 +204,7 @@ export type Cluster = {
   findBroker(node: { nodeId: string }): Promise<Broker>
   findControllerBroker(): Promise<Broker>
   findTopicPartitionMetadata(topic: string): PartitionMetadata[]
+  findBrokerRacks(): { [nodeId: string]: string }
   findLeaderForPartitions(topic: string, partitions: number[]): { [leader: string]: number[] }
   findGroupCoordinator(group: { groupId: string }): Promise<Broker>
   findGroupCoordinatorMetadata(group: { groupId: string }): Promise<CoordinatorMetadata>
@@ -147,14 +226,24 @@ export type GroupMemberAssignment = { memberId: string; memberAssignment: Buffer
 
 export type GroupState = { name: string; metadata: Buffer }
 
+export enum RebalanceProtocols {
+  EAGER = 0,
+  COOPERATIVE = 1,
+}
+
 export type Assigner = {
   name: string
   version: number
+  supportedProtocols?: RebalanceProtocols[]
   assign(group: {
     members: GroupMember[]
     topics: string[]
   }): Promise<GroupMemberAssignment[]>
-  protocol(subscription: { topics: string[] }): GroupState
+  protocol(subscription: {
+    topics: string[]
+    ownedPartitions: TopicPartitions[]
+    generationId: number
+  }): GroupState
 }
 
 export interface RetryOptions {
@@ -292,6 +381,110 @@ export interface SeekEntry {
   offset: string
 }
 
+export interface TopicSeekEntries {
+  topic: string
+  partitions: SeekEntry[]
+}
+
+export type SetOffsetsResult = Array<{
+  topic: string
+  partitions: Array<SeekEntry & { error?: KafkaJSProtocolError }>
+}>
+
+export type ResetOffsetsStrategy =
+  | { toTimestamp: number }
+  | { toDatetime: string | Date }
+  | { byDuration: string | number }
+  | { shiftBy: number }
+  | { toOffset: string }
+
+export type ResetOffsetsPlan = Array<{ topic: string; partitions: SeekEntry[] }>
+
+export type PartitionWatermarkOffset = {
+  partition: number
+  offset: string
+  high: string
+  low: string
+}
+
+export interface PartitionLag {
+  partition: number
+  offset: string
+  high: string | null
+  lag: string | null
+  member: { memberId: string; clientId: string; clientHost: string } | null
+}
+
+export interface ConsumerGroupLag {
+  groupId: string
+  state: string
+  totalLag: string
+  topics: Array<{ topic: string; totalLag: string; partitions: PartitionLag[] }>
+}
+
+export interface ReplicaLogDirInfo {
+  partition: number
+  size: string
+  offsetLag: string
+  isFuture: boolean
+}
+
+export interface LogDirDescription {
+  logDir: string
+  errorCode: number
+  error?: KafkaJSProtocolError
+  topics: Array<{ topic: string; partitions: ReplicaLogDirInfo[] }>
+}
+
+export interface ReplicaLogDir {
+  topic: string
+  partition: number
+  nodeId: number
+  logDir: string
+}
+
+export interface PartitionReassignment {
+  partition: number
+  replicas: number[] | null
+}
+
+export interface OngoingPartitionReassignment {
+  partition: number
+  replicas: number[]
+  addingReplicas: number[]
+  removingReplicas: number[]
+}
+
+export interface PartitionReassignmentResult {
+  topic: string
+  partition: number
+  errorCode: number
+  errorMessage: string | null
+  error?: KafkaJSProtocolError
+}
+
+export interface ElectLeadersResult {
+  topic: string
+  partition: number
+  errorCode: number
+  errorMessage: string | null
+  error?: KafkaJSProtocolError
+}
+
+export interface Principal {
+  principalType: string
+  principalName: string
+}
+
+export interface DelegationToken {
+  tokenId: string
+  hmac: Buffer
+  owner: Principal
+  issueTimestamp: string
+  expiryTimestamp: string
+  maxTimestamp: string
+}
+
 export type Admin = {
   connect(): Promise<void>
   disconnect(): Promise<void>
@@ -303,6 +496,38 @@ export type Admin = {
     topics: ITopicConfig[]
   }): Promise<boolean>
   deleteTopics(options: { topics: string[]; timeout?: number }): Promise<void>
+  alterPartitionReassignments(options: {
+    topics: Array<{ topic: string; partitionAssignment: PartitionReassignment[] }>
+    timeout?: number
+  }): Promise<PartitionReassignmentResult[]>
+  cancelPartitionReassignments(options: {
+    topics: Array<{ topic: string; partitions: number[] }>
+    timeout?: number
+  }): Promise<PartitionReassignmentResult[]>
+  listPartitionReassignments(options?: {
+    topics?: Array<{ topic: string; partitions: number[] }>
+    timeout?: number
+  }): Promise<{ topics: Array<{ topic: string; partitions: OngoingPartitionReassignment[] }> }>
+  electLeaders(options?: {
+    electionType?: 'PREFERRED' | 'UNCLEAN'
+    topicPartitions?: Array<{ topic: string; partitions: number[] }>
+    timeout?: number
+  }): Promise<ElectLeadersResult[]>
+  createDelegationToken(options?: {
+    renewers?: Principal[]
+    maxLifetime?: number
+  }): Promise<DelegationToken>
+  renewDelegationToken(options: {
+    hmac: Buffer
+    renewPeriod?: number
+  }): Promise<{ expiryTimestamp: string }>
+  expireDelegationToken(options: {
+    hmac: Buffer
+    expiryTimePeriod?: number
+  }): Promise<{ expiryTimestamp: string }>
+  describeDelegationTokens(options?: {
+    owners?: Principal[]
+  }): Promise<{ tokens: Array<DelegationToken & { renewers: Principal[] }> }>
   createPartitions(options: {
     validateOnly?: boolean
     timeout?: number
@@ -313,17 +538,45 @@ export type Admin = {
     groupId: string
     topic: string
   }): Promise<Array<{ partition: number; offset: string; metadata: string | null }>>
-  fetchTopicOffsets(
-    topic: string
-  ): Promise<Array<{ partition: number; offset: string; high: string; low: string }>>
+  describeGroups(groupIds: string[]): Promise<{ groups: AdminGroupDescription[] }>
+  fetchConsumerGroupLag(options: { groupId: string; topics?: string[] }): Promise<ConsumerGroupLag>
+  fetchTopicOffsets(topic: string): Promise<Array<PartitionWatermarkOffset>>
+  fetchTopicOffsets(options: {
+    topics: string[]
+    timestamps?: { [topic: string]: number }
+  }): Promise<Array<{ topic: string; partitions: PartitionWatermarkOffset[] }>>
+  fetchTopicOffsetsByTimestamp(topic: string, timestamp: number): Promise<SeekEntry[]>
   describeCluster(): Promise<{ brokers: Array<{ nodeId: number; host: string; port: number }>; controller: number | null, clusterId: string }>
-  setOffsets(options: { groupId: string; topic: string; partitions: SeekEntry[] }): Promise<void>
-  resetOffsets(options: { groupId: string; topic: string; earliest: boolean }): Promise<void>
+  setOffsets(
+    options:
+      | { groupId: string; topic: string; partitions: SeekEntry[] }
+      | { groupId: string; topics: TopicSeekEntries[] }
+  ): Promise<SetOffsetsResult>
+  resetOffsets(
+    options:
+      | { groupId: string; topic: string; earliest?: boolean; dryRun?: boolean }
+      | {
+          groupId: string
+          topics: Array<{ topic: string; partitions?: number[] }>
+          strategy?: ResetOffsetsStrategy
+          earliest?: boolean
+          dryRun?: boolean
+        }
+  ): Promise<SetOffsetsResult | ResetOffsetsPlan>
   describeConfigs(configs: {
     resources: ResourceConfigQuery[]
     includeSynonyms: boolean
   }): Promise<DescribeConfigResponse>
   alterConfigs(configs: { validateOnly: boolean; resources: IResourceConfig[] }): Promise<any>
+  deleteTopicRecords(options: {
+    topic: string
+    partitions: SeekEntry[]
+  }): Promise<Array<{ partition: number; lowWatermark: string }>>
+  describeLogDirs(options?: {
+    brokers?: number[]
+    topics?: Array<{ topic: string; partitions?: number[] }>
+  }): Promise<{ brokers: Array<{ nodeId: number; logDirs: LogDirDescription[] }> }>
+  alterReplicaLogDirs(options: { replicas: ReplicaLogDir[] }): Promise<void>
   logger(): Logger
   on(
     eventName: ValueOf<AdminEvents>,
@@ -332,7 +585,13 @@ export type Admin = {
   events: AdminEvents
 }
 
-export const PartitionAssigners: { roundRobin: PartitionAssigner }
+export const PartitionAssigners: {
+  roundRobin: PartitionAssigner
+  range: PartitionAssigner
+  rackAware: PartitionAssigner
+  sticky: PartitionAssigner
+  cooperativeSticky: PartitionAssigner
+}
 
 export interface ISerializer<T> {
   encode(value: T): Buffer
@@ -343,6 +602,7 @@ export type MemberMetadata = {
   version: number
   topics: string[]
   userData: Buffer
+  ownedPartitions?: TopicPartitions[]
 }
 
 export type MemberAssignment = {
@@ -470,6 +730,7 @@ type Sender = {
 export type ProducerEvents = {
   CONNECT: 'producer.connect'
   DISCONNECT: 'producer.disconnect'
+  BUFFER_FULL: 'producer.buffer_full'
   REQUEST: 'producer.network.request'
   REQUEST_TIMEOUT: 'producer.network.request_timeout'
   REQUEST_QUEUE_SIZE: 'producer.network.request_queue_size'
@@ -485,6 +746,7 @@ export type Producer = Sender & {
     listener: (...args: any[]) => void
   ): RemoveInstrumentationEventListener<typeof eventName>
   transaction(): Promise<Transaction>
+  flush(): Promise<void>
   logger(): Logger
 }
 
@@ -518,6 +780,20 @@ export type GroupDescription = {
   state: string
 }
 
+export type AdminMemberDescription = MemberDescription & {
+  metadata: MemberMetadata | null
+  assignment: MemberAssignment | null
+}
+
+export type AdminGroupDescription = {
+  errorCode: number
+  groupId: string
+  members: AdminMemberDescription[]
+  protocol: string
+  protocolType: string
+  state: string
+}
+
 export type TopicPartitions = { topic: string; partitions: number[] }
 export type TopicPartitionOffsetAndMedata = {
   topic: string
@@ -623,6 +899,7 @@ export interface EachBatchPayload {
   uncommittedOffsets(): OffsetsByTopicPartition
   isRunning(): boolean
   isStale(): boolean
+  transaction?: Transaction
 }
 
 /**
@@ -645,6 +922,7 @@ export type ConsumerRunConfig = {
   partitionsConsumedConcurrently?: number
   eachBatch?: (payload: EachBatchPayload) => Promise<void>
   eachMessage?: (payload: EachMessagePayload) => Promise<void>
+  transactionalProducer?: Producer
 }
 
 export type ConsumerSubscribeTopic = { topic: string | RegExp; fromBeginning?: boolean }
@@ -677,6 +955,38 @@ export enum CompressionTypes {
   ZSTD = 4,
 }
 
+export type Serializer = (
+  data: any,
+  context: { topic: string; header?: string }
+) => Buffer | string | null | Promise<Buffer | string | null>
+
+export type Deserializer = (
+  data: Buffer,
+  context: { topic: string; partition: number; offset: string; header?: string }
+) => any
+
+export interface MessageSerializers {
+  key?: Serializer
+  value?: Serializer
+  headers?: Serializer
+}
+
+export interface MessageDeserializers {
+  key?: Deserializer
+  value?: Deserializer
+  headers?: Deserializer
+}
+
+export const Serializers: {
+  JSON: Serializer
+  String: Serializer
+}
+
+export const Deserializers: {
+  JSON: Deserializer
+  String: Deserializer
+}
+
 export var CompressionCodecs: {
   [CompressionTypes.GZIP]: () => any
   [CompressionTypes.Snappy]: () => any
@@ -700,6 +1010,10 @@ export class KafkaJSOffsetOutOfRange extends KafkaJSProtocolError {
   constructor(e: Error | string, metadata?: KafkaJSOffsetOutOfRangeMetadata)
 }
 
+export class KafkaJSMemberIdRequired extends KafkaJSProtocolError {
+  constructor(e: Error | string, metadata?: KafkaJSMemberIdRequiredMetadata)
+}
+
 export class KafkaJSNumberOfRetriesExceeded extends KafkaJSNonRetriableError {
   constructor(e: Error | string, metadata?: KafkaJSNumberOfRetriesExceededMetadata)
 }
@@ -724,6 +1038,14 @@ export class KafkaJSStaleTopicMetadataAssignment extends KafkaJSError {
   constructor(e: Error | string, metadata?: KafkaJSStaleTopicMetadataAssignmentMetadata)
 }
 
+export class KafkaJSDeleteTopicRecordsError extends KafkaJSError {
+  constructor(e: Error | string, metadata?: KafkaJSDeleteTopicRecordsErrorMetadata)
+}
+
+export class KafkaJSAlterReplicaLogDirsError extends KafkaJSError {
+  constructor(e: Error | string, metadata?: KafkaJSAlterReplicaLogDirsErrorMetadata)
+}
+
 export class KafkaJSServerDoesNotSupportApiKey extends KafkaJSNonRetriableError {
   constructor(e: Error | string, metadata?: KafkaJSServerDoesNotSupportApiKeyMetadata)
 }
@@ -760,6 +1082,18 @@ export class KafkaJSUnsupportedMagicByteInMessageSet extends KafkaJSError {
   constructor()
 }
 
+export class KafkaJSBufferFullError extends KafkaJSNonRetriableError {
+  constructor(e: Error | string, metadata?: KafkaJSBufferFullErrorMetadata)
+}
+
+export class KafkaJSSerializationError extends KafkaJSNonRetriableError {
+  constructor(e: Error | string, metadata?: KafkaJSSerializationErrorMetadata)
+}
+
+export class KafkaJSDeserializationError extends KafkaJSNonRetriableError {
+  constructor(e: Error | string, metadata?: KafkaJSDeserializationErrorMetadata)
+}
+
 export interface KafkaJSErrorMetadata {
   retriable?: boolean
   topic?: string
@@ -772,6 +1106,10 @@ export interface KafkaJSOffsetOutOfRangeMetadata {
   partition: number
 }
 
+export interface KafkaJSMemberIdRequiredMetadata {
+  memberId: string
+}
+
 export interface KafkaJSNumberOfRetriesExceededMetadata {
   retryCount: number
   retryTime: number
@@ -800,6 +1138,38 @@ export interface KafkaJSStaleTopicMetadataAssignmentMetadata {
   unknownPartitions: PartitionMetadata[]
 }
 
+export interface KafkaJSBufferFullErrorMetadata {
+  bufferedBytes: number
+  inFlightSends: number
+  maxBufferedBytes: number | null
+  maxInFlightSends: number | null
+}
+
+export interface KafkaJSSerializationErrorMetadata {
+  topic: string
+  field: 'key' | 'value' | 'headers'
+  header?: string
+  originalError: Error
+}
+
+export interface KafkaJSDeserializationErrorMetadata {
+  topic: string
+  partition: number
+  offset: string
+  field: 'key' | 'value' | 'headers'
+  header?: string
+  originalError: Error
+}
+
+export interface KafkaJSDeleteTopicRecordsErrorMetadata {
+  topic: string
+  partitions: Array<{ partition: number; offset: string; error: KafkaJSProtocolError }>
+}
+
+export interface KafkaJSAlterReplicaLogDirsErrorMetadata {
+  replicas: Array<ReplicaLogDir & { error: KafkaJSProtocolError }>
+}
+
 export interface KafkaJSServerDoesNotSupportApiKeyMetadata {
   apiKey: number
   apiName: string
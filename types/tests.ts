@@ -3,6 +3,9 @@ import * as fs from 'fs'
 import {
   Kafka,
   PartitionAssigners,
+  Partitioners,
+  AssignerProtocol,
+  RebalanceProtocols,
   logLevel,
   CompressionTypes,
   CompressionCodecs,
@@ -10,6 +13,7 @@ import {
   LogEntry,
   KafkaJSError,
   KafkaJSOffsetOutOfRange,
+  KafkaJSMemberIdRequired,
   KafkaJSNumberOfRetriesExceeded,
   KafkaJSConnectionError,
   KafkaJSRequestTimeoutError,
@@ -17,9 +21,13 @@ import {
   KafkaJSStaleTopicMetadataAssignment,
   PartitionMetadata,
   KafkaJSServerDoesNotSupportApiKey,
+  KafkaJSBufferFullError,
+  KafkaJSDeserializationError,
+  Serializers,
+  Deserializers,
 } from './index'
 
-const { roundRobin } = PartitionAssigners
+const { roundRobin, range, rackAware, sticky, cooperativeSticky } = PartitionAssigners
 
 // COMMON
 const host = 'localhost'
@@ -110,6 +118,29 @@ const runConsumer = async () => {
 
 runConsumer().catch(console.error)
 
+const runTransactionalConsumer = async () => {
+  const transactionalProducer = kafka.producer({
+    transactionalId: 'transactional-consumer',
+    maxInFlightRequests: 1,
+    idempotent: true,
+  })
+
+  await transactionalProducer.connect()
+  await consumer.connect()
+  await consumer.subscribe({ topic })
+  await consumer.run({
+    transactionalProducer,
+    eachBatch: async ({ batch, transaction }) => {
+      await transaction!.send({
+        topic: 'output-topic',
+        messages: batch.messages.map(({ key, value }) => ({ key, value })),
+      })
+    },
+  })
+}
+
+runTransactionalConsumer().catch(console.error)
+
 // PRODUCER
 const producer = kafka.producer({ allowAutoTopicCreation: true })
 producer.logger().debug('Instantiated producer')
@@ -191,6 +222,160 @@ const runAdmin = async () => {
     ],
   })
 
+  const committedOffsets = await admin.setOffsets({
+    groupId: 'my-group',
+    topics: [
+      { topic, partitions: [{ partition: 0, offset: '10' }] },
+      { topic: 'other-topic', partitions: [{ partition: 0, offset: '-1' }] },
+    ],
+  })
+  committedOffsets.forEach(({ topic, partitions }) =>
+    partitions
+      .filter(({ error }) => error)
+      .forEach(({ partition, error }) => console.log(topic, partition, error))
+  )
+
+  const topicOffsets = await admin.fetchTopicOffsets({
+    topics: [topic, 'other-topic'],
+    timestamps: { [topic]: Date.now() - 3600000 },
+  })
+  topicOffsets.forEach(({ topic, partitions }) =>
+    partitions.forEach(({ partition, offset, high, low }) =>
+      console.log(topic, partition, offset, high, low)
+    )
+  )
+  const offsetsByTimestamp = await admin.fetchTopicOffsetsByTimestamp(topic, Date.now() - 3600000)
+  offsetsByTimestamp.forEach(({ partition, offset }) => console.log(partition, offset))
+  const singleTopicOffsets = await admin.fetchTopicOffsets(topic)
+  singleTopicOffsets.forEach(({ partition, high, low }) => console.log(partition, high, low))
+
+  const { groups } = await admin.describeGroups(['my-group'])
+  groups.forEach(({ groupId, members }) =>
+    members.forEach(({ clientHost, assignment }) =>
+      console.log(groupId, clientHost, assignment && assignment.assignment[topic])
+    )
+  )
+
+  const groupLag = await admin.fetchConsumerGroupLag({ groupId: 'my-group', topics: [topic] })
+  groupLag.topics.forEach(({ topic, partitions }) =>
+    partitions
+      .filter(({ lag }) => lag !== null && Number(lag) > 1000)
+      .forEach(({ partition, lag, member }) =>
+        console.log(topic, partition, lag, member && member.clientId)
+      )
+  )
+
+  const resetPlan = await admin.resetOffsets({
+    groupId: 'my-group',
+    topics: [{ topic }, { topic: 'other-topic', partitions: [0, 1] }],
+    strategy: { byDuration: 'PT1H' },
+    dryRun: true,
+  })
+  resetPlan.forEach(({ topic, partitions }) => console.log(topic, partitions))
+  await admin.resetOffsets({ groupId: 'my-group', topic, earliest: true })
+  await admin.resetOffsets({
+    groupId: 'my-group',
+    topics: [{ topic }],
+    strategy: { toDatetime: new Date() },
+  })
+
+  await admin.deleteTopicRecords({
+    topic,
+    partitions: [{ partition: 0, offset: '-1' }],
+  })
+
+  const { brokers: logDirs } = await admin.describeLogDirs({ topics: [{ topic }] })
+  logDirs.forEach(({ nodeId, logDirs }) =>
+    logDirs.forEach(({ logDir, topics }) => console.log(nodeId, logDir, topics))
+  )
+
+  await admin.alterReplicaLogDirs({
+    replicas: [{ topic, partition: 0, nodeId: 0, logDir: '/var/lib/kafka/data' }],
+  })
+
+  await admin.alterPartitionReassignments({
+    topics: [{ topic, partitionAssignment: [{ partition: 0, replicas: [1, 2] }] }],
+  })
+
+  const { topics: reassignments } = await admin.listPartitionReassignments()
+  reassignments.forEach(({ topic, partitions }) =>
+    partitions.forEach(({ partition, addingReplicas, removingReplicas }) =>
+      console.log(topic, partition, addingReplicas, removingReplicas)
+    )
+  )
+
+  const cancellations = await admin.cancelPartitionReassignments({
+    topics: [{ topic, partitions: [0] }],
+  })
+  cancellations
+    .filter(({ error }) => error)
+    .forEach(({ topic, partition, errorCode, errorMessage }) =>
+      console.log(topic, partition, errorCode, errorMessage)
+    )
+
+  const elections = await admin.electLeaders({
+    electionType: 'PREFERRED',
+    topicPartitions: [{ topic, partitions: [0] }],
+  })
+  elections
+    .filter(({ error }) => error)
+    .forEach(({ topic, partition, errorCode, errorMessage }) =>
+      console.log(topic, partition, errorCode, errorMessage)
+    )
+
+  const { tokenId, hmac } = await admin.createDelegationToken({
+    renewers: [{ principalType: 'User', principalName: 'alice' }],
+    maxLifetime: 86400000,
+  })
+  await admin.renewDelegationToken({ hmac, renewPeriod: 3600000 })
+  const { tokens } = await admin.describeDelegationTokens()
+  tokens.forEach(({ tokenId, owner, renewers, expiryTimestamp }) =>
+    console.log(tokenId, owner.principalName, renewers, expiryTimestamp)
+  )
+  await admin.expireDelegationToken({ hmac })
+
+  new Kafka({
+    brokers: ['localhost:9094'],
+    sasl: {
+      mechanism: 'custom',
+      authenticationProvider: ({ connection, logger, saslAuthenticate }) => ({
+        authenticate: async () => {
+          const payload = Buffer.from(`${connection.sasl.mechanism}-token`)
+          const buffer = Buffer.alloc(4 + payload.length)
+          buffer.writeInt32BE(payload.length, 0)
+          payload.copy(buffer, 4)
+
+          await saslAuthenticate({
+            request: { encode: () => ({ buffer }) },
+            response: { decode: async () => true, parse: async () => true },
+          })
+          logger.debug('Authenticated', { host: connection.host, port: connection.port })
+        },
+      }),
+    },
+  })
+
+  new Kafka({
+    brokers: ['localhost:9094'],
+    sasl: {
+      mechanism: 'oauthbearer',
+      oauthBearerProvider: async () => ({
+        value: 'eyJhbGciOiJub25lIn0.eyJzdWIiOiJhZG1pbiJ9.',
+        extensions: { traceId: '123' },
+      }),
+    },
+  })
+
+  new Kafka({
+    brokers: ['localhost:9094'],
+    sasl: {
+      mechanism: 'scram-sha-256',
+      username: tokenId,
+      password: hmac.toString('base64'),
+      tokenAuth: true,
+    },
+  })
+
   await admin.disconnect()
 }
 
@@ -207,6 +392,76 @@ const produceWithGZIP = async () => {
 
 produceWithGZIP().catch(console.error)
 
+const produceWithLinger = async () => {
+  const batchingProducer = kafka.producer({ linger: 10, batchSize: 16384, maxBufferedBytes: 1048576 })
+  await batchingProducer.connect()
+  const send = batchingProducer.send({
+    topic: 'topic-name',
+    messages: [{ key: 'key1', value: 'hello world!' }],
+  })
+  await batchingProducer.flush()
+  const [{ topicName, partition }] = await send
+  console.log(topicName, partition)
+  await batchingProducer.disconnect()
+}
+
+produceWithLinger().catch(console.error)
+
+kafka.producer({ createPartitioner: Partitioners.StickyPartitioner })
+kafka.producer({
+  createPartitioner: config => {
+    let partition = 0
+    const partitioner = ({ partitionMetadata }: { partitionMetadata: PartitionMetadata[] }) =>
+      partition % partitionMetadata.length
+    return Object.assign(partitioner, {
+      onSendComplete: ({ topics }: { topics: string[] }) => {
+        console.log(config && config.batchSize, topics)
+        partition++
+      },
+    })
+  },
+})
+
+const produceWithBackpressure = async () => {
+  const boundedProducer = kafka.producer({
+    maxBufferedBytes: 1048576,
+    maxInFlightSends: 100,
+    bufferFullPolicy: 'reject',
+  })
+  boundedProducer.on(boundedProducer.events.BUFFER_FULL, e => console.log(e.payload))
+  await boundedProducer.connect()
+
+  try {
+    await boundedProducer.send({ topic: 'topic-name', messages: [{ value: 'hello world!' }] })
+  } catch (e) {
+    if (e instanceof KafkaJSBufferFullError) {
+      console.log('buffer full', e.message)
+    }
+  }
+}
+
+produceWithBackpressure().catch(console.error)
+
+kafka.producer({
+  serializers: {
+    key: Serializers.String,
+    value: Serializers.JSON,
+    headers: async (data, { topic, header }) => `${topic}:${header}:${data}`,
+  },
+})
+
+kafka.producer({
+  interceptors: [
+    {
+      onSend: ({ messages }) =>
+        messages.map(message => ({ ...message, headers: { ...message.headers, source: 'app' } })),
+      onAcknowledgement: ({ topicMessages, recordMetadata, error }) => {
+        console.log(topicMessages.length, recordMetadata, error)
+      },
+    },
+  ],
+})
+
 const SnappyCodec: any = undefined
 CompressionCodecs[CompressionTypes.Snappy] = SnappyCodec
 
@@ -215,6 +470,85 @@ kafka.consumer({
   partitionAssigners: [roundRobin],
 })
 
+kafka.consumer({
+  groupId: 'my-group',
+  partitionAssigners: [cooperativeSticky, sticky, roundRobin],
+})
+
+kafka.consumer({
+  groupId: 'my-group',
+  groupInstanceId: 'my-group-instance-1',
+})
+
+kafka.consumer({
+  groupId: 'my-group',
+  interceptors: [
+    {
+      onConsume: async ({ batch }) => batch.messages.filter(({ value }) => value !== null),
+    },
+  ],
+})
+
+const consumeWithDeserializers = async () => {
+  const jsonConsumer = kafka.consumer({
+    groupId: 'my-group',
+    deserializers: {
+      key: Deserializers.String,
+      value: Deserializers.JSON,
+      headers: (data, { header }) => (header === 'trace-id' ? data.toString() : data),
+    },
+  })
+  await jsonConsumer.connect()
+  await jsonConsumer.subscribe({ topic: 'topic-name' })
+
+  try {
+    await jsonConsumer.run({
+      eachMessage: async ({ message }) => console.log(message.key, message.value),
+    })
+  } catch (e) {
+    if (e instanceof KafkaJSDeserializationError) {
+      console.log('failed to deserialize', e.message)
+    }
+  }
+}
+
+consumeWithDeserializers().catch(console.error)
+
+kafka.consumer({
+  groupId: 'my-group',
+  rackId: 'us-east-1a',
+  partitionAssigners: [rackAware, range],
+})
+
+kafka.consumer({
+  groupId: 'my-group',
+  partitionAssigners: [
+    () => ({
+      name: 'CooperativeAssigner',
+      version: 1,
+      supportedProtocols: [RebalanceProtocols.EAGER, RebalanceProtocols.COOPERATIVE],
+      assign: async ({ members }) =>
+        members.map(({ memberId }) => ({
+          memberId,
+          memberAssignment: AssignerProtocol.MemberAssignment.encode({
+            version: 1,
+            assignment: {},
+            userData: Buffer.alloc(0),
+          }),
+        })),
+      protocol: ({ topics, ownedPartitions }) => ({
+        name: 'CooperativeAssigner',
+        metadata: AssignerProtocol.MemberMetadata.encode({
+          version: 1,
+          topics,
+          userData: Buffer.alloc(0),
+          ownedPartitions,
+        }),
+      }),
+    }),
+  ],
+})
+
 // ERROR
 new KafkaJSError('Invalid partition metadata', { retriable: true });
 new KafkaJSError('The group is rebalancing');
@@ -222,6 +556,8 @@ new KafkaJSError(new Error('💣'), { retriable: true });
 
 new KafkaJSOffsetOutOfRange(new Error(), { topic: topic, partition: 0 });
 
+new KafkaJSMemberIdRequired(new Error(), { memberId: 'test-member-id' });
+
 new KafkaJSNumberOfRetriesExceeded(new Error(), { retryCount: 0, retryTime: 0 });
 
 new KafkaJSConnectionError('Connection error: ECONNREFUSED', {